@@ -5,6 +5,15 @@
  * Provides Spotify Wrapped-style analytics for DJ sessions, tracking metrics
  * like BPM curves, energy progression, transition quality, and set statistics.
  *
+ * AUDIO RECORDING:
+ * When the master output is recorded (see SetRecorder), the recording is
+ * attached to the session with its start time and pauses, so every played
+ * track gets an offset into the audio file for the tracklist.
+ *
+ * AUTO-DJ PROFILE:
+ * The active Auto-DJ profile is kept with the session: the one active when
+ * it started, plus every switch during the set (see recordProfile).
+ *
  * DATA PERSISTENCE:
  * - Session data stored in memory during active session
  * - Complete sessions saved to localStorage for history
@@ -28,6 +37,7 @@ const AnalyticsDashboard = (function() {
 
     let currentSession = null;
     let isRecording = false;
+    let activeProfile = null;   // { id, name } of the Auto-DJ profile in use
 
     /**
      * Session data structure
@@ -43,7 +53,10 @@ const AnalyticsDashboard = (function() {
             peakEnergy: 0,
             lowestEnergy: 1,
             peakEnergyTime: null,
-            totalPlaytime: 0
+            totalPlaytime: 0,
+            recording: null,      // Audio recording of the set (see startAudioRecording)
+            profile: activeProfile,   // Auto-DJ profile in use ({ id, name })
+            profileChanges: activeProfile ? [{ ...activeProfile, activatedAt: Date.now() }] : []
         };
     }
 
@@ -82,6 +95,12 @@ const AnalyticsDashboard = (function() {
         currentSession.endTime = Date.now();
         currentSession.totalPlaytime = calculateTotalPlaytime();
 
+        // A recording still running is cut off at the end of the session
+        if (currentSession.recording && !currentSession.recording.stoppedAt) {
+            resumeAudioRecording(currentSession.endTime);
+            currentSession.recording.stoppedAt = currentSession.endTime;
+        }
+
         const summary = generateSessionSummary();
 
         // Save to history
@@ -174,6 +193,19 @@ const AnalyticsDashboard = (function() {
         }
     }
 
+    /**
+     * Record the Auto-DJ profile in use (kept for sessions started later too)
+     * @param {Object} profile - AutoDJProfiles profile
+     */
+    function recordProfile(profile) {
+        activeProfile = profile ? { id: profile.id, name: profile.name } : null;
+        if (!isRecording || !currentSession || !activeProfile) return;
+        if (currentSession.profile?.id === activeProfile.id) return;
+
+        currentSession.profile = activeProfile;
+        currentSession.profileChanges.push({ ...activeProfile, activatedAt: Date.now() });
+    }
+
     /**
      * Update play duration for current track
      * @param {string} trackId - Track ID
@@ -188,6 +220,116 @@ const AnalyticsDashboard = (function() {
         }
     }
 
+    // ==========================================================================
+    // AUDIO RECORDING
+    // ==========================================================================
+
+    /**
+     * Attach an audio recording to the session (starting a session if needed)
+     * @param {number} startedAt - Time the recorder started (Date.now())
+     * @returns {Object} The session
+     */
+    function startAudioRecording(startedAt = Date.now()) {
+        if (!isRecording) {
+            startSession();
+        }
+
+        currentSession.recording = {
+            startedAt,
+            stoppedAt: null,
+            pauses: [],           // { start, end } wall-clock times
+            file: null
+        };
+        console.log('[Analytics] Audio recording attached to session:', currentSession.id);
+        return currentSession;
+    }
+
+    function pauseAudioRecording(time = Date.now()) {
+        const recording = currentSession?.recording;
+        if (!recording || recording.stoppedAt) return;
+        recording.pauses.push({ start: time, end: null });
+    }
+
+    function resumeAudioRecording(time = Date.now()) {
+        const pause = currentSession?.recording?.pauses.at(-1);
+        if (pause && pause.end === null) pause.end = time;
+    }
+
+    /**
+     * Mark the recording finished
+     * @param {Object} file - { filename, format, size, duration }
+     * @param {number} time - Stop time (Date.now())
+     */
+    function stopAudioRecording(file, time = Date.now()) {
+        const recording = currentSession?.recording;
+        if (!recording) return;
+
+        resumeAudioRecording(time);
+        recording.stoppedAt = time;
+        recording.file = { ...file, uploadedAs: null };
+    }
+
+    /**
+     * Remember the server file name of an uploaded recording
+     * The upload may finish after the session has ended, so saved sessions are searched too.
+     * @param {string} sessionId - Session the recording belongs to
+     * @param {string} uploadedAs - Name returned by /upload
+     */
+    function setRecordingUpload(sessionId, uploadedAs) {
+        if (currentSession?.id === sessionId) {
+            if (currentSession.recording?.file) currentSession.recording.file.uploadedAs = uploadedAs;
+            return;
+        }
+
+        const history = getSessionHistory();
+        const file = history.find(session => session.id === sessionId)?.recording?.file;
+        if (!file) return;
+
+        file.uploadedAs = uploadedAs;
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(history));
+        } catch (e) {
+            console.error('[Analytics] Failed to save recording upload:', e);
+        }
+    }
+
+    /**
+     * Position in a session's recording at a given moment (pauses excluded)
+     * @param {Object} session - Session with a recording
+     * @param {number} timestamp - Wall-clock time (Date.now())
+     * @returns {number|null} Milliseconds into the recording, null if not recorded
+     */
+    function getRecordingOffset(session, timestamp) {
+        const recording = session?.recording;
+        if (!recording || timestamp < recording.startedAt) return null;
+        if (recording.stoppedAt && timestamp > recording.stoppedAt) return null;
+
+        const pausedTime = recording.pauses.reduce((total, pause) => {
+            if (pause.start >= timestamp) return total;
+            const end = pause.end === null ? timestamp : Math.min(pause.end, timestamp);
+            return total + (end - pause.start);
+        }, 0);
+
+        return timestamp - recording.startedAt - pausedTime;
+    }
+
+    /**
+     * Played tracks with their position in the recording
+     * @param {Object} session - Defaults to the current session
+     * @returns {Array<{name: string, artist: string|null, deck: string, playedAt: number, recordingOffset: number|null}>}
+     */
+    function getTracklist(session = currentSession) {
+        if (!session) return [];
+
+        return session.tracks.map(entry => ({
+            name: entry.track.name,
+            artist: entry.track.artists?.[0]?.name || null,
+            deck: entry.deck,
+            playedAt: entry.playedAt,
+            recordingOffset: getRecordingOffset(session, entry.playedAt)
+        }));
+    }
+
     /**
      * Record transition between two tracks
      * @param {Object} fromEntry - Previous track entry
@@ -422,6 +564,10 @@ const AnalyticsDashboard = (function() {
             playedVsSkipped: getPlayedVsSkipped(),
             moodDistribution: getMoodDistribution(),
 
+            // Auto-DJ profile
+            profile: currentSession.profile?.name || null,
+            profilesUsed: [...new Set(currentSession.profileChanges.map(change => change.name))],
+
             // Timestamps
             startTime: currentSession.startTime,
             endTime: currentSession.endTime
@@ -502,6 +648,7 @@ const AnalyticsDashboard = (function() {
 
         return JSON.stringify({
             ...session,
+            tracklist: getTracklist(session),
             summary: generateSessionSummary(),
             exportedAt: new Date().toISOString()
         }, null, 2);
@@ -511,6 +658,16 @@ const AnalyticsDashboard = (function() {
     // UI GENERATION
     // ==========================================================================
 
+    /**
+     * Escape text for use in generated HTML
+     * @param {string} text - Text that may come from the user
+     * @returns {string} Escaped text
+     */
+    function escapeHtml(text) {
+        const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+        return String(text).replace(/[&<>"']/g, char => entities[char]);
+    }
+
     /**
      * Generate HTML for session summary card
      * @param {Object} summary - Session summary object
@@ -529,6 +686,11 @@ const AnalyticsDashboard = (function() {
                 <h2 style="margin: 0 0 20px 0; font-size: 24px;">
                     🎧 Session Complete
                 </h2>
+                ${summary.profilesUsed?.length ? `
+                    <div style="margin: -12px 0 20px 0; font-size: 13px; color: #888;">
+                        Auto-DJ profile: ${summary.profilesUsed.map(escapeHtml).join(' → ')}
+                    </div>
+                ` : ''}
 
                 <!-- Hero stats -->
                 <div style="display: grid; grid-template-columns: repeat(4, 1fr); gap: 16px; margin-bottom: 24px;">
@@ -745,6 +907,16 @@ const AnalyticsDashboard = (function() {
         recordTrackPlayed,
         recordTrackSkipped,
         updateTrackDuration,
+        recordProfile,
+
+        // Audio recording
+        startAudioRecording,
+        pauseAudioRecording,
+        resumeAudioRecording,
+        stopAudioRecording,
+        setRecordingUpload,
+        getRecordingOffset,
+        getTracklist,
 
         // Metrics
         getBPMTimeline,
@@ -5,7 +5,11 @@
  * 1. Spotify playlist integration with preview playback
  * 2. Real-time Mixing Assistant with live feedback
  * 3. Functional Auto-DJ with auto-queue and crossfade
- * 4. Session Analytics tracking
+ * 4. Whole-set planning with an editable timeline Auto-DJ follows
+ *    and energy arc templates (or a drawn curve) that shape the set
+ * 5. Auto-DJ weights learned from picks, skips and play-throughs,
+ *    style profiles (weights, BPM ranges, arc) and track rules
+ * 6. Session Analytics tracking
  */
 
 const DJApp = (function() {
@@ -15,32 +19,56 @@ const DJApp = (function() {
     // STATE
     // ==========================================================================
 
+    // Deck ids from script.js's deck registry
+    const DECK_IDS = window.DECK_IDS || ['A', 'B'];
+
     let state = {
-        currentTrack: null,      // Track on Deck A
-        nextTrack: null,         // Track on Deck B
+        deckTracks: createDeckMap(() => null),  // Track loaded on each deck
+        deckPlaying: createDeckMap(() => false),
+        deckPair: ['A', 'B'],       // Decks the Auto-DJ and Mixing Assistant mix between
+        liveDeck: 'A',              // Deck of the pair on air; the other one is cued
         candidates: [],
+        excludedCandidates: [],     // Ranked candidates the Auto-DJ rules exclude
         allTracks: [],
         selectedPlaylist: null,
         playlists: [],
         autoDJEnabled: false,
+        plan: null,                 // Set plan from SetPlanner (Auto-DJ follows it)
         isTransitioning: false,
-        deckAPlaying: false,
-        deckBPlaying: false,
         spotifyPlayerReady: false,  // SDK streaming available
         activeDeck: null,           // Which deck is using Spotify player
         // Live mixer state for dynamic feedback
         mixer: {
             crossfader: 0.5,
-            deckA: { volume: 1, pitch: 1, bass: 0.5, mid: 0.5, treble: 0.5 },
-            deckB: { volume: 1, pitch: 1, bass: 0.5, mid: 0.5, treble: 0.5 }
+            decks: createDeckMap(createDeckMixer)
         }
     };
 
     // DOM elements cache
     let elements = {};
 
-    // Reference to audio elements from script.js
-    let audio1, audio2;
+    // Deck mixer controls the assistant follows, by mixer field: id prefix
+    const MIXER_CONTROLS = {
+        volume: 'volumeSong',
+        pitch: 'pitchSong',
+        bass: 'bassSong',
+        mid: 'midSong',
+        treble: 'trebleSong'
+    };
+
+    // Deck the transition card's transpose suggestion was worked out for
+    let suggestedDeck = null;
+
+    // Transitions waiting for an outcome to learn from, by track id: { track, scoreResult, startedAt }
+    const pendingFeedback = new Map();
+    const SKIP_WINDOW = 90000; // ms; replaced sooner after it started (or before) = skipped
+
+    // Bumped by every plan search, edit and clear, so an overtaken search is dropped
+    let planRequest = 0;
+
+    // Energy arc view (EnergyArcs editor)
+    let arcEditor = null;
+    const ARC_REFRESH_INTERVAL = 30000; // ms between redraws of the set-time marker
 
     // ==========================================================================
     // INITIALIZATION
@@ -52,19 +80,32 @@ const DJApp = (function() {
         // Cache DOM elements
         cacheElements();
 
-        // Get audio elements from global scope (defined in script.js)
-        audio1 = window.audio1;
-        audio2 = window.audio2;
-
         // Setup event listeners
         setupEventListeners();
         setupMixerListeners();
         setupAudioListeners();
+        setupEnergyArc();
+        setupWeights();
+        setupConstraints();
+        setupProfiles();
 
         // Check for existing auth or OAuth callback
         checkAuth();
     }
 
+    /**
+     * Per-deck lookup with a fresh value for every deck
+     * @param {Function} create - Returns a deck's starting value
+     * @returns {Object} { A: value, B: value, ... }
+     */
+    function createDeckMap(create) {
+        return Object.fromEntries(DECK_IDS.map(deck => [deck, create()]));
+    }
+
+    function createDeckMixer() {
+        return { volume: 1, pitch: 1, bass: 0.5, mid: 0.5, treble: 0.5, keyShift: 0, transpose: 0 };
+    }
+
     function cacheElements() {
         elements = {
             loginBtn: document.getElementById('spotifyLoginBtn'),
@@ -76,27 +117,37 @@ const DJApp = (function() {
             candidatesList: document.getElementById('candidatesList'),
             transitionCard: document.getElementById('transitionCard'),
             autoDJToggle: document.getElementById('autoDJToggle'),
-            deckAInfo: document.getElementById('deckAInfo'),
-            deckBInfo: document.getElementById('deckBInfo'),
-            song1Name: document.getElementById('song1Name'),
-            song2Name: document.getElementById('song2Name'),
+            autoDJDecks: document.getElementById('autoDJDecks'),
+            fourDeckToggle: document.getElementById('fourDeckToggle'),
+            planStartTrack: document.getElementById('planStartTrack'),
+            planLength: document.getElementById('planLength'),
+            planSetBtn: document.getElementById('planSetBtn'),
+            clearPlanBtn: document.getElementById('clearPlanBtn'),
+            planSummary: document.getElementById('planSummary'),
+            planTimeline: document.getElementById('planTimeline'),
+            energyArcSelect: document.getElementById('energyArcSelect'),
+            energyArcCanvas: document.getElementById('energyArcCanvas'),
+            energyArcReset: document.getElementById('energyArcReset'),
+            energyArcInfo: document.getElementById('energyArcInfo'),
+            weightsPanel: document.getElementById('weightsPanel'),
+            weightsInfo: document.getElementById('weightsInfo'),
+            resetWeightsBtn: document.getElementById('resetWeightsBtn'),
+            constraintsPanel: document.getElementById('constraintsPanel'),
+            profileSelect: document.getElementById('profileSelect'),
+            profileInfo: document.getElementById('profileInfo'),
+            profileNewBtn: document.getElementById('profileNewBtn'),
+            profileSaveBtn: document.getElementById('profileSaveBtn'),
+            profileRenameBtn: document.getElementById('profileRenameBtn'),
+            profileDeleteBtn: document.getElementById('profileDeleteBtn'),
+            profileExportBtn: document.getElementById('profileExportBtn'),
+            profileImportBtn: document.getElementById('profileImportBtn'),
+            profileImportFile: document.getElementById('profileImportFile'),
+            blocklist: document.getElementById('blocklist'),
             endSessionBtn: document.getElementById('endSessionBtn'),
             sessionSummary: document.getElementById('sessionSummary'),
             // Mixer controls
             crossfader: document.getElementById('crossfade'),
-            volumeSong1: document.getElementById('volumeSong1'),
-            volumeSong2: document.getElementById('volumeSong2'),
-            pitchSong1: document.getElementById('pitchSong1'),
-            pitchSong2: document.getElementById('pitchSong2'),
-            bassSong1: document.getElementById('bassSong1'),
-            bassSong2: document.getElementById('bassSong2'),
-            midSong1: document.getElementById('midSong1'),
-            midSong2: document.getElementById('midSong2'),
-            trebleSong1: document.getElementById('trebleSong1'),
-            trebleSong2: document.getElementById('trebleSong2'),
             // Transport
-            playSong1: document.getElementById('playSong1'),
-            playSong2: document.getElementById('playSong2'),
             autoFade: document.getElementById('autoFade')
         };
     }
@@ -111,14 +162,29 @@ const DJApp = (function() {
         // Auto-DJ toggle
         elements.autoDJToggle?.addEventListener('click', toggleAutoDJ);
 
+        // Auto-DJ deck pair (decks C and D come and go with four-deck mode)
+        elements.autoDJDecks?.addEventListener('change', (e) => {
+            setDeckPair(e.target.value.split(','));
+        });
+        elements.fourDeckToggle?.addEventListener('click', renderDeckPairOptions);
+        renderDeckPairOptions();
+
         // Candidate list clicks (event delegation)
         elements.candidatesList?.addEventListener('click', handleCandidateClick);
 
+        // Set planner
+        elements.planSetBtn?.addEventListener('click', handlePlanSet);
+        elements.clearPlanBtn?.addEventListener('click', clearPlan);
+        elements.planTimeline?.addEventListener('click', handleTimelineClick);
+
         // End session button
         elements.endSessionBtn?.addEventListener('click', handleEndSession);
 
         // Auto-fade button - enhanced version
         elements.autoFade?.addEventListener('click', handleAutoFade);
+
+        // Transpose suggestion "Apply" button (event delegation)
+        elements.transitionCard?.addEventListener('click', handleTransitionCardClick);
     }
 
     function setupMixerListeners() {
@@ -128,81 +194,35 @@ const DJApp = (function() {
             updateLiveMixerFeedback();
         });
 
-        // Deck A controls
-        elements.volumeSong1?.addEventListener('input', (e) => {
-            state.mixer.deckA.volume = parseFloat(e.target.value);
-            updateLiveMixerFeedback();
-        });
-        elements.pitchSong1?.addEventListener('input', (e) => {
-            state.mixer.deckA.pitch = parseFloat(e.target.value);
-            updateLiveMixerFeedback();
-        });
-        elements.bassSong1?.addEventListener('input', (e) => {
-            state.mixer.deckA.bass = parseFloat(e.target.value);
-            updateLiveMixerFeedback();
-        });
-        elements.midSong1?.addEventListener('input', (e) => {
-            state.mixer.deckA.mid = parseFloat(e.target.value);
-            updateLiveMixerFeedback();
-        });
-        elements.trebleSong1?.addEventListener('input', (e) => {
-            state.mixer.deckA.treble = parseFloat(e.target.value);
-            updateLiveMixerFeedback();
-        });
-
-        // Deck B controls
-        elements.volumeSong2?.addEventListener('input', (e) => {
-            state.mixer.deckB.volume = parseFloat(e.target.value);
-            updateLiveMixerFeedback();
-        });
-        elements.pitchSong2?.addEventListener('input', (e) => {
-            state.mixer.deckB.pitch = parseFloat(e.target.value);
-            updateLiveMixerFeedback();
-        });
-        elements.bassSong2?.addEventListener('input', (e) => {
-            state.mixer.deckB.bass = parseFloat(e.target.value);
-            updateLiveMixerFeedback();
-        });
-        elements.midSong2?.addEventListener('input', (e) => {
-            state.mixer.deckB.mid = parseFloat(e.target.value);
-            updateLiveMixerFeedback();
-        });
-        elements.trebleSong2?.addEventListener('input', (e) => {
-            state.mixer.deckB.treble = parseFloat(e.target.value);
-            updateLiveMixerFeedback();
+        // Deck controls
+        DECK_IDS.forEach(deck => {
+            Object.entries(MIXER_CONTROLS).forEach(([control, prefix]) => {
+                getDeckElement(deck, prefix)?.addEventListener('input', (e) => {
+                    state.mixer.decks[deck][control] = parseFloat(e.target.value);
+                    updateLiveMixerFeedback();
+                });
+            });
         });
     }
 
     function setupAudioListeners() {
-        if (audio1) {
-            audio1.addEventListener('ended', () => {
-                state.deckAPlaying = false;
-                handleTrackEnded('A');
-            });
-            audio1.addEventListener('play', () => {
-                state.deckAPlaying = true;
-                updateDeckPlayState();
-            });
-            audio1.addEventListener('pause', () => {
-                state.deckAPlaying = false;
-                updateDeckPlayState();
-            });
-        }
+        DECK_IDS.forEach(deck => {
+            const audio = getDeckAudio(deck);
+            if (!audio) return;
 
-        if (audio2) {
-            audio2.addEventListener('ended', () => {
-                state.deckBPlaying = false;
-                handleTrackEnded('B');
+            audio.addEventListener('ended', () => {
+                state.deckPlaying[deck] = false;
+                handleTrackEnded(deck);
             });
-            audio2.addEventListener('play', () => {
-                state.deckBPlaying = true;
+            audio.addEventListener('play', () => {
+                state.deckPlaying[deck] = true;
                 updateDeckPlayState();
             });
-            audio2.addEventListener('pause', () => {
-                state.deckBPlaying = false;
+            audio.addEventListener('pause', () => {
+                state.deckPlaying[deck] = false;
                 updateDeckPlayState();
             });
-        }
+        });
     }
 
     // ==========================================================================
@@ -286,10 +306,8 @@ const DJApp = (function() {
                 return;
             }
 
-            if (deck === 'A') {
-                state.deckAPlaying = playbackState.isPlaying;
-            } else if (deck === 'B') {
-                state.deckBPlaying = playbackState.isPlaying;
+            if (deck in state.deckPlaying) {
+                state.deckPlaying[deck] = playbackState.isPlaying;
             }
             updateDeckPlayState();
         });
@@ -338,26 +356,31 @@ const DJApp = (function() {
         SpotifyAPI.logout();
         showLoginState();
         state = {
-            currentTrack: null,
-            nextTrack: null,
+            deckTracks: createDeckMap(() => null),
+            deckPlaying: createDeckMap(() => false),
+            deckPair: state.deckPair,
+            liveDeck: state.deckPair[0],
             candidates: [],
+            excludedCandidates: [],
             allTracks: [],
             selectedPlaylist: null,
             playlists: [],
             autoDJEnabled: false,
+            plan: null,
             isTransitioning: false,
-            deckAPlaying: false,
-            deckBPlaying: false,
             mixer: {
                 crossfader: 0.5,
-                deckA: { volume: 1, pitch: 1, bass: 0.5, mid: 0.5, treble: 0.5 },
-                deckB: { volume: 1, pitch: 1, bass: 0.5, mid: 0.5, treble: 0.5 }
+                decks: createDeckMap(createDeckMixer)
             }
         };
 
-        if (elements.deckAInfo) elements.deckAInfo.innerHTML = '<div class="track-name">No track loaded</div>';
-        if (elements.deckBInfo) elements.deckBInfo.innerHTML = '<div class="track-name">No track loaded</div>';
+        DECK_IDS.forEach(deck => {
+            const infoElement = getDeckInfo(deck);
+            if (infoElement) infoElement.innerHTML = '<div class="track-name">No track loaded</div>';
+        });
         if (elements.candidatesList) elements.candidatesList.innerHTML = '';
+        updatePlanStartOptions();
+        renderPlanTimeline();
     }
 
     // ==========================================================================
@@ -409,6 +432,9 @@ const DJApp = (function() {
                 audioFeatures: FeatureEstimator.estimateFeatures(track)
             }));
 
+            // A plan for the previous playlist no longer applies
+            state.plan = null;
+            updatePlanStartOptions();
             updateCandidates();
 
         } catch (err) {
@@ -421,12 +447,96 @@ const DJApp = (function() {
     // DECK MANAGEMENT & PLAYBACK
     // ==========================================================================
 
+    function getDeckAudio(deck) {
+        return window.getDeckAudio?.(deck) || null;
+    }
+
+    function getDeckElement(deck, prefix, suffix = '') {
+        return window.getDeckElement?.(deck, prefix, suffix) || null;
+    }
+
+    function getDeckInfo(deck) {
+        return document.getElementById(`deck${deck}Info`);
+    }
+
+    /**
+     * The deck of the pair waiting to be mixed in
+     */
+    function getCueDeck() {
+        return state.deckPair.find(deck => deck !== state.liveDeck);
+    }
+
+    function getLiveTrack() {
+        return state.deckTracks[state.liveDeck];
+    }
+
+    function getCueTrack() {
+        return state.deckTracks[getCueDeck()];
+    }
+
+    /**
+     * Choose the two decks the Auto-DJ and Mixing Assistant work with
+     * The first deck of the pair starts out live.
+     * @param {string[]} pair - Two deck ids
+     */
+    function setDeckPair(pair) {
+        if (pair.join() === state.deckPair.join()) return;
+
+        state.deckPair = pair;
+        state.liveDeck = pair.includes(state.liveDeck) ? state.liveDeck : pair[0];
+        console.log('[DJApp] Auto-DJ decks:', pair.join(' ⇄ '));
+
+        renderDeckPairOptions();
+        updateCandidates();
+        updateLiveMixerFeedback();
+    }
+
+    /**
+     * Offer every pair of the decks on screen, falling back to A and B
+     * when four-deck mode hides the chosen pair
+     */
+    function renderDeckPairOptions() {
+        const activeDecks = window.getActiveDecks?.() || ['A', 'B'];
+        if (!state.deckPair.every(deck => activeDecks.includes(deck))) {
+            setDeckPair(['A', 'B']);
+            return;
+        }
+        if (!elements.autoDJDecks) return;
+
+        const pairs = activeDecks.flatMap((first, index) =>
+            activeDecks.slice(index + 1).map(second => [first, second])
+        );
+        elements.autoDJDecks.innerHTML = pairs
+            .map(pair => `<option value="${pair.join()}">${pair.join(' ⇄ ')}</option>`)
+            .join('');
+        elements.autoDJDecks.value = state.deckPair.join();
+        elements.autoDJDecks.disabled = pairs.length < 2;
+    }
+
+    /**
+     * Swap the pair's roles once the cue deck has taken over
+     */
+    function promoteCueDeck() {
+        state.liveDeck = getCueDeck();
+        const track = getLiveTrack();
+        if (track) AutoDJEngine.addToSetHistory(track);
+        updateCandidates();
+    }
+
+    /**
+     * Cue the Auto-DJ's pick to follow the live track
+     */
+    function queueNextTrack() {
+        const next = getAutoQueueTrack(getLiveTrack());
+        if (next) selectTrackForDeck(getCueDeck(), next);
+    }
+
     /**
      * Stop any currently playing content on a deck before switching to a new track
      */
     async function stopDeckBeforeSwitch(deck) {
-        const audioElement = deck === 'A' ? audio1 : audio2;
-        const isPlaying = deck === 'A' ? state.deckAPlaying : state.deckBPlaying;
+        const audioElement = getDeckAudio(deck);
+        const isPlaying = state.deckPlaying[deck];
         const deckState = window.deckState?.[deck];
 
         console.log('[DJApp] Stopping deck', deck, 'before switch. Playing:', isPlaying, 'Source:', deckState?.source);
@@ -447,11 +557,7 @@ const DJApp = (function() {
         }
 
         // Update state
-        if (deck === 'A') {
-            state.deckAPlaying = false;
-        } else {
-            state.deckBPlaying = false;
-        }
+        state.deckPlaying[deck] = false;
 
         // Update script.js state
         if (window.updateDeckPlayState) {
@@ -465,8 +571,8 @@ const DJApp = (function() {
         // IMPORTANT: Stop any currently playing song on this deck before loading new one
         await stopDeckBeforeSwitch(deck);
 
-        const infoElement = deck === 'A' ? elements.deckAInfo : elements.deckBInfo;
-        const nameElement = deck === 'A' ? elements.song1Name : elements.song2Name;
+        const infoElement = getDeckInfo(deck);
+        const nameElement = getDeckElement(deck, 'song', 'Name');
 
         // Update track name
         if (nameElement) {
@@ -531,14 +637,16 @@ const DJApp = (function() {
         }
 
         // Update state
-        if (deck === 'A') {
-            state.currentTrack = track;
+        // The live deck's new track follows the old one; the cue deck's follows the live deck
+        if (state.deckPair.includes(deck)) {
+            expectFeedback(track, getLiveTrack());
+        }
+
+        state.deckTracks[deck] = track;
+        AnalyticsDashboard.recordTrackPlayed(track, { deck });
+        if (deck === state.liveDeck) {
             AutoDJEngine.addToSetHistory(track);
-            AnalyticsDashboard.recordTrackPlayed(track, { deck: 'A' });
             updateCandidates();
-        } else {
-            state.nextTrack = track;
-            AnalyticsDashboard.recordTrackPlayed(track, { deck: 'B' });
         }
 
         // IMPORTANT: Set deck state immediately when track is selected
@@ -567,11 +675,7 @@ const DJApp = (function() {
 
             if (success) {
                 state.activeDeck = deck;
-                if (deck === 'A') {
-                    state.deckAPlaying = true;
-                } else {
-                    state.deckBPlaying = true;
-                }
+                state.deckPlaying[deck] = true;
                 updateDeckPlayState();
 
                 // IMPORTANT: Tell script.js that Spotify is now active on this deck
@@ -596,7 +700,7 @@ const DJApp = (function() {
             window.setDeckSource(deck, 'local', track);
         }
 
-        const audioElement = deck === 'A' ? audio1 : audio2;
+        const audioElement = getDeckAudio(deck);
         if (audioElement && audioElement.src) {
             audioElement.play().catch(e => console.log('[DJApp] Play blocked:', e));
         } else {
@@ -607,29 +711,22 @@ const DJApp = (function() {
     function handleTrackEnded(deck) {
         console.log('[DJApp] Track ended on Deck', deck);
 
+        resolveFeedback(state.deckTracks[deck], 'playThrough');
+
         if (state.autoDJEnabled) {
-            if (deck === 'A' && state.nextTrack) {
-                // Swap decks - B becomes the new main
-                state.currentTrack = state.nextTrack;
-                state.nextTrack = null;
-
-                // Auto-queue next track to the now-empty deck
-                if (state.candidates.length > 0) {
-                    const nextCandidate = state.candidates.find(c => c.track.id !== state.currentTrack.id);
-                    if (nextCandidate) {
-                        selectTrackForDeck('A', nextCandidate.track);
-                    }
-                }
+            if (deck === state.liveDeck && getCueTrack()) {
+                // The cue deck becomes the main one and the finished deck is cued next
+                promoteCueDeck();
+                queueNextTrack();
 
                 // Start playing the new track
-                if (audio2 && audio2.src) {
-                    audio2.play().catch(e => console.log('[DJApp] Auto-play blocked:', e));
-                }
-            } else if (deck === 'B' && state.currentTrack) {
-                // Queue next track for Deck B
-                if (state.candidates.length > 0) {
-                    selectTrackForDeck('B', state.candidates[0].track);
+                const audio = getDeckAudio(state.liveDeck);
+                if (audio && audio.src) {
+                    audio.play().catch(e => console.log('[DJApp] Auto-play blocked:', e));
                 }
+            } else if (deck === getCueDeck() && getLiveTrack()) {
+                // Queue the next track on the cue deck
+                queueNextTrack();
             }
         }
 
@@ -637,12 +734,20 @@ const DJApp = (function() {
     }
 
     function updateDeckPlayState() {
-        // Update UI to show which deck is playing
-        if (elements.deckAInfo) {
-            elements.deckAInfo.style.borderColor = state.deckAPlaying ? '#22c55e' : '';
-        }
-        if (elements.deckBInfo) {
-            elements.deckBInfo.style.borderColor = state.deckBPlaying ? '#22c55e' : '';
+        DECK_IDS.forEach(deck => {
+            if (state.deckPlaying[deck]) markFeedbackStarted(state.deckTracks[deck]);
+
+            // Update UI to show which deck is playing
+            const infoElement = getDeckInfo(deck);
+            if (infoElement) {
+                infoElement.style.borderColor = state.deckPlaying[deck] ? '#22c55e' : '';
+            }
+        });
+
+        // The transpose suggestion targets whichever deck is not playing
+        if (getIncomingDeck() !== suggestedDeck) {
+            updateTransitionCard();
+            updateLiveMixerFeedback();
         }
     }
 
@@ -663,14 +768,15 @@ const DJApp = (function() {
             console.log('[DJApp] Auto-DJ enabled');
 
             // Auto-queue if needed
-            if (!state.nextTrack && state.candidates.length > 0) {
-                selectTrackForDeck('B', state.candidates[0].track);
+            if (!getCueTrack()) {
+                queueNextTrack();
             }
 
-            // If nothing playing, start Deck A
-            if (!state.deckAPlaying && !state.deckBPlaying && state.currentTrack) {
-                if (audio1 && audio1.src) {
-                    audio1.play().catch(e => console.log('[DJApp] Auto-play blocked:', e));
+            // If nothing playing, start the live deck
+            const audio = getDeckAudio(state.liveDeck);
+            if (!state.deckPair.some(deck => state.deckPlaying[deck]) && getLiveTrack()) {
+                if (audio && audio.src) {
+                    audio.play().catch(e => console.log('[DJApp] Auto-play blocked:', e));
                 }
             }
         } else {
@@ -678,8 +784,32 @@ const DJApp = (function() {
         }
     }
 
+    /**
+     * Set a local deck's output level
+     * script.js applies it after the headphone cue tap, so cueing stays audible.
+     */
+    function setDeckVolume(deck, volume) {
+        if (typeof window.setDeckVolume === 'function') {
+            window.setDeckVolume(deck, volume);
+            return;
+        }
+        const audio = getDeckAudio(deck);
+        if (audio) audio.volume = volume;
+    }
+
+    /**
+     * Move the crossfader slider and let script.js apply it
+     * script.js sets each deck's level from its crossfader assignment and the
+     * selected curve, and the mixer feedback follows the same input event.
+     */
+    function setCrossfader(position) {
+        if (!elements.crossfader) return;
+        elements.crossfader.value = position;
+        elements.crossfader.dispatchEvent(new Event('input'));
+    }
+
     function handleAutoFade() {
-        if (!state.currentTrack || !state.nextTrack) {
+        if (!getLiveTrack() || !getCueTrack()) {
             alert('Load tracks on both decks first');
             return;
         }
@@ -687,67 +817,50 @@ const DJApp = (function() {
         if (state.isTransitioning) return;
         state.isTransitioning = true;
 
-        console.log('[DJApp] Starting auto-fade transition');
+        const fromDeck = state.liveDeck;
+        const toDeck = getCueDeck();
+        console.log(`[DJApp] Starting auto-fade transition: Deck ${fromDeck} → Deck ${toDeck}`);
 
         const duration = 5000; // 5 second crossfade
         const interval = 50;
         const steps = duration / interval;
+        const { start: startPosition, end: endPosition } = window.getFadeEndpoints(fromDeck);
         let step = 0;
 
         // Start the incoming track
-        if (audio2 && audio2.src && !state.deckBPlaying) {
-            audio2.play().catch(e => console.log('[DJApp] Play blocked:', e));
+        const incoming = getDeckAudio(toDeck);
+        if (incoming && incoming.src && !state.deckPlaying[toDeck]) {
+            incoming.play().catch(e => console.log('[DJApp] Play blocked:', e));
         }
 
         const fadeInterval = setInterval(() => {
             step++;
             const progress = step / steps;
 
-            // Update crossfader
-            state.mixer.crossfader = progress;
-            if (elements.crossfader) {
-                elements.crossfader.value = progress;
-            }
-
-            // Apply crossfade volumes
-            const volA = Math.cos(progress * 0.5 * Math.PI);
-            const volB = Math.cos((1 - progress) * 0.5 * Math.PI);
-
-            if (audio1) audio1.volume = volA;
-            if (audio2) audio2.volume = volB;
-
-            updateLiveMixerFeedback();
+            setCrossfader(startPosition + (endPosition - startPosition) * progress);
 
             if (step >= steps) {
                 clearInterval(fadeInterval);
                 state.isTransitioning = false;
 
                 // Stop the outgoing track
-                if (audio1) {
-                    audio1.pause();
-                    audio1.currentTime = 0;
+                const outgoing = getDeckAudio(fromDeck);
+                if (outgoing) {
+                    outgoing.pause();
+                    outgoing.currentTime = 0;
                 }
 
-                // Swap decks in state
-                state.currentTrack = state.nextTrack;
-                state.nextTrack = null;
+                // The outgoing track played until it was mixed out
+                resolveFeedback(getLiveTrack(), 'playThrough');
 
-                // Reset crossfader for next transition
-                state.mixer.crossfader = 0;
-                if (elements.crossfader) elements.crossfader.value = 0;
-                if (audio1) audio1.volume = 1;
-                if (audio2) audio2.volume = 0;
+                // The incoming deck is now live and the fader stays on its side
+                promoteCueDeck();
 
                 // Auto-queue next if Auto-DJ is on
-                if (state.autoDJEnabled && state.candidates.length > 0) {
-                    const next = state.candidates.find(c => c.track.id !== state.currentTrack.id);
-                    if (next) {
-                        selectTrackForDeck('A', state.currentTrack);
-                        selectTrackForDeck('B', next.track);
-                    }
+                if (state.autoDJEnabled) {
+                    queueNextTrack();
                 }
 
-                updateCandidates();
                 console.log('[DJApp] Transition complete');
             }
         }, interval);
@@ -758,12 +871,16 @@ const DJApp = (function() {
     // ==========================================================================
 
     function updateCandidates() {
-        if (state.currentTrack && state.allTracks.length > 0) {
+        const liveTrack = getLiveTrack();
+        if (liveTrack && state.allTracks.length > 0) {
             const available = AutoDJEngine.filterPlayedTracks(
-                state.allTracks.filter(t => t.id !== state.currentTrack.id)
+                state.allTracks.filter(t => t.id !== liveTrack.id)
             );
-            state.candidates = AutoDJEngine.rankCandidates(state.currentTrack, available);
+            const ranked = AutoDJEngine.rankCandidates(liveTrack, available);
+            state.candidates = ranked.filter(c => !c.excluded);
+            state.excludedCandidates = ranked.filter(c => c.excluded);
         } else {
+            state.excludedCandidates = [];
             state.candidates = state.allTracks.map(track => ({
                 track,
                 total: 0.5,
@@ -773,6 +890,8 @@ const DJApp = (function() {
 
         updateCandidatesList();
         updateTransitionCard();
+        renderPlanTimeline();
+        renderEnergyArc();
     }
 
     function updateCandidatesList() {
@@ -788,6 +907,8 @@ const DJApp = (function() {
         }
 
         const topCandidates = state.candidates.slice(0, 20);
+        const hasLiveTrack = !!getLiveTrack();
+        const deckColors = window.DECK_COLORS || {};
 
         let html = topCandidates.map((candidate, index) => {
             const track = candidate.track;
@@ -799,8 +920,8 @@ const DJApp = (function() {
 
             return `
                 <div class="candidate-row" data-track-id="${track.id}" style="
-                    background: ${index === 0 && state.currentTrack ? '#1e3a5f' : '#1a1a1a'};
-                    border: 1px solid ${index === 0 && state.currentTrack ? '#3b82f6' : '#333'};
+                    background: ${index === 0 && hasLiveTrack ? '#1e3a5f' : '#1a1a1a'};
+                    border: 1px solid ${index === 0 && hasLiveTrack ? '#3b82f6' : '#333'};
                     border-radius: 8px;
                     padding: 12px;
                     margin-bottom: 8px;
@@ -811,7 +932,7 @@ const DJApp = (function() {
                             <div style="display: flex; align-items: center; gap: 6px;">
                                 ${hasPreview ? '<span style="color: #22c55e; font-size: 10px;">●</span>' : '<span style="color: #666; font-size: 10px;">○</span>'}
                                 <span style="font-weight: 500; color: #fff; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">
-                                    ${index === 0 && state.currentTrack ? '⭐ ' : ''}${track.name}
+                                    ${index === 0 && hasLiveTrack ? '⭐ ' : ''}${track.name}
                                 </span>
                             </div>
                             <div style="font-size: 12px; color: #888; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; margin-left: 16px;">
@@ -836,30 +957,31 @@ const DJApp = (function() {
                                 ">${score}%</div>
                             ` : ''}
                             <div style="display: flex; gap: 4px;">
-                                <button class="load-deck-btn" data-deck="A" style="
-                                    padding: 6px 10px;
+                                ${state.deckPair.map(deck => `
+                                    <button class="load-deck-btn" data-deck="${deck}" style="
+                                        padding: 6px 10px;
+                                        border-radius: 4px;
+                                        border: none;
+                                        background: ${deckColors[deck] || '#3b82f6'};
+                                        color: white;
+                                        cursor: pointer;
+                                        font-size: 11px;
+                                        font-weight: bold;
+                                    ">DECK ${deck}</button>
+                                `).join('')}
+                                <button class="block-track-btn" title="Blocklist this track (Shift-click: blocklist the artist)" style="
+                                    padding: 6px 8px;
                                     border-radius: 4px;
-                                    border: none;
-                                    background: #3b82f6;
-                                    color: white;
+                                    border: 1px solid #333;
+                                    background: transparent;
+                                    color: #888;
                                     cursor: pointer;
                                     font-size: 11px;
-                                    font-weight: bold;
-                                ">DECK A</button>
-                                <button class="load-deck-btn" data-deck="B" style="
-                                    padding: 6px 10px;
-                                    border-radius: 4px;
-                                    border: none;
-                                    background: #f97316;
-                                    color: white;
-                                    cursor: pointer;
-                                    font-size: 11px;
-                                    font-weight: bold;
-                                ">DECK B</button>
+                                ">⛔</button>
                             </div>
                         </div>
                     </div>
-                    ${index === 0 && state.currentTrack && candidate.explanation ? `
+                    ${(index === 0 || candidate.violations?.length) && hasLiveTrack && candidate.explanation ? `
                         <div style="margin-top: 8px; padding-top: 8px; border-top: 1px solid #333; color: #888; font-size: 12px;">
                             ${candidate.explanation}
                         </div>
@@ -868,6 +990,23 @@ const DJApp = (function() {
             `;
         }).join('');
 
+        // Tracks the rules keep out, and why
+        if (state.excludedCandidates.length > 0) {
+            html += `
+                <details style="margin-top: 4px; font-size: 12px; color: #888;">
+                    <summary style="cursor: pointer; padding: 6px 0;">
+                        ${state.excludedCandidates.length} excluded by Auto-DJ rules
+                    </summary>
+                    ${state.excludedCandidates.map(() => `
+                        <div class="excluded-candidate" style="padding: 6px 12px; border-left: 2px solid #333; margin: 4px 0;">
+                            <div class="excluded-name" style="color: #aaa;"></div>
+                            <div class="excluded-reason"></div>
+                        </div>
+                    `).join('')}
+                </details>
+            `;
+        }
+
         // Add legend
         html = `
             <div style="padding: 8px 12px; background: #1a1a2e; border-radius: 8px; margin-bottom: 10px; font-size: 11px; color: #888;">
@@ -877,9 +1016,27 @@ const DJApp = (function() {
         ` + html;
 
         elements.candidatesList.innerHTML = html;
+
+        // Names and reasons as text: they come from playlists and files
+        elements.candidatesList.querySelectorAll('.excluded-candidate').forEach((row, index) => {
+            const candidate = state.excludedCandidates[index];
+            row.querySelector('.excluded-name').textContent = candidate.track.name;
+            row.querySelector('.excluded-reason').textContent =
+                candidate.violations.filter(v => v.exclude).map(v => v.reason).join('; ');
+        });
     }
 
     function handleCandidateClick(event) {
+        const blockBtn = event.target.closest('.block-track-btn');
+        if (blockBtn) {
+            const trackId = blockBtn.closest('.candidate-row')?.dataset.trackId;
+            const candidate = state.candidates.find(c => c.track.id === trackId);
+            if (candidate) {
+                blockCandidate(candidate.track, event.shiftKey);
+            }
+            return;
+        }
+
         const deckBtn = event.target.closest('.load-deck-btn');
         if (deckBtn) {
             const row = deckBtn.closest('.candidate-row');
@@ -889,7 +1046,7 @@ const DJApp = (function() {
             if (trackId && deck) {
                 const candidate = state.candidates.find(c => c.track.id === trackId);
                 if (candidate) {
-                    selectTrackForDeck(deck, candidate.track);
+                    pickCandidate(deck, candidate);
                 }
             }
             return;
@@ -900,9 +1057,761 @@ const DJApp = (function() {
             const trackId = row.dataset.trackId;
             const candidate = state.candidates.find(c => c.track.id === trackId);
             if (candidate) {
-                selectTrackForDeck('A', candidate.track);
+                pickCandidate(state.liveDeck, candidate);
+            }
+        }
+    }
+
+    /**
+     * Load a candidate the DJ chose, learning from the choice
+     */
+    function pickCandidate(deck, candidate) {
+        const replaced = state.deckTracks[deck];
+        if (replaced && replaced.id !== candidate.track.id) {
+            resolveFeedback(replaced, 'replaced');
+        }
+
+        // Scores only exist once there is a track to mix from
+        if (candidate.scores) {
+            recordFeedback('pick', candidate.track, candidate);
+
+            const top = state.candidates[0];
+            if (top && top !== candidate && top.scores) {
+                recordFeedback('passedOver', top.track, top);
             }
         }
+
+        selectTrackForDeck(deck, candidate.track);
+    }
+
+    // ==========================================================================
+    // WEIGHT LEARNING
+    // ==========================================================================
+
+    const WEIGHT_SLIDERS = {
+        bpm: 'weightBPM',
+        energy: 'weightEnergy',
+        key: 'weightKey',
+        danceability: 'weightDanceability',
+        progression: 'weightProgression'
+    };
+
+    function setupWeights() {
+        const profile = AutoDJProfiles.getActive();
+        AutoDJEngine.setWeights(WeightLearner.useProfile(profile.id, profile.weights));
+
+        Object.entries(WEIGHT_SLIDERS).forEach(([key, id]) => {
+            const slider = document.getElementById(id);
+            if (!slider) return;
+
+            // Label follows the drag; the weights are re-balanced on release
+            slider.addEventListener('input', () => {
+                const value = slider.closest('.weight-control')?.querySelector('.weight-value');
+                if (value) value.textContent = `${Math.round(parseFloat(slider.value) * 100)}%`;
+            });
+            slider.addEventListener('change', () => {
+                WeightLearner.setWeights({ [key]: parseFloat(slider.value) });
+                applyWeights();
+            });
+        });
+
+        // Forget the profile's feedback and start again from its weights
+        elements.resetWeightsBtn?.addEventListener('click', () => {
+            WeightLearner.reset(AutoDJProfiles.getActive().weights);
+            applyWeights();
+        });
+
+        renderWeights();
+    }
+
+    /**
+     * Hand the learned weights to the engine and re-rank
+     */
+    function applyWeights() {
+        AutoDJEngine.setWeights(WeightLearner.getWeights());
+        renderWeights();
+        updateCandidates();
+    }
+
+    /**
+     * Show each weight next to the active profile's, and how much feedback they come from
+     */
+    function renderWeights() {
+        const weights = AutoDJEngine.getWeights();
+        const defaults = AutoDJProfiles.getActive().weights;
+
+        Object.entries(WEIGHT_SLIDERS).forEach(([key, id]) => {
+            const slider = document.getElementById(id);
+            const control = slider?.closest('.weight-control');
+            if (!control) return;
+
+            slider.value = weights[key];
+            control.querySelector('.weight-value').textContent = `${Math.round(weights[key] * 100)}%`;
+            control.querySelector('.weight-default').textContent = `default ${Math.round(defaults[key] * 100)}%`;
+        });
+
+        if (elements.weightsInfo) {
+            const { events, counts } = WeightLearner.getStats();
+            elements.weightsInfo.textContent = events
+                ? `Learned from ${counts.pick || 0} picks, ${counts.skip || 0} skips, ${counts.playThrough || 0} play-throughs`
+                : 'Learns from your picks, skips and play-throughs';
+        }
+
+        renderProfiles();
+    }
+
+    /**
+     * Learn from one outcome and use the new weights from the next ranking on
+     * @param {string} outcome - Key of WeightLearner.OUTCOMES
+     */
+    function recordFeedback(outcome, track, scoreResult) {
+        AutoDJEngine.setWeights(WeightLearner.recordFeedback(outcome, track, scoreResult));
+        renderWeights();
+    }
+
+    /**
+     * Remember the transition into a newly loaded track until we see how it went
+     * @param {Object} track - Track just loaded
+     * @param {Object|null} fromTrack - Track it follows
+     */
+    function expectFeedback(track, fromTrack) {
+        if (!fromTrack || fromTrack.id === track.id || pendingFeedback.has(track.id)) return;
+
+        pendingFeedback.set(track.id, {
+            track,
+            scoreResult: AutoDJEngine.calculateScore(fromTrack, track),
+            startedAt: null
+        });
+    }
+
+    function markFeedbackStarted(track) {
+        const entry = track && pendingFeedback.get(track.id);
+        if (entry && !entry.startedAt) entry.startedAt = Date.now();
+    }
+
+    /**
+     * Learn how a loaded track's transition went
+     * @param {Object|null} track
+     * @param {string} outcome - 'playThrough', or 'replaced' when the DJ loaded
+     *   something else over it: a skip unless it had been playing a while
+     */
+    function resolveFeedback(track, outcome) {
+        const entry = track && pendingFeedback.get(track.id);
+        if (!entry) return;
+        pendingFeedback.delete(track.id);
+
+        if (outcome === 'replaced') {
+            const skipped = !entry.startedAt || Date.now() - entry.startedAt < SKIP_WINDOW;
+            outcome = skipped ? 'skip' : 'playThrough';
+            if (skipped) AnalyticsDashboard.recordTrackSkipped(entry.track);
+        }
+
+        recordFeedback(outcome, entry.track, entry.scoreResult);
+    }
+
+    // ==========================================================================
+    // AUTO-DJ PROFILES
+    // ==========================================================================
+
+    function setupProfiles() {
+        // Weights and arc restore themselves; the BPM ranges only live in the profile
+        const profile = AutoDJProfiles.getActive();
+        AutoDJEngine.setThresholds(profile.thresholds);
+        AnalyticsDashboard.recordProfile(profile);
+
+        elements.profileSelect?.addEventListener('change', (e) => activateProfile(e.target.value));
+        elements.profileNewBtn?.addEventListener('click', createProfile);
+        elements.profileSaveBtn?.addEventListener('click', saveProfile);
+        elements.profileRenameBtn?.addEventListener('click', renameProfile);
+        elements.profileDeleteBtn?.addEventListener('click', deleteProfile);
+        elements.profileExportBtn?.addEventListener('click', exportProfile);
+        elements.profileImportBtn?.addEventListener('click', () => elements.profileImportFile?.click());
+        elements.profileImportFile?.addEventListener('change', importProfiles);
+
+        renderProfiles();
+    }
+
+    /**
+     * Switch profile: the weights learned under it (its own weights the first
+     * time), BPM ranges and arc
+     */
+    function activateProfile(id) {
+        const profile = AutoDJProfiles.setActive(id);
+
+        AutoDJEngine.setWeights(WeightLearner.useProfile(profile.id, profile.weights));
+        AutoDJEngine.setThresholds(profile.thresholds);
+        EnergyArcs.setTemplate(profile.energyArc);
+        if (elements.energyArcSelect) elements.energyArcSelect.value = profile.energyArc || '';
+        AnalyticsDashboard.recordProfile(profile);
+
+        renderWeights();
+        applyEnergyArc();
+    }
+
+    /**
+     * Settings as they are now, to save into a profile
+     */
+    function getProfileSettings() {
+        return {
+            weights: AutoDJEngine.getWeights(),
+            thresholds: AutoDJEngine.getThresholds(),
+            energyArc: EnergyArcs.getTemplate()
+        };
+    }
+
+    function createProfile() {
+        const name = prompt('Profile name:', `${AutoDJProfiles.getActive().name} (own)`);
+        if (name === null) return;
+
+        try {
+            activateProfile(AutoDJProfiles.createProfile(name, getProfileSettings()).id);
+        } catch (e) {
+            alert(e.message);
+        }
+    }
+
+    /**
+     * Keep the current settings in the active profile (a built-in one is saved as new)
+     */
+    function saveProfile() {
+        const profile = AutoDJProfiles.getActive();
+        if (profile.builtIn) {
+            createProfile();
+            return;
+        }
+
+        AutoDJProfiles.updateProfile(profile.id, getProfileSettings());
+        renderProfiles();
+    }
+
+    function renameProfile() {
+        const profile = AutoDJProfiles.getActive();
+        if (profile.builtIn) return;
+
+        const name = prompt('Profile name:', profile.name);
+        if (name === null) return;
+
+        try {
+            AnalyticsDashboard.recordProfile(AutoDJProfiles.renameProfile(profile.id, name));
+            renderProfiles();
+        } catch (e) {
+            alert(e.message);
+        }
+    }
+
+    function deleteProfile() {
+        const profile = AutoDJProfiles.getActive();
+        if (profile.builtIn || !confirm(`Delete profile "${profile.name}"?`)) return;
+
+        AutoDJProfiles.deleteProfile(profile.id);
+        WeightLearner.forgetProfile(profile.id);
+        activateProfile(AutoDJProfiles.getActive().id);
+    }
+
+    function exportProfile() {
+        const profile = AutoDJProfiles.getActive();
+        const blob = new Blob([AutoDJProfiles.exportProfile(profile.id)], { type: 'application/json' });
+        const link = document.createElement('a');
+
+        link.href = URL.createObjectURL(blob);
+        link.download = `autodj-profile-${profile.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
+    async function importProfiles(e) {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        try {
+            const imported = AutoDJProfiles.importProfiles(await file.text());
+            activateProfile(imported[0].id);
+        } catch (err) {
+            alert(`Could not import profiles: ${err.message}`);
+        }
+    }
+
+    /**
+     * Profile picker, and what the active profile sets (flagged when the
+     * settings have moved away from it since)
+     */
+    function renderProfiles() {
+        if (!elements.profileSelect) return;
+
+        const profiles = AutoDJProfiles.getProfiles();
+        const active = AutoDJProfiles.getActive();
+        // Built with textContent: profile names come from the user and imports
+        const group = (label, list) => {
+            if (!list.length) return [];
+            const optgroup = document.createElement('optgroup');
+            optgroup.label = label;
+            list.forEach(p => optgroup.appendChild(new Option(p.name, p.id)));
+            return [optgroup];
+        };
+
+        elements.profileSelect.replaceChildren(
+            ...group('Built-in', profiles.filter(p => p.builtIn)),
+            ...group('My profiles', profiles.filter(p => !p.builtIn))
+        );
+        elements.profileSelect.value = active.id;
+
+        if (elements.profileRenameBtn) elements.profileRenameBtn.disabled = active.builtIn;
+        if (elements.profileDeleteBtn) elements.profileDeleteBtn.disabled = active.builtIn;
+
+        if (elements.profileInfo) {
+            const current = getProfileSettings();
+            const modified = current.energyArc !== active.energyArc ||
+                Object.keys(active.weights).some(key => Math.abs(current.weights[key] - active.weights[key]) >= 0.005) ||
+                Object.keys(active.thresholds).some(key => current.thresholds[key] !== active.thresholds[key]);
+            const { BPM_PERFECT_RANGE, BPM_ACCEPTABLE_RANGE, BPM_MAX_RANGE } = active.thresholds;
+            const arc = active.energyArc ? EnergyArcs.TEMPLATES[active.energyArc].label : 'no arc';
+
+            elements.profileInfo.textContent =
+                `BPM ±${BPM_PERFECT_RANGE} / ±${BPM_ACCEPTABLE_RANGE} / ±${BPM_MAX_RANGE} · ${arc}` +
+                (modified ? ' · changed since applied - Save to keep' : '');
+        }
+    }
+
+    // ==========================================================================
+    // AUTO-DJ RULES
+    // ==========================================================================
+
+    /**
+     * Rule controls: a checkbox per rule (data-rule) and number inputs for
+     * its settings (data-setting, with data-scale to convert minutes to seconds)
+     */
+    function setupConstraints() {
+        if (!elements.constraintsPanel) return;
+
+        elements.constraintsPanel.addEventListener('change', (e) => {
+            const { rule, setting, scale } = e.target.dataset;
+            if (!rule) return;
+
+            if (e.target.type === 'checkbox') {
+                AutoDJEngine.setConstraints({ [rule]: { enabled: e.target.checked } });
+            } else {
+                const value = parseFloat(e.target.value);
+                if (!(value > 0)) {
+                    renderConstraints();
+                    return;
+                }
+                AutoDJEngine.setConstraints({ [rule]: { [setting]: value * (parseFloat(scale) || 1) } });
+            }
+            applyConstraints();
+        });
+
+        elements.blocklist?.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-unblock]');
+            if (!btn) return;
+
+            const type = btn.dataset.unblock;
+            const entry = AutoDJEngine.getConstraints().blocklist[type][parseInt(btn.dataset.index, 10)];
+            if (entry) {
+                AutoDJEngine.removeFromBlocklist(type, entry.id);
+                applyConstraints();
+            }
+        });
+
+        renderConstraints();
+    }
+
+    /**
+     * Re-rank (and re-score the plan) under the changed rules
+     */
+    function applyConstraints() {
+        rescorePlan();
+        renderConstraints();
+        updateCandidates();
+    }
+
+    /**
+     * Blocklist a candidate, or its (first) artist
+     */
+    function blockCandidate(track, wholeArtist) {
+        if (wholeArtist) {
+            const artist = track.artists?.[0];
+            if (!artist) return;
+            AutoDJEngine.addToBlocklist('artists', artist);
+            console.log(`[DJApp] Blocklisted artist: ${artist.name}`);
+        } else {
+            AutoDJEngine.addToBlocklist('tracks', track);
+            console.log(`[DJApp] Blocklisted track: ${track.name}`);
+        }
+
+        AutoDJEngine.setConstraints({ blocklist: { enabled: true } });
+        applyConstraints();
+    }
+
+    function renderConstraints() {
+        if (!elements.constraintsPanel) return;
+        const constraints = AutoDJEngine.getConstraints();
+
+        elements.constraintsPanel.querySelectorAll('[data-rule]').forEach(input => {
+            const { rule, setting, scale } = input.dataset;
+            if (input.type === 'checkbox') {
+                input.checked = constraints[rule].enabled;
+            } else {
+                input.value = constraints[rule][setting] / (parseFloat(scale) || 1);
+            }
+        });
+
+        if (elements.blocklist) {
+            const { tracks, artists } = constraints.blocklist;
+            const entries = [
+                ...artists.map((entry, index) => ({ ...entry, type: 'artists', index, label: 'Artist' })),
+                ...tracks.map((entry, index) => ({ ...entry, type: 'tracks', index, label: 'Track' }))
+            ];
+
+            elements.blocklist.innerHTML = entries.length
+                ? entries.map(entry => `
+                    <li class="blocklist-entry">
+                        <span class="blocklist-type">${entry.label}</span>
+                        <span class="blocklist-name"></span>
+                        <button data-unblock="${entry.type}" data-index="${entry.index}" title="Remove from the blocklist">✕</button>
+                    </li>
+                `).join('')
+                : '<li class="blocklist-empty">Nothing blocklisted - use ⛔ on a candidate (Shift: whole artist)</li>';
+
+            // Saved names are set as text, so a bad one can't inject markup on load
+            elements.blocklist.querySelectorAll('.blocklist-name').forEach((name, index) => {
+                name.textContent = entries[index].name;
+            });
+        }
+    }
+
+    // ==========================================================================
+    // ENERGY ARC
+    // ==========================================================================
+
+    function setupEnergyArc() {
+        AutoDJEngine.setEnergyArc(EnergyArcs.getArc());
+
+        if (elements.energyArcSelect) {
+            elements.energyArcSelect.innerHTML = '<option value="">None (build up)</option>';
+            Object.entries(EnergyArcs.TEMPLATES).forEach(([name, template]) => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = template.label;
+                elements.energyArcSelect.appendChild(option);
+            });
+            elements.energyArcSelect.value = EnergyArcs.getTemplate() || '';
+            elements.energyArcSelect.addEventListener('change', (e) => {
+                EnergyArcs.setTemplate(e.target.value || null);
+                applyEnergyArc();
+            });
+        }
+
+        elements.energyArcReset?.addEventListener('click', () => {
+            EnergyArcs.resetCustom();
+            applyEnergyArc();
+        });
+
+        if (elements.energyArcCanvas) {
+            arcEditor = EnergyArcs.createEditor(elements.energyArcCanvas, {
+                getTarget: (minutes) => AutoDJEngine.getArcTarget(minutes),
+                onDraw: applyEnergyArc
+            });
+            window.addEventListener('resize', () => renderEnergyArc());
+            setInterval(renderEnergyArc, ARC_REFRESH_INTERVAL);
+        }
+
+        renderEnergyArc();
+    }
+
+    /**
+     * Hand the chosen arc to the engine and re-score everything that uses it
+     */
+    function applyEnergyArc() {
+        AutoDJEngine.setEnergyArc(EnergyArcs.getArc());
+        rescorePlan();
+        renderProfiles();
+        updateCandidates();
+    }
+
+    /**
+     * Score the plan again as it stands, after the arc or the rules changed
+     */
+    function rescorePlan() {
+        if (!state.plan) return;
+        state.plan = SetPlanner.scorePlan(state.plan.steps.map(step => step.track), {
+            startMinutes: state.plan.startMinutes
+        });
+    }
+
+    /**
+     * Draw the arc with the current set time and the planned tracks on it
+     */
+    function renderEnergyArc() {
+        const arc = AutoDJEngine.getEnergyArc();
+        const minutes = AutoDJEngine.getSetMinutes();
+
+        if (elements.energyArcReset) {
+            elements.energyArcReset.classList.toggle('hidden', arc?.name !== 'custom');
+        }
+
+        if (elements.energyArcInfo) {
+            const target = AutoDJEngine.getArcTarget(minutes);
+            elements.energyArcInfo.textContent = !arc
+                ? 'Candidates that build energy score higher'
+                : arc.name === 'custom' && minutes === 0
+                    ? 'Drag on the graph to draw the energy curve'
+                    : `Now (${Math.round(minutes)}m): energy ${Math.round(target.energy * 100)}%` +
+                      (target.bpm ? `, ~${Math.round(target.bpm)} BPM` : '');
+        }
+
+        arcEditor?.render({
+            arc,
+            minutes,
+            tracks: (state.plan?.steps || []).map(step => ({
+                minute: step.minutes,
+                energy: step.track.audioFeatures?.energy
+            }))
+        });
+    }
+
+    // ==========================================================================
+    // SET PLANNER
+    // ==========================================================================
+
+    /**
+     * Track Auto-DJ should queue after a track
+     * Follows the set plan when there is one, otherwise the top candidate.
+     * @param {Object|null} afterTrack - Track now playing
+     * @returns {Object|null} Track to queue
+     */
+    function getAutoQueueTrack(afterTrack) {
+        const planned = getPlannedTrackAfter(afterTrack);
+        if (planned) return planned;
+
+        const next = state.candidates.find(c => c.track.id !== afterTrack?.id);
+        return next ? next.track : null;
+    }
+
+    /**
+     * Next track of the plan: the one after `afterTrack` if it is in the plan,
+     * otherwise the first planned track not played yet. Planned tracks the
+     * rules now exclude (changed since planning) are skipped.
+     * @returns {Object|null}
+     */
+    function getPlannedTrackAfter(afterTrack) {
+        if (!state.plan) return null;
+
+        const tracks = state.plan.steps.map(step => step.track);
+        const allowed = track => !AutoDJEngine.scoreConstraints(track, []).excluded;
+        const index = afterTrack ? tracks.findIndex(t => t.id === afterTrack.id) : -1;
+        if (index >= 0) return tracks.slice(index + 1).find(allowed) || null;
+
+        const playedIds = new Set(AutoDJEngine.getSetHistory().map(h => h.track.id));
+        return tracks.find(t => !playedIds.has(t.id) && allowed(t)) || null;
+    }
+
+    /**
+     * Fill the "start from" picker with the playlist
+     */
+    function updatePlanStartOptions() {
+        if (!elements.planStartTrack) return;
+
+        elements.planStartTrack.innerHTML = '<option value="">Start from the live deck track</option>';
+        state.allTracks.forEach(track => {
+            const option = document.createElement('option');
+            option.value = track.id;
+            option.textContent = `${track.name} - ${track.artists?.map(a => a.name).join(', ') || 'Unknown'}`;
+            elements.planStartTrack.appendChild(option);
+        });
+
+        if (elements.planLength) {
+            elements.planLength.max = Math.max(2, state.allTracks.length);
+        }
+    }
+
+    function handlePlanSet() {
+        if (state.allTracks.length < 2) {
+            alert('Select a playlist with at least two tracks first');
+            return;
+        }
+
+        const startId = elements.planStartTrack?.value;
+        const startTrack = state.allTracks.find(t => t.id === startId) || getLiveTrack() || state.allTracks[0];
+        const length = parseInt(elements.planLength?.value, 10) || state.allTracks.length;
+
+        runPlanner(startTrack, { length });
+    }
+
+    /**
+     * Search for a plan and show it, unless the playlist changed or the plan
+     * was edited or cleared while the planner was searching
+     * @param {Object|Array} opening - See SetPlanner.planSet
+     * @param {Object} options - See SetPlanner.planSet
+     */
+    async function runPlanner(opening, options) {
+        const request = ++planRequest;
+        const tracks = state.allTracks;
+        setPlanning(true);
+
+        try {
+            const plan = await SetPlanner.planSet(opening, tracks, options);
+            if (request !== planRequest || tracks !== state.allTracks) return;
+            state.plan = plan;
+        } catch (err) {
+            console.error('[DJApp] Set planning failed:', err);
+            if (request === planRequest) alert('Could not plan the set');
+        } finally {
+            if (request === planRequest) {
+                setPlanning(false);
+                renderPlanTimeline();
+            }
+        }
+    }
+
+    function setPlanning(planning) {
+        if (elements.planSetBtn) {
+            elements.planSetBtn.disabled = planning;
+            elements.planSetBtn.textContent = planning ? 'Planning…' : 'Plan Set';
+        }
+        if (planning && elements.planSummary) {
+            elements.planSummary.textContent = `Planning from ${state.allTracks.length} tracks…`;
+        }
+    }
+
+    /**
+     * Drop a search still running (its plan would overwrite the change)
+     */
+    function cancelPlanning() {
+        planRequest++;
+        setPlanning(false);
+    }
+
+    function clearPlan() {
+        cancelPlanning();
+        state.plan = null;
+        renderPlanTimeline();
+    }
+
+    /**
+     * Re-score the timeline after an edit
+     * @param {Array} tracks - Tracks in their new order
+     */
+    function setPlanTracks(tracks) {
+        cancelPlanning();
+        state.plan = tracks.length ? SetPlanner.scorePlan(tracks, { startMinutes: state.plan?.startMinutes }) : null;
+        renderPlanTimeline();
+    }
+
+    /**
+     * Move, remove or re-plan from a timeline row (event delegation)
+     */
+    function handleTimelineClick(event) {
+        const button = event.target.closest('[data-plan-action]');
+        const row = event.target.closest('.plan-step');
+        if (!button || !row || !state.plan) return;
+
+        const index = parseInt(row.dataset.index, 10);
+        const tracks = state.plan.steps.map(step => step.track);
+
+        switch (button.dataset.planAction) {
+            case 'up':
+                if (index > 0) {
+                    [tracks[index - 1], tracks[index]] = [tracks[index], tracks[index - 1]];
+                    setPlanTracks(tracks);
+                }
+                break;
+            case 'down':
+                if (index < tracks.length - 1) {
+                    [tracks[index], tracks[index + 1]] = [tracks[index + 1], tracks[index]];
+                    setPlanTracks(tracks);
+                }
+                break;
+            case 'remove':
+                tracks.splice(index, 1);
+                setPlanTracks(tracks);
+                break;
+            case 'replan':
+                // Keep everything up to this track, plan the rest again
+                runPlanner(tracks.slice(0, index + 1), {
+                    length: tracks.length,
+                    startMinutes: state.plan.startMinutes
+                });
+                break;
+            case 'load': {
+                const deck = getIncomingDeck();
+                selectTrackForDeck(deck, tracks[index]);
+                break;
+            }
+        }
+    }
+
+    /**
+     * Show the plan as a timeline: each track with its planned start time,
+     * its energy against the arc's target and the score of the transition into it
+     */
+    function renderPlanTimeline() {
+        if (!elements.planTimeline) return;
+
+        if (!state.plan) {
+            elements.planTimeline.innerHTML = '';
+            if (elements.planSummary) {
+                elements.planSummary.textContent = state.allTracks.length
+                    ? 'No plan - Auto-DJ picks the best next track as it goes'
+                    : '';
+            }
+            return;
+        }
+
+        const { steps, score } = state.plan;
+        const playedIds = new Set(AutoDJEngine.getSetHistory().map(h => h.track.id));
+
+        if (elements.planSummary) {
+            elements.planSummary.textContent =
+                `${steps.length} tracks · flow ${Math.round(score * 100)}% · Auto-DJ follows this order`;
+        }
+
+        elements.planTimeline.innerHTML = steps.map((step, index) => {
+            const { track } = step;
+            const features = track.audioFeatures || {};
+            const camelot = AutoDJEngine.toCamelot(features.key, features.mode) || '?';
+            const bpm = features.tempo ? Math.round(features.tempo) : '?';
+            const energy = Math.round((features.energy || 0) * 100);
+            const target = step.arcTarget ? Math.round(step.arcTarget.energy * 100) : null;
+            const transition = step.transition ? Math.round(step.transition.total * 100) : null;
+            const classes = ['plan-step'];
+            if (track.id === getLiveTrack()?.id) classes.push('is-current');
+            else if (track.id === getCueTrack()?.id) classes.push('is-next');
+            else if (playedIds.has(track.id)) classes.push('is-played');
+
+            return `
+                <li class="${classes.join(' ')}" data-index="${index}">
+                    <span class="plan-step-number">${index + 1}</span>
+                    <div class="plan-step-info">
+                        <div class="plan-step-name"></div>
+                        <div class="plan-step-meta">
+                            +${Math.round(step.minutes)}m · ~${bpm} BPM · ${camelot}
+                            ${transition !== null ? ` · mix <span class="${transition >= 80 ? 'good' : transition >= 60 ? 'fair' : 'poor'}">${transition}%</span>` : ''}
+                            ${step.violations?.length ? ' · <span class="poor plan-step-rules">⚠ rules</span>' : ''}
+                        </div>
+                        <div class="plan-energy" title="Energy ${energy}%${target !== null ? ` (arc target ${target}%)` : ''}">
+                            <div class="plan-energy-fill" style="width: ${energy}%"></div>
+                            ${target !== null ? `<div class="plan-energy-target" style="left: ${target}%"></div>` : ''}
+                        </div>
+                    </div>
+                    <div class="plan-step-actions">
+                        <button data-plan-action="up" title="Move earlier">▲</button>
+                        <button data-plan-action="down" title="Move later">▼</button>
+                        <button data-plan-action="replan" title="Keep the set up to here and plan the rest again">⟳</button>
+                        <button data-plan-action="load" title="Load onto the incoming deck">▶</button>
+                        <button data-plan-action="remove" title="Remove from the plan">✕</button>
+                    </div>
+                </li>
+            `;
+        }).join('');
+
+        // Names and rule reasons come from playlists and files, so set them as text
+        [...elements.planTimeline.children].forEach((item, index) => {
+            const step = steps[index];
+            item.querySelector('.plan-step-name').textContent = step.track.name;
+            const rules = item.querySelector('.plan-step-rules');
+            if (rules) rules.title = step.violations.map(v => v.reason).join('; ');
+        });
     }
 
     // ==========================================================================
@@ -912,7 +1821,7 @@ const DJApp = (function() {
     function updateTransitionCard() {
         if (!elements.transitionCard) return;
 
-        if (!state.currentTrack || !state.nextTrack) {
+        if (!getLiveTrack() || !getCueTrack()) {
             elements.transitionCard.innerHTML = `
                 <div style="text-align: center; padding: 20px; color: #888;">
                     Load tracks on both decks to see mixing guidance
@@ -921,25 +1830,142 @@ const DJApp = (function() {
             return;
         }
 
-        const analysis = HarmonicMixer.analyzeTransition(state.currentTrack, state.nextTrack);
+        // Compare the keys the decks actually sound in (pitch and transpose applied)
+        const analysis = HarmonicMixer.analyzeTransition(
+            getSoundingTrack(state.liveDeck, getLiveTrack()),
+            getSoundingTrack(getCueDeck(), getCueTrack())
+        );
+        analysis.transpose = getTransposeSuggestion(analysis.harmonic);
 
         // Generate enhanced card with live feedback
         elements.transitionCard.innerHTML = generateEnhancedTransitionCard(analysis);
     }
 
+    /**
+     * Record how far a deck's key is shifted from the track's own key
+     * Called from script.js when the pitch slider, key lock or transpose changes.
+     * @param {string} deck - Deck id
+     * @param {number} keyShift - Whole semitones from the pitch slider (0 with key lock)
+     * @param {number} transpose - Semitones from the transpose control
+     */
+    function setDeckKeyShift(deck, keyShift, transpose) {
+        const mixer = state.mixer.decks[deck];
+        if (!mixer) return;
+
+        mixer.keyShift = keyShift;
+        mixer.transpose = transpose;
+
+        updateTransitionCard();
+        updateLiveMixerFeedback();
+    }
+
+    /**
+     * Copy of a track with its key moved to the key the deck is sounding in
+     */
+    function getSoundingTrack(deck, track) {
+        const mixer = state.mixer.decks[deck];
+        const features = track.audioFeatures;
+        const shift = mixer.keyShift + mixer.transpose;
+
+        if (!shift || features?.key === null || features?.key === undefined) return track;
+
+        return {
+            ...track,
+            audioFeatures: { ...features, key: HarmonicMixer.transposeKey(features.key, shift) }
+        };
+    }
+
+    /**
+     * The deck being mixed in: the cue deck unless only the cue deck is playing
+     */
+    function getIncomingDeck() {
+        const cueDeck = getCueDeck();
+        return state.deckPlaying[cueDeck] && !state.deckPlaying[state.liveDeck] ? state.liveDeck : cueDeck;
+    }
+
+    /**
+     * Smallest transpose that fixes a key clash on the incoming deck
+     * @param {Object} harmonic - Harmonic analysis of the sounding keys
+     * @returns {Object|null} { deck, semitones, camelot, relationship, found }, or null when no fix is needed
+     */
+    function getTransposeSuggestion(harmonic) {
+        const incoming = getIncomingDeck();
+        suggestedDeck = incoming;
+
+        if (harmonic.compatibility >= 0.85) return null;
+
+        const playingDeck = state.deckPair.find(deck => deck !== incoming);
+        const incomingTrack = state.deckTracks[incoming];
+        const playing = getSoundingTrack(playingDeck, state.deckTracks[playingDeck]).audioFeatures || {};
+        const incomingFeatures = incomingTrack.audioFeatures || {};
+
+        // Transpose only exists for local files
+        if (!incomingTrack.fingerprint || incomingFeatures.key === null || incomingFeatures.key === undefined) {
+            return null;
+        }
+
+        // Search from the key the pitch slider leaves the track in
+        const mixer = state.mixer.decks[incoming];
+        const suggestion = HarmonicMixer.suggestTranspose(
+            playing.key,
+            playing.mode,
+            HarmonicMixer.transposeKey(incomingFeatures.key, mixer.keyShift),
+            incomingFeatures.mode
+        );
+
+        if (!suggestion) return { deck: incoming, found: false };
+        return { deck: incoming, found: true, ...suggestion };
+    }
+
+    function handleTransitionCardClick(event) {
+        const button = event.target.closest('.apply-transpose-btn');
+        if (!button || typeof window.setDeckTranspose !== 'function') return;
+
+        window.setDeckTranspose(button.dataset.deck, parseInt(button.dataset.semitones, 10));
+    }
+
+    /**
+     * Update the track the Mixing Assistant uses for a deck
+     * Called from script.js when a local file is loaded or its analysis finishes.
+     * Decks outside the Auto-DJ pair keep their track for when the pair changes.
+     * @param {string} deck - Deck id
+     * @param {Object} track - Track with audioFeatures
+     */
+    function updateDeckTrack(deck, track) {
+        if (!(deck in state.deckTracks)) return;
+
+        state.deckTracks[deck] = track;
+        if (deck === state.liveDeck) {
+            updateCandidates();
+        } else if (deck === getCueDeck()) {
+            updateTransitionCard();
+        } else {
+            return;
+        }
+        updateLiveMixerFeedback();
+    }
+
     function updateLiveMixerFeedback() {
-        if (!state.currentTrack || !state.nextTrack || !elements.transitionCard) return;
+        if (!getLiveTrack() || !getCueTrack() || !elements.transitionCard) return;
 
         const feedbackEl = document.getElementById('live-mixer-feedback');
         if (!feedbackEl) return;
 
-        const { crossfader, deckA, deckB } = state.mixer;
+        const liveDeck = state.liveDeck;
+        const cueDeck = getCueDeck();
+        const liveMixer = state.mixer.decks[liveDeck];
+        const cueMixer = state.mixer.decks[cueDeck];
+
+        // How far the mix has moved to the cue deck, from each deck's crossfader gain
+        const liveGain = window.getCrossfaderGain?.(liveDeck) ?? 1;
+        const cueGain = window.getCrossfaderGain?.(cueDeck) ?? 1;
+        const crossfader = liveGain + cueGain > 0 ? cueGain / (liveGain + cueGain) : 0.5;
 
         // Calculate effective BPM based on pitch
-        const trackA = state.currentTrack.audioFeatures || {};
-        const trackB = state.nextTrack.audioFeatures || {};
-        const effectiveBpmA = (trackA.tempo || 120) * deckA.pitch;
-        const effectiveBpmB = (trackB.tempo || 120) * deckB.pitch;
+        const trackA = getLiveTrack().audioFeatures || {};
+        const trackB = getCueTrack().audioFeatures || {};
+        const effectiveBpmA = (trackA.tempo || 120) * liveMixer.pitch;
+        const effectiveBpmB = (trackB.tempo || 120) * cueMixer.pitch;
         const bpmDiff = Math.abs(effectiveBpmA - effectiveBpmB);
 
         // Determine status
@@ -961,17 +1987,17 @@ const DJApp = (function() {
         // Crossfader position feedback
         let fadeStatus;
         if (crossfader < 0.2) {
-            fadeStatus = 'Deck A dominant';
+            fadeStatus = `Deck ${liveDeck} dominant`;
         } else if (crossfader > 0.8) {
-            fadeStatus = 'Deck B dominant';
+            fadeStatus = `Deck ${cueDeck} dominant`;
         } else if (crossfader > 0.4 && crossfader < 0.6) {
             fadeStatus = 'Equal blend';
         } else {
-            fadeStatus = crossfader < 0.5 ? 'Favoring Deck A' : 'Favoring Deck B';
+            fadeStatus = `Favoring Deck ${crossfader < 0.5 ? liveDeck : cueDeck}`;
         }
 
         // EQ feedback
-        const bassSwap = deckA.bass < 0.3 && deckB.bass > 0.5;
+        const bassSwap = liveMixer.bass < 0.3 && cueMixer.bass > 0.5;
         const eqTip = bassSwap ? 'Bass swap technique active' : 'Adjust bass for smoother blend';
 
         feedbackEl.innerHTML = `
@@ -980,7 +2006,7 @@ const DJApp = (function() {
                     <div style="color: #666; font-size: 10px; margin-bottom: 4px;">BPM SYNC</div>
                     <div style="color: ${bpmColor}; font-weight: bold;">${bpmStatus}</div>
                     <div style="font-size: 11px; color: #888;">
-                        A: ${effectiveBpmA.toFixed(1)} | B: ${effectiveBpmB.toFixed(1)}
+                        ${liveDeck}: ${effectiveBpmA.toFixed(1)} | ${cueDeck}: ${effectiveBpmB.toFixed(1)}
                     </div>
                 </div>
                 <div>
@@ -993,7 +2019,7 @@ const DJApp = (function() {
                 <div style="color: #666; font-size: 10px; margin-bottom: 4px;">LIVE TIP</div>
                 <div style="font-size: 12px; color: ${bpmDiff > 6 ? '#eab308' : '#22c55e'};">
                     ${bpmDiff > 6
-                        ? `Adjust Deck ${effectiveBpmA > effectiveBpmB ? 'A pitch down' : 'B pitch down'} to match BPM`
+                        ? `Adjust Deck ${effectiveBpmA > effectiveBpmB ? liveDeck : cueDeck} pitch down to match BPM`
                         : eqTip}
                 </div>
             </div>
@@ -1001,7 +2027,7 @@ const DJApp = (function() {
     }
 
     function generateEnhancedTransitionCard(analysis) {
-        const { quality, bpm, harmonic, tips } = analysis;
+        const { quality, bpm, harmonic, tips, transpose } = analysis;
 
         return `
             <div style="background: #1a1a1a; border-radius: 12px; padding: 16px;">
@@ -1043,6 +2069,8 @@ const DJApp = (function() {
                     </div>
                 </div>
 
+                ${transpose ? generateTransposeSuggestion(transpose) : ''}
+
                 <!-- Live mixer feedback area -->
                 <div id="live-mixer-feedback" style="
                     background: #0a0a1a;
@@ -1066,11 +2094,38 @@ const DJApp = (function() {
         `;
     }
 
+    function generateTransposeSuggestion(transpose) {
+        if (!transpose.found) {
+            return `
+                <div style="background: #262626; border-radius: 8px; padding: 12px; margin-bottom: 16px;">
+                    <div style="color: #666; font-size: 10px; margin-bottom: 4px;">KEY FIX</div>
+                    <div style="color: #888; font-size: 12px;">No transpose within ±6 st fixes this clash on Deck ${transpose.deck}</div>
+                </div>
+            `;
+        }
+
+        const amount = `${transpose.semitones > 0 ? '+' : ''}${transpose.semitones} st`;
+
+        return `
+            <div style="background: #262626; border-radius: 8px; padding: 12px; margin-bottom: 16px;
+                        display: flex; justify-content: space-between; align-items: center; gap: 12px;">
+                <div>
+                    <div style="color: #666; font-size: 10px; margin-bottom: 4px;">KEY FIX</div>
+                    <div style="color: #ccc; font-size: 12px;">
+                        Transpose Deck ${transpose.deck} ${amount} → ${transpose.camelot} (${transpose.relationship})
+                    </div>
+                </div>
+                <button class="btn btn-secondary apply-transpose-btn"
+                        data-deck="${transpose.deck}" data-semitones="${transpose.semitones}">Apply</button>
+            </div>
+        `;
+    }
+
     // ==========================================================================
     // ANALYTICS
     // ==========================================================================
 
-    function handleEndSession() {
+    async function handleEndSession() {
         const status = AnalyticsDashboard.getSessionStatus();
 
         if (!status.isRecording) {
@@ -1081,6 +2136,11 @@ const DJApp = (function() {
             return;
         }
 
+        // Finish the set recording first so it is saved with this session
+        if (typeof window.stopSetRecording === 'function') {
+            await window.stopSetRecording();
+        }
+
         // End current session
         const session = AnalyticsDashboard.endSession();
 
@@ -1128,6 +2188,9 @@ const DJApp = (function() {
         init,
         getState: () => ({ ...state }),
         selectTrackForDeck,
+        updateDeckTrack,
+        setDeckKeyShift,
+        updateSessionUI,
         toggleAutoDJ,
         handleAutoFade
     };
@@ -0,0 +1,34 @@
+/**
+ * Audio Analysis Worker
+ *
+ * Runs AudioDSP.analyze() off the main thread so the UI (and playback on
+ * the other deck) stays smooth while a track is analyzed.
+ *
+ * MESSAGES:
+ * In:  { channels: Float32Array[], sampleRate: number }
+ * Out: { type: 'progress', progress: 0-1, stage: string }
+ *      { type: 'result', result: Object }
+ *      { type: 'error', message: string }
+ *
+ * One worker handles one job. AudioAnalyzer cancels a job by terminating
+ * the worker, so no cancel message is needed.
+ */
+
+importScripts('audio-dsp.js');
+
+self.onmessage = function(event) {
+    const { channels, sampleRate } = event.data;
+
+    try {
+        // Tempo and key use the mono mix; loudness is measured per channel
+        const result = AudioDSP.analyze(AudioDSP.mixToMono(channels), sampleRate, {
+            channels,
+            onProgress: (progress, stage) => {
+                self.postMessage({ type: 'progress', progress, stage });
+            }
+        });
+        self.postMessage({ type: 'result', result });
+    } catch (err) {
+        self.postMessage({ type: 'error', message: err.message });
+    }
+};
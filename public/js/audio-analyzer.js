@@ -5,27 +5,40 @@
  * Uses the Web Audio API to analyze actual audio data and extract:
  * - BPM (beats per minute) via onset detection
  * - Energy levels (RMS amplitude)
- * - Frequency spectrum for basic mood/key hints
+ * - Musical key and mode via chromagram (Spotify-style key/mode)
+ * - Integrated loudness (LUFS, ITU-R BS.1770) for level matching
+ * - Frequency spectrum for basic mood hints
  *
  * This provides REAL audio analysis instead of estimates, working even
  * when Spotify's audio-features API is restricted.
  *
  * ALGORITHM:
- * 1. Load audio into AudioContext
- * 2. Apply low-pass filter to isolate beats (bass/kick)
- * 3. Compute onset strength using spectral flux
- * 4. Find peaks in onset function
- * 5. Calculate inter-onset intervals to determine BPM
+ * 1. Decode audio with the AudioContext
+ * 2. Hand the channels to a Web Worker (audio-analysis-worker.js)
+ * 3. The worker mixes them to mono and runs AudioDSP: FFT spectral flux
+ *    onsets + autocorrelation for BPM, RMS energy, a chromagram matched
+ *    against key profiles, and K-weighted loudness on the original channels
+ *
+ * DESIGN DECISION:
+ * Decoding needs an AudioContext, which workers don't have, so it stays on
+ * the main thread (the browser decodes off-thread anyway). Everything after
+ * that runs in the worker. If workers are unavailable, the same AudioDSP
+ * code runs on the main thread instead.
  *
  * TODO (Future ML Extensions):
  * - Use neural network for more accurate beat tracking
- * - Key detection via chroma feature analysis
  * - Mood classification from spectral features
  */
 
 const AudioAnalyzer = (function() {
     'use strict';
 
+    // ==========================================================================
+    // CONFIGURATION
+    // ==========================================================================
+
+    const WORKER_URL = 'js/audio-analysis-worker.js';
+
     // ==========================================================================
     // STATE
     // ==========================================================================
@@ -49,16 +62,17 @@ const AudioAnalyzer = (function() {
     }
 
     // ==========================================================================
-    // BPM DETECTION
+    // TRACK ANALYSIS
     // ==========================================================================
 
     /**
      * Detect BPM from an audio URL
      * @param {string} url - URL of the audio file
      * @param {string} trackId - Track ID for caching
+     * @param {Object} options - See analyzeAudioBuffer()
      * @returns {Promise<Object>} Analysis results including BPM
      */
-    async function analyzeFromUrl(url, trackId) {
+    async function analyzeFromUrl(url, trackId, options = {}) {
         // Check cache first
         if (trackId && analysisCache.has(trackId)) {
             console.log('[AudioAnalyzer] Using cached analysis for', trackId);
@@ -68,13 +82,13 @@ const AudioAnalyzer = (function() {
         console.log('[AudioAnalyzer] Fetching audio from URL...');
 
         try {
-            const response = await fetch(url);
+            const response = await fetch(url, { signal: options.signal });
             if (!response.ok) {
                 throw new Error(`Failed to fetch audio: ${response.status}`);
             }
 
             const arrayBuffer = await response.arrayBuffer();
-            const result = await analyzeFromBuffer(arrayBuffer);
+            const result = await analyzeFromBuffer(arrayBuffer, options);
 
             // Cache the result
             if (trackId) {
@@ -83,7 +97,9 @@ const AudioAnalyzer = (function() {
 
             return result;
         } catch (err) {
-            console.error('[AudioAnalyzer] Failed to analyze URL:', err);
+            if (err.name !== 'AbortError') {
+                console.error('[AudioAnalyzer] Failed to analyze URL:', err);
+            }
             throw err;
         }
     }
@@ -91,34 +107,34 @@ const AudioAnalyzer = (function() {
     /**
      * Analyze audio from an ArrayBuffer
      * @param {ArrayBuffer} arrayBuffer - Raw audio data
+     * @param {Object} options - See analyzeAudioBuffer()
      * @returns {Promise<Object>} Analysis results
      */
-    async function analyzeFromBuffer(arrayBuffer) {
-        const ctx = getAudioContext();
+    async function analyzeFromBuffer(arrayBuffer, options = {}) {
+        const audioBuffer = await decodeAudio(arrayBuffer);
+        return analyzeAudioBuffer(audioBuffer, options);
+    }
 
-        console.log('[AudioAnalyzer] Decoding audio...');
-        const audioBuffer = await ctx.decodeAudioData(arrayBuffer);
+    /**
+     * Analyze an already decoded AudioBuffer in the analysis worker
+     * @param {AudioBuffer} audioBuffer - Decoded audio
+     * @param {Object} options
+     * @param {Function} options.onProgress - Called with (progress 0-1, stage label)
+     * @param {AbortSignal} options.signal - Abort to cancel; the promise rejects with an AbortError
+     * @returns {Promise<Object>} Analysis results
+     */
+    async function analyzeAudioBuffer(audioBuffer, options = {}) {
+        const { signal } = options;
+        if (signal?.aborted) throw createAbortError();
 
         console.log('[AudioAnalyzer] Analyzing', audioBuffer.duration.toFixed(1), 'seconds of audio');
 
-        // Get audio data (mono mix)
-        const channelData = getMonoData(audioBuffer);
-
-        // Detect BPM
-        const bpmResult = detectBPM(channelData, audioBuffer.sampleRate);
-
-        // Calculate energy
-        const energy = calculateEnergy(channelData);
-
-        // Analyze frequency content for mood hints
-        const spectralAnalysis = analyzeSpectrum(channelData, audioBuffer.sampleRate);
+        const analysis = typeof Worker !== 'undefined'
+            ? await runInWorker(copyChannels(audioBuffer), audioBuffer.sampleRate, options)
+            : runOnMainThread(audioBuffer, options);
 
         const result = {
-            bpm: bpmResult.bpm,
-            bpmConfidence: bpmResult.confidence,
-            energy: energy,
-            spectralCentroid: spectralAnalysis.centroid,
-            bassRatio: spectralAnalysis.bassRatio,
+            ...analysis,
             duration: audioBuffer.duration,
             analyzed: true,
             _realAnalysis: true
@@ -129,225 +145,95 @@ const AudioAnalyzer = (function() {
     }
 
     /**
-     * Get mono audio data from buffer
-     * @param {AudioBuffer} audioBuffer
-     * @returns {Float32Array}
-     */
-    function getMonoData(audioBuffer) {
-        const numChannels = audioBuffer.numberOfChannels;
-        const length = audioBuffer.length;
-        const mono = new Float32Array(length);
-
-        // Mix all channels to mono
-        for (let ch = 0; ch < numChannels; ch++) {
-            const channelData = audioBuffer.getChannelData(ch);
-            for (let i = 0; i < length; i++) {
-                mono[i] += channelData[i] / numChannels;
-            }
-        }
-
-        return mono;
-    }
-
-    /**
-     * Detect BPM using onset detection and autocorrelation
-     * @param {Float32Array} samples - Audio samples
-     * @param {number} sampleRate - Sample rate
-     * @returns {Object} BPM and confidence
-     */
-    function detectBPM(samples, sampleRate) {
-        // Parameters
-        const hopSize = 512;
-        const windowSize = 2048;
-
-        // Calculate onset strength function
-        const onsets = calculateOnsetStrength(samples, sampleRate, windowSize, hopSize);
-
-        // Find tempo using autocorrelation
-        const bpmResult = findTempoFromOnsets(onsets, sampleRate, hopSize);
-
-        return bpmResult;
-    }
-
-    /**
-     * Calculate onset strength using spectral flux
-     * @param {Float32Array} samples
-     * @param {number} sampleRate
-     * @param {number} windowSize
-     * @param {number} hopSize
-     * @returns {Float32Array}
+     * Run AudioDSP in a dedicated worker (one worker per job)
      */
-    function calculateOnsetStrength(samples, sampleRate, windowSize, hopSize) {
-        const numFrames = Math.floor((samples.length - windowSize) / hopSize);
-        const onsets = new Float32Array(numFrames);
-
-        let prevSpectrum = null;
-
-        for (let frame = 0; frame < numFrames; frame++) {
-            const start = frame * hopSize;
-            const windowedSamples = applyWindow(samples.slice(start, start + windowSize));
-
-            // Simple FFT approximation using DFT for low frequencies
-            const spectrum = computeLowFreqSpectrum(windowedSamples, 32);
-
-            if (prevSpectrum) {
-                // Spectral flux (only positive differences)
-                let flux = 0;
-                for (let i = 0; i < spectrum.length; i++) {
-                    const diff = spectrum[i] - prevSpectrum[i];
-                    if (diff > 0) flux += diff;
+    function runInWorker(channels, sampleRate, { onProgress, signal } = {}) {
+        return new Promise((resolve, reject) => {
+            const worker = new Worker(WORKER_URL);
+
+            const finish = () => {
+                worker.terminate();
+                signal?.removeEventListener('abort', handleAbort);
+            };
+
+            const handleAbort = () => {
+                finish();
+                console.log('[AudioAnalyzer] Analysis cancelled');
+                reject(createAbortError());
+            };
+
+            worker.onmessage = (event) => {
+                const message = event.data;
+                if (message.type === 'progress') {
+                    onProgress?.(message.progress, message.stage);
+                } else if (message.type === 'result') {
+                    finish();
+                    resolve(message.result);
+                } else if (message.type === 'error') {
+                    finish();
+                    reject(new Error(message.message));
                 }
-                onsets[frame] = flux;
-            }
+            };
 
-            prevSpectrum = spectrum;
-        }
+            worker.onerror = (event) => {
+                finish();
+                reject(new Error(event.message || 'Analysis worker failed'));
+            };
 
-        // Normalize
-        const maxOnset = Math.max(...onsets);
-        if (maxOnset > 0) {
-            for (let i = 0; i < onsets.length; i++) {
-                onsets[i] /= maxOnset;
-            }
-        }
+            signal?.addEventListener('abort', handleAbort);
 
-        return onsets;
+            // Transfer the samples instead of copying them
+            worker.postMessage({ channels, sampleRate }, channels.map(data => data.buffer));
+        });
     }
 
     /**
-     * Apply Hann window to samples
-     * @param {Float32Array} samples
-     * @returns {Float32Array}
+     * Fallback when Web Workers aren't available (blocks the UI while it runs)
      */
-    function applyWindow(samples) {
-        const windowed = new Float32Array(samples.length);
-        for (let i = 0; i < samples.length; i++) {
-            const window = 0.5 * (1 - Math.cos(2 * Math.PI * i / (samples.length - 1)));
-            windowed[i] = samples[i] * window;
+    function runOnMainThread(audioBuffer, { onProgress, signal } = {}) {
+        console.warn('[AudioAnalyzer] Web Workers unavailable, analyzing on main thread');
+        const channels = [];
+        for (let ch = 0; ch < audioBuffer.numberOfChannels; ch++) {
+            channels.push(audioBuffer.getChannelData(ch));
         }
-        return windowed;
-    }
 
-    /**
-     * Compute low-frequency spectrum using simplified DFT
-     * @param {Float32Array} samples
-     * @param {number} numBins
-     * @returns {Float32Array}
-     */
-    function computeLowFreqSpectrum(samples, numBins) {
-        const spectrum = new Float32Array(numBins);
-        const N = samples.length;
-
-        for (let k = 0; k < numBins; k++) {
-            let real = 0, imag = 0;
-            for (let n = 0; n < N; n++) {
-                const angle = 2 * Math.PI * k * n / N;
-                real += samples[n] * Math.cos(angle);
-                imag -= samples[n] * Math.sin(angle);
-            }
-            spectrum[k] = Math.sqrt(real * real + imag * imag);
-        }
-
-        return spectrum;
+        return AudioDSP.analyze(AudioDSP.mixToMono(channels), audioBuffer.sampleRate, {
+            channels,
+            onProgress,
+            isCancelled: () => !!signal?.aborted
+        });
     }
 
-    /**
-     * Find tempo from onset strength function using autocorrelation
-     * @param {Float32Array} onsets
-     * @param {number} sampleRate
-     * @param {number} hopSize
-     * @returns {Object}
-     */
-    function findTempoFromOnsets(onsets, sampleRate, hopSize) {
-        const framesPerSecond = sampleRate / hopSize;
-
-        // BPM range: 60-180 BPM
-        const minBPM = 60;
-        const maxBPM = 180;
-        const minLag = Math.floor(framesPerSecond * 60 / maxBPM);
-        const maxLag = Math.ceil(framesPerSecond * 60 / minBPM);
-
-        // Compute autocorrelation for each lag
-        let bestLag = minLag;
-        let bestCorr = -Infinity;
-        const correlations = [];
-
-        for (let lag = minLag; lag <= maxLag && lag < onsets.length; lag++) {
-            let corr = 0;
-            let count = 0;
-            for (let i = 0; i < onsets.length - lag; i++) {
-                corr += onsets[i] * onsets[i + lag];
-                count++;
-            }
-            corr /= count;
-            correlations.push({ lag, corr });
-
-            if (corr > bestCorr) {
-                bestCorr = corr;
-                bestLag = lag;
-            }
-        }
-
-        // Convert lag to BPM
-        const bpm = Math.round(framesPerSecond * 60 / bestLag);
-
-        // Calculate confidence based on peak prominence
-        const avgCorr = correlations.reduce((s, c) => s + c.corr, 0) / correlations.length;
-        const confidence = Math.min(1, Math.max(0, (bestCorr - avgCorr) / avgCorr));
-
-        return { bpm, confidence };
+    function createAbortError() {
+        return new DOMException('Analysis cancelled', 'AbortError');
     }
 
     /**
-     * Calculate overall energy (RMS)
-     * @param {Float32Array} samples
-     * @returns {number} Energy normalized to 0-1
+     * Decode raw audio data into an AudioBuffer
+     * Note: decodeAudioData detaches the ArrayBuffer, so callers that need the
+     * bytes again must pass a copy.
+     * @param {ArrayBuffer} arrayBuffer - Raw audio data (mp3, mp4, wav...)
+     * @returns {Promise<AudioBuffer>}
      */
-    function calculateEnergy(samples) {
-        let sum = 0;
-        for (let i = 0; i < samples.length; i++) {
-            sum += samples[i] * samples[i];
-        }
-        const rms = Math.sqrt(sum / samples.length);
+    async function decodeAudio(arrayBuffer) {
+        const ctx = getAudioContext();
 
-        // Normalize (typical RMS for music is 0.1-0.3)
-        return Math.min(1, rms * 4);
+        console.log('[AudioAnalyzer] Decoding audio...');
+        return ctx.decodeAudioData(arrayBuffer);
     }
 
     /**
-     * Analyze frequency spectrum for mood hints
-     * @param {Float32Array} samples
-     * @param {number} sampleRate
-     * @returns {Object}
+     * Copy each channel out of the buffer so it can be transferred to the
+     * worker (the buffer's own arrays stay usable for the waveform)
+     * @param {AudioBuffer} audioBuffer
+     * @returns {Float32Array[]}
      */
-    function analyzeSpectrum(samples, sampleRate) {
-        // Take a sample from the middle of the track
-        const chunkSize = Math.min(65536, samples.length);
-        const startIdx = Math.floor((samples.length - chunkSize) / 2);
-        const chunk = samples.slice(startIdx, startIdx + chunkSize);
-
-        // Compute spectrum
-        const spectrum = computeLowFreqSpectrum(applyWindow(chunk), 64);
-
-        // Calculate spectral centroid (brightness)
-        let weightedSum = 0, magnitudeSum = 0;
-        for (let i = 0; i < spectrum.length; i++) {
-            const freq = i * sampleRate / (2 * spectrum.length);
-            weightedSum += freq * spectrum[i];
-            magnitudeSum += spectrum[i];
-        }
-        const centroid = magnitudeSum > 0 ? weightedSum / magnitudeSum : 0;
-
-        // Calculate bass ratio (low freq energy / total)
-        const bassEnd = Math.floor(spectrum.length * 0.2); // ~0-200Hz
-        let bassEnergy = 0, totalEnergy = 0;
-        for (let i = 0; i < spectrum.length; i++) {
-            totalEnergy += spectrum[i];
-            if (i < bassEnd) bassEnergy += spectrum[i];
+    function copyChannels(audioBuffer) {
+        const channels = [];
+        for (let ch = 0; ch < audioBuffer.numberOfChannels; ch++) {
+            channels.push(audioBuffer.getChannelData(ch).slice());
         }
-        const bassRatio = totalEnergy > 0 ? bassEnergy / totalEnergy : 0;
-
-        return { centroid, bassRatio };
+        return channels;
     }
 
     // ==========================================================================
@@ -429,6 +315,8 @@ const AudioAnalyzer = (function() {
     return {
         analyzeFromUrl,
         analyzeFromBuffer,
+        analyzeAudioBuffer,
+        decodeAudio,
         createRealtimeAnalyzer,
         hasAnalysis,
         getCachedAnalysis,
@@ -0,0 +1,870 @@
+/**
+ * Audio DSP - Signal Processing for Track Analysis
+ *
+ * OVERVIEW:
+ * Pure number-crunching used by AudioAnalyzer: FFT, onset detection, tempo,
+ * energy, spectrum and key detection. Nothing here touches the DOM or the
+ * Web Audio API, so the same file runs inside the analysis Web Worker
+ * (audio-analysis-worker.js) and, as a fallback, on the main thread.
+ *
+ * ALGORITHM:
+ * 1. Spectral flux onset strength (radix-2 FFT per 2048-sample window)
+ * 2. Autocorrelation of the onset function to find the beat period, then a
+ *    comb search over the whole track for a fractional BPM and beat phase
+ * 3. RMS energy and spectral centroid / bass ratio
+ * 4. Chromagram (Goertzel filter per semitone) correlated with the
+ *    Krumhansl-Kessler major/minor key profiles
+ * 5. Integrated loudness (ITU-R BS.1770): K-weighting, 400ms blocks with
+ *    75% overlap, absolute (-70 LUFS) and relative (-10 LU) gates
+ *
+ * PROGRESS & CANCELLATION:
+ * analyze() reports progress through onProgress(progress, stage) and calls
+ * isCancelled() between frames, so a long track can be abandoned part-way.
+ */
+
+const AudioDSP = (function() {
+    'use strict';
+
+    // ==========================================================================
+    // CONFIGURATION
+    // ==========================================================================
+
+    const ONSET_CONFIG = {
+        windowSize: 2048,
+        hopSize: 512,
+        numBins: 32          // Low bins only (~0-690 Hz at 44.1kHz) - kicks and bass
+    };
+
+    const HALF_TEMPO_RATIO = 0.8; // Half-lag peak strength needed to pick the faster tempo
+
+    const GRID_CONFIG = {
+        lagSearch: 1,        // Refine the period within ±1 onset frame of the autocorrelation peak
+        lagStep: 0.01,       // Period resolution in frames (~0.03 BPM at 124 BPM)
+        phaseStep: 0.5,      // Phase resolution in frames (~6ms)
+        beatsPerBar: 4
+    };
+
+    const SPECTRUM_CHUNK = 65536;
+    const BASS_CUTOFF = 200;  // Hz
+
+    /**
+     * Krumhansl-Kessler key profiles (probe-tone ratings), tonic first
+     */
+    const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+    const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+    const KEY_CONFIG = {
+        frameSize: 8192,     // ~186ms at 44.1kHz - resolves semitones above ~C3
+        maxFrames: 64,       // Frames sampled across the track
+        edgeSkip: 0.05,      // Skip the first/last 5% (intros and fade-outs)
+        minMidi: 48,         // C3 (130.8 Hz)
+        maxMidi: 95,         // B6 (1975.5 Hz)
+        silenceRms: 0.01     // Frames quieter than this are ignored
+    };
+
+    /**
+     * BS.1770 loudness measurement
+     * K-weighting is a high shelf (head effects) followed by a high pass
+     * (RLB curve). The filters are redesigned for the actual sample rate
+     * from the analog prototypes, which reproduce the 48 kHz coefficients
+     * published in the standard.
+     */
+    const LOUDNESS_CONFIG = {
+        shelf: { frequency: 1681.974450955533, gain: 3.999843853973347, q: 0.7071752369554196 },
+        highpass: { frequency: 38.13547087613982, q: 0.5003270373238773 },
+        blockSize: 0.4,          // Gating block (s)
+        blockSteps: 4,           // Blocks overlap by 75% (100ms step)
+        absoluteGate: -70,       // LUFS
+        relativeGate: -10,       // LU below the ungated loudness
+        offset: -0.691           // Calibration constant
+    };
+
+    /**
+     * Share of total progress spent in each stage
+     */
+    const STAGES = {
+        onsets: { start: 0, end: 0.55, label: 'Detecting tempo' },
+        spectrum: { start: 0.55, end: 0.6, label: 'Measuring energy' },
+        loudness: { start: 0.6, end: 0.7, label: 'Measuring loudness' },
+        key: { start: 0.7, end: 1, label: 'Detecting key' }
+    };
+
+    const PROGRESS_STEP = 0.02; // Report at most every 2%
+
+    /**
+     * Thrown by analyze() when isCancelled() returns true
+     */
+    class AnalysisCancelledError extends Error {
+        constructor() {
+            super('Analysis cancelled');
+            this.name = 'AbortError';
+        }
+    }
+
+    // ==========================================================================
+    // FULL ANALYSIS
+    // ==========================================================================
+
+    /**
+     * Run the complete analysis on mono samples
+     * @param {Float32Array} samples - Mono audio samples
+     * @param {number} sampleRate - Sample rate
+     * @param {Object} options
+     * @param {Function} options.onProgress - Called with (progress 0-1, stage label)
+     * @param {Function} options.isCancelled - Return true to stop early
+     * @param {Float32Array[]} options.channels - Original channels for loudness (defaults to the mono samples)
+     * @returns {Object} { bpm, bpmConfidence, beatGrid, energy, key, mode, keyConfidence, spectralCentroid, bassRatio, loudness, samplePeak, duration }
+     */
+    function analyze(samples, sampleRate, options = {}) {
+        const reporter = createProgressReporter(options.onProgress);
+        const isCancelled = options.isCancelled || (() => false);
+
+        const checkpoint = (stage, fraction) => {
+            if (isCancelled()) throw new AnalysisCancelledError();
+            reporter(stage, fraction);
+        };
+
+        const bpmResult = detectBPM(samples, sampleRate, (fraction) => checkpoint(STAGES.onsets, fraction));
+
+        checkpoint(STAGES.spectrum, 0);
+        const energy = calculateEnergy(samples);
+        const spectralAnalysis = analyzeSpectrum(samples, sampleRate);
+
+        const loudnessResult = measureLoudness(options.channels || [samples], sampleRate,
+            (fraction) => checkpoint(STAGES.loudness, fraction));
+
+        const keyResult = detectKey(samples, sampleRate, (fraction) => checkpoint(STAGES.key, fraction));
+        checkpoint(STAGES.key, 1);
+
+        return {
+            bpm: bpmResult.bpm,
+            bpmConfidence: bpmResult.confidence,
+            beatGrid: bpmResult.beatGrid,
+            energy: energy,
+            key: keyResult.key,
+            mode: keyResult.mode,
+            keyConfidence: keyResult.confidence,
+            spectralCentroid: spectralAnalysis.centroid,
+            bassRatio: spectralAnalysis.bassRatio,
+            loudness: loudnessResult.integrated,
+            samplePeak: loudnessResult.samplePeak,
+            duration: samples.length / sampleRate
+        };
+    }
+
+    /**
+     * Map per-stage fractions to overall progress and throttle callbacks
+     */
+    function createProgressReporter(onProgress) {
+        let lastReported = -Infinity;
+
+        return (stage, fraction) => {
+            if (!onProgress) return;
+
+            const progress = stage.start + (stage.end - stage.start) * fraction;
+            if (progress - lastReported < PROGRESS_STEP && progress < 1) return;
+
+            lastReported = progress;
+            onProgress(progress, stage.label);
+        };
+    }
+
+    // ==========================================================================
+    // FFT
+    // ==========================================================================
+
+    const fftTables = new Map(); // Cached twiddle factors and bit reversal by size
+
+    function getFFTTables(size) {
+        if (fftTables.has(size)) return fftTables.get(size);
+
+        const bits = Math.log2(size);
+        const reverse = new Uint32Array(size);
+        for (let i = 0; i < size; i++) {
+            let rev = 0;
+            for (let b = 0; b < bits; b++) {
+                rev = (rev << 1) | ((i >> b) & 1);
+            }
+            reverse[i] = rev;
+        }
+
+        const cos = new Float64Array(size / 2);
+        const sin = new Float64Array(size / 2);
+        for (let i = 0; i < size / 2; i++) {
+            cos[i] = Math.cos(2 * Math.PI * i / size);
+            sin[i] = Math.sin(2 * Math.PI * i / size);
+        }
+
+        const tables = { reverse, cos, sin };
+        fftTables.set(size, tables);
+        return tables;
+    }
+
+    /**
+     * In-place iterative radix-2 FFT
+     * @param {Float64Array} real - Real part (length must be a power of two)
+     * @param {Float64Array} imag - Imaginary part (same length)
+     */
+    function fft(real, imag) {
+        const n = real.length;
+        if (n & (n - 1)) {
+            throw new Error(`FFT size must be a power of two, got ${n}`);
+        }
+
+        const { reverse, cos, sin } = getFFTTables(n);
+
+        // Bit-reversal permutation
+        for (let i = 0; i < n; i++) {
+            const j = reverse[i];
+            if (j > i) {
+                let tmp = real[i]; real[i] = real[j]; real[j] = tmp;
+                tmp = imag[i]; imag[i] = imag[j]; imag[j] = tmp;
+            }
+        }
+
+        // Butterflies
+        for (let size = 2; size <= n; size *= 2) {
+            const half = size / 2;
+            const step = n / size;
+            for (let start = 0; start < n; start += size) {
+                for (let k = 0; k < half; k++) {
+                    const wr = cos[k * step];
+                    const wi = -sin[k * step];
+                    const a = start + k;
+                    const b = a + half;
+                    const tr = real[b] * wr - imag[b] * wi;
+                    const ti = real[b] * wi + imag[b] * wr;
+                    real[b] = real[a] - tr;
+                    imag[b] = imag[a] - ti;
+                    real[a] += tr;
+                    imag[a] += ti;
+                }
+            }
+        }
+    }
+
+    /**
+     * Magnitude spectrum of a (windowed) frame
+     * @param {Float32Array} samples - Frame, length must be a power of two
+     * @param {number} numBins - Number of bins to return (default: size / 2)
+     * @returns {Float32Array}
+     */
+    function magnitudeSpectrum(samples, numBins = samples.length / 2) {
+        const real = Float64Array.from(samples);
+        const imag = new Float64Array(samples.length);
+        fft(real, imag);
+
+        const spectrum = new Float32Array(numBins);
+        for (let k = 0; k < numBins; k++) {
+            spectrum[k] = Math.sqrt(real[k] * real[k] + imag[k] * imag[k]);
+        }
+        return spectrum;
+    }
+
+    /**
+     * Apply Hann window to samples
+     * @param {Float32Array} samples
+     * @returns {Float32Array}
+     */
+    function applyWindow(samples) {
+        const windowed = new Float32Array(samples.length);
+        for (let i = 0; i < samples.length; i++) {
+            const window = 0.5 * (1 - Math.cos(2 * Math.PI * i / (samples.length - 1)));
+            windowed[i] = samples[i] * window;
+        }
+        return windowed;
+    }
+
+    // ==========================================================================
+    // BPM DETECTION
+    // ==========================================================================
+
+    /**
+     * Detect BPM and beat grid using onset detection and autocorrelation
+     * @param {Float32Array} samples - Audio samples
+     * @param {number} sampleRate - Sample rate
+     * @param {Function} onFrame - Optional, called with fraction of frames processed
+     * @returns {Object} { bpm (fractional), confidence, beatGrid }
+     */
+    function detectBPM(samples, sampleRate, onFrame) {
+        const { windowSize, hopSize } = ONSET_CONFIG;
+
+        // Calculate onset strength function
+        const onsets = calculateOnsetStrength(samples, windowSize, hopSize, onFrame);
+
+        // Find tempo using autocorrelation
+        const tempo = findTempoFromOnsets(onsets, sampleRate, hopSize);
+        if (!tempo.bpm) {
+            return { bpm: null, confidence: 0, beatGrid: null };
+        }
+
+        // Refine to a fractional BPM and find where the beats fall
+        const beatGrid = detectBeatGrid(onsets, sampleRate, tempo.lag);
+
+        return {
+            bpm: beatGrid.bpm,
+            confidence: tempo.confidence,
+            beatGrid
+        };
+    }
+
+    /**
+     * Calculate onset strength using spectral flux
+     * @param {Float32Array} samples
+     * @param {number} windowSize
+     * @param {number} hopSize
+     * @param {Function} onFrame - Optional progress callback
+     * @returns {Float32Array}
+     */
+    function calculateOnsetStrength(samples, windowSize, hopSize, onFrame) {
+        const numFrames = Math.max(0, Math.floor((samples.length - windowSize) / hopSize));
+        const onsets = new Float32Array(numFrames);
+        const reportEvery = Math.max(1, Math.floor(numFrames / 100));
+
+        let prevSpectrum = null;
+
+        for (let frame = 0; frame < numFrames; frame++) {
+            const start = frame * hopSize;
+            const windowedSamples = applyWindow(samples.subarray(start, start + windowSize));
+            const spectrum = magnitudeSpectrum(windowedSamples, ONSET_CONFIG.numBins);
+
+            if (prevSpectrum) {
+                // Spectral flux (only positive differences)
+                let flux = 0;
+                for (let i = 0; i < spectrum.length; i++) {
+                    const diff = spectrum[i] - prevSpectrum[i];
+                    if (diff > 0) flux += diff;
+                }
+                onsets[frame] = flux;
+            }
+
+            prevSpectrum = spectrum;
+
+            if (onFrame && frame % reportEvery === 0) {
+                onFrame(frame / numFrames);
+            }
+        }
+
+        // Normalize (no spread - long tracks have too many frames for Math.max(...))
+        let maxOnset = 0;
+        for (let i = 0; i < onsets.length; i++) {
+            if (onsets[i] > maxOnset) maxOnset = onsets[i];
+        }
+        if (maxOnset > 0) {
+            for (let i = 0; i < onsets.length; i++) {
+                onsets[i] /= maxOnset;
+            }
+        }
+
+        return onsets;
+    }
+
+    /**
+     * Find tempo from onset strength function using autocorrelation
+     * @param {Float32Array} onsets
+     * @param {number} sampleRate
+     * @param {number} hopSize
+     * @returns {Object}
+     */
+    function findTempoFromOnsets(onsets, sampleRate, hopSize) {
+        const framesPerSecond = sampleRate / hopSize;
+
+        // BPM range: 60-180 BPM
+        const minBPM = 60;
+        const maxBPM = 180;
+        const minLag = Math.floor(framesPerSecond * 60 / maxBPM);
+        const maxLag = Math.ceil(framesPerSecond * 60 / minBPM);
+
+        // Compute autocorrelation for each lag
+        let bestLag = minLag;
+        let bestCorr = -Infinity;
+        const correlations = [];
+
+        for (let lag = minLag; lag <= maxLag && lag < onsets.length; lag++) {
+            let corr = 0;
+            let count = 0;
+            for (let i = 0; i < onsets.length - lag; i++) {
+                corr += onsets[i] * onsets[i + lag];
+                count++;
+            }
+            corr /= count;
+            correlations.push({ lag, corr });
+
+            if (corr > bestCorr) {
+                bestCorr = corr;
+                bestLag = lag;
+            }
+        }
+
+        if (correlations.length === 0) {
+            return { bpm: null, confidence: 0, lag: null };
+        }
+
+        // Beats also correlate two beats apart, so bar accents can make the
+        // half-tempo lag win. Prefer the faster tempo when its peak is nearly as strong.
+        const halfPeak = correlations
+            .filter(c => Math.abs(c.lag - bestLag / 2) <= 1)
+            .reduce((peak, c) => (!peak || c.corr > peak.corr ? c : peak), null);
+        if (halfPeak && halfPeak.corr >= bestCorr * HALF_TEMPO_RATIO) {
+            bestLag = halfPeak.lag;
+            bestCorr = halfPeak.corr;
+        }
+
+        // Convert lag to BPM
+        const bpm = Math.round(framesPerSecond * 60 / bestLag);
+
+        // Calculate confidence based on peak prominence
+        const avgCorr = correlations.reduce((s, c) => s + c.corr, 0) / correlations.length;
+        const confidence = avgCorr > 0 ? Math.min(1, Math.max(0, (bestCorr - avgCorr) / avgCorr)) : 0;
+
+        return { bpm, confidence, lag: bestLag };
+    }
+
+    // ==========================================================================
+    // BEAT GRID
+    // ==========================================================================
+
+    /**
+     * Fit a constant-tempo beat grid to the onset function
+     *
+     * Every candidate period (near the autocorrelation peak) and phase is
+     * scored by summing onset strength at each predicted beat across the
+     * whole track. Long tracks make small tempo errors add up, so this picks
+     * a period precise to a few hundredths of a BPM.
+     *
+     * @param {Float32Array} onsets - Normalized onset strength
+     * @param {number} sampleRate
+     * @param {number} lag - Beat period in frames from autocorrelation
+     * @returns {Object} { bpm, firstBeat (s), downbeatOffset (beats), beatsPerBar }
+     */
+    function detectBeatGrid(onsets, sampleRate, lag) {
+        const { windowSize, hopSize } = ONSET_CONFIG;
+        const { lagSearch, lagStep, phaseStep, beatsPerBar } = GRID_CONFIG;
+        const framesPerSecond = sampleRate / hopSize;
+
+        let best = { period: lag, phase: 0, score: -Infinity };
+
+        for (let period = lag - lagSearch; period <= lag + lagSearch; period += lagStep) {
+            for (let phase = 0; phase < period; phase += phaseStep) {
+                const score = combScore(onsets, period, phase);
+                if (score > best.score) {
+                    best = { period, phase, score };
+                }
+            }
+        }
+
+        // Onset frames are labelled by window start; the attack lands mid-window
+        const latency = windowSize / 2 / sampleRate;
+        const beatPeriod = best.period / framesPerSecond;
+        let firstBeat = best.phase / framesPerSecond + latency;
+        firstBeat %= beatPeriod;
+
+        // Downbeat: the beat of the bar with the strongest average onset (kick on "1")
+        const barStrength = new Float64Array(beatsPerBar);
+        const barCount = new Float64Array(beatsPerBar);
+        for (let k = 0, pos = best.phase; pos < onsets.length; k++, pos += best.period) {
+            barStrength[k % beatsPerBar] += interpolate(onsets, pos);
+            barCount[k % beatsPerBar]++;
+        }
+        let downbeat = 0;
+        for (let i = 1; i < beatsPerBar; i++) {
+            if (barStrength[i] / (barCount[i] || 1) > barStrength[downbeat] / (barCount[downbeat] || 1)) {
+                downbeat = i;
+            }
+        }
+
+        // Shifting firstBeat back into the first beat period may have dropped beats
+        const droppedBeats = Math.round((best.phase / framesPerSecond + latency - firstBeat) / beatPeriod);
+
+        return {
+            bpm: Math.round(60 / beatPeriod * 100) / 100,
+            firstBeat: Math.round(firstBeat * 1000) / 1000,
+            downbeatOffset: (downbeat + droppedBeats) % beatsPerBar,
+            beatsPerBar
+        };
+    }
+
+    /**
+     * Average onset strength at every predicted beat position
+     */
+    function combScore(onsets, period, phase) {
+        let sum = 0, count = 0;
+        for (let pos = phase; pos < onsets.length - 1; pos += period) {
+            sum += interpolate(onsets, pos);
+            count++;
+        }
+        return count > 0 ? sum / count : 0;
+    }
+
+    function interpolate(values, pos) {
+        const i = Math.floor(pos);
+        const frac = pos - i;
+        if (i + 1 >= values.length) return values[i] || 0;
+        return values[i] * (1 - frac) + values[i + 1] * frac;
+    }
+
+    // ==========================================================================
+    // ENERGY & SPECTRUM
+    // ==========================================================================
+
+    /**
+     * Calculate overall energy (RMS)
+     * @param {Float32Array} samples
+     * @returns {number} Energy normalized to 0-1
+     */
+    function calculateEnergy(samples) {
+        // Normalize (typical RMS for music is 0.1-0.3)
+        return Math.min(1, rms(samples) * 4);
+    }
+
+    /**
+     * Analyze frequency spectrum for mood hints
+     * @param {Float32Array} samples
+     * @param {number} sampleRate
+     * @returns {Object} { centroid (Hz), bassRatio (0-1, energy below 200 Hz) }
+     */
+    function analyzeSpectrum(samples, sampleRate) {
+        if (samples.length < SPECTRUM_CHUNK) {
+            return { centroid: 0, bassRatio: 0 };
+        }
+
+        // Take a sample from the middle of the track
+        const startIdx = Math.floor((samples.length - SPECTRUM_CHUNK) / 2);
+        const chunk = samples.subarray(startIdx, startIdx + SPECTRUM_CHUNK);
+
+        const spectrum = magnitudeSpectrum(applyWindow(chunk));
+        const binWidth = sampleRate / SPECTRUM_CHUNK;
+
+        // Spectral centroid (brightness) and bass ratio (low freq energy / total)
+        let weightedSum = 0, magnitudeSum = 0, bassSum = 0;
+        for (let i = 0; i < spectrum.length; i++) {
+            const freq = i * binWidth;
+            weightedSum += freq * spectrum[i];
+            magnitudeSum += spectrum[i];
+            if (freq < BASS_CUTOFF) bassSum += spectrum[i];
+        }
+
+        return {
+            centroid: magnitudeSum > 0 ? weightedSum / magnitudeSum : 0,
+            bassRatio: magnitudeSum > 0 ? bassSum / magnitudeSum : 0
+        };
+    }
+
+    // ==========================================================================
+    // LOUDNESS
+    // ==========================================================================
+
+    /**
+     * Integrated loudness per ITU-R BS.1770
+     * Each channel is K-weighted and its power summed into 100ms steps; four
+     * steps make one 400ms gating block. Channels are weighted equally (the
+     * surround weights don't apply to stereo).
+     * @param {Float32Array[]} channels - One array per channel
+     * @param {number} sampleRate
+     * @param {Function} onFrame - Called with progress 0-1
+     * @returns {Object} { integrated (LUFS, null if silent or too short), samplePeak (dBFS) }
+     */
+    function measureLoudness(channels, sampleRate, onFrame) {
+        const { blockSize, blockSteps, absoluteGate, relativeGate, offset } = LOUDNESS_CONFIG;
+        const stepLength = Math.round(sampleRate * blockSize / blockSteps);
+        const numSteps = Math.floor(channels[0].length / stepLength);
+        const stepPower = new Float64Array(numSteps);
+        let peak = 0;
+
+        channels.forEach((samples, ch) => {
+            const filters = [createShelfFilter(sampleRate), createHighpassFilter(sampleRate)];
+
+            for (let step = 0; step < numSteps; step++) {
+                let sum = 0;
+                for (let i = step * stepLength, end = i + stepLength; i < end; i++) {
+                    const sample = samples[i];
+                    const abs = Math.abs(sample);
+                    if (abs > peak) peak = abs;
+
+                    const weighted = filters[1].process(filters[0].process(sample));
+                    sum += weighted * weighted;
+                }
+                stepPower[step] += sum / stepLength;
+
+                if (step % 100 === 0) onFrame?.((ch + step / numSteps) / channels.length);
+            }
+        });
+
+        const samplePeak = peak > 0 ? 20 * Math.log10(peak) : -Infinity;
+
+        // Mean power of each 400ms block
+        const blocks = [];
+        for (let step = blockSteps - 1; step < numSteps; step++) {
+            let power = 0;
+            for (let j = 0; j < blockSteps; j++) power += stepPower[step - j];
+            blocks.push(power / blockSteps);
+        }
+
+        const toLufs = (power) => offset + 10 * Math.log10(power);
+        const meanPower = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+        const audible = blocks.filter(power => power > 0 && toLufs(power) > absoluteGate);
+        if (audible.length === 0) return { integrated: null, samplePeak };
+
+        const threshold = toLufs(meanPower(audible)) + relativeGate;
+        const gated = audible.filter(power => toLufs(power) > threshold);
+
+        return { integrated: toLufs(meanPower(gated)), samplePeak };
+    }
+
+    /**
+     * K-weighting stage 1: high shelf, +4 dB above ~1.7 kHz
+     */
+    function createShelfFilter(sampleRate) {
+        const { frequency, gain, q } = LOUDNESS_CONFIG.shelf;
+        const K = Math.tan(Math.PI * frequency / sampleRate);
+        const Vh = Math.pow(10, gain / 20);
+        const Vb = Math.pow(Vh, 0.4996667741545416);
+
+        return createBiquad(
+            Vh + Vb * K / q + K * K,
+            2 * (K * K - Vh),
+            Vh - Vb * K / q + K * K,
+            1 + K / q + K * K,
+            2 * (K * K - 1),
+            1 - K / q + K * K
+        );
+    }
+
+    /**
+     * K-weighting stage 2: RLB high pass at ~38 Hz
+     * (numerator left unnormalized, as in the standard)
+     */
+    function createHighpassFilter(sampleRate) {
+        const { frequency, q } = LOUDNESS_CONFIG.highpass;
+        const K = Math.tan(Math.PI * frequency / sampleRate);
+        const a0 = 1 + K / q + K * K;
+
+        return createBiquad(a0, -2 * a0, a0, a0, 2 * (K * K - 1), 1 - K / q + K * K);
+    }
+
+    /**
+     * Direct form I biquad, normalized by a0
+     */
+    function createBiquad(b0, b1, b2, a0, a1, a2) {
+        b0 /= a0; b1 /= a0; b2 /= a0; a1 /= a0; a2 /= a0;
+        let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+
+        return {
+            process(x) {
+                const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+                x2 = x1; x1 = x;
+                y2 = y1; y1 = y;
+                return y;
+            }
+        };
+    }
+
+    // ==========================================================================
+    // KEY DETECTION
+    // ==========================================================================
+
+    /**
+     * Detect the musical key of a track
+     * @param {Float32Array} samples - Mono audio samples
+     * @param {number} sampleRate - Sample rate
+     * @param {Function} onFrame - Optional, called with fraction of frames processed
+     * @returns {Object} { key: 0-11 (C=0) or null, mode: 1 major / 0 minor or null, confidence: 0-1 }
+     */
+    function detectKey(samples, sampleRate, onFrame) {
+        const chroma = computeChromagram(samples, sampleRate, onFrame);
+        if (!chroma) {
+            return { key: null, mode: null, confidence: 0 };
+        }
+
+        // Score all 24 keys
+        const scores = [];
+        for (let tonic = 0; tonic < 12; tonic++) {
+            scores.push({ key: tonic, mode: 1, corr: correlateProfile(chroma, MAJOR_PROFILE, tonic) });
+            scores.push({ key: tonic, mode: 0, corr: correlateProfile(chroma, MINOR_PROFILE, tonic) });
+        }
+        scores.sort((a, b) => b.corr - a.corr);
+
+        const best = scores[0];
+
+        // The relative major/minor shares the same notes, so it is always a close
+        // second. Measure confidence against the best key that is NOT the relative.
+        const relativeKey = best.mode === 1 ? (best.key + 9) % 12 : (best.key + 3) % 12;
+        const rival = scores.find(s => s !== best && !(s.key === relativeKey && s.mode !== best.mode));
+
+        const margin = best.corr - (rival ? rival.corr : 0);
+        const confidence = Math.min(1, Math.max(0, best.corr) * Math.min(1, margin / 0.15));
+
+        return {
+            key: best.key,
+            mode: best.mode,
+            confidence: Math.round(confidence * 100) / 100
+        };
+    }
+
+    /**
+     * Build a 12-bin chromagram from frames spread across the track
+     * @param {Float32Array} samples
+     * @param {number} sampleRate
+     * @param {Function} onFrame - Optional progress callback
+     * @returns {Float32Array|null} Normalized pitch class energy, or null if the track is silent
+     */
+    function computeChromagram(samples, sampleRate, onFrame) {
+        const { frameSize, maxFrames, edgeSkip, minMidi, maxMidi, silenceRms } = KEY_CONFIG;
+
+        const start = Math.floor(samples.length * edgeSkip);
+        const end = Math.floor(samples.length * (1 - edgeSkip)) - frameSize;
+        if (end <= start) return null;
+
+        const numFrames = Math.min(maxFrames, Math.floor((end - start) / frameSize));
+        const step = (end - start) / Math.max(1, numFrames - 1);
+
+        // Precompute Goertzel coefficients for each semitone
+        const notes = [];
+        for (let midi = minMidi; midi <= maxMidi; midi++) {
+            const freq = 440 * Math.pow(2, (midi - 69) / 12);
+            if (freq >= sampleRate / 2) break;
+            notes.push({
+                pitchClass: midi % 12,
+                coeff: 2 * Math.cos(2 * Math.PI * freq / sampleRate)
+            });
+        }
+
+        const chroma = new Float32Array(12);
+        let usedFrames = 0;
+
+        for (let f = 0; f < numFrames; f++) {
+            if (onFrame) onFrame(f / numFrames);
+
+            const offset = Math.floor(start + f * step);
+            const frame = samples.subarray(offset, offset + frameSize);
+
+            if (rms(frame) < silenceRms) continue;
+
+            const windowed = applyWindow(frame);
+            const frameChroma = new Float32Array(12);
+
+            for (const note of notes) {
+                frameChroma[note.pitchClass] += goertzelPower(windowed, note.coeff);
+            }
+
+            // Normalize per frame so loud sections don't dominate
+            const frameMax = Math.max(...frameChroma);
+            if (frameMax > 0) {
+                for (let i = 0; i < 12; i++) {
+                    chroma[i] += frameChroma[i] / frameMax;
+                }
+                usedFrames++;
+            }
+        }
+
+        if (usedFrames === 0) return null;
+
+        const chromaMax = Math.max(...chroma);
+        for (let i = 0; i < 12; i++) {
+            chroma[i] /= chromaMax;
+        }
+        return chroma;
+    }
+
+    /**
+     * Power of a single frequency using the Goertzel algorithm
+     * @param {Float32Array} samples
+     * @param {number} coeff - 2 * cos(2π * freq / sampleRate)
+     * @returns {number}
+     */
+    function goertzelPower(samples, coeff) {
+        let s1 = 0, s2 = 0;
+        for (let n = 0; n < samples.length; n++) {
+            const s0 = samples[n] + coeff * s1 - s2;
+            s2 = s1;
+            s1 = s0;
+        }
+        return s1 * s1 + s2 * s2 - coeff * s1 * s2;
+    }
+
+    /**
+     * Pearson correlation between a chromagram and a key profile
+     * @param {Float32Array} chroma - 12 pitch class values (C first)
+     * @param {Array<number>} profile - Key profile (tonic first)
+     * @param {number} tonic - Pitch class to rotate the profile to
+     * @returns {number} Correlation (-1 to 1)
+     */
+    function correlateProfile(chroma, profile, tonic) {
+        const meanChroma = chroma.reduce((s, v) => s + v, 0) / 12;
+        const meanProfile = profile.reduce((s, v) => s + v, 0) / 12;
+
+        let num = 0, denChroma = 0, denProfile = 0;
+        for (let pc = 0; pc < 12; pc++) {
+            const c = chroma[pc] - meanChroma;
+            const p = profile[(pc - tonic + 12) % 12] - meanProfile;
+            num += c * p;
+            denChroma += c * c;
+            denProfile += p * p;
+        }
+
+        const den = Math.sqrt(denChroma * denProfile);
+        return den > 0 ? num / den : 0;
+    }
+
+    // ==========================================================================
+    // UTILITY
+    // ==========================================================================
+
+    /**
+     * Average channels into one mono signal
+     * @param {Float32Array[]} channels
+     * @returns {Float32Array}
+     */
+    function mixToMono(channels) {
+        if (channels.length === 1) return channels[0];
+
+        const mono = new Float32Array(channels[0].length);
+        for (const data of channels) {
+            for (let i = 0; i < mono.length; i++) {
+                mono[i] += data[i] / channels.length;
+            }
+        }
+        return mono;
+    }
+
+    function rms(samples) {
+        if (samples.length === 0) return 0;
+
+        let sum = 0;
+        for (let i = 0; i < samples.length; i++) {
+            sum += samples[i] * samples[i];
+        }
+        return Math.sqrt(sum / samples.length);
+    }
+
+    // ==========================================================================
+    // PUBLIC API
+    // ==========================================================================
+
+    return {
+        // Full analysis
+        analyze,
+
+        // Individual features
+        detectBPM,
+        detectBeatGrid,
+        detectKey,
+        calculateEnergy,
+        analyzeSpectrum,
+        measureLoudness,
+
+        // Primitives
+        fft,
+        magnitudeSpectrum,
+        applyWindow,
+        mixToMono,
+
+        AnalysisCancelledError
+    };
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AudioDSP;
+}
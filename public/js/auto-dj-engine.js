@@ -12,10 +12,34 @@
  *
  * Where each component is normalized to [0, 1] range.
  *
+ * ENERGY ARC:
+ * With an energy arc set, the progression bonus scores a candidate against
+ * where the set should be right now (the arc's target energy and BPM at the
+ * current set time). Without one it falls back to the energy direction
+ * (building up or winding down by ENERGY_PROGRESSION_TARGET per track).
+ *
+ * CONSTRAINTS:
+ * Rules on top of the score, each of which can be switched on or off
+ * (only the blocklist is on by default):
+ * - artistSpacing / albumSpacing: same artist (album) within the last N
+ *   tracks of the set - the candidate's total is multiplied by SPACING_PENALTY
+ * - explicit: tracks Spotify flags as explicit are excluded
+ * - duration: tracks shorter or longer than the limits are excluded
+ * - blocklist: blocklisted tracks and artists are excluded
+ * rankCandidates() marks excluded candidates rather than dropping them, so
+ * the UI can say why; generateExplanation() names every rule broken.
+ *
+ * LEARNED WEIGHTS:
+ * WeightLearner adjusts the weights from the DJ's picks, skips and
+ * play-throughs (online logistic regression) and hands them to setWeights().
+ *
+ * PROFILES:
+ * AutoDJProfiles bundles weights, the BPM ranges (setThresholds) and an
+ * energy arc into named styles the DJ can switch between.
+ *
  * TODO (Future ML Extensions):
  * - Train a neural network on successful DJ sets to learn optimal weights
  * - Use collaborative filtering to personalize weights per user preference
- * - Implement reinforcement learning based on skip/like feedback
  * - Add audio fingerprinting for transition point detection
  * - Cluster tracks using embeddings for style-aware selection
  */
@@ -45,19 +69,40 @@ const AutoDJEngine = (function() {
         progression: 0.10   // Energy progression bonus
     };
 
-    // Thresholds for scoring
-    const THRESHOLDS = {
+    /**
+     * Default Auto-DJ rules (see CONSTRAINTS above)
+     * Blocklist entries are { id, name } so the UI can list them.
+     */
+    const DEFAULT_CONSTRAINTS = {
+        artistSpacing: { enabled: false, tracks: 3 },
+        albumSpacing: { enabled: false, tracks: 6 },
+        explicit: { enabled: false },
+        duration: { enabled: false, minSeconds: 120, maxSeconds: 600 },
+        blocklist: { enabled: true, tracks: [], artists: [] }
+    };
+
+    const SPACING_PENALTY = 0.5;   // Total multiplied by this per spacing rule broken
+    const CONSTRAINTS_STORAGE_KEY = 'dj_autodj_constraints';
+
+    // Thresholds for scoring (profiles change the BPM ranges, see setThresholds)
+    const DEFAULT_THRESHOLDS = {
         BPM_PERFECT_RANGE: 2,      // BPM within this range = perfect score
         BPM_ACCEPTABLE_RANGE: 8,   // BPM within this range = acceptable
         BPM_MAX_RANGE: 20,         // Beyond this = heavy penalty
-        ENERGY_PROGRESSION_TARGET: 0.05  // Ideal energy increase per track
+        ENERGY_PROGRESSION_TARGET: 0.05, // Ideal energy increase per track (no arc)
+        ARC_ENERGY_TOLERANCE: 0.5, // Energy this far from the arc target scores 0
+        ARC_ENERGY_SHARE: 0.7      // Rest of the arc score is the BPM target
     };
 
+    const THRESHOLDS = { ...DEFAULT_THRESHOLDS };
+
     // Current configuration state
     let config = {
         weights: { ...DEFAULT_WEIGHTS },
         setHistory: [],      // Tracks played in current set
-        energyDirection: 1   // 1 = building up, -1 = winding down
+        energyDirection: 1,  // 1 = building up, -1 = winding down (without an arc)
+        energyArc: null,     // { name, label, points: [{ minute, energy, bpm }], repeat }
+        constraints: loadConstraints()
     };
 
     // ==========================================================================
@@ -307,19 +352,28 @@ const AutoDJEngine = (function() {
      * Calculate energy progression bonus
      *
      * CONCEPT:
-     * Good DJ sets typically build energy over time. This bonus rewards
-     * tracks that follow the desired energy trajectory.
+     * Good DJ sets follow a shape over time. This bonus rewards tracks that
+     * take the set where it should be going.
      *
      * FORMULA:
-     * - If energyDirection = 1 (building): prefer slightly higher energy
+     * - With an energy arc: how close the candidate is to the arc's target
+     *   at the current set time (see scoreArcFit)
+     * - Otherwise, if energyDirection = 1 (building): prefer slightly higher energy
      * - If energyDirection = -1 (winding down): prefer slightly lower energy
      * - Ideal step is ENERGY_PROGRESSION_TARGET (default 0.05)
      *
      * @param {number} currentEnergy - Current track energy
      * @param {number} candidateEnergy - Candidate track energy
+     * @param {Object} options
+     * @param {number} options.candidateBPM - Candidate track BPM (for the arc's BPM target)
+     * @param {number} options.minutes - Set time to score at (default: now)
      * @returns {number} Bonus score 0-1
      */
-    function scoreProgression(currentEnergy, candidateEnergy) {
+    function scoreProgression(currentEnergy, candidateEnergy, { candidateBPM = null, minutes } = {}) {
+        if (config.energyArc) {
+            return scoreArcFit({ energy: candidateEnergy, tempo: candidateBPM }, minutes);
+        }
+
         if (currentEnergy === null || candidateEnergy === null ||
             currentEnergy === undefined || candidateEnergy === undefined) {
             return 0.5;
@@ -364,9 +418,11 @@ const AutoDJEngine = (function() {
      *
      * @param {Object} currentTrack - Current track with audio features
      * @param {Object} candidateTrack - Candidate track with audio features
+     * @param {Object} options
+     * @param {number} options.minutes - Set time the candidate would play at (default: now)
      * @returns {Object} Score breakdown and total
      */
-    function calculateScore(currentTrack, candidateTrack) {
+    function calculateScore(currentTrack, candidateTrack, { minutes = getSetMinutes() } = {}) {
         const curr = currentTrack.audioFeatures || currentTrack;
         const cand = candidateTrack.audioFeatures || candidateTrack;
 
@@ -376,7 +432,7 @@ const AutoDJEngine = (function() {
             energy: scoreEnergy(curr.energy, cand.energy),
             danceability: scoreDanceability(curr.danceability, cand.danceability),
             key: scoreKey(curr.key, curr.mode, cand.key, cand.mode),
-            progression: scoreProgression(curr.energy, cand.energy)
+            progression: scoreProgression(curr.energy, cand.energy, { candidateBPM: cand.tempo, minutes })
         };
 
         // Calculate weighted total
@@ -393,30 +449,41 @@ const AutoDJEngine = (function() {
             weights: { ...config.weights },
             total: normalizedTotal,
             camelotCurrent: toCamelot(curr.key, curr.mode),
-            camelotCandidate: toCamelot(cand.key, cand.mode)
+            camelotCandidate: toCamelot(cand.key, cand.mode),
+            arcTarget: getArcTarget(minutes)
         };
     }
 
     /**
      * Rank candidate tracks by similarity to current track
      *
+     * Constraints are checked against the set so far (and the current track):
+     * spacing violations lower the total, other violations mark the
+     * candidate `excluded` and sort it after all the others.
+     *
      * @param {Object} currentTrack - Current track with audio features
      * @param {Array} candidates - Array of candidate tracks with audio features
-     * @returns {Array} Sorted candidates with scores and explanations
+     * @returns {Array} Sorted candidates with scores, violations and explanations
      */
     function rankCandidates(currentTrack, candidates) {
+        const recentTracks = getRecentTracks(currentTrack);
+
         const ranked = candidates.map(candidate => {
             const scoreResult = calculateScore(currentTrack, candidate);
+            const { violations, excluded, penalty } = scoreConstraints(candidate, recentTracks);
 
             return {
                 track: candidate,
                 ...scoreResult,
-                explanation: generateExplanation(currentTrack, candidate, scoreResult)
+                total: scoreResult.total * penalty,
+                violations,
+                excluded,
+                explanation: generateExplanation(currentTrack, candidate, scoreResult, violations)
             };
         });
 
-        // Sort by total score descending
-        ranked.sort((a, b) => b.total - a.total);
+        // Allowed tracks first, then by total score descending
+        ranked.sort((a, b) => (a.excluded - b.excluded) || (b.total - a.total));
 
         return ranked;
     }
@@ -427,15 +494,26 @@ const AutoDJEngine = (function() {
      * @param {Object} currentTrack - Current track
      * @param {Object} candidateTrack - Candidate track
      * @param {Object} scoreResult - Score breakdown
+     * @param {Array} violations - Constraints the candidate breaks (see checkConstraints)
      * @returns {string} Explanation text
      */
-    function generateExplanation(currentTrack, candidateTrack, scoreResult) {
+    function generateExplanation(currentTrack, candidateTrack, scoreResult, violations = []) {
         const curr = currentTrack.audioFeatures || currentTrack;
         const cand = candidateTrack.audioFeatures || candidateTrack;
-        const { scores, camelotCurrent, camelotCandidate } = scoreResult;
+        const { scores, camelotCurrent, camelotCandidate, arcTarget } = scoreResult;
 
         const reasons = [];
 
+        // Rules come first: they decide whether the track is played at all
+        const exclusions = violations.filter(v => v.exclude);
+        const penalties = violations.filter(v => !v.exclude);
+        if (exclusions.length) {
+            reasons.push(`Excluded: ${exclusions.map(v => v.reason).join('; ')}`);
+        }
+        if (penalties.length) {
+            reasons.push(`Score lowered: ${penalties.map(v => v.reason).join('; ')}`);
+        }
+
         // BPM analysis
         const bpmDiff = Math.abs((curr.tempo || 0) - (cand.tempo || 0));
         if (scores.bpm >= 0.95) {
@@ -461,7 +539,17 @@ const AutoDJEngine = (function() {
 
         // Energy analysis
         const energyChange = (cand.energy || 0) - (curr.energy || 0);
-        if (config.energyDirection > 0) {
+        if (arcTarget) {
+            const gap = (cand.energy || 0) - arcTarget.energy;
+            const target = `${config.energyArc.label} target ${Math.round(arcTarget.energy * 100)}%`;
+            if (Math.abs(gap) <= 0.1) {
+                reasons.push(`Energy fits the arc (${Math.round((cand.energy || 0) * 100)}%, ${target})`);
+            } else if (gap < 0) {
+                reasons.push(`Energy is below where the set should be (${target})`);
+            } else {
+                reasons.push(`Energy is ahead of where the set should be (${target})`);
+            }
+        } else if (config.energyDirection > 0) {
             if (energyChange > 0.05) {
                 reasons.push(`Builds energy nicely (+${(energyChange * 100).toFixed(0)}%)`);
             } else if (energyChange > -0.05) {
@@ -480,6 +568,97 @@ const AutoDJEngine = (function() {
         return reasons.join('. ') + '.';
     }
 
+    // ==========================================================================
+    // ENERGY ARC
+    // ==========================================================================
+
+    /**
+     * Where the set should be at a point in time
+     * Between points the target is interpolated; after the last point it
+     * holds (or, for a repeating arc, starts over).
+     * @param {number} minutes - Time since the set started (default: now)
+     * @returns {{energy: number, bpm: number|null}|null} null without an arc
+     */
+    function getArcTarget(minutes = getSetMinutes()) {
+        const arc = config.energyArc;
+        if (!arc || !arc.points.length) return null;
+
+        const points = arc.points;
+        let t = Math.max(0, minutes);
+        if (arc.repeat) t %= arc.repeat;
+
+        if (t <= points[0].minute) return { energy: points[0].energy, bpm: points[0].bpm ?? null };
+
+        for (let i = 1; i < points.length; i++) {
+            const prev = points[i - 1];
+            const next = points[i];
+            if (t <= next.minute) {
+                const span = next.minute - prev.minute;
+                const f = span > 0 ? (t - prev.minute) / span : 1;
+                const bpm = prev.bpm && next.bpm ? prev.bpm + (next.bpm - prev.bpm) * f : null;
+                return { energy: prev.energy + (next.energy - prev.energy) * f, bpm };
+            }
+        }
+
+        const last = points[points.length - 1];
+        return { energy: last.energy, bpm: last.bpm ?? null };
+    }
+
+    /**
+     * How well a track matches the arc's target at a point in time
+     *
+     * FORMULA:
+     * energyFit = 1 - |energy - target energy| / ARC_ENERGY_TOLERANCE (floored at 0)
+     * bpmFit    = scoreBPM(target BPM, BPM)
+     * score     = ARC_ENERGY_SHARE * energyFit + (1 - ARC_ENERGY_SHARE) * bpmFit
+     * Arcs without a BPM target (e.g. a drawn curve) score energy only.
+     *
+     * @param {Object} features - { energy, tempo }
+     * @param {number} minutes - Set time (default: now)
+     * @returns {number} Score 0-1 (0.5 without an arc)
+     */
+    function scoreArcFit(features, minutes = getSetMinutes()) {
+        const target = getArcTarget(minutes);
+        if (!target) return 0.5;
+
+        const { energy, tempo } = features.audioFeatures || features;
+        const energyFit = energy === null || energy === undefined
+            ? 0.5
+            : Math.max(0, 1 - Math.abs(energy - target.energy) / THRESHOLDS.ARC_ENERGY_TOLERANCE);
+
+        if (!target.bpm) return energyFit;
+        return THRESHOLDS.ARC_ENERGY_SHARE * energyFit +
+            (1 - THRESHOLDS.ARC_ENERGY_SHARE) * scoreBPM(target.bpm, tempo);
+    }
+
+    /**
+     * Shape the set should follow
+     * @param {Object|null} arc - { name, label, points: [{ minute, energy, bpm }], repeat },
+     *   or null to fall back to the energy direction
+     */
+    function setEnergyArc(arc) {
+        config.energyArc = arc && arc.points?.length
+            ? {
+                ...arc,
+                points: [...arc.points].sort((a, b) => a.minute - b.minute),
+                repeat: arc.repeat || null
+            }
+            : null;
+    }
+
+    function getEnergyArc() {
+        return config.energyArc ? { ...config.energyArc, points: [...config.energyArc.points] } : null;
+    }
+
+    /**
+     * Minutes since the first track of the set
+     * @returns {number} 0 before the set starts
+     */
+    function getSetMinutes() {
+        if (!config.setHistory.length) return 0;
+        return (Date.now() - config.setHistory[0].timestamp) / 60000;
+    }
+
     // ==========================================================================
     // SET MANAGEMENT
     // ==========================================================================
@@ -511,7 +690,7 @@ const AutoDJEngine = (function() {
     }
 
     /**
-     * Set energy direction for progression scoring
+     * Set energy direction for progression scoring (used when no energy arc is set)
      * @param {number} direction - 1 for building up, -1 for winding down
      */
     function setEnergyDirection(direction) {
@@ -554,6 +733,262 @@ const AutoDJEngine = (function() {
         config.weights = { ...DEFAULT_WEIGHTS };
     }
 
+    /**
+     * Get the default weights
+     * @returns {Object} Default weights
+     */
+    function getDefaultWeights() {
+        return { ...DEFAULT_WEIGHTS };
+    }
+
+    /**
+     * Update scoring thresholds
+     * @param {Object} newThresholds - Partial thresholds (keys of DEFAULT_THRESHOLDS)
+     */
+    function setThresholds(newThresholds) {
+        const merged = { ...THRESHOLDS };
+        Object.entries(newThresholds).forEach(([key, value]) => {
+            if (!(key in DEFAULT_THRESHOLDS)) throw new Error(`Unknown threshold: ${key}`);
+            if (typeof value !== 'number' || !(value >= 0)) throw new Error(`Invalid value for ${key}: ${value}`);
+            merged[key] = value;
+        });
+
+        // The BPM score interpolates between the ranges, so they must grow
+        if (!(merged.BPM_PERFECT_RANGE < merged.BPM_ACCEPTABLE_RANGE &&
+              merged.BPM_ACCEPTABLE_RANGE < merged.BPM_MAX_RANGE)) {
+            throw new Error('BPM ranges must increase: perfect < acceptable < max');
+        }
+
+        Object.assign(THRESHOLDS, merged);
+    }
+
+    /**
+     * Get current thresholds
+     * @returns {Object} Current thresholds
+     */
+    function getThresholds() {
+        return { ...THRESHOLDS };
+    }
+
+    /**
+     * Get the default thresholds
+     * @returns {Object} Default thresholds
+     */
+    function getDefaultThresholds() {
+        return { ...DEFAULT_THRESHOLDS };
+    }
+
+    // ==========================================================================
+    // CONSTRAINTS
+    // ==========================================================================
+
+    /**
+     * Check a track against the Auto-DJ rules
+     * Rules that need data the track doesn't have (no explicit flag, no
+     * duration, no album) don't apply to it.
+     * @param {Object} track - Candidate track
+     * @param {Array} recentTracks - Tracks of the set so far, oldest first
+     *   (default: set history)
+     * @returns {Array} Violations: [{ rule, exclude, reason }]
+     */
+    function checkConstraints(track, recentTracks = getRecentTracks()) {
+        const { artistSpacing, albumSpacing, explicit, duration, blocklist } = config.constraints;
+        const violations = [];
+        const artists = track.artists || [];
+
+        if (blocklist.enabled) {
+            if (blocklist.tracks.some(item => item.id === track.id)) {
+                violations.push({ rule: 'blocklist', exclude: true, reason: 'track is blocklisted' });
+            }
+            const blockedArtist = artists.find(a => blocklist.artists.some(item => item.id === getArtistId(a)));
+            if (blockedArtist) {
+                violations.push({ rule: 'blocklist', exclude: true, reason: `${blockedArtist.name} is blocklisted` });
+            }
+        }
+
+        if (explicit.enabled && track.explicit) {
+            violations.push({ rule: 'explicit', exclude: true, reason: 'explicit lyrics' });
+        }
+
+        if (duration.enabled && track.duration_ms) {
+            const seconds = track.duration_ms / 1000;
+            if (seconds < duration.minSeconds) {
+                violations.push({
+                    rule: 'duration',
+                    exclude: true,
+                    reason: `too short (${formatDuration(seconds)}, minimum ${formatDuration(duration.minSeconds)})`
+                });
+            } else if (seconds > duration.maxSeconds) {
+                violations.push({
+                    rule: 'duration',
+                    exclude: true,
+                    reason: `too long (${formatDuration(seconds)}, maximum ${formatDuration(duration.maxSeconds)})`
+                });
+            }
+        }
+
+        if (artistSpacing.enabled) {
+            const artistIds = new Set(artists.map(getArtistId));
+            const ago = tracksSince(recentTracks, artistSpacing.tracks,
+                recent => (recent.artists || []).some(a => artistIds.has(getArtistId(a))));
+            if (ago) {
+                const shared = (recentTracks[recentTracks.length - ago].artists || [])
+                    .find(a => artistIds.has(getArtistId(a)));
+                violations.push({
+                    rule: 'artistSpacing',
+                    exclude: false,
+                    reason: `${shared.name} played ${formatTracksAgo(ago)} (spacing ${artistSpacing.tracks})`
+                });
+            }
+        }
+
+        if (albumSpacing.enabled && track.album?.id) {
+            const ago = tracksSince(recentTracks, albumSpacing.tracks,
+                recent => recent.album?.id === track.album.id);
+            if (ago) {
+                violations.push({
+                    rule: 'albumSpacing',
+                    exclude: false,
+                    reason: `album ${track.album.name} played ${formatTracksAgo(ago)} (spacing ${albumSpacing.tracks})`
+                });
+            }
+        }
+
+        return violations;
+    }
+
+    /**
+     * Violations and what they do to a track's score
+     * @returns {Object} { violations, excluded, penalty } - penalty multiplies the total
+     */
+    function scoreConstraints(track, recentTracks = getRecentTracks()) {
+        const violations = checkConstraints(track, recentTracks);
+        const spacing = violations.filter(v => !v.exclude).length;
+
+        return {
+            violations,
+            excluded: violations.some(v => v.exclude),
+            penalty: Math.pow(SPACING_PENALTY, spacing)
+        };
+    }
+
+    /**
+     * Set history, with the current track at the end if it isn't there yet
+     */
+    function getRecentTracks(currentTrack = null) {
+        const tracks = config.setHistory.map(h => h.track);
+        if (currentTrack && tracks[tracks.length - 1]?.id !== currentTrack.id) {
+            tracks.push(currentTrack);
+        }
+        return tracks;
+    }
+
+    /**
+     * How many tracks back (1 = the last one) the newest match is, looking
+     * no further than `limit` tracks; 0 if none
+     */
+    function tracksSince(recentTracks, limit, matches) {
+        for (let ago = 1; ago <= Math.min(limit, recentTracks.length); ago++) {
+            if (matches(recentTracks[recentTracks.length - ago])) return ago;
+        }
+        return 0;
+    }
+
+    function getArtistId(artist) {
+        return artist.id || artist.name;
+    }
+
+    function formatTracksAgo(ago) {
+        return ago === 1 ? 'last track' : `${ago} tracks ago`;
+    }
+
+    function formatDuration(seconds) {
+        const rounded = Math.round(seconds);
+        return `${Math.floor(rounded / 60)}:${String(rounded % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Update the rules
+     * @param {Object} changes - Per rule, the settings to change, e.g.
+     *   { explicit: { enabled: true }, artistSpacing: { tracks: 4 } }
+     */
+    function setConstraints(changes) {
+        Object.entries(changes).forEach(([rule, settings]) => {
+            if (!config.constraints[rule]) throw new Error(`Unknown Auto-DJ rule: ${rule}`);
+            config.constraints[rule] = { ...config.constraints[rule], ...settings };
+        });
+        saveConstraints();
+    }
+
+    /**
+     * @returns {Object} Copy of the rules (see DEFAULT_CONSTRAINTS)
+     */
+    function getConstraints() {
+        return cloneConstraints(config.constraints);
+    }
+
+    function resetConstraints() {
+        config.constraints = cloneConstraints(DEFAULT_CONSTRAINTS);
+        saveConstraints();
+    }
+
+    /**
+     * Blocklist a track or artist
+     * @param {string} type - 'tracks' or 'artists'
+     * @param {Object} item - Track or artist ({ id, name })
+     */
+    function addToBlocklist(type, item) {
+        const list = config.constraints.blocklist[type];
+        if (!list) throw new Error(`Unknown blocklist: ${type}`);
+
+        const id = type === 'artists' ? getArtistId(item) : item.id;
+        if (list.some(entry => entry.id === id)) return;
+        list.push({ id, name: item.name });
+        saveConstraints();
+    }
+
+    function removeFromBlocklist(type, id) {
+        const blocklist = config.constraints.blocklist;
+        if (!blocklist[type]) throw new Error(`Unknown blocklist: ${type}`);
+        blocklist[type] = blocklist[type].filter(entry => entry.id !== id);
+        saveConstraints();
+    }
+
+    function cloneConstraints(constraints) {
+        const copy = {};
+        Object.entries(constraints).forEach(([rule, settings]) => {
+            copy[rule] = { ...settings };
+        });
+        copy.blocklist.tracks = constraints.blocklist.tracks.map(item => ({ ...item }));
+        copy.blocklist.artists = constraints.blocklist.artists.map(item => ({ ...item }));
+        return copy;
+    }
+
+    function loadConstraints() {
+        const constraints = cloneConstraints(DEFAULT_CONSTRAINTS);
+
+        try {
+            const data = JSON.parse(localStorage.getItem(CONSTRAINTS_STORAGE_KEY) || '{}');
+            Object.keys(constraints).forEach(rule => {
+                if (data[rule]) Object.assign(constraints[rule], data[rule]);
+            });
+            ['tracks', 'artists'].forEach(type => {
+                if (!Array.isArray(constraints.blocklist[type])) constraints.blocklist[type] = [];
+            });
+        } catch (e) {
+            console.error('[AutoDJEngine] Failed to load constraints:', e);
+        }
+        return constraints;
+    }
+
+    function saveConstraints() {
+        try {
+            localStorage.setItem(CONSTRAINTS_STORAGE_KEY, JSON.stringify(config.constraints));
+        } catch (e) {
+            console.error('[AutoDJEngine] Failed to save constraints:', e);
+        }
+    }
+
     // ==========================================================================
     // UTILITY FUNCTIONS
     // ==========================================================================
@@ -595,11 +1030,31 @@ const AutoDJEngine = (function() {
         getSetHistory,
         clearSetHistory,
         setEnergyDirection,
+        getSetMinutes,
+
+        // Energy arc
+        setEnergyArc,
+        getEnergyArc,
+        getArcTarget,
+        scoreArcFit,
 
         // Configuration
         setWeights,
         getWeights,
         resetWeights,
+        getDefaultWeights,
+        setThresholds,
+        getThresholds,
+        getDefaultThresholds,
+
+        // Constraints
+        checkConstraints,
+        scoreConstraints,
+        setConstraints,
+        getConstraints,
+        resetConstraints,
+        addToBlocklist,
+        removeFromBlocklist,
 
         // Utilities
         toCamelot,
@@ -0,0 +1,375 @@
+/**
+ * Auto-DJ Profiles - Style Presets for the Scoring Engine
+ *
+ * OVERVIEW:
+ * A profile sets the parts of Auto-DJ that define a mixing style in one go:
+ * - weights:    AutoDJEngine scoring weights (see DEFAULT_WEIGHTS)
+ * - thresholds: BPM ranges for the BPM score (THRESHOLDS.BPM_*)
+ * - energyArc:  EnergyArcs template name, or null for no arc
+ *
+ * BUILT-IN PROFILES:
+ * - default:         the engine's defaults, no arc (energy direction)
+ * - harmonicPurist:  key first, tight tempo; slow warm-up
+ * - openFormat:      genre-hopping - wide BPM ranges, energy and danceability
+ *                    over key; wave arc
+ * - technoTempoLock: tempo above all (+-1 BPM is perfect); peak-time arc
+ * - hipHopScratch:   danceability and flow over key (scratch transitions
+ *                    hide clashes), mid-width BPM ranges; no arc, since the
+ *                    templates' BPM targets are house/techno tempos
+ *
+ * Built-in profiles can't be changed; saving one makes a new profile. Own
+ * profiles can be created, renamed, deleted, exported and imported as JSON:
+ *   { type: 'dj-autodj-profile', version: 1, profile: { name, weights, thresholds, energyArc } }
+ * Import also takes { profiles: [...] }, an array, or a bare profile.
+ *
+ * DATA PERSISTENCE:
+ * Own profiles and the active profile are saved to localStorage.
+ */
+
+const AutoDJProfiles = (function() {
+    'use strict';
+
+    // ==========================================================================
+    // CONFIGURATION
+    // ==========================================================================
+
+    const STORAGE_KEY = 'dj_autodj_profiles';
+    const EXPORT_TYPE = 'dj-autodj-profile';
+    const EXPORT_VERSION = 1;
+
+    const WEIGHT_KEYS = ['bpm', 'energy', 'danceability', 'key', 'progression'];
+    const THRESHOLD_KEYS = ['BPM_PERFECT_RANGE', 'BPM_ACCEPTABLE_RANGE', 'BPM_MAX_RANGE'];
+    const MAX_NAME_LENGTH = 40;
+
+    const DEFAULT_PROFILE = 'default';
+
+    const BUILT_IN = {
+        default: {
+            name: 'Default',
+            weights: AutoDJEngine.getDefaultWeights(),
+            thresholds: pickThresholds(AutoDJEngine.getDefaultThresholds()),
+            energyArc: null
+        },
+        harmonicPurist: {
+            name: 'Harmonic purist',
+            weights: { bpm: 0.25, energy: 0.15, danceability: 0.1, key: 0.4, progression: 0.1 },
+            thresholds: { BPM_PERFECT_RANGE: 2, BPM_ACCEPTABLE_RANGE: 6, BPM_MAX_RANGE: 16 },
+            energyArc: 'warmUp'
+        },
+        openFormat: {
+            name: 'Open format',
+            weights: { bpm: 0.15, energy: 0.3, danceability: 0.25, key: 0.1, progression: 0.2 },
+            thresholds: { BPM_PERFECT_RANGE: 4, BPM_ACCEPTABLE_RANGE: 15, BPM_MAX_RANGE: 40 },
+            energyArc: 'wave'
+        },
+        technoTempoLock: {
+            name: 'Techno tempo-lock',
+            weights: { bpm: 0.45, energy: 0.2, danceability: 0.1, key: 0.1, progression: 0.15 },
+            thresholds: { BPM_PERFECT_RANGE: 1, BPM_ACCEPTABLE_RANGE: 3, BPM_MAX_RANGE: 8 },
+            energyArc: 'peakTime'
+        },
+        hipHopScratch: {
+            name: 'Hip-hop scratch',
+            weights: { bpm: 0.25, energy: 0.2, danceability: 0.3, key: 0.05, progression: 0.2 },
+            thresholds: { BPM_PERFECT_RANGE: 3, BPM_ACCEPTABLE_RANGE: 10, BPM_MAX_RANGE: 30 },
+            energyArc: null
+        }
+    };
+
+    // ==========================================================================
+    // STATE
+    // ==========================================================================
+
+    const store = loadStore(); // { active: string, custom: [{ id, name, weights, thresholds, energyArc }] }
+
+    // ==========================================================================
+    // PROFILES
+    // ==========================================================================
+
+    /**
+     * All profiles, built-in first
+     * @returns {Array} [{ id, name, builtIn, weights, thresholds, energyArc }]
+     */
+    function getProfiles() {
+        const builtIn = Object.keys(BUILT_IN).map(id => getProfile(id));
+        return builtIn.concat(store.custom.map(profile => getProfile(profile.id)));
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Object|null} Copy of the profile
+     */
+    function getProfile(id) {
+        const builtIn = BUILT_IN[id];
+        const profile = builtIn ? { id, ...builtIn } : store.custom.find(p => p.id === id);
+        if (!profile) return null;
+
+        return {
+            ...profile,
+            builtIn: !!builtIn,
+            weights: { ...profile.weights },
+            thresholds: { ...profile.thresholds }
+        };
+    }
+
+    function getActive() {
+        return getProfile(store.active) || getProfile(DEFAULT_PROFILE);
+    }
+
+    /**
+     * Make a profile the active one (the caller applies its settings)
+     * @param {string} id
+     * @returns {Object} The profile
+     */
+    function setActive(id) {
+        const profile = getProfile(id);
+        if (!profile) throw new Error(`Unknown profile: ${id}`);
+
+        store.active = id;
+        saveStore();
+        console.log(`[AutoDJProfiles] Active profile: ${profile.name}`);
+        return profile;
+    }
+
+    /**
+     * Create a profile
+     * @param {string} name
+     * @param {Object} settings - { weights, thresholds, energyArc }
+     * @returns {Object} The new profile
+     */
+    function createProfile(name, settings) {
+        const profile = {
+            id: generateId(),
+            name: validateName(name),
+            ...validateSettings(settings)
+        };
+
+        store.custom.push(profile);
+        saveStore();
+        return getProfile(profile.id);
+    }
+
+    /**
+     * Overwrite an own profile's settings
+     * @param {string} id
+     * @param {Object} settings - { weights, thresholds, energyArc }
+     */
+    function updateProfile(id, settings) {
+        const profile = getCustomProfile(id);
+        Object.assign(profile, validateSettings(settings));
+        saveStore();
+        return getProfile(id);
+    }
+
+    function renameProfile(id, name) {
+        const profile = getCustomProfile(id);
+        profile.name = validateName(name);
+        saveStore();
+        return getProfile(id);
+    }
+
+    /**
+     * Delete an own profile; if it was active, the default profile takes over
+     */
+    function deleteProfile(id) {
+        getCustomProfile(id);
+        store.custom = store.custom.filter(p => p.id !== id);
+        if (store.active === id) store.active = DEFAULT_PROFILE;
+        saveStore();
+    }
+
+    function getCustomProfile(id) {
+        if (BUILT_IN[id]) throw new Error('Built-in profiles can\'t be changed');
+        const profile = store.custom.find(p => p.id === id);
+        if (!profile) throw new Error(`Unknown profile: ${id}`);
+        return profile;
+    }
+
+    // ==========================================================================
+    // IMPORT / EXPORT
+    // ==========================================================================
+
+    /**
+     * @param {string} id
+     * @returns {string} JSON for the profile (see OVERVIEW)
+     */
+    function exportProfile(id) {
+        const profile = getProfile(id);
+        if (!profile) throw new Error(`Unknown profile: ${id}`);
+
+        const { name, weights, thresholds, energyArc } = profile;
+        return JSON.stringify({
+            type: EXPORT_TYPE,
+            version: EXPORT_VERSION,
+            profile: { name, weights, thresholds, energyArc },
+            exportedAt: new Date().toISOString()
+        }, null, 2);
+    }
+
+    /**
+     * Add the profiles in an exported file as own profiles
+     * Nothing is added unless every profile in the file is valid.
+     * @param {string} json
+     * @returns {Array} The new profiles
+     */
+    function importProfiles(json) {
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch (e) {
+            throw new Error('Not a JSON file');
+        }
+
+        const list = Array.isArray(data) ? data
+            : Array.isArray(data?.profiles) ? data.profiles
+            : data?.profile ? [data.profile]
+            : [data];
+        if (!list.length) throw new Error('No profiles in file');
+
+        const imported = list.map((item, index) => {
+            if (!item || typeof item !== 'object') throw new Error(`Profile ${index + 1} is not an object`);
+            return {
+                id: generateId(),
+                name: validateName(uniqueName(item.name)),
+                ...validateSettings(item)
+            };
+        });
+
+        store.custom.push(...imported);
+        saveStore();
+        console.log(`[AutoDJProfiles] Imported ${imported.length} profile(s)`);
+        return imported.map(profile => getProfile(profile.id));
+    }
+
+    // ==========================================================================
+    // VALIDATION
+    // ==========================================================================
+
+    function validateName(name) {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        if (!trimmed) throw new Error('Profile name is empty');
+        return trimmed.slice(0, MAX_NAME_LENGTH);
+    }
+
+    /**
+     * Imported names get a number if a profile already has them
+     */
+    function uniqueName(name) {
+        if (typeof name !== 'string') return name;
+        const taken = new Set(getProfiles().map(profile => profile.name));
+        let candidate = name.trim();
+        for (let n = 2; taken.has(candidate); n++) {
+            candidate = `${name.trim()} (${n})`;
+        }
+        return candidate;
+    }
+
+    /**
+     * @param {Object} settings - { weights, thresholds, energyArc }
+     * @returns {Object} Clean copy, weights normalized to sum to 1
+     */
+    function validateSettings({ weights, thresholds, energyArc = null } = {}) {
+        const cleanWeights = {};
+        WEIGHT_KEYS.forEach(key => {
+            const value = weights?.[key];
+            if (typeof value !== 'number' || !(value >= 0)) throw new Error(`Invalid ${key} weight`);
+            cleanWeights[key] = value;
+        });
+        const sum = WEIGHT_KEYS.reduce((total, key) => total + cleanWeights[key], 0);
+        if (!(sum > 0)) throw new Error('Weights are all zero');
+        WEIGHT_KEYS.forEach(key => { cleanWeights[key] /= sum; });
+
+        const cleanThresholds = {};
+        THRESHOLD_KEYS.forEach(key => {
+            const value = thresholds?.[key];
+            if (typeof value !== 'number' || !(value >= 0)) throw new Error(`Invalid ${key}`);
+            cleanThresholds[key] = value;
+        });
+        if (!(cleanThresholds.BPM_PERFECT_RANGE < cleanThresholds.BPM_ACCEPTABLE_RANGE &&
+              cleanThresholds.BPM_ACCEPTABLE_RANGE < cleanThresholds.BPM_MAX_RANGE)) {
+            throw new Error('BPM ranges must increase: perfect < acceptable < max');
+        }
+
+        if (energyArc !== null && !EnergyArcs.TEMPLATES[energyArc]) {
+            throw new Error(`Unknown energy arc: ${energyArc}`);
+        }
+
+        return { weights: cleanWeights, thresholds: cleanThresholds, energyArc };
+    }
+
+    function pickThresholds(thresholds) {
+        const picked = {};
+        THRESHOLD_KEYS.forEach(key => { picked[key] = thresholds[key]; });
+        return picked;
+    }
+
+    function generateId() {
+        return 'profile_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    // ==========================================================================
+    // PERSISTENCE
+    // ==========================================================================
+
+    function loadStore() {
+        const defaults = { active: DEFAULT_PROFILE, custom: [] };
+
+        try {
+            const data = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+            const custom = (Array.isArray(data.custom) ? data.custom : []).filter(profile => {
+                try {
+                    validateSettings(profile);
+                    return typeof profile.id === 'string' && typeof profile.name === 'string';
+                } catch (e) {
+                    console.warn('[AutoDJProfiles] Dropping invalid profile:', profile?.name, e.message);
+                    return false;
+                }
+            });
+            const known = (id) => BUILT_IN[id] || custom.some(profile => profile.id === id);
+
+            return {
+                active: known(data.active) ? data.active : defaults.active,
+                custom
+            };
+        } catch (e) {
+            console.error('[AutoDJProfiles] Failed to load profiles:', e);
+            return defaults;
+        }
+    }
+
+    function saveStore() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+        } catch (e) {
+            console.error('[AutoDJProfiles] Failed to save profiles:', e);
+        }
+    }
+
+    // ==========================================================================
+    // PUBLIC API
+    // ==========================================================================
+
+    return {
+        // Profiles
+        getProfiles,
+        getProfile,
+        getActive,
+        setActive,
+        createProfile,
+        updateProfile,
+        renameProfile,
+        deleteProfile,
+
+        // Import / export
+        exportProfile,
+        importProfiles,
+
+        // Constants
+        THRESHOLD_KEYS
+    };
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AutoDJProfiles;
+}
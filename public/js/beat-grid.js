@@ -0,0 +1,327 @@
+/**
+ * Beat Grid - Per-Track Beat Positions
+ *
+ * OVERVIEW:
+ * A beat grid describes where every beat of a track falls, so loops, cues
+ * and sync can snap to the music instead of to wherever the playhead is.
+ *
+ * GRID FORMAT:
+ * {
+ *   bpm: 124.38,          // Fractional tempo at original speed
+ *   firstBeat: 0.302,     // Time of the first beat in seconds (0 <= firstBeat < one beat)
+ *   downbeatOffset: 2,    // Beats from firstBeat to the first bar downbeat ("1")
+ *   beatsPerBar: 4,
+ *   edited: false         // True once the DJ has corrected the grid by hand
+ * }
+ * Beat n (n >= 0) is at firstBeat + n * 60 / bpm. All times are track time,
+ * so the grid stays valid at any pitch.
+ *
+ * EDITING:
+ * Detection can be off by a few milliseconds, a half beat, or a bar. Grids
+ * can be nudged, have their BPM adjusted, or have beat 1 set at the playhead.
+ * Edited grids are kept when the track is analyzed again.
+ *
+ * DATA PERSISTENCE:
+ * - Grids saved to localStorage per track key (see HotCues.getTrackKey)
+ */
+
+const BeatGrid = (function() {
+    'use strict';
+
+    // ==========================================================================
+    // CONFIGURATION
+    // ==========================================================================
+
+    const STORAGE_KEY = 'dj_beat_grids';
+
+    const MIN_BPM = 40;
+    const MAX_BPM = 250;
+
+    // ==========================================================================
+    // STATE
+    // ==========================================================================
+
+    let gridStore = loadStore(); // { [trackKey]: { ...grid, detected } }
+
+    // ==========================================================================
+    // GRID STORAGE
+    // ==========================================================================
+
+    /**
+     * Get the beat grid for a track
+     * @param {string} trackKey - Track key from HotCues.getTrackKey()
+     * @returns {Object|null} Grid or null if the track has no grid
+     */
+    function getGrid(trackKey) {
+        const stored = trackKey && gridStore[trackKey];
+        if (!stored) return null;
+
+        const { detected, ...grid } = stored;
+        return grid;
+    }
+
+    /**
+     * Store a grid from analysis
+     * A hand-edited grid is kept; only its "reset" target is updated.
+     * @param {string} trackKey - Track key
+     * @param {Object} detectedGrid - Grid from AudioDSP ({ bpm, firstBeat, downbeatOffset, beatsPerBar })
+     * @returns {Object|null} The grid now in effect
+     */
+    function setDetectedGrid(trackKey, detectedGrid) {
+        if (!trackKey || !detectedGrid?.bpm) return getGrid(trackKey);
+
+        const detected = normalizeGrid({ ...detectedGrid, edited: false });
+        const existing = gridStore[trackKey];
+
+        gridStore[trackKey] = existing?.edited
+            ? { ...existing, detected }
+            : { ...detected, detected };
+
+        saveStore();
+        return getGrid(trackKey);
+    }
+
+    /**
+     * Move the whole grid earlier or later
+     * @param {string} trackKey - Track key
+     * @param {number} seconds - Shift (negative = earlier)
+     * @returns {Object|null} Updated grid
+     */
+    function nudgeGrid(trackKey, seconds) {
+        const grid = getGrid(trackKey);
+        if (!grid) return null;
+
+        // Downbeats move with the beats, so keep counting from the same beat
+        const shifted = grid.firstBeat + seconds;
+        const period = getBeatPeriod(grid);
+        const wrappedBeats = Math.floor(shifted / period);
+
+        return updateGrid(trackKey, {
+            firstBeat: shifted - wrappedBeats * period,
+            downbeatOffset: grid.downbeatOffset + wrappedBeats
+        });
+    }
+
+    /**
+     * Change the grid tempo, keeping the beat nearest a reference time in place
+     * @param {string} trackKey - Track key
+     * @param {number} bpm - New BPM
+     * @param {number} anchorTime - Time (s) that should not move, usually the playhead
+     * @returns {Object|null} Updated grid
+     */
+    function setGridBpm(trackKey, bpm, anchorTime = 0) {
+        const grid = getGrid(trackKey);
+        if (!grid || !(bpm >= MIN_BPM && bpm <= MAX_BPM)) return null;
+
+        const anchorBeat = Math.max(0, Math.round(getBeatIndex(grid, anchorTime)));
+        const anchor = getBeatTime(grid, anchorBeat);
+        const period = 60 / bpm;
+
+        // Re-derive the first beat from the anchored beat with the new period
+        const firstBeat = anchor - anchorBeat * period;
+        const wrappedBeats = Math.floor(firstBeat / period);
+
+        return updateGrid(trackKey, {
+            bpm,
+            firstBeat: firstBeat - wrappedBeats * period,
+            downbeatOffset: grid.downbeatOffset + wrappedBeats
+        });
+    }
+
+    /**
+     * Make the beat at a given time the "1" of a bar
+     * The grid is shifted so a beat falls exactly on that time.
+     * @param {string} trackKey - Track key
+     * @param {number} time - Time in seconds (usually the playhead)
+     * @returns {Object|null} Updated grid
+     */
+    function setDownbeat(trackKey, time) {
+        const grid = getGrid(trackKey);
+        if (!grid) return null;
+
+        const period = getBeatPeriod(grid);
+        const beatsBefore = Math.floor(Math.max(0, time) / period);
+
+        return updateGrid(trackKey, {
+            firstBeat: Math.max(0, time) - beatsBefore * period,
+            downbeatOffset: beatsBefore
+        });
+    }
+
+    /**
+     * Throw away manual edits and go back to the detected grid
+     * @param {string} trackKey - Track key
+     * @returns {Object|null} Detected grid
+     */
+    function resetGrid(trackKey) {
+        const stored = trackKey && gridStore[trackKey];
+        if (!stored?.detected) return null;
+
+        gridStore[trackKey] = { ...stored.detected, detected: stored.detected };
+        saveStore();
+        return getGrid(trackKey);
+    }
+
+    function updateGrid(trackKey, changes) {
+        gridStore[trackKey] = {
+            ...gridStore[trackKey],
+            ...normalizeGrid({ ...getGrid(trackKey), ...changes }),
+            edited: true
+        };
+        saveStore();
+        return getGrid(trackKey);
+    }
+
+    /**
+     * Round values and keep the downbeat offset within one bar
+     */
+    function normalizeGrid(grid) {
+        const beatsPerBar = grid.beatsPerBar || 4;
+        return {
+            bpm: Math.round(grid.bpm * 100) / 100,
+            firstBeat: Math.round(grid.firstBeat * 1000) / 1000,
+            downbeatOffset: ((Math.round(grid.downbeatOffset) % beatsPerBar) + beatsPerBar) % beatsPerBar,
+            beatsPerBar,
+            edited: !!grid.edited
+        };
+    }
+
+    // ==========================================================================
+    // GRID MATH
+    // ==========================================================================
+
+    /**
+     * Length of one beat in seconds
+     * @param {Object} grid
+     * @returns {number}
+     */
+    function getBeatPeriod(grid) {
+        return 60 / grid.bpm;
+    }
+
+    /**
+     * Fractional beat number at a time (beat 0 = firstBeat)
+     * @param {Object} grid
+     * @param {number} time - Seconds
+     * @returns {number}
+     */
+    function getBeatIndex(grid, time) {
+        return (time - grid.firstBeat) / getBeatPeriod(grid);
+    }
+
+    /**
+     * Time of a beat number
+     * @param {Object} grid
+     * @param {number} index - Beat number (may be fractional)
+     * @returns {number} Seconds
+     */
+    function getBeatTime(grid, index) {
+        return grid.firstBeat + index * getBeatPeriod(grid);
+    }
+
+    /**
+     * Position within the current beat
+     * @param {Object} grid
+     * @param {number} time - Seconds
+     * @returns {number} 0 (on the beat) to <1 (just before the next)
+     */
+    function getBeatPhase(grid, time) {
+        const index = getBeatIndex(grid, time);
+        return index - Math.floor(index);
+    }
+
+    /**
+     * Position within the current bar
+     * @param {Object} grid
+     * @param {number} time - Seconds
+     * @returns {number} Beats since the last downbeat (0 to <beatsPerBar)
+     */
+    function getBarPhase(grid, time) {
+        const beatsFromDownbeat = getBeatIndex(grid, time) - grid.downbeatOffset;
+        return ((beatsFromDownbeat % grid.beatsPerBar) + grid.beatsPerBar) % grid.beatsPerBar;
+    }
+
+    /**
+     * Snap a time to the nearest beat
+     * @param {Object|null} grid - Grid (time is returned unchanged without one)
+     * @param {number} time - Seconds
+     * @returns {number} Seconds
+     */
+    function snapToBeat(grid, time) {
+        if (!grid) return time;
+        const index = Math.max(0, Math.round(getBeatIndex(grid, time)));
+        return getBeatTime(grid, index);
+    }
+
+    /**
+     * List the beats in a time range (for drawing)
+     * @param {Object} grid
+     * @param {number} start - Seconds
+     * @param {number} end - Seconds
+     * @returns {Array<{time: number, index: number, isDownbeat: boolean}>}
+     */
+    function getBeatsInRange(grid, start, end) {
+        const beats = [];
+        const first = Math.max(0, Math.ceil(getBeatIndex(grid, start)));
+        const last = Math.floor(getBeatIndex(grid, end));
+
+        for (let index = first; index <= last; index++) {
+            beats.push({
+                time: getBeatTime(grid, index),
+                index,
+                isDownbeat: ((index - grid.downbeatOffset) % grid.beatsPerBar + grid.beatsPerBar) % grid.beatsPerBar === 0
+            });
+        }
+        return beats;
+    }
+
+    // ==========================================================================
+    // PERSISTENCE
+    // ==========================================================================
+
+    function loadStore() {
+        try {
+            const data = localStorage.getItem(STORAGE_KEY);
+            return data ? JSON.parse(data) : {};
+        } catch (e) {
+            console.error('[BeatGrid] Failed to load beat grids:', e);
+            return {};
+        }
+    }
+
+    function saveStore() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(gridStore));
+        } catch (e) {
+            console.error('[BeatGrid] Failed to save beat grids:', e);
+        }
+    }
+
+    // ==========================================================================
+    // PUBLIC API
+    // ==========================================================================
+
+    return {
+        // Storage and editing
+        getGrid,
+        setDetectedGrid,
+        nudgeGrid,
+        setGridBpm,
+        setDownbeat,
+        resetGrid,
+
+        // Grid math
+        getBeatPeriod,
+        getBeatIndex,
+        getBeatTime,
+        getBeatPhase,
+        getBarPhase,
+        snapToBeat,
+        getBeatsInRange
+    };
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BeatGrid;
+}
@@ -0,0 +1,213 @@
+/**
+ * Crossfader - Curves and Hamster Mode
+ *
+ * OVERVIEW:
+ * Turns the crossfader position into a level for each side (decks are
+ * assigned to the left or right side, or bypass it). Every fade in
+ * the app goes through here: the fader itself, the auto-fade transitions
+ * in script.js and the Mixing Assistant's auto-fade in app.js, so they all
+ * follow the curve the DJ picked.
+ *
+ * CURVES (x = 0 all left, 1 all right):
+ * - linear:         L = 1 - x, R = x. -6 dB each at the centre; suits
+ *                   beatmatched tracks, whose levels add up in phase.
+ * - equalPower:     L = cos(x·π/2), R = sin(x·π/2). -3 dB each at the
+ *                   centre; the summed power stays level for unrelated tracks.
+ * - constantPower:  both sides stay at full level through the middle and
+ *                   only fade in the outer half of the travel (the "no dip"
+ *                   club-mixer curve). The blend is louder at the centre.
+ * - scratch:        a side cuts in to full level within the first few
+ *                   percent of travel (the cut-in width), for scratching
+ *                   and fast cuts.
+ *
+ * HAMSTER MODE:
+ * Reverses the fader, so the left end of the slider plays the right side.
+ * Positions handed to getGains() are physical slider positions;
+ * getMixPosition() converts them back to "how far towards the right side".
+ *
+ * Settings persist in localStorage.
+ */
+
+const Crossfader = (function() {
+    'use strict';
+
+    // ==========================================================================
+    // CONFIGURATION
+    // ==========================================================================
+
+    const STORAGE_KEY = 'dj_crossfader';
+
+    const CURVES = {
+        linear: { label: 'Linear' },
+        equalPower: { label: 'Equal power' },
+        constantPower: { label: 'Constant power' },
+        scratch: { label: 'Scratch cut' }
+    };
+
+    const DEFAULT_CURVE = 'equalPower';
+    const DEFAULT_CUT_WIDTH = 0.05;
+    const MIN_CUT_WIDTH = 0.01;
+    const MAX_CUT_WIDTH = 0.25;
+
+    // ==========================================================================
+    // STATE
+    // ==========================================================================
+
+    const settings = loadSettings();
+
+    // ==========================================================================
+    // CURVES
+    // ==========================================================================
+
+    /**
+     * Level of the incoming deck at a position along the fade
+     * The outgoing deck mirrors it: outgoing(x) = incoming(1 - x).
+     * @param {number} x - 0 (fully out) to 1 (fully in)
+     * @returns {number} Gain 0-1
+     */
+    function incomingGain(x) {
+        switch (settings.curve) {
+            case 'linear':
+                return x;
+            case 'constantPower':
+                return x >= 0.5 ? 1 : Math.sin(x * Math.PI);
+            case 'scratch':
+                return x >= settings.cutWidth ? 1 : Math.sin((x / settings.cutWidth) * Math.PI / 2);
+            case 'equalPower':
+            default:
+                return Math.sin(x * Math.PI / 2);
+        }
+    }
+
+    /**
+     * Side levels for a slider position
+     * @param {number} position - Physical slider position 0-1
+     * @returns {{left: number, right: number}}
+     */
+    function getGains(position) {
+        const x = getMixPosition(position);
+        return { left: incomingGain(1 - x), right: incomingGain(x) };
+    }
+
+    /**
+     * Outgoing and incoming levels part-way through a transition
+     * Independent of hamster mode, which only changes the slider direction.
+     * @param {number} progress - 0 (start) to 1 (done)
+     * @returns {{out: number, in: number}}
+     */
+    function getFadeGains(progress) {
+        const x = Math.max(0, Math.min(1, progress));
+        return { out: incomingGain(1 - x), in: incomingGain(x) };
+    }
+
+    /**
+     * How far towards the right side a slider position is, whatever the fader direction
+     * @param {number} position - Physical slider position 0-1
+     * @returns {number} 0 (all left) to 1 (all right)
+     */
+    function getMixPosition(position) {
+        const x = Math.max(0, Math.min(1, position));
+        return settings.hamster ? 1 - x : x;
+    }
+
+    /**
+     * Slider position that plays only this side
+     * @param {string} side - 'left' or 'right'
+     * @returns {number} 0 or 1
+     */
+    function positionFor(side) {
+        return getMixPosition(side === 'left' ? 0 : 1);
+    }
+
+    // ==========================================================================
+    // SETTINGS
+    // ==========================================================================
+
+    /**
+     * @param {string} curve - Key of CURVES
+     */
+    function setCurve(curve) {
+        if (!CURVES[curve]) throw new Error(`Unknown crossfader curve: ${curve}`);
+        settings.curve = curve;
+        saveSettings();
+    }
+
+    /**
+     * Travel over which the scratch curve cuts a deck in
+     * @param {number} width - 0.01 to 0.25 of the fader
+     */
+    function setCutWidth(width) {
+        settings.cutWidth = Math.max(MIN_CUT_WIDTH, Math.min(MAX_CUT_WIDTH, width));
+        saveSettings();
+    }
+
+    /**
+     * @param {boolean} enabled - Reverse the fader
+     */
+    function setHamster(enabled) {
+        settings.hamster = !!enabled;
+        saveSettings();
+    }
+
+    function getSettings() {
+        return { ...settings };
+    }
+
+    // ==========================================================================
+    // PERSISTENCE
+    // ==========================================================================
+
+    function loadSettings() {
+        const defaults = { curve: DEFAULT_CURVE, cutWidth: DEFAULT_CUT_WIDTH, hamster: false };
+
+        try {
+            const data = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+            return {
+                curve: CURVES[data.curve] ? data.curve : defaults.curve,
+                cutWidth: typeof data.cutWidth === 'number'
+                    ? Math.max(MIN_CUT_WIDTH, Math.min(MAX_CUT_WIDTH, data.cutWidth))
+                    : defaults.cutWidth,
+                hamster: !!data.hamster
+            };
+        } catch (e) {
+            console.error('[Crossfader] Failed to load settings:', e);
+            return defaults;
+        }
+    }
+
+    function saveSettings() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+        } catch (e) {
+            console.error('[Crossfader] Failed to save settings:', e);
+        }
+    }
+
+    // ==========================================================================
+    // PUBLIC API
+    // ==========================================================================
+
+    return {
+        // Levels
+        getGains,
+        getFadeGains,
+        getMixPosition,
+        positionFor,
+
+        // Settings
+        setCurve,
+        setCutWidth,
+        setHamster,
+        getSettings,
+
+        // Constants
+        CURVES,
+        MIN_CUT_WIDTH,
+        MAX_CUT_WIDTH
+    };
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Crossfader;
+}
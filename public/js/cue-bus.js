@@ -0,0 +1,227 @@
+/**
+ * Cue Bus - Headphone Monitoring
+ *
+ * OVERVIEW:
+ * Lets the DJ hear a deck in headphones before the crowd does. Each deck
+ * has a CUE switch that sends its signal (before the volume fader and
+ * crossfader) to the cue bus. A cue/master knob blends the cue bus with
+ * the master for the headphone mix.
+ *
+ * OUTPUT MODES:
+ * - off:    master only, on the default output
+ * - split:  one stereo output carries both, in mono: headphone mix on the
+ *           left, master on the right (use a splitter cable). Works on
+ *           any machine.
+ * - device: master on the default output, headphone mix on a second
+ *           output device through its own AudioContext (setSinkId)
+ *
+ * SIGNAL FLOW:
+ *   deck pre-fader --[cue switch]--> cue bus --[cue level]----+
+ *                                                             +--> headphone mix
+ *   master ------------------------------------[master level]-+
+ */
+
+const CueBus = (function() {
+    'use strict';
+
+    // ==========================================================================
+    // CONFIGURATION
+    // ==========================================================================
+
+    const MODES = ['off', 'split', 'device'];
+    const SMOOTHING = 0.01; // Time constant (s) for level changes
+
+    // ==========================================================================
+    // SUPPORT
+    // ==========================================================================
+
+    /**
+     * Whether headphones can go to a separate output device
+     * @returns {boolean}
+     */
+    function supportsOutputDevices() {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        return !!(AudioContextClass?.prototype?.setSinkId && navigator.mediaDevices?.enumerateDevices);
+    }
+
+    /**
+     * List audio output devices
+     * Labels are empty until the page has been granted media permission.
+     * @returns {Promise<Array<{deviceId: string, label: string}>>}
+     */
+    async function listOutputDevices() {
+        if (!navigator.mediaDevices?.enumerateDevices) return [];
+
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices
+            .filter(device => device.kind === 'audiooutput')
+            .map((device, index) => ({
+                deviceId: device.deviceId,
+                label: device.label || `Output ${index + 1}`
+            }));
+    }
+
+    // ==========================================================================
+    // CUE BUS
+    // ==========================================================================
+
+    /**
+     * Build the cue bus and take over routing the master to the speakers
+     * @param {AudioContext} audioContext
+     * @param {AudioNode} masterNode - Master output (already limited)
+     * @returns {Object} Cue bus controls
+     */
+    function create(audioContext, masterNode) {
+        const cueSum = audioContext.createGain();
+        const cueLevel = audioContext.createGain();
+        const masterLevel = audioContext.createGain();
+        const headphoneMix = audioContext.createGain();
+
+        cueSum.connect(cueLevel);
+        cueLevel.connect(headphoneMix);
+        masterNode.connect(masterLevel);
+        masterLevel.connect(headphoneMix);
+
+        // Split mode: both sides are mono downmixes
+        const headphoneMono = createMonoGain(audioContext);
+        const masterMono = createMonoGain(audioContext);
+        const splitOutput = audioContext.createChannelMerger(2);
+        headphoneMix.connect(headphoneMono);
+        masterNode.connect(masterMono);
+        headphoneMono.connect(splitOutput, 0, 0);
+        masterMono.connect(splitOutput, 0, 1);
+
+        // Device mode: headphone mix streamed into a second context
+        const deviceStream = audioContext.createMediaStreamDestination();
+        headphoneMix.connect(deviceStream);
+        let deviceContext = null;
+
+        const deckSends = {};
+        let mode = 'off';
+        let deviceId = null;
+
+        masterNode.connect(audioContext.destination);
+        setMix(0);
+
+        /**
+         * Route a deck's pre-fader signal to the cue bus
+         * @param {string} deck - Deck id
+         * @param {AudioNode} node - Node to tap (before the deck's fader)
+         */
+        function connectDeck(deck, node) {
+            const send = audioContext.createGain();
+            send.gain.value = 0;
+            node.connect(send);
+            send.connect(cueSum);
+            deckSends[deck] = { send, enabled: false };
+        }
+
+        /**
+         * Turn a deck's CUE switch on or off
+         * @param {string} deck - Deck id
+         * @param {boolean} enabled
+         */
+        function setDeckCue(deck, enabled) {
+            const deckSend = deckSends[deck];
+            if (!deckSend) return;
+
+            deckSend.enabled = !!enabled;
+            deckSend.send.gain.setTargetAtTime(enabled ? 1 : 0, audioContext.currentTime, SMOOTHING);
+        }
+
+        /**
+         * Blend of the headphone mix
+         * @param {number} mix - 0 = cue only, 1 = master only (equal-power in between)
+         */
+        function setMix(mix) {
+            const value = Math.max(0, Math.min(1, mix));
+            const now = audioContext.currentTime;
+            cueLevel.gain.setTargetAtTime(Math.cos(value * Math.PI / 2), now, SMOOTHING);
+            masterLevel.gain.setTargetAtTime(Math.sin(value * Math.PI / 2), now, SMOOTHING);
+        }
+
+        /**
+         * Choose where the headphone mix goes
+         * @param {string} newMode - 'off', 'split' or 'device'
+         * @param {string} newDeviceId - Output device for 'device' mode
+         * @returns {Promise<void>} Rejects if the device cannot be used
+         */
+        async function setMode(newMode, newDeviceId = null) {
+            if (!MODES.includes(newMode)) throw new Error(`Unknown cue mode: ${newMode}`);
+
+            if (newMode === 'device') {
+                await openDevice(newDeviceId);
+            } else if (deviceContext) {
+                await deviceContext.suspend();
+            }
+
+            // The speakers get either the plain master or the split signal
+            if (newMode === 'split' && mode !== 'split') {
+                masterNode.disconnect(audioContext.destination);
+                splitOutput.connect(audioContext.destination);
+            } else if (newMode !== 'split' && mode === 'split') {
+                splitOutput.disconnect(audioContext.destination);
+                masterNode.connect(audioContext.destination);
+            }
+
+            mode = newMode;
+            console.log(`[CueBus] Mode: ${mode}${mode === 'device' ? ` (${deviceId})` : ''}`);
+        }
+
+        async function openDevice(newDeviceId) {
+            if (!supportsOutputDevices()) {
+                throw new Error('Output device selection is not supported in this browser');
+            }
+
+            if (!deviceContext) {
+                const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+                deviceContext = new AudioContextClass();
+                deviceContext.createMediaStreamSource(deviceStream.stream).connect(deviceContext.destination);
+            }
+
+            if (newDeviceId !== deviceId) {
+                await deviceContext.setSinkId(newDeviceId || '');
+                deviceId = newDeviceId;
+            }
+            await deviceContext.resume();
+        }
+
+        return {
+            connectDeck,
+            setDeckCue,
+            setMix,
+            setMode,
+            getMode: () => mode,
+            isDeckCued: (deck) => !!deckSends[deck]?.enabled
+        };
+    }
+
+    /**
+     * Gain node that downmixes whatever it receives to one channel
+     */
+    function createMonoGain(audioContext) {
+        const gain = audioContext.createGain();
+        gain.channelCount = 1;
+        gain.channelCountMode = 'explicit';
+        gain.channelInterpretation = 'speakers';
+        return gain;
+    }
+
+    // ==========================================================================
+    // PUBLIC API
+    // ==========================================================================
+
+    return {
+        create,
+        supportsOutputDevices,
+        listOutputDevices,
+
+        // Constants
+        MODES
+    };
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CueBus;
+}
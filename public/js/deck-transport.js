@@ -0,0 +1,640 @@
+/**
+ * Deck Transport - Buffer-Based Playback with Slip, Reverse and Scratch
+ *
+ * OVERVIEW:
+ * Plays a local track from a decoded AudioBuffer instead of an <audio>
+ * element, so the deck can do what an element can't: play backwards, be
+ * scratched like a record, bend its tempo for a moment, and keep a silent
+ * "ghost" playhead running underneath loops, cue jumps, reverse and
+ * scratches (slip mode).
+ *
+ * ELEMENT COMPATIBILITY:
+ * A transport has the parts of the HTMLAudioElement interface the decks use
+ * (src, load, play, pause, currentTime, duration, paused, ended, loop,
+ * playbackRate, volume and the play/pause/ended/timeupdate/loadedmetadata
+ * events), so deck code treats it like the element it replaces. Instead of
+ * createMediaElementSource(), attach() hands back the node to route from,
+ * and a transport can only load once it is attached. Changing playbackRate
+ * changes pitch (preservesPitch is always false); key lock is left to the
+ * pitch-shifter worklet.
+ *
+ * SLIP MODE:
+ * With slip on, the first loop, cue jump, reverse or scratch to engage
+ * starts a ghost playhead at the current position, moving forward at the
+ * deck's tempo. When the last one is released, playback jumps to the ghost,
+ * so the track comes back where it would have been had nothing happened.
+ * Censor is a held reverse that always slips.
+ *
+ * LOOPS:
+ * setLoopRegion() hands an active loop to the source node (loop, loopStart,
+ * loopEnd), so loop-out is sample-accurate instead of polled. Only forward
+ * playback loops; reverse and scratch play through the loop points. A loop
+ * set behind the playhead jumps it back in: start + (position - end) % length.
+ *
+ * SCRATCH & BEND:
+ * - Scratch: while the platter is held, scratchTo() moves the track towards
+ *   a target position. The source's speed (and direction) chases the target,
+ *   so the audio scrubs smoothly, backwards included, and stops when the
+ *   hand does.
+ * - Bend: a temporary multiplier on the tempo (jog wheel edge, nudge
+ *   buttons). playbackRate keeps reporting the pitch fader's rate.
+ *
+ * PLAYHEADS:
+ * Positions are not polled from the source node; each playhead stores a
+ * position, a velocity (track seconds per second, negative when going
+ * backwards) and the AudioContext time it was anchored at, and is read as
+ *   position + velocity x (now - anchorTime)
+ * Every change of motion re-anchors it.
+ */
+
+const DeckTransport = (function() {
+    'use strict';
+
+    // ==========================================================================
+    // CONFIGURATION
+    // ==========================================================================
+
+    const TIME_UPDATE_INTERVAL = 250;   // ms between 'timeupdate' events while playing
+
+    /**
+     * What can hold the ghost playhead
+     */
+    const SLIP_HOLDS = ['loop', 'cue', 'reverse', 'censor', 'scratch'];
+
+    const SCRATCH_CHASE_TIME = 0.03;    // s to catch up with the hand while scratching
+    const MAX_SCRATCH_SPEED = 8;        // Fastest scrub (times normal speed)
+
+    // ==========================================================================
+    // TRANSPORT
+    // ==========================================================================
+
+    /**
+     * Create a deck transport
+     * It can be created before the AudioContext exists; tracks are decoded
+     * once attach() has been called.
+     * @returns {Object} Transport (see ELEMENT COMPATIBILITY)
+     */
+    function create() {
+        const events = new EventTarget();
+
+        let audioContext = null;
+        let output = null;
+
+        let src = '';
+        let buffer = null;
+        let reversedBuffer = null;
+        let loading = null;         // Promise<AudioBuffer> for the current src
+        let loadId = 0;             // Ignores decodes of a src that was replaced
+
+        let source = null;          // { node, backwards } now playing
+        let paused = true;
+        let ended = false;
+        let loop = false;
+        let loopRegion = null;      // { start, end } of the active deck loop
+        let rate = 1;               // Pitch fader rate
+        let bend = 1;               // Temporary tempo bend on top of the rate
+        let volume = 1;
+
+        let reverseLatched = false;
+        let censoring = false;
+        let scratch = null;         // { speed } while the platter is held
+
+        const playhead = createPlayhead();
+        let ghost = null;           // Slip playhead while a hold is engaged
+        let slipEnabled = false;
+        const slipHolds = new Set();
+
+        let timeUpdateTimer = null;
+
+        // ----------------------------------------------------------------------
+        // Graph
+        // ----------------------------------------------------------------------
+
+        /**
+         * Connect the transport to an AudioContext
+         * @param {AudioContext} context
+         * @returns {GainNode} Output to route the deck from
+         */
+        function attach(context) {
+            if (audioContext) return output;
+
+            audioContext = context;
+            output = audioContext.createGain();
+            output.gain.value = volume;
+            return output;
+        }
+
+        // ----------------------------------------------------------------------
+        // Loading
+        // ----------------------------------------------------------------------
+
+        /**
+         * Reset the transport and decode the current src
+         */
+        function load() {
+            const id = ++loadId;
+
+            if (!paused) pause();
+            stopSource();
+            buffer = null;
+            reversedBuffer = null;
+            ended = false;
+            reverseLatched = false;
+            censoring = false;
+            scratch = null;
+            bend = 1;
+            loopRegion = null;
+            Object.assign(playhead, createPlayhead());
+            clearSlip();
+            updateTimer();
+
+            if (!src) {
+                loading = null;
+                return;
+            }
+
+            // Without an AudioContext there is nothing to decode with
+            const ready = audioContext
+                ? Promise.resolve()
+                : Promise.reject(new DOMException('Deck is not attached to an AudioContext', 'InvalidStateError'));
+
+            loading = ready
+                .then(() => fetch(src))
+                .then(response => response.arrayBuffer())
+                .then(data => audioContext.decodeAudioData(data))
+                .then(decoded => {
+                    if (id !== loadId) throw new DOMException('Track replaced', 'AbortError');
+                    buffer = decoded;
+                    dispatch('loadedmetadata');
+                    dispatch('durationchange');
+                    dispatch('canplay');
+                    return decoded;
+                });
+
+            loading.catch(e => {
+                if (id !== loadId || e.name === 'AbortError') return;
+                console.error('[DeckTransport] Failed to decode track:', e);
+                dispatch('error');
+            });
+        }
+
+        /**
+         * The decoded track, once it is ready
+         * @returns {Promise<AudioBuffer>}
+         */
+        function whenLoaded() {
+            return loading || Promise.reject(new Error('No track loaded'));
+        }
+
+        // ----------------------------------------------------------------------
+        // Playback
+        // ----------------------------------------------------------------------
+
+        async function play() {
+            if (!src) throw new DOMException('No track loaded', 'NotSupportedError');
+            await whenLoaded();
+            if (!paused) return;
+
+            if (ended || playhead.position >= buffer.duration) {
+                playhead.position = 0;
+                ended = false;
+            }
+
+            changeMotion(() => { paused = false; });
+            dispatch('play');
+        }
+
+        function pause() {
+            if (paused) return;
+
+            changeMotion(() => { paused = true; });
+            dispatch('pause');
+        }
+
+        /**
+         * Jump the audible playhead (the ghost keeps going)
+         */
+        function seek(position) {
+            if (!buffer) return;
+
+            playhead.position = clampPosition(position);
+            playhead.anchorTime = now();
+            ended = false;
+            stopSource();
+            updateSource();
+            dispatch('timeupdate');
+        }
+
+        function setRate(newRate) {
+            changeMotion(() => { rate = newRate; });
+        }
+
+        /**
+         * Bend the tempo for a moment (jog wheel edge, nudge buttons)
+         * @param {number} ratio - Multiplier on the rate (1 = no bend)
+         */
+        function setBend(ratio) {
+            changeMotion(() => { bend = ratio; });
+        }
+
+        /**
+         * Loop a region of the track, or stop looping
+         * @param {number|null} start - Loop in (seconds); null to clear
+         * @param {number} end - Loop out (seconds)
+         */
+        function setLoopRegion(start, end) {
+            const region = start !== null && end > start ? { start, end } : null;
+            changeMotion(() => { loopRegion = region; });
+        }
+
+        // ----------------------------------------------------------------------
+        // Motion
+        // ----------------------------------------------------------------------
+
+        /**
+         * Apply a change to how the deck is moving
+         * The playheads are anchored where they are now, the change is made,
+         * then they (and the source) carry on at the new velocity.
+         * @param {Function} apply - Makes the change
+         */
+        function changeMotion(apply) {
+            freeze(playhead);
+            if (ghost) freeze(ghost);
+
+            apply();
+
+            playhead.velocity = getPlayheadVelocity();
+            if (ghost) ghost.velocity = getGhostVelocity();
+            updateSource();
+            updateTimer();
+        }
+
+        function getPlayheadVelocity() {
+            if (scratch) return scratch.speed;
+            if (paused) return 0;
+            return (isReversed() ? -1 : 1) * rate * bend;
+        }
+
+        function getGhostVelocity() {
+            return paused ? 0 : rate * bend;
+        }
+
+        /**
+         * Keep the source node playing the playhead's direction and speed
+         * The source only restarts when the direction flips.
+         */
+        function updateSource() {
+            if (!buffer || (paused && !scratch)) {
+                stopSource();
+                return;
+            }
+
+            // Past the loop out (loop set or moved behind the playhead): jump back in
+            if (isLooping() && playhead.position >= loopRegion.end) {
+                playhead.position = wrapLoop(playhead.position);
+                stopSource();
+            }
+
+            const velocity = playhead.velocity;
+            const backwards = velocity < 0 || (velocity === 0 && isReversed());
+
+            if (source && source.backwards === backwards) {
+                source.node.playbackRate.setValueAtTime(Math.abs(velocity), now());
+                applyLoop(source.node);
+                return;
+            }
+
+            stopSource();
+            const position = clampPosition(playhead.position);
+            const node = audioContext.createBufferSource();
+            node.buffer = backwards ? getReversedBuffer() : buffer;
+            node.playbackRate.value = Math.abs(velocity);
+            applyLoop(node);
+            node.connect(output);
+            node.onended = () => handleSourceEnded(node);
+            node.start(0, backwards ? buffer.duration - position : position);
+
+            source = { node, backwards };
+        }
+
+        /**
+         * Loop the source node over the loop region while it plays forward
+         */
+        function applyLoop(node) {
+            const looping = isLooping() && node.buffer === buffer; // Not the reversed buffer
+            node.loop = looping;
+            if (looping) {
+                node.loopStart = loopRegion.start;
+                node.loopEnd = loopRegion.end;
+            }
+        }
+
+        function isLooping() {
+            return !!loopRegion && !scratch && playhead.velocity > 0;
+        }
+
+        function wrapLoop(position) {
+            return loopRegion.start + ((position - loopRegion.end) % (loopRegion.end - loopRegion.start));
+        }
+
+        function stopSource() {
+            if (!source) return;
+
+            const { node } = source;
+            source = null;
+            node.onended = null;
+            node.stop();
+            node.disconnect();
+        }
+
+        /**
+         * The source ran off the end (or, going backwards, the start) of the track
+         */
+        function handleSourceEnded(node) {
+            if (node !== source?.node) return;
+            const { backwards } = source;
+            source = null;
+            node.disconnect();
+
+            // A scratch can hit either end; the hand decides what happens next
+            if (scratch) return;
+
+            if (backwards) {
+                playhead.position = 0;
+                playhead.anchorTime = now();
+                pause();
+                return;
+            }
+
+            if (loop) {
+                seek(0);
+                return;
+            }
+
+            changeMotion(() => { paused = true; });
+            playhead.position = buffer.duration;
+            ended = true;
+            dispatch('pause');
+            dispatch('ended');
+        }
+
+        function updateTimer() {
+            const running = !paused || !!scratch;
+            if (running && !timeUpdateTimer) {
+                timeUpdateTimer = setInterval(() => dispatch('timeupdate'), TIME_UPDATE_INTERVAL);
+            } else if (!running && timeUpdateTimer) {
+                clearInterval(timeUpdateTimer);
+                timeUpdateTimer = null;
+            }
+        }
+
+        // ----------------------------------------------------------------------
+        // Reverse & slip
+        // ----------------------------------------------------------------------
+
+        function isReversed() {
+            return reverseLatched || censoring;
+        }
+
+        /**
+         * Latch reverse playback on or off (slips if slip mode is on)
+         * @param {boolean} enabled
+         */
+        function setReverse(enabled) {
+            if (enabled === reverseLatched) return;
+
+            if (enabled) setSlipHold('reverse', true);
+            changeMotion(() => { reverseLatched = enabled; });
+            if (!enabled) setSlipHold('reverse', false);
+            dispatch('reversechange');
+        }
+
+        /**
+         * Censor: reverse while held, then carry on where the track would have been
+         * @param {boolean} engaged
+         */
+        function setCensor(engaged) {
+            if (engaged === censoring) return;
+
+            if (engaged) setSlipHold('censor', true, { force: true });
+            changeMotion(() => { censoring = engaged; });
+            if (!engaged) setSlipHold('censor', false);
+            dispatch('reversechange');
+        }
+
+        /**
+         * Turn slip mode on or off
+         * Turning it off lets go of the ghost without jumping to it.
+         * @param {boolean} enabled
+         */
+        function setSlip(enabled) {
+            slipEnabled = !!enabled;
+            if (!slipEnabled) {
+                // Censor always slips, so its hold stays
+                const keepCensor = slipHolds.has('censor');
+                slipHolds.clear();
+                if (keepCensor) {
+                    slipHolds.add('censor');
+                } else {
+                    clearSlip();
+                }
+            }
+            dispatch('slipchange');
+        }
+
+        /**
+         * Engage or release something that holds the ghost playhead
+         * Releasing the last hold jumps playback to the ghost.
+         * @param {string} hold - One of SLIP_HOLDS
+         * @param {boolean} engaged
+         * @param {Object} options
+         * @param {boolean} options.force - Slip even when slip mode is off (censor)
+         */
+        function setSlipHold(hold, engaged, { force = false } = {}) {
+            if (!SLIP_HOLDS.includes(hold)) throw new Error(`Unknown slip hold: ${hold}`);
+
+            if (engaged) {
+                if ((!slipEnabled && !force) || !buffer || slipHolds.has(hold)) return;
+                if (!ghost) {
+                    ghost = createPlayhead(readPlayhead(playhead));
+                    ghost.velocity = getGhostVelocity();
+                }
+                slipHolds.add(hold);
+            } else {
+                if (!slipHolds.delete(hold) || slipHolds.size > 0) return;
+                const position = readPlayhead(ghost);
+                ghost = null;
+                seek(position);
+            }
+            dispatch('slipchange');
+        }
+
+        function clearSlip() {
+            slipHolds.clear();
+            ghost = null;
+        }
+
+        // ----------------------------------------------------------------------
+        // Scratch
+        // ----------------------------------------------------------------------
+
+        /**
+         * Put a hand on the platter: the track stops under it until it moves
+         */
+        function startScratch() {
+            if (!buffer || scratch) return;
+
+            setSlipHold('scratch', true);
+            changeMotion(() => { scratch = { speed: 0 }; });
+        }
+
+        /**
+         * Move the track towards where the hand has dragged it
+         * Call on every pointer move and once per frame, so the speed settles
+         * to zero when the hand stops.
+         * @param {number} target - Track position in seconds
+         */
+        function scratchTo(target) {
+            if (!scratch) return;
+
+            const distance = clampPosition(target) - readPlayhead(playhead);
+            const speed = Math.max(-MAX_SCRATCH_SPEED, Math.min(MAX_SCRATCH_SPEED, distance / SCRATCH_CHASE_TIME));
+            changeMotion(() => { scratch.speed = speed; });
+        }
+
+        /**
+         * Let go of the platter: a playing deck carries on at its tempo
+         */
+        function endScratch() {
+            if (!scratch) return;
+
+            changeMotion(() => { scratch = null; });
+            setSlipHold('scratch', false);
+            ended = false;
+        }
+
+        // ----------------------------------------------------------------------
+        // Playheads
+        // ----------------------------------------------------------------------
+
+        function createPlayhead(position = 0) {
+            return { position, velocity: 0, anchorTime: now() };
+        }
+
+        function readPlayhead(head) {
+            const position = head.position + head.velocity * (now() - head.anchorTime);
+
+            // The source node wraps at the loop out; the playhead follows it
+            if (head === playhead && isLooping() && head.position < loopRegion.end && position >= loopRegion.end) {
+                return wrapLoop(position);
+            }
+            return clampPosition(position);
+        }
+
+        /**
+         * Store a playhead's current position and anchor it at the current time
+         */
+        function freeze(head) {
+            head.position = readPlayhead(head);
+            head.anchorTime = now();
+        }
+
+        function now() {
+            return audioContext ? audioContext.currentTime : 0;
+        }
+
+        function clampPosition(position) {
+            return Math.max(0, Math.min(buffer ? buffer.duration : 0, position));
+        }
+
+        /**
+         * The track with every channel reversed (built on first use)
+         */
+        function getReversedBuffer() {
+            if (!reversedBuffer) {
+                reversedBuffer = audioContext.createBuffer(buffer.numberOfChannels, buffer.length, buffer.sampleRate);
+                for (let ch = 0; ch < buffer.numberOfChannels; ch++) {
+                    const data = buffer.getChannelData(ch).slice();
+                    data.reverse();
+                    reversedBuffer.copyToChannel(data, ch);
+                }
+            }
+            return reversedBuffer;
+        }
+
+        function dispatch(type) {
+            events.dispatchEvent(new Event(type));
+        }
+
+        // ----------------------------------------------------------------------
+        // Interface
+        // ----------------------------------------------------------------------
+
+        return {
+            attach,
+            load,
+            play,
+            pause,
+            whenLoaded,
+            setReverse,
+            setCensor,
+            setSlip,
+            setSlipHold,
+            setBend,
+            setLoopRegion,
+            startScratch,
+            scratchTo,
+            endScratch,
+
+            addEventListener: events.addEventListener.bind(events),
+            removeEventListener: events.removeEventListener.bind(events),
+
+            get src() { return src; },
+            set src(value) {
+                src = value || '';
+                load();
+            },
+            get buffer() { return buffer; },
+            get duration() { return buffer ? buffer.duration : NaN; },
+            get currentTime() { return readPlayhead(playhead); },
+            set currentTime(value) { seek(value); },
+            get paused() { return paused; },
+            get ended() { return ended; },
+            get loop() { return loop; },
+            set loop(value) { loop = !!value; },
+            get playbackRate() { return rate; },
+            set playbackRate(value) { setRate(value); },
+            get volume() { return volume; },
+            set volume(value) {
+                volume = value;
+                if (output) output.gain.value = volume;
+            },
+            // Rate changes always shift pitch here (read-only, unlike the element)
+            get preservesPitch() { return false; },
+
+            get reverse() { return reverseLatched; },
+            get censor() { return censoring; },
+            get scratching() { return !!scratch; },
+            get bend() { return bend; },
+            get slip() { return slipEnabled; },
+            // Where playback will resume when the slip holds are released
+            get ghostTime() { return ghost ? readPlayhead(ghost) : null; }
+        };
+    }
+
+    // ==========================================================================
+    // PUBLIC API
+    // ==========================================================================
+
+    return {
+        create,
+
+        // Constants
+        SLIP_HOLDS
+    };
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DeckTransport;
+}
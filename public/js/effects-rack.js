@@ -0,0 +1,578 @@
+/**
+ * Effects Rack - Per-Deck Insert Effects
+ *
+ * OVERVIEW:
+ * A chain of five effects that sits between a deck's EQ and its gain node:
+ *
+ *   EQ -> filter -> bitcrusher -> flanger/phaser -> echo -> reverb -> gain
+ *
+ * Each effect has an on/off switch, a wet/dry mix and its own parameters.
+ *
+ * EFFECTS:
+ * - Filter: one knob - left of center is a low-pass closing down, right of
+ *   center a high-pass opening up, center is off
+ * - Echo: feedback delay with the time set in beats, so it follows the deck BPM
+ * - Reverb: convolution with the bundled impulse responses in impulses/
+ *   (room, hall, plate); drop in other WAV files under the same names to
+ *   change the spaces
+ * - Flanger/Phaser: LFO-swept short delay (flanger) or allpass chain (phaser)
+ * - Bitcrusher: bit depth and sample rate reduction (AudioWorklet)
+ *
+ * DESIGN DECISION:
+ * Filter, bitcrusher and flanger/phaser are inserts: the mix crossfades dry
+ * against wet at equal power. Echo and reverb are sends: the dry signal stays
+ * at full level, and switching them off only closes the input, so the tail
+ * rings out instead of being cut.
+ */
+
+const EffectsRack = (function() {
+    'use strict';
+
+    // ==========================================================================
+    // CONFIGURATION
+    // ==========================================================================
+
+    const BITCRUSHER_URL = 'js/worklets/bitcrusher.js';
+
+    const DEFAULT_BPM = 120;
+    const MAX_DELAY_TIME = 4;       // Seconds (2 beats at 30 BPM)
+    const SMOOTHING = 0.02;         // Time constant (s) for parameter changes
+    const FILTER_DEAD_ZONE = 0.02;  // Filter knob range around center that counts as off
+
+    /**
+     * Effect definitions, in chain order
+     * Parameters with `options` are choices; the rest are numeric ranges.
+     */
+    const EFFECTS = [
+        {
+            id: 'filter',
+            name: 'Filter',
+            send: false,
+            mix: 1,
+            params: {
+                knob: { label: 'LP / HP', min: -1, max: 1, step: 0.01, value: 0 },
+                resonance: { label: 'Res', min: 0.5, max: 12, step: 0.1, value: 1 }
+            }
+        },
+        {
+            id: 'crusher',
+            name: 'Bitcrush',
+            send: false,
+            mix: 1,
+            params: {
+                bits: { label: 'Bits', min: 1, max: 16, step: 1, value: 8 },
+                downsample: { label: 'Rate ÷', min: 1, max: 32, step: 1, value: 4 }
+            }
+        },
+        {
+            id: 'modulation',
+            name: 'Flanger/Phaser',
+            send: false,
+            mix: 0.5,
+            params: {
+                mode: { label: 'Mode', options: [
+                    { value: 'flanger', label: 'Flanger' },
+                    { value: 'phaser', label: 'Phaser' }
+                ], value: 'flanger' },
+                rate: { label: 'Rate', min: 0.05, max: 5, step: 0.05, value: 0.25, unit: 'Hz' },
+                depth: { label: 'Depth', min: 0, max: 1, step: 0.01, value: 0.7 },
+                feedback: { label: 'Feedback', min: 0, max: 0.9, step: 0.01, value: 0.5 }
+            }
+        },
+        {
+            id: 'echo',
+            name: 'Echo',
+            send: true,
+            mix: 0.4,
+            params: {
+                beats: { label: 'Time', options: [
+                    { value: 0.25, label: '1/4' },
+                    { value: 0.5, label: '1/2' },
+                    { value: 0.75, label: '3/4' },
+                    { value: 1, label: '1' },
+                    { value: 2, label: '2' }
+                ], value: 0.75 },
+                feedback: { label: 'Feedback', min: 0, max: 0.9, step: 0.01, value: 0.45 }
+            }
+        },
+        {
+            id: 'reverb',
+            name: 'Reverb',
+            send: true,
+            mix: 0.3,
+            params: {
+                impulse: { label: 'Space', options: [
+                    { value: 'room', label: 'Room' },
+                    { value: 'hall', label: 'Hall' },
+                    { value: 'plate', label: 'Plate' }
+                ], value: 'hall' }
+            }
+        }
+    ];
+
+    const IMPULSE_DIR = 'impulses/';
+
+    /**
+     * Impulse responses: bundled WAV files (IMPULSE_DIR/<name>.wav)
+     * If a file can't be loaded, a decaying stereo noise tail with these
+     * settings stands in for it:
+     * - seconds: length of the tail
+     * - decay: envelope exponent (higher = dies away faster)
+     * - predelay: gap before the tail (s)
+     * - damping: 0-1, how much high end is rolled off as the tail decays
+     */
+    const IMPULSES = {
+        room: { seconds: 0.8, decay: 4, predelay: 0.005, damping: 0.6 },
+        hall: { seconds: 2.8, decay: 3, predelay: 0.025, damping: 0.5 },
+        plate: { seconds: 1.6, decay: 2.5, predelay: 0, damping: 0.1 }
+    };
+
+    // One set of impulse buffers (promises) per AudioContext, shared by all racks
+    const impulseCache = new WeakMap();
+
+    // ==========================================================================
+    // RACK
+    // ==========================================================================
+
+    /**
+     * Build an effects rack
+     * @param {AudioContext} audioContext
+     * @returns {Object} Rack with input/output nodes and controls
+     */
+    function create(audioContext) {
+        const input = audioContext.createGain();
+        const output = audioContext.createGain();
+
+        const slots = {};
+        let bpm = DEFAULT_BPM;
+        let previous = input;
+
+        EFFECTS.forEach(definition => {
+            const slot = createSlot(audioContext, definition, () => bpm);
+            previous.connect(slot.input);
+            previous = slot.output;
+            slots[definition.id] = slot;
+        });
+        previous.connect(output);
+
+        /**
+         * Switch an effect on or off
+         * @param {string} id - Effect id (see EFFECTS)
+         * @param {boolean} enabled
+         */
+        function setEnabled(id, enabled) {
+            const slot = slots[id];
+            if (!slot) return;
+            slot.enabled = !!enabled;
+            slot.update();
+        }
+
+        /**
+         * Set an effect's wet/dry mix
+         * @param {string} id - Effect id
+         * @param {number} mix - 0 (dry) to 1 (wet)
+         */
+        function setMix(id, mix) {
+            const slot = slots[id];
+            if (!slot) return;
+            slot.mix = clamp(mix, 0, 1);
+            slot.update();
+        }
+
+        /**
+         * Set an effect parameter
+         * @param {string} id - Effect id
+         * @param {string} name - Parameter name
+         * @param {number|string} value
+         */
+        function setParam(id, name, value) {
+            const slot = slots[id];
+            if (!slot || !(name in slot.params)) return;
+            slot.params[name] = value;
+            slot.update();
+        }
+
+        /**
+         * Set the tempo that beat-based effects follow
+         * @param {number} newBpm - Deck BPM at the current playback rate
+         */
+        function setBpm(newBpm) {
+            if (!(newBpm > 0) || Math.abs(newBpm - bpm) / bpm < 0.001) return;
+            bpm = newBpm;
+            Object.values(slots).forEach(slot => slot.update());
+        }
+
+        /**
+         * Plug in effects that need AudioWorklets (call after loadWorklets resolves)
+         */
+        function attachWorklets() {
+            Object.values(slots).forEach(slot => slot.attachWorklet?.());
+        }
+
+        /**
+         * Current settings of every effect
+         * @returns {Object} { [id]: { enabled, mix, params } }
+         */
+        function getState() {
+            const state = {};
+            Object.entries(slots).forEach(([id, slot]) => {
+                state[id] = { enabled: slot.enabled, mix: slot.mix, params: { ...slot.params } };
+            });
+            return state;
+        }
+
+        return {
+            input,
+            output,
+            setEnabled,
+            setMix,
+            setParam,
+            setBpm,
+            attachWorklets,
+            getState
+        };
+    }
+
+    /**
+     * Wrap an effect in a wet/dry slot
+     *
+     *   input -> dry ----------------------> output
+     *   input -> send -> [effect] -> wet --> output
+     */
+    function createSlot(audioContext, definition, getBpm) {
+        const input = audioContext.createGain();
+        const output = audioContext.createGain();
+        const dry = audioContext.createGain();
+        const send = audioContext.createGain();
+        const wet = audioContext.createGain();
+
+        input.connect(dry);
+        dry.connect(output);
+        input.connect(send);
+        wet.connect(output);
+
+        const slot = {
+            input,
+            output,
+            enabled: false,
+            mix: definition.mix,
+            params: {},
+            getBpm,
+            update: null,
+            attachWorklet: null
+        };
+
+        Object.entries(definition.params).forEach(([name, param]) => {
+            slot.params[name] = param.value;
+        });
+
+        const effect = EFFECT_BUILDERS[definition.id](audioContext, send, wet, slot);
+        slot.attachWorklet = effect.attachWorklet || null;
+
+        slot.update = function() {
+            effect.update();
+
+            const active = slot.enabled && (effect.isActive ? effect.isActive() : true);
+            const now = audioContext.currentTime;
+
+            if (definition.send) {
+                // Sends: the tail keeps its return level; only the input closes
+                dry.gain.setTargetAtTime(1, now, SMOOTHING);
+                send.gain.setTargetAtTime(active ? 1 : 0, now, SMOOTHING);
+                wet.gain.setTargetAtTime(slot.mix, now, SMOOTHING);
+            } else {
+                // Inserts: equal-power crossfade, fully dry when off
+                const mix = active ? slot.mix : 0;
+                dry.gain.setTargetAtTime(Math.cos(mix * Math.PI / 2), now, SMOOTHING);
+                send.gain.setTargetAtTime(1, now, SMOOTHING);
+                wet.gain.setTargetAtTime(Math.sin(mix * Math.PI / 2), now, SMOOTHING);
+            }
+        };
+
+        slot.update();
+        return slot;
+    }
+
+    // ==========================================================================
+    // EFFECTS
+    // ==========================================================================
+
+    /**
+     * Effect builders: connect `send` through the effect into `wet` and return
+     * { update, isActive?, attachWorklet? }. Parameters are read from slot.params.
+     */
+    const EFFECT_BUILDERS = {
+        filter(audioContext, send, wet, slot) {
+            const filter = audioContext.createBiquadFilter();
+            send.connect(filter);
+            filter.connect(wet);
+
+            return {
+                // Center of the knob is off, so the filter never colors the sound there
+                isActive: () => Math.abs(slot.params.knob) > FILTER_DEAD_ZONE,
+                update() {
+                    const knob = clamp(slot.params.knob, -1, 1);
+                    const now = audioContext.currentTime;
+
+                    // Sweep exponentially: LP 20 kHz -> 80 Hz, HP 20 Hz -> 12 kHz
+                    filter.type = knob < 0 ? 'lowpass' : 'highpass';
+                    const frequency = knob < 0
+                        ? 20000 * Math.pow(80 / 20000, -knob)
+                        : 20 * Math.pow(12000 / 20, knob);
+
+                    filter.frequency.setTargetAtTime(frequency, now, SMOOTHING);
+                    filter.Q.setTargetAtTime(slot.params.resonance, now, SMOOTHING);
+                }
+            };
+        },
+
+        crusher(audioContext, send, wet, slot) {
+            let crusher = null;
+
+            return {
+                // Without the worklet the wet path stays silent (dry only)
+                isActive: () => !!crusher,
+                attachWorklet() {
+                    if (crusher) return;
+                    crusher = new AudioWorkletNode(audioContext, 'bitcrusher', {
+                        outputChannelCount: [2]
+                    });
+                    send.connect(crusher);
+                    crusher.connect(wet);
+                    slot.update();
+                },
+                update() {
+                    if (!crusher) return;
+                    const now = audioContext.currentTime;
+                    crusher.parameters.get('bits').setValueAtTime(slot.params.bits, now);
+                    crusher.parameters.get('downsample').setValueAtTime(slot.params.downsample, now);
+                }
+            };
+        },
+
+        modulation(audioContext, send, wet, slot) {
+            const lfo = audioContext.createOscillator();
+            lfo.type = 'sine';
+
+            // Flanger: a 1-5 ms delay swept by the LFO, with feedback
+            const flangerDelay = audioContext.createDelay(0.02);
+            const flangerDepth = audioContext.createGain();
+            const flangerFeedback = audioContext.createGain();
+            const flangerOut = audioContext.createGain();
+
+            send.connect(flangerDelay);
+            flangerDelay.connect(flangerFeedback);
+            flangerFeedback.connect(flangerDelay);
+            flangerDelay.connect(flangerOut);
+            lfo.connect(flangerDepth);
+            flangerDepth.connect(flangerDelay.delayTime);
+            flangerOut.connect(wet);
+
+            // Phaser: four allpass stages swept together
+            const phaserDepth = audioContext.createGain();
+            const phaserOut = audioContext.createGain();
+            let stage = send;
+            const allpasses = [];
+            for (let i = 0; i < 4; i++) {
+                const allpass = audioContext.createBiquadFilter();
+                allpass.type = 'allpass';
+                allpass.Q.value = 0.7;
+                phaserDepth.connect(allpass.frequency);
+                stage.connect(allpass);
+                stage = allpass;
+                allpasses.push(allpass);
+            }
+            stage.connect(phaserOut);
+            lfo.connect(phaserDepth);
+            phaserOut.connect(wet);
+
+            lfo.start();
+
+            return {
+                update() {
+                    const now = audioContext.currentTime;
+                    const { mode, rate, depth, feedback } = slot.params;
+                    const isFlanger = mode !== 'phaser';
+
+                    lfo.frequency.setTargetAtTime(rate, now, SMOOTHING);
+
+                    flangerDelay.delayTime.setTargetAtTime(0.003, now, SMOOTHING);
+                    flangerDepth.gain.setTargetAtTime(0.002 * depth, now, SMOOTHING);
+                    flangerFeedback.gain.setTargetAtTime(isFlanger ? feedback : 0, now, SMOOTHING);
+
+                    // Phaser notches sweep around 1 kHz; feedback sharpens them via Q
+                    allpasses.forEach(allpass => {
+                        allpass.frequency.setTargetAtTime(1000, now, SMOOTHING);
+                        allpass.Q.setTargetAtTime(0.7 + feedback * 4, now, SMOOTHING);
+                    });
+                    phaserDepth.gain.setTargetAtTime(900 * depth, now, SMOOTHING);
+
+                    flangerOut.gain.setTargetAtTime(isFlanger ? 1 : 0, now, SMOOTHING);
+                    phaserOut.gain.setTargetAtTime(isFlanger ? 0 : 1, now, SMOOTHING);
+                }
+            };
+        },
+
+        echo(audioContext, send, wet, slot) {
+            const delay = audioContext.createDelay(MAX_DELAY_TIME);
+            const feedback = audioContext.createGain();
+            const damping = audioContext.createBiquadFilter();
+
+            // Each repeat loses a little top end, like a tape echo
+            damping.type = 'lowpass';
+            damping.frequency.value = 5000;
+
+            send.connect(delay);
+            delay.connect(damping);
+            damping.connect(feedback);
+            feedback.connect(delay);
+            damping.connect(wet);
+
+            return {
+                update() {
+                    const now = audioContext.currentTime;
+                    const seconds = Number(slot.params.beats) * 60 / slot.getBpm();
+
+                    delay.delayTime.setTargetAtTime(clamp(seconds, 0.01, MAX_DELAY_TIME), now, SMOOTHING);
+                    feedback.gain.setTargetAtTime(slot.params.feedback, now, SMOOTHING);
+                }
+            };
+        },
+
+        reverb(audioContext, send, wet, slot) {
+            const convolver = audioContext.createConvolver();
+            send.connect(convolver);
+            convolver.connect(wet);
+
+            let loadedImpulse = null;
+
+            return {
+                update() {
+                    const name = IMPULSES[slot.params.impulse] ? slot.params.impulse : 'hall';
+                    if (name === loadedImpulse) return;
+                    loadedImpulse = name;
+
+                    getImpulse(audioContext, name).then(buffer => {
+                        // Another space may have been picked while this one loaded
+                        if (loadedImpulse === name) convolver.buffer = buffer;
+                    });
+                }
+            };
+        }
+    };
+
+    // ==========================================================================
+    // IMPULSE RESPONSES
+    // ==========================================================================
+
+    /**
+     * Get (and cache) an impulse response buffer
+     * @param {AudioContext} audioContext
+     * @param {string} name - Key of IMPULSES
+     * @returns {Promise<AudioBuffer>}
+     */
+    function getImpulse(audioContext, name) {
+        let buffers = impulseCache.get(audioContext);
+        if (!buffers) {
+            buffers = {};
+            impulseCache.set(audioContext, buffers);
+        }
+        if (!buffers[name]) {
+            buffers[name] = loadImpulse(audioContext, name);
+        }
+        return buffers[name];
+    }
+
+    /**
+     * Fetch and decode a bundled impulse response (generated if that fails)
+     */
+    async function loadImpulse(audioContext, name) {
+        try {
+            const response = await fetch(`${IMPULSE_DIR}${name}.wav`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return await audioContext.decodeAudioData(await response.arrayBuffer());
+        } catch (e) {
+            console.warn(`[EffectsRack] Impulse response ${name} unavailable - generating one:`, e);
+            return generateImpulse(audioContext, IMPULSES[name]);
+        }
+    }
+
+    /**
+     * Fallback impulse: exponentially decaying noise, independent per channel
+     * for stereo width, low-passed more as it decays (air absorbs high
+     * frequencies first)
+     */
+    function generateImpulse(audioContext, { seconds, decay, predelay, damping }) {
+        const sampleRate = audioContext.sampleRate;
+        const length = Math.floor(sampleRate * seconds);
+        const offset = Math.floor(sampleRate * predelay);
+        const buffer = audioContext.createBuffer(2, length, sampleRate);
+
+        for (let ch = 0; ch < 2; ch++) {
+            const data = buffer.getChannelData(ch);
+            let smoothed = 0;
+
+            for (let i = offset; i < length; i++) {
+                const t = (i - offset) / (length - offset);
+                const noise = Math.random() * 2 - 1;
+
+                // One-pole low-pass whose cutoff falls over the tail
+                const alpha = 1 - damping * t;
+                smoothed += alpha * (noise - smoothed);
+
+                data[i] = smoothed * Math.pow(1 - t, decay);
+            }
+        }
+
+        return buffer;
+    }
+
+    // ==========================================================================
+    // WORKLETS
+    // ==========================================================================
+
+    /**
+     * Load the AudioWorklet processors some effects need
+     * @param {AudioContext} audioContext
+     * @returns {Promise<boolean>} True if the worklets are available
+     */
+    async function loadWorklets(audioContext) {
+        if (!audioContext.audioWorklet) {
+            console.warn('[EffectsRack] AudioWorklet not supported - bitcrusher disabled');
+            return false;
+        }
+
+        try {
+            await audioContext.audioWorklet.addModule(BITCRUSHER_URL);
+            return true;
+        } catch (e) {
+            console.error('[EffectsRack] Failed to load bitcrusher worklet:', e);
+            return false;
+        }
+    }
+
+    // ==========================================================================
+    // UTILITIES
+    // ==========================================================================
+
+    function clamp(value, min, max) {
+        return Math.max(min, Math.min(max, value));
+    }
+
+    // ==========================================================================
+    // PUBLIC API
+    // ==========================================================================
+
+    return {
+        create,
+        loadWorklets,
+
+        // Constants
+        EFFECTS
+    };
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EffectsRack;
+}
@@ -0,0 +1,332 @@
+/**
+ * Energy Arcs - Set Shape Templates and Curve Editor
+ *
+ * OVERVIEW:
+ * An energy arc says where a set should be at each point in time: a target
+ * energy and, for the templates, a target BPM. AutoDJEngine scores
+ * candidates against the arc at the current set time, and SetPlanner
+ * against the time each planned track should start.
+ *
+ * TEMPLATES (minutes from the start of the set):
+ * - warmUp:   2h ramp from a low-energy, ~112 BPM opening to 0.7 / 124 BPM
+ * - peakTime: quick climb to a high plateau (0.85-0.9, 126-128 BPM)
+ * - closing:  1h cool-down from peak energy to 0.45 / 112 BPM
+ * - wave:     sawtooth, 15 minutes building then 5 dropping back, repeating
+ * - custom:   a curve drawn by hand on the editor (energy only, no BPM target)
+ *
+ * DATA PERSISTENCE:
+ * The chosen template and the drawn curve are saved to localStorage.
+ */
+
+const EnergyArcs = (function() {
+    'use strict';
+
+    // ==========================================================================
+    // CONFIGURATION
+    // ==========================================================================
+
+    const STORAGE_KEY = 'dj_energy_arc';
+
+    const CUSTOM_DURATION = 120;    // Minutes covered by the drawn curve
+    const CUSTOM_STEP = 5;          // Minutes between points of the drawn curve
+    const CUSTOM_DEFAULT_ENERGY = 0.6;
+
+    const TEMPLATES = {
+        warmUp: {
+            label: 'Warm-up',
+            points: [
+                { minute: 0, energy: 0.35, bpm: 112 },
+                { minute: 120, energy: 0.7, bpm: 124 }
+            ]
+        },
+        peakTime: {
+            label: 'Peak-time',
+            points: [
+                { minute: 0, energy: 0.7, bpm: 124 },
+                { minute: 15, energy: 0.85, bpm: 126 },
+                { minute: 120, energy: 0.9, bpm: 128 }
+            ]
+        },
+        closing: {
+            label: 'Cool-down',
+            points: [
+                { minute: 0, energy: 0.85, bpm: 128 },
+                { minute: 60, energy: 0.45, bpm: 112 }
+            ]
+        },
+        wave: {
+            label: 'Wave',
+            repeat: 20,
+            points: [
+                { minute: 0, energy: 0.55, bpm: 122 },
+                { minute: 15, energy: 0.9, bpm: 127 },
+                { minute: 20, energy: 0.55, bpm: 122 }
+            ]
+        },
+        custom: {
+            label: 'Custom'
+        }
+    };
+
+    const DEFAULT_TEMPLATE = null;  // No arc until one is picked: the engine's energy direction applies
+
+    // Editor drawing
+    const EDITOR_PADDING = 16;
+    const EDITOR_BPM_RANGE = [100, 140];
+    const EDITOR_MIN_MINUTES = 60;
+
+    // ==========================================================================
+    // STATE
+    // ==========================================================================
+
+    const settings = loadSettings(); // { template: string|null, custom: number[] }
+
+    // ==========================================================================
+    // ARCS
+    // ==========================================================================
+
+    /**
+     * Build the arc for a template
+     * @param {string|null} name - Key of TEMPLATES (default: the chosen one); null = no arc
+     * @returns {Object|null} { name, label, points, repeat } for AutoDJEngine.setEnergyArc()
+     */
+    function getArc(name = settings.template) {
+        if (!name || !TEMPLATES[name]) return null;
+
+        const template = TEMPLATES[name];
+        const points = name === 'custom'
+            ? settings.custom.map((energy, i) => ({ minute: i * CUSTOM_STEP, energy, bpm: null }))
+            : template.points.map(point => ({ ...point }));
+
+        return { name, label: template.label, points, repeat: template.repeat || null };
+    }
+
+    /**
+     * @param {string|null} name - Key of TEMPLATES, or null for no arc
+     */
+    function setTemplate(name) {
+        if (name && !TEMPLATES[name]) throw new Error(`Unknown energy arc: ${name}`);
+        settings.template = name || null;
+        saveSettings();
+    }
+
+    function getTemplate() {
+        return settings.template;
+    }
+
+    /**
+     * Set the drawn curve's energy at a point in the set
+     * @param {number} minute - Set time (snapped to the nearest curve point)
+     * @param {number} energy - 0-1
+     */
+    function setCustomEnergy(minute, energy) {
+        const index = Math.round(Math.max(0, Math.min(CUSTOM_DURATION, minute)) / CUSTOM_STEP);
+        settings.custom[index] = Math.max(0, Math.min(1, energy));
+        saveSettings();
+    }
+
+    /**
+     * Flatten the drawn curve
+     */
+    function resetCustom() {
+        settings.custom = createFlatCurve();
+        saveSettings();
+    }
+
+    /**
+     * Minutes an arc takes to play out (one cycle of a repeating arc is shown twice)
+     */
+    function getArcDuration(arc) {
+        if (!arc) return EDITOR_MIN_MINUTES;
+        const end = arc.repeat ? arc.repeat * 2 : arc.points[arc.points.length - 1].minute;
+        return Math.max(EDITOR_MIN_MINUTES, end);
+    }
+
+    function createFlatCurve() {
+        return new Array(CUSTOM_DURATION / CUSTOM_STEP + 1).fill(CUSTOM_DEFAULT_ENERGY);
+    }
+
+    // ==========================================================================
+    // EDITOR
+    // ==========================================================================
+
+    /**
+     * Create the arc view for a canvas
+     * Shows the arc's energy (and BPM) over set time, the current set time,
+     * and optional planned tracks. On the custom arc, dragging draws the curve.
+     * @param {HTMLCanvasElement} canvas
+     * @param {Object} options
+     * @param {Function} options.getTarget - (minutes) => { energy, bpm } | null, for the arc being shown
+     * @param {Function} options.onDraw - Called after the drawn curve changes
+     * @returns {Object} { render }
+     */
+    function createEditor(canvas, { getTarget, onDraw = () => {} }) {
+        const ctx = canvas.getContext('2d');
+        let view = { arc: null, minutes: 0, tracks: [] };
+        let drawing = false;
+
+        function render(newView = view) {
+            view = { ...view, ...newView };
+
+            const rect = canvas.getBoundingClientRect();
+            const ratio = window.devicePixelRatio || 1;
+            if (rect.width && (canvas.width !== rect.width * ratio || canvas.height !== rect.height * ratio)) {
+                canvas.width = rect.width * ratio;
+                canvas.height = rect.height * ratio;
+            }
+            ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+
+            const width = rect.width || canvas.width;
+            const height = rect.height || canvas.height;
+            const { arc, minutes, tracks } = view;
+            const duration = getArcDuration(arc);
+            const x = (minute) => EDITOR_PADDING + (minute / duration) * (width - EDITOR_PADDING * 2);
+            const y = (value) => height - EDITOR_PADDING - value * (height - EDITOR_PADDING * 2);
+
+            ctx.clearRect(0, 0, width, height);
+
+            // Grid: every 30 minutes
+            ctx.strokeStyle = '#222230';
+            ctx.fillStyle = '#606070';
+            ctx.font = '9px monospace';
+            ctx.lineWidth = 1;
+            for (let m = 0; m <= duration; m += 30) {
+                ctx.beginPath();
+                ctx.moveTo(x(m), EDITOR_PADDING / 2);
+                ctx.lineTo(x(m), height - EDITOR_PADDING);
+                ctx.stroke();
+                ctx.fillText(`${m}m`, x(m) + 2, height - 4);
+            }
+
+            if (!arc) {
+                ctx.fillText('No arc - Auto-DJ builds energy track by track', EDITOR_PADDING, height / 2);
+                return;
+            }
+
+            const samples = Math.max(2, Math.round(width / 4));
+            const plot = (valueAt, color) => {
+                ctx.strokeStyle = color;
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                let drawn = false;
+                for (let i = 0; i <= samples; i++) {
+                    const minute = (i / samples) * duration;
+                    const value = valueAt(getTarget(minute));
+                    if (value === null) continue;
+                    if (drawn) ctx.lineTo(x(minute), y(value));
+                    else ctx.moveTo(x(minute), y(value));
+                    drawn = true;
+                }
+                ctx.stroke();
+            };
+
+            // BPM target, scaled to EDITOR_BPM_RANGE
+            const [bpmLow, bpmHigh] = EDITOR_BPM_RANGE;
+            plot(target => (target?.bpm ? Math.max(0, Math.min(1, (target.bpm - bpmLow) / (bpmHigh - bpmLow))) : null), '#3b82f680');
+            plot(target => (target ? target.energy : null), '#f97316');
+
+            // Planned tracks
+            ctx.fillStyle = '#ffffff';
+            tracks.forEach(track => {
+                if (track.minute > duration || track.energy === null || track.energy === undefined) return;
+                ctx.beginPath();
+                ctx.arc(x(track.minute), y(track.energy), 2.5, 0, Math.PI * 2);
+                ctx.fill();
+            });
+
+            // Now
+            if (minutes > 0) {
+                ctx.strokeStyle = '#22c55e';
+                ctx.lineWidth = 1;
+                ctx.beginPath();
+                ctx.moveTo(x(Math.min(minutes, duration)), EDITOR_PADDING / 2);
+                ctx.lineTo(x(Math.min(minutes, duration)), height - EDITOR_PADDING);
+                ctx.stroke();
+            }
+        }
+
+        /**
+         * Draw the custom curve under the pointer
+         */
+        function drawAt(e) {
+            const rect = canvas.getBoundingClientRect();
+            const duration = getArcDuration(view.arc);
+            const minute = ((e.clientX - rect.left - EDITOR_PADDING) / (rect.width - EDITOR_PADDING * 2)) * duration;
+            const energy = (rect.height - EDITOR_PADDING - (e.clientY - rect.top)) / (rect.height - EDITOR_PADDING * 2);
+            setCustomEnergy(minute, energy);
+            onDraw();
+        }
+
+        canvas.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0 || view.arc?.name !== 'custom') return;
+            drawing = true;
+            canvas.setPointerCapture(e.pointerId);
+            drawAt(e);
+        });
+        canvas.addEventListener('pointermove', (e) => {
+            if (drawing) drawAt(e);
+        });
+        ['pointerup', 'pointercancel'].forEach(type => {
+            canvas.addEventListener(type, () => { drawing = false; });
+        });
+
+        return { render };
+    }
+
+    // ==========================================================================
+    // PERSISTENCE
+    // ==========================================================================
+
+    function loadSettings() {
+        const defaults = { template: DEFAULT_TEMPLATE, custom: createFlatCurve() };
+
+        try {
+            const data = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+            const custom = createFlatCurve();
+            (data.custom || []).slice(0, custom.length).forEach((energy, i) => {
+                if (typeof energy === 'number') custom[i] = Math.max(0, Math.min(1, energy));
+            });
+            return {
+                template: data.template === null || TEMPLATES[data.template]
+                    ? data.template
+                    : defaults.template,
+                custom
+            };
+        } catch (e) {
+            console.error('[EnergyArcs] Failed to load settings:', e);
+            return defaults;
+        }
+    }
+
+    function saveSettings() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+        } catch (e) {
+            console.error('[EnergyArcs] Failed to save settings:', e);
+        }
+    }
+
+    // ==========================================================================
+    // PUBLIC API
+    // ==========================================================================
+
+    return {
+        // Arcs
+        getArc,
+        setTemplate,
+        getTemplate,
+        setCustomEnergy,
+        resetCustom,
+
+        // Editor
+        createEditor,
+
+        // Constants
+        TEMPLATES
+    };
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EnergyArcs;
+}
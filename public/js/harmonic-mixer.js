@@ -10,6 +10,7 @@
  * - BPM compatibility bands
  * - Transition quality ratings (Perfect/Acceptable/Risky)
  * - Color-coded indicators
+ * - Transpose suggestions to fix key clashes
  *
  * TODO (Future ML Extensions):
  * - Waveform analysis for optimal mix points
@@ -243,6 +244,65 @@ const HarmonicMixer = (function() {
         return `${KEY_NAMES[key]} ${modeName}`;
     }
 
+    /**
+     * Shift a key by a number of semitones (mode is unchanged)
+     * @param {number} key - Pitch class (0-11)
+     * @param {number} semitones - Shift, rounded to the nearest semitone
+     * @returns {number|null} New pitch class (0-11)
+     */
+    function transposeKey(key, semitones) {
+        if (key === null || key === undefined) return null;
+        return (((key + Math.round(semitones)) % 12) + 12) % 12;
+    }
+
+    /**
+     * Semitones a playback rate shifts the pitch by (when key lock is off)
+     * @param {number} rate - Playback rate (1 = original)
+     * @returns {number} Semitones (fractional)
+     */
+    function rateToSemitones(rate) {
+        return 12 * Math.log2(rate);
+    }
+
+    /**
+     * Find the smallest transpose that makes an incoming track mix harmonically
+     * with the playing one (same key, relative major/minor or adjacent on the
+     * Camelot wheel). Ties go to the better match, then to shifting down.
+     *
+     * @param {number} playingKey - Key the playing deck sounds in (0-11)
+     * @param {number} playingMode - 0=minor, 1=major
+     * @param {number} incomingKey - Key of the incoming deck before transposing (0-11)
+     * @param {number} incomingMode - 0=minor, 1=major
+     * @param {number} maxSemitones - Largest shift to consider
+     * @returns {Object|null} { semitones, key, camelot, compatibility, relationship }, or null if none fits
+     */
+    function suggestTranspose(playingKey, playingMode, incomingKey, incomingMode, maxSemitones = 6) {
+        const playingCamelot = AutoDJEngine.toCamelot(playingKey, playingMode);
+        if (!playingCamelot || AutoDJEngine.toCamelot(incomingKey, incomingMode) === null) return null;
+
+        let best = null;
+        for (let semitones = -maxSemitones; semitones <= maxSemitones; semitones++) {
+            const key = transposeKey(incomingKey, semitones);
+            const harmonic = analyzeHarmonic(playingKey, playingMode, key, incomingMode);
+            if (harmonic.compatibility < 0.85) continue;
+
+            const better = !best ||
+                Math.abs(semitones) < Math.abs(best.semitones) ||
+                (Math.abs(semitones) === Math.abs(best.semitones) && harmonic.compatibility > best.compatibility);
+
+            if (better) {
+                best = {
+                    semitones,
+                    key,
+                    camelot: harmonic.target.camelot,
+                    compatibility: harmonic.compatibility,
+                    relationship: harmonic.relationship
+                };
+            }
+        }
+        return best;
+    }
+
     // ==========================================================================
     // TRANSITION ANALYSIS
     // ==========================================================================
@@ -596,6 +656,12 @@ const HarmonicMixer = (function() {
         analyzeHarmonic,
         analyzeTransition,
 
+        // Key helpers
+        getKeyDisplay,
+        transposeKey,
+        rateToSemitones,
+        suggestTranspose,
+
         // UI Generation
         generateQualityBadge,
         generateBPMIndicator,
@@ -0,0 +1,249 @@
+/**
+ * Hot Cue Manager - Per-Track Cue Points
+ *
+ * OVERVIEW:
+ * Keeps up to 8 hot cue points per track so a DJ can jump straight to a
+ * drop, vocal or breakdown. Each cue has a position (seconds), a name and
+ * a pad color.
+ *
+ * TRACK KEYS:
+ * Cues are stored per track so they come back when the track is loaded again:
+ * - Spotify tracks: "spotify:<track id>"
+ * - Local files:    "local:<name>:<size>:<lastModified>" (file fingerprint)
+ *
+ * DATA PERSISTENCE:
+ * - All cue points saved to localStorage on every change
+ */
+
+const HotCues = (function() {
+    'use strict';
+
+    // ==========================================================================
+    // CONFIGURATION
+    // ==========================================================================
+
+    const STORAGE_KEY = 'dj_hot_cues';
+    const CUE_COUNT = 8;
+
+    /**
+     * Default pad colors, one per slot (Serato-style rainbow)
+     */
+    const CUE_COLORS = [
+        '#ef4444', // Red
+        '#f97316', // Orange
+        '#eab308', // Yellow
+        '#22c55e', // Green
+        '#06b6d4', // Cyan
+        '#3b82f6', // Blue
+        '#8b5cf6', // Purple
+        '#ec4899'  // Pink
+    ];
+
+    // ==========================================================================
+    // STATE
+    // ==========================================================================
+
+    let cueStore = loadStore(); // { [trackKey]: Array<cue|null> }
+
+    // ==========================================================================
+    // TRACK IDENTITY
+    // ==========================================================================
+
+    /**
+     * Build a fingerprint for a local file
+     * @param {File} file - File chosen by the user
+     * @returns {string} Fingerprint (name, size and modification time)
+     */
+    function getFileFingerprint(file) {
+        if (!file) return null;
+        return `${file.name}:${file.size}:${file.lastModified}`;
+    }
+
+    /**
+     * Get the storage key for a deck track
+     * @param {Object} track - Spotify track or local track ({ fingerprint })
+     * @returns {string|null} Track key or null if the track can't be identified
+     */
+    function getTrackKey(track) {
+        if (!track) return null;
+        if (track.fingerprint) return `local:${track.fingerprint}`;
+        if (track.id) return `spotify:${track.id}`;
+        return null;
+    }
+
+    // ==========================================================================
+    // CUE MANAGEMENT
+    // ==========================================================================
+
+    /**
+     * Get all cue slots for a track
+     * @param {string} trackKey - Track key from getTrackKey()
+     * @returns {Array} Array of CUE_COUNT entries (cue object or null)
+     */
+    function getCues(trackKey) {
+        const stored = (trackKey && cueStore[trackKey]) || [];
+        const cues = [];
+        for (let i = 0; i < CUE_COUNT; i++) {
+            cues.push(stored[i] ? { ...stored[i] } : null);
+        }
+        return cues;
+    }
+
+    /**
+     * Get a single cue
+     * @param {string} trackKey - Track key
+     * @param {number} index - Pad index (0-7)
+     * @returns {Object|null} Cue or null if the pad is empty
+     */
+    function getCue(trackKey, index) {
+        return getCues(trackKey)[index] || null;
+    }
+
+    /**
+     * Set (or move) a cue point
+     * Keeps the existing name and color when the pad was already set.
+     * @param {string} trackKey - Track key
+     * @param {number} index - Pad index (0-7)
+     * @param {number} position - Position in seconds
+     * @returns {Object|null} The stored cue
+     */
+    function setCue(trackKey, index, position) {
+        if (!trackKey || !isValidIndex(index)) return null;
+
+        const cues = getCues(trackKey);
+        const existing = cues[index];
+        cues[index] = {
+            position: Math.max(0, position),
+            name: existing?.name || `Cue ${index + 1}`,
+            color: existing?.color || CUE_COLORS[index]
+        };
+
+        cueStore[trackKey] = cues;
+        saveStore();
+        return { ...cues[index] };
+    }
+
+    /**
+     * Delete a cue point
+     * @param {string} trackKey - Track key
+     * @param {number} index - Pad index (0-7)
+     */
+    function deleteCue(trackKey, index) {
+        if (!trackKey || !cueStore[trackKey] || !isValidIndex(index)) return;
+
+        const cues = getCues(trackKey);
+        cues[index] = null;
+
+        // Drop tracks without any cues to keep storage small
+        if (cues.every(cue => cue === null)) {
+            delete cueStore[trackKey];
+        } else {
+            cueStore[trackKey] = cues;
+        }
+        saveStore();
+    }
+
+    /**
+     * Rename a cue point
+     * @param {string} trackKey - Track key
+     * @param {number} index - Pad index (0-7)
+     * @param {string} name - New name (empty resets to default)
+     */
+    function renameCue(trackKey, index, name) {
+        updateCue(trackKey, index, {
+            name: (name || '').trim().slice(0, 24) || `Cue ${index + 1}`
+        });
+    }
+
+    /**
+     * Change the pad color of a cue point
+     * @param {string} trackKey - Track key
+     * @param {number} index - Pad index (0-7)
+     * @param {string} color - CSS color
+     */
+    function setCueColor(trackKey, index, color) {
+        updateCue(trackKey, index, { color });
+    }
+
+    /**
+     * Step a cue to the next color in the palette
+     * @param {string} trackKey - Track key
+     * @param {number} index - Pad index (0-7)
+     * @returns {string|null} The new color
+     */
+    function cycleCueColor(trackKey, index) {
+        const cue = getCue(trackKey, index);
+        if (!cue) return null;
+
+        const current = CUE_COLORS.indexOf(cue.color);
+        const next = CUE_COLORS[(current + 1) % CUE_COLORS.length];
+        setCueColor(trackKey, index, next);
+        return next;
+    }
+
+    /**
+     * Merge changes into an existing cue
+     */
+    function updateCue(trackKey, index, changes) {
+        const cues = getCues(trackKey);
+        if (!cues[index]) return;
+
+        cues[index] = { ...cues[index], ...changes };
+        cueStore[trackKey] = cues;
+        saveStore();
+    }
+
+    function isValidIndex(index) {
+        return Number.isInteger(index) && index >= 0 && index < CUE_COUNT;
+    }
+
+    // ==========================================================================
+    // PERSISTENCE
+    // ==========================================================================
+
+    function loadStore() {
+        try {
+            const data = localStorage.getItem(STORAGE_KEY);
+            return data ? JSON.parse(data) : {};
+        } catch (e) {
+            console.error('[HotCues] Failed to load cue points:', e);
+            return {};
+        }
+    }
+
+    function saveStore() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(cueStore));
+        } catch (e) {
+            console.error('[HotCues] Failed to save cue points:', e);
+        }
+    }
+
+    // ==========================================================================
+    // PUBLIC API
+    // ==========================================================================
+
+    return {
+        // Track identity
+        getTrackKey,
+        getFileFingerprint,
+
+        // Cue management
+        getCues,
+        getCue,
+        setCue,
+        deleteCue,
+        renameCue,
+        setCueColor,
+        cycleCueColor,
+
+        // Constants
+        CUE_COUNT,
+        CUE_COLORS
+    };
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HotCues;
+}
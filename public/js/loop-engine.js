@@ -0,0 +1,274 @@
+/**
+ * Loop Engine - Beat-Length and Manual Loops
+ *
+ * OVERVIEW:
+ * Tracks one loop region per deck. The active region is handed to the deck
+ * transport (DeckTransport setLoopRegion), which loops the audio itself.
+ *
+ * FEATURES:
+ * - Manual loop in/out
+ * - Auto-loops sized in beats (1/4 to 32) from the deck's BPM
+ * - Halve/double the active loop
+ * - Move the loop forward/back by its own length
+ * - Exit and reloop
+ *
+ * DESIGN DECISION:
+ * Loop positions are stored in track time (seconds into the file), not
+ * wall-clock time. A 4-beat loop at 128 BPM is always 1.875s of audio, so
+ * the loop stays locked to the music when the pitch slider changes the
+ * playback rate.
+ */
+
+const LoopEngine = (function() {
+    'use strict';
+
+    // ==========================================================================
+    // CONFIGURATION
+    // ==========================================================================
+
+    /**
+     * Auto-loop sizes in beats
+     */
+    const LOOP_SIZES = [0.25, 0.5, 1, 2, 4, 8, 16, 32];
+
+    const MIN_LOOP_BEATS = 1 / 32;
+    const MAX_LOOP_BEATS = 64;
+    const MIN_LOOP_LENGTH = 0.01;  // Seconds - shortest loop we can jump reliably
+
+    // ==========================================================================
+    // STATE
+    // ==========================================================================
+
+    const loops = {}; // { [deck]: { start, end, active, beats } }
+
+    function createLoop() {
+        return {
+            start: null,     // Loop in (seconds)
+            end: null,       // Loop out (seconds)
+            active: false,   // Whether the playhead is currently held in the loop
+            beats: null      // Loop size in beats (null for manual loops)
+        };
+    }
+
+    function getState(deck) {
+        if (!loops[deck]) {
+            loops[deck] = createLoop();
+        }
+        return loops[deck];
+    }
+
+    // ==========================================================================
+    // LOOP CONTROL
+    // ==========================================================================
+
+    /**
+     * Get a copy of a deck's loop
+     * @param {string} deck - Deck ID
+     * @returns {Object} Loop with start, end, active, beats and length
+     */
+    function getLoop(deck) {
+        const loop = getState(deck);
+        return {
+            ...loop,
+            length: hasRegion(loop) ? loop.end - loop.start : null
+        };
+    }
+
+    /**
+     * Set loop in point. Clears any previous loop out.
+     * @param {string} deck - Deck ID
+     * @param {number} position - Position in seconds
+     */
+    function setLoopIn(deck, position) {
+        loops[deck] = {
+            ...createLoop(),
+            start: Math.max(0, position)
+        };
+        return getLoop(deck);
+    }
+
+    /**
+     * Set loop out point and start looping
+     * @param {string} deck - Deck ID
+     * @param {number} position - Position in seconds
+     * @returns {Object|null} Loop, or null if there is no valid loop in
+     */
+    function setLoopOut(deck, position) {
+        const loop = getState(deck);
+        if (loop.start === null || position - loop.start < MIN_LOOP_LENGTH) {
+            return null;
+        }
+
+        loop.end = position;
+        loop.beats = null;
+        loop.active = true;
+        return getLoop(deck);
+    }
+
+    /**
+     * Start an auto-loop of a given number of beats
+     * @param {string} deck - Deck ID
+     * @param {number} position - Loop start in seconds
+     * @param {number} beats - Loop size in beats
+     * @param {number} bpm - Track BPM (at original tempo)
+     * @returns {Object|null} Loop, or null if BPM is unknown
+     */
+    function setBeatLoop(deck, position, beats, bpm) {
+        if (!bpm || bpm <= 0) return null;
+
+        const clampedBeats = Math.max(MIN_LOOP_BEATS, Math.min(MAX_LOOP_BEATS, beats));
+        const start = Math.max(0, position);
+
+        loops[deck] = {
+            start,
+            end: start + beatsToSeconds(clampedBeats, bpm),
+            active: true,
+            beats: clampedBeats
+        };
+        return getLoop(deck);
+    }
+
+    /**
+     * Halve the loop length (keeps loop start)
+     * @param {string} deck - Deck ID
+     */
+    function halveLoop(deck) {
+        const loop = getState(deck);
+        if (!hasRegion(loop)) return null;
+
+        const length = (loop.end - loop.start) / 2;
+        if (length < MIN_LOOP_LENGTH || (loop.beats && loop.beats / 2 < MIN_LOOP_BEATS)) {
+            return null;
+        }
+
+        loop.end = loop.start + length;
+        if (loop.beats) loop.beats /= 2;
+        return getLoop(deck);
+    }
+
+    /**
+     * Double the loop length (keeps loop start)
+     * @param {string} deck - Deck ID
+     */
+    function doubleLoop(deck) {
+        const loop = getState(deck);
+        if (!hasRegion(loop)) return null;
+        if (loop.beats && loop.beats * 2 > MAX_LOOP_BEATS) return null;
+
+        loop.end = loop.start + (loop.end - loop.start) * 2;
+        if (loop.beats) loop.beats *= 2;
+        return getLoop(deck);
+    }
+
+    /**
+     * Move the loop by its own length
+     * @param {string} deck - Deck ID
+     * @param {number} direction - 1 = forward, -1 = back
+     * @returns {number} Shift applied in seconds (0 if the loop couldn't move)
+     */
+    function moveLoop(deck, direction) {
+        const loop = getState(deck);
+        if (!hasRegion(loop)) return 0;
+
+        const length = loop.end - loop.start;
+        let shift = length * (direction > 0 ? 1 : -1);
+
+        // Don't move past the start of the track
+        if (loop.start + shift < 0) {
+            shift = -loop.start;
+        }
+
+        loop.start += shift;
+        loop.end += shift;
+        return shift;
+    }
+
+    /**
+     * Leave the loop but keep the region for reloop
+     * @param {string} deck - Deck ID
+     */
+    function exitLoop(deck) {
+        getState(deck).active = false;
+        return getLoop(deck);
+    }
+
+    /**
+     * Re-enable the last loop region
+     * @param {string} deck - Deck ID
+     * @returns {Object|null} Loop, or null if no region is stored
+     */
+    function reloop(deck) {
+        const loop = getState(deck);
+        if (!hasRegion(loop)) return null;
+
+        loop.active = true;
+        return getLoop(deck);
+    }
+
+    /**
+     * Forget the loop (e.g., when a new track is loaded)
+     * @param {string} deck - Deck ID
+     */
+    function clearLoop(deck) {
+        loops[deck] = createLoop();
+    }
+
+    // ==========================================================================
+    // UTILITY
+    // ==========================================================================
+
+    function hasRegion(loop) {
+        return loop.start !== null && loop.end !== null;
+    }
+
+    /**
+     * Convert beats to seconds of track time
+     * @param {number} beats
+     * @param {number} bpm
+     * @returns {number}
+     */
+    function beatsToSeconds(beats, bpm) {
+        return beats * 60 / bpm;
+    }
+
+    /**
+     * Format a beat count for display (e.g., 0.25 -> "1/4")
+     * @param {number} beats
+     * @returns {string}
+     */
+    function formatBeats(beats) {
+        if (!beats) return '';
+        if (beats >= 1) return String(beats);
+        return `1/${Math.round(1 / beats)}`;
+    }
+
+    // ==========================================================================
+    // PUBLIC API
+    // ==========================================================================
+
+    return {
+        // Loop control
+        getLoop,
+        setLoopIn,
+        setLoopOut,
+        setBeatLoop,
+        halveLoop,
+        doubleLoop,
+        moveLoop,
+        exitLoop,
+        reloop,
+        clearLoop,
+
+        // Utilities
+        beatsToSeconds,
+        formatBeats,
+
+        // Constants
+        LOOP_SIZES
+    };
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LoopEngine;
+}
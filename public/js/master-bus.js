@@ -0,0 +1,240 @@
+/**
+ * Master Bus - Master Gain, Limiter and Level Meters
+ *
+ * OVERVIEW:
+ * Every deck (A-D) and the sampler sum into one master stage before
+ * reaching the speakers:
+ *
+ *   deck A..D gain --+
+ *                    +--> master gain -> limiter -> ceiling -> destination
+ *   sampler ---------+
+ *
+ * With decks overlapping during a crossfade (plus EQ boosts and pads) the sum
+ * easily passes 0 dBFS. The limiter holds peaks just under full scale and
+ * the ceiling hard-clips anything the limiter's attack lets through, so
+ * what reaches the output (and any recording of it) never wraps around.
+ *
+ * METERS:
+ * Meters tap a node with AnalyserNodes (one per channel) and report, per
+ * animation frame:
+ * - Peak: highest sample in the last analyser window (dBFS)
+ * - RMS: average power over the same window (dBFS)
+ * - Peak hold: the highest recent peak, held for PEAK_HOLD_TIME then falling
+ * - Clip: latched when a sample reaches full scale, until reset
+ */
+
+const MasterBus = (function() {
+    'use strict';
+
+    // ==========================================================================
+    // CONFIGURATION
+    // ==========================================================================
+
+    /**
+     * Limiter settings (DynamicsCompressorNode used as a limiter)
+     */
+    const LIMITER = {
+        threshold: -1,      // dB
+        knee: 0,            // dB (hard knee)
+        ratio: 20,
+        attack: 0.002,      // s
+        release: 0.1        // s
+    };
+
+    const METER_FFT_SIZE = 2048;     // Samples per meter reading (~46ms at 44.1kHz)
+    const MIN_DB = -60;              // Floor reported for silence
+    const CLIP_LEVEL = 0.999;        // Sample level that counts as clipping
+    const PEAK_HOLD_TIME = 1500;     // ms a peak stays held
+    const PEAK_FALL_RATE = 20;       // dB per second once the hold expires
+
+    // ==========================================================================
+    // MASTER BUS
+    // ==========================================================================
+
+    /**
+     * Build the master stage
+     * @param {AudioContext} audioContext
+     * @returns {Object} { input, output, setGain, setLimiterEnabled, isLimiterEnabled, getReduction }
+     */
+    function create(audioContext) {
+        const input = audioContext.createGain();
+        const masterGain = audioContext.createGain();
+        const limiter = audioContext.createDynamicsCompressor();
+        const ceiling = audioContext.createWaveShaper();
+        const output = audioContext.createGain();
+
+        limiter.threshold.value = LIMITER.threshold;
+        limiter.knee.value = LIMITER.knee;
+        limiter.ratio.value = LIMITER.ratio;
+        limiter.attack.value = LIMITER.attack;
+        limiter.release.value = LIMITER.release;
+
+        ceiling.curve = createCeilingCurve();
+
+        input.connect(masterGain);
+        limiter.connect(ceiling);
+        ceiling.connect(output);
+
+        let limiterEnabled = false;
+        setLimiterEnabled(true);
+
+        /**
+         * @param {number} db - Master gain in dB (0 = unity)
+         */
+        function setGain(db) {
+            masterGain.gain.setTargetAtTime(dbToGain(db), audioContext.currentTime, 0.02);
+        }
+
+        /**
+         * Route the master through the limiter and ceiling, or straight out
+         * @param {boolean} enabled
+         */
+        function setLimiterEnabled(enabled) {
+            if (enabled === limiterEnabled) return;
+            limiterEnabled = enabled;
+
+            masterGain.disconnect();
+            masterGain.connect(enabled ? limiter : output);
+        }
+
+        return {
+            input,
+            output,
+            setGain,
+            setLimiterEnabled,
+            isLimiterEnabled: () => limiterEnabled,
+            // Current gain reduction in dB (0 or negative)
+            getReduction: () => limiterEnabled ? limiter.reduction : 0
+        };
+    }
+
+    /**
+     * Identity transfer curve from -1 to 1
+     * A WaveShaper holds the end values for inputs beyond -1..1, so this
+     * passes the signal unchanged and clamps anything over full scale.
+     */
+    function createCeilingCurve() {
+        return new Float32Array([-1, 1]);
+    }
+
+    // ==========================================================================
+    // LEVEL METERS
+    // ==========================================================================
+
+    /**
+     * Attach a level meter to a node
+     * @param {AudioContext} audioContext
+     * @param {AudioNode} node - Node to measure (its output is tapped, not changed)
+     * @param {number} channels - 1 measures the mono downmix, 2 measures L and R
+     * @returns {Object} { read, resetClip }
+     */
+    function createMeter(audioContext, node, channels = 1) {
+        const analysers = [];
+        const splitter = channels > 1 ? audioContext.createChannelSplitter(channels) : null;
+
+        if (splitter) {
+            // Up-mix mono sources first (the splitter itself is always discrete),
+            // so both channels of a stereo meter move
+            const upmix = audioContext.createGain();
+            upmix.channelCount = channels;
+            upmix.channelCountMode = 'explicit';
+            upmix.channelInterpretation = 'speakers';
+            node.connect(upmix);
+            upmix.connect(splitter);
+        }
+
+        for (let ch = 0; ch < channels; ch++) {
+            const analyser = audioContext.createAnalyser();
+            analyser.fftSize = METER_FFT_SIZE;
+            if (splitter) {
+                splitter.connect(analyser, ch);
+            } else {
+                node.connect(analyser);
+            }
+            analysers.push(analyser);
+        }
+
+        const buffer = new Float32Array(METER_FFT_SIZE);
+        const holds = analysers.map(() => ({ db: MIN_DB, time: 0 }));
+        let clipped = false;
+        let lastRead = 0;
+
+        /**
+         * Measure the latest window
+         * @param {number} now - Timestamp in ms (e.g. performance.now())
+         * @returns {{channels: Array<{peak: number, rms: number, hold: number}>, clipped: boolean}}
+         */
+        function read(now) {
+            const elapsed = lastRead ? (now - lastRead) / 1000 : 0;
+            lastRead = now;
+
+            const levels = analysers.map((analyser, ch) => {
+                analyser.getFloatTimeDomainData(buffer);
+
+                let peak = 0;
+                let sumSquares = 0;
+                for (let i = 0; i < buffer.length; i++) {
+                    const sample = Math.abs(buffer[i]);
+                    if (sample > peak) peak = sample;
+                    sumSquares += sample * sample;
+                }
+
+                if (peak >= CLIP_LEVEL) clipped = true;
+
+                const peakDb = gainToDb(peak);
+                const hold = holds[ch];
+                if (peakDb >= hold.db) {
+                    hold.db = peakDb;
+                    hold.time = now;
+                } else if (now - hold.time > PEAK_HOLD_TIME) {
+                    hold.db = Math.max(peakDb, hold.db - PEAK_FALL_RATE * elapsed);
+                }
+
+                return {
+                    peak: peakDb,
+                    rms: gainToDb(Math.sqrt(sumSquares / buffer.length)),
+                    hold: hold.db
+                };
+            });
+
+            return { channels: levels, clipped };
+        }
+
+        function resetClip() {
+            clipped = false;
+        }
+
+        return { read, resetClip };
+    }
+
+    // ==========================================================================
+    // UTILITIES
+    // ==========================================================================
+
+    function dbToGain(db) {
+        return Math.pow(10, db / 20);
+    }
+
+    function gainToDb(gain) {
+        return gain > 0 ? Math.max(MIN_DB, 20 * Math.log10(gain)) : MIN_DB;
+    }
+
+    // ==========================================================================
+    // PUBLIC API
+    // ==========================================================================
+
+    return {
+        create,
+        createMeter,
+        dbToGain,
+        gainToDb,
+
+        // Constants
+        MIN_DB
+    };
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MasterBus;
+}
@@ -0,0 +1,411 @@
+/**
+ * Sample Bank - 16-Pad Sampler
+ *
+ * OVERVIEW:
+ * Sixteen pads that play short samples (horns, drops, vocal tags) over the
+ * mix. Samples are uploaded to the server, so a bank saved on one visit
+ * reloads on the next without picking the files again.
+ *
+ * PAD MODES:
+ * - oneShot: plays to the end; pressing again restarts it
+ * - hold:    plays while the pad is held down
+ * - loop:    loops until the pad is pressed again
+ *
+ * SIGNAL FLOW:
+ *   pad source -> pad volume --+
+ *                              +--> output (the master bus input)
+ *   pad source -> pad volume --+
+ *
+ * DATA PERSISTENCE:
+ * - The bank layout (sample file, name, mode and volume per pad) and the
+ *   quantize setting are saved to localStorage on every change
+ * - Sample audio lives on the server (uploads/samples/) and is fetched on load
+ */
+
+const SampleBank = (function() {
+    'use strict';
+
+    // ==========================================================================
+    // CONFIGURATION
+    // ==========================================================================
+
+    const STORAGE_KEY = 'dj_sample_bank';
+    const PAD_COUNT = 16;
+    const MAX_SAMPLE_DURATION = 30;     // Seconds; longer files belong on a deck
+    const DEFAULT_VOLUME = 0.8;
+    const RELEASE_TIME = 0.01;          // Time constant (s) of the fade when a pad stops
+
+    const MODES = {
+        oneShot: { label: 'One-shot' },
+        hold: { label: 'Hold' },
+        loop: { label: 'Loop' }
+    };
+
+    /**
+     * Pad colors, one per row
+     */
+    const ROW_COLORS = ['#ef4444', '#eab308', '#22c55e', '#8b5cf6'];
+
+    // ==========================================================================
+    // STATE
+    // ==========================================================================
+
+    const bank = loadStore(); // { pads: Array<pad|null>, quantize: boolean }
+
+    // ==========================================================================
+    // BANK LAYOUT
+    // ==========================================================================
+
+    /**
+     * Get all pads
+     * @returns {Array} PAD_COUNT entries (pad object or null)
+     */
+    function getPads() {
+        return bank.pads.map(pad => pad ? { ...pad } : null);
+    }
+
+    /**
+     * @param {number} index - Pad index (0-15)
+     * @returns {Object|null} { name, file, mode, volume } or null if empty
+     */
+    function getPad(index) {
+        return bank.pads[index] ? { ...bank.pads[index] } : null;
+    }
+
+    /**
+     * Put a sample on a pad
+     * Keeps the mode and volume when the pad already had a sample.
+     * @param {number} index - Pad index (0-15)
+     * @param {Object} sample
+     * @param {string} sample.name - Name shown on the pad
+     * @param {string} sample.file - File name on the server
+     */
+    function setPadSample(index, { name, file }) {
+        if (!isValidIndex(index)) return;
+
+        const existing = bank.pads[index];
+        bank.pads[index] = {
+            name: (name || '').trim().slice(0, 24) || `Pad ${index + 1}`,
+            file,
+            mode: existing?.mode || 'oneShot',
+            volume: existing?.volume ?? DEFAULT_VOLUME
+        };
+        saveStore();
+    }
+
+    /**
+     * @param {number} index - Pad index (0-15)
+     * @param {string} mode - Key of MODES
+     */
+    function setPadMode(index, mode) {
+        if (!MODES[mode]) throw new Error(`Unknown pad mode: ${mode}`);
+        updatePad(index, { mode });
+    }
+
+    /**
+     * @param {number} index - Pad index (0-15)
+     * @param {number} volume - 0 to 1
+     */
+    function setPadVolume(index, volume) {
+        updatePad(index, { volume: Math.max(0, Math.min(1, volume)) });
+    }
+
+    /**
+     * @param {number} index - Pad index (0-15)
+     * @param {string} name - New name (empty resets to default)
+     */
+    function renamePad(index, name) {
+        updatePad(index, { name: (name || '').trim().slice(0, 24) || `Pad ${index + 1}` });
+    }
+
+    /**
+     * Empty a pad (the file stays on the server)
+     * @param {number} index - Pad index (0-15)
+     */
+    function clearPad(index) {
+        if (!isValidIndex(index)) return;
+        bank.pads[index] = null;
+        saveStore();
+    }
+
+    /**
+     * @param {boolean} enabled - Start pads on the next beat of the playing deck
+     */
+    function setQuantize(enabled) {
+        bank.quantize = !!enabled;
+        saveStore();
+    }
+
+    function isQuantized() {
+        return bank.quantize;
+    }
+
+    function getPadColor(index) {
+        return ROW_COLORS[Math.floor(index / 4) % ROW_COLORS.length];
+    }
+
+    /**
+     * Merge changes into an existing pad
+     */
+    function updatePad(index, changes) {
+        if (!isValidIndex(index) || !bank.pads[index]) return;
+        bank.pads[index] = { ...bank.pads[index], ...changes };
+        saveStore();
+    }
+
+    function isValidIndex(index) {
+        return Number.isInteger(index) && index >= 0 && index < PAD_COUNT;
+    }
+
+    // ==========================================================================
+    // PLAYER
+    // ==========================================================================
+
+    /**
+     * Create the pad player
+     * @param {AudioContext} audioContext
+     * @param {AudioNode} output - Node the pads play into
+     * @param {Object} options
+     * @param {Function} options.onChange - Called with a pad index when it starts or stops
+     * @returns {Object} Player
+     */
+    function create(audioContext, output, { onChange = () => {} } = {}) {
+        const buffers = new Map();  // file -> Promise<AudioBuffer>
+        const voices = {};          // pad index -> { source, gain }
+        const held = new Set();     // hold-mode pads pressed and not let go yet
+
+        /**
+         * Fetch and decode a pad's sample (cached per file)
+         * @param {number} index - Pad index
+         * @returns {Promise<AudioBuffer|null>} null for an empty pad
+         */
+        function load(index) {
+            const pad = bank.pads[index];
+            if (!pad) return Promise.resolve(null);
+
+            if (!buffers.has(pad.file)) {
+                const loading = fetch(getSampleUrl(pad.file))
+                    .then(response => {
+                        if (!response.ok) throw new Error(`Sample not found: ${pad.file}`);
+                        return response.arrayBuffer();
+                    })
+                    .then(data => audioContext.decodeAudioData(data));
+
+                // Let a failed load be retried on the next press
+                loading.catch(() => buffers.delete(pad.file));
+                buffers.set(pad.file, loading);
+            }
+            return buffers.get(pad.file);
+        }
+
+        /**
+         * Cache a sample that has already been decoded (e.g. just uploaded)
+         * @param {string} file - File name on the server
+         * @param {AudioBuffer} buffer
+         */
+        function addBuffer(file, buffer) {
+            buffers.set(file, Promise.resolve(buffer));
+        }
+
+        /**
+         * Press a pad
+         * @param {number} index - Pad index
+         * @param {number} when - AudioContext time to start (or stop a playing loop)
+         * @returns {Promise<boolean>} Whether the pad is playing afterwards
+         */
+        async function trigger(index, when = audioContext.currentTime) {
+            const pad = bank.pads[index];
+            if (!pad) return false;
+
+            if (pad.mode === 'loop' && voices[index]) {
+                stop(index, when);
+                return false;
+            }
+            if (pad.mode === 'hold') held.add(index);
+
+            const buffer = await load(index);
+            if (!buffer) return false;
+
+            // A hold pad let go while its sample was still loading stays silent
+            if (pad.mode === 'hold' && !held.has(index)) return false;
+
+            stop(index, when);
+
+            const source = audioContext.createBufferSource();
+            const gain = audioContext.createGain();
+            source.buffer = buffer;
+            source.loop = pad.mode === 'loop';
+            gain.gain.value = pad.volume;
+            source.connect(gain);
+            gain.connect(output);
+
+            const voice = { source, gain };
+            voices[index] = voice;
+            source.onended = () => {
+                gain.disconnect();
+                if (voices[index] === voice) {
+                    delete voices[index];
+                    onChange(index);
+                }
+            };
+
+            source.start(Math.max(when, audioContext.currentTime));
+            onChange(index);
+            return true;
+        }
+
+        /**
+         * Let go of a pad (stops it in hold mode)
+         * @param {number} index - Pad index
+         */
+        function release(index) {
+            held.delete(index);
+            if (bank.pads[index]?.mode === 'hold') stop(index);
+        }
+
+        /**
+         * Fade a pad out
+         * @param {number} index - Pad index
+         * @param {number} when - AudioContext time to stop
+         */
+        function stop(index, when = audioContext.currentTime) {
+            const voice = voices[index];
+            if (!voice) return;
+
+            delete voices[index];
+            const at = Math.max(when, audioContext.currentTime);
+            voice.gain.gain.setTargetAtTime(0, at, RELEASE_TIME);
+            voice.source.stop(at + RELEASE_TIME * 5);
+            onChange(index);
+        }
+
+        function stopAll() {
+            Object.keys(voices).forEach(index => stop(Number(index)));
+        }
+
+        /**
+         * Apply a pad's stored volume to it while it plays
+         * @param {number} index - Pad index
+         */
+        function updateVolume(index) {
+            const voice = voices[index];
+            const pad = bank.pads[index];
+            if (voice && pad) {
+                voice.gain.gain.setTargetAtTime(pad.volume, audioContext.currentTime, RELEASE_TIME);
+            }
+        }
+
+        return {
+            load,
+            addBuffer,
+            trigger,
+            release,
+            stop,
+            stopAll,
+            updateVolume,
+            isPlaying: (index) => !!voices[index]
+        };
+    }
+
+    // ==========================================================================
+    // UPLOAD
+    // ==========================================================================
+
+    /**
+     * Store a sample file on the server
+     * @param {File} file - Audio file chosen by the user
+     * @returns {Promise<string>} Name the server stored the file under
+     */
+    async function upload(file) {
+        const formData = new FormData();
+        formData.append('song', file, file.name);
+
+        const response = await fetch('/upload/sample', {
+            method: 'POST',
+            headers: { 'X-Requested-With': 'XMLHttpRequest' },
+            body: formData
+        });
+        if (!response.ok) {
+            throw new Error(`Upload failed: ${response.status}`);
+        }
+
+        const data = await response.json();
+        return data.filename;
+    }
+
+    /**
+     * @param {string} file - File name on the server
+     * @returns {string} URL the sample is served from
+     */
+    function getSampleUrl(file) {
+        return `/uploads/samples/${encodeURIComponent(file)}`;
+    }
+
+    // ==========================================================================
+    // PERSISTENCE
+    // ==========================================================================
+
+    function loadStore() {
+        const pads = new Array(PAD_COUNT).fill(null);
+
+        try {
+            const data = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+            (data.pads || []).slice(0, PAD_COUNT).forEach((pad, index) => {
+                if (!pad?.file) return;
+                pads[index] = {
+                    name: pad.name || `Pad ${index + 1}`,
+                    file: pad.file,
+                    mode: MODES[pad.mode] ? pad.mode : 'oneShot',
+                    volume: typeof pad.volume === 'number' ? pad.volume : DEFAULT_VOLUME
+                };
+            });
+            return { pads, quantize: data.quantize !== false };
+        } catch (e) {
+            console.error('[SampleBank] Failed to load bank:', e);
+            return { pads, quantize: true };
+        }
+    }
+
+    function saveStore() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(bank));
+        } catch (e) {
+            console.error('[SampleBank] Failed to save bank:', e);
+        }
+    }
+
+    // ==========================================================================
+    // PUBLIC API
+    // ==========================================================================
+
+    return {
+        // Bank layout
+        getPads,
+        getPad,
+        setPadSample,
+        setPadMode,
+        setPadVolume,
+        renamePad,
+        clearPad,
+        setQuantize,
+        isQuantized,
+        getPadColor,
+
+        // Playback
+        create,
+
+        // Samples
+        upload,
+        getSampleUrl,
+
+        // Constants
+        PAD_COUNT,
+        MODES,
+        MAX_SAMPLE_DURATION
+    };
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SampleBank;
+}
@@ -0,0 +1,210 @@
+/**
+ * Set Planner - Whole-Set Track Ordering
+ *
+ * OVERVIEW:
+ * AutoDJEngine.rankCandidates() is greedy: it only looks one track ahead.
+ * The planner orders a whole set at once, from a start track through as
+ * many tracks of the playlist as asked for, so an early pick doesn't leave
+ * the set stranded with nothing that mixes well later on.
+ *
+ * OBJECTIVE:
+ * Each step of the set scores calculateScore(previous, track).total at the
+ * start time, when the track would come in (estimated from the durations of
+ * the tracks before it). The planner maximizes the sum over the set. With
+ * an energy arc set, the progression part of that total is the track's fit
+ * to the arc at its start time, so the arc counts once, with the
+ * progression weight, just as it does for the live Auto-DJ.
+ *
+ * AUTO-DJ RULES:
+ * Tracks the engine's rules exclude (blocklist, explicit, duration) are
+ * left out of the pool. Artist/album spacing is checked against the tracks
+ * planned before each step, and lowers that step's score like it lowers a
+ * candidate's total.
+ *
+ * ALGORITHM (beam search):
+ * Partial sets are grown one track at a time. Each partial set is extended
+ * with its BRANCH_FACTOR best next tracks, and only the BEAM_WIDTH best
+ * partial sets (by total score so far) are kept for the next step.
+ * Transition scores are cached per track pair and minute of the set.
+ * A large playlist takes a few seconds, so planSet() is async and hands the
+ * main thread back to the page every YIELD_INTERVAL ms of searching.
+ */
+
+const SetPlanner = (function() {
+    'use strict';
+
+    // ==========================================================================
+    // CONFIGURATION
+    // ==========================================================================
+
+    const BEAM_WIDTH = 12;              // Partial sets kept per step
+    const BRANCH_FACTOR = 6;            // Next tracks tried per partial set
+    const DEFAULT_TRACK_MINUTES = 4;    // Assumed length of a track with no duration
+    const YIELD_INTERVAL = 25;          // ms of searching between breaks for the page
+
+    // ==========================================================================
+    // PLANNING
+    // ==========================================================================
+
+    /**
+     * Order a set from a start track
+     * @param {Object|Array} opening - Track the set starts with, or the tracks
+     *   already fixed at its start (to re-plan the rest of an edited set)
+     * @param {Array} tracks - Tracks to choose from (opening tracks are skipped)
+     * @param {Object} options
+     * @param {number} options.length - Tracks in the set, opening included (default: all)
+     * @param {number} options.startMinutes - Set time the first track starts at (default: now)
+     * @returns {Promise<Object>} Plan (see buildPlan)
+     */
+    async function planSet(opening, tracks, { length, startMinutes = AutoDJEngine.getSetMinutes() } = {}) {
+        const start = [].concat(opening);
+        const startIds = new Set(start.map(track => track.id));
+        const pool = uniqueTracks(tracks).filter(track => {
+            return !startIds.has(track.id) && !AutoDJEngine.scoreConstraints(track, []).excluded;
+        });
+        const maxLength = start.length + pool.length;
+        const setLength = Math.max(start.length, Math.min(length || maxLength, maxLength));
+        const getTransition = createTransitionCache();
+
+        const stepScore = (order, track, minutes) => {
+            const { penalty } = AutoDJEngine.scoreConstraints(track, order);
+            return penalty * getTransition(order[order.length - 1], track, minutes).total;
+        };
+
+        let beam = [{
+            order: start,
+            used: startIds,
+            minutes: startMinutes + start.reduce((sum, track) => sum + getTrackMinutes(track), 0),
+            score: 0
+        }];
+
+        let lastYield = Date.now();
+
+        for (let index = start.length; index < setLength; index++) {
+            const expanded = [];
+
+            for (const partial of beam) {
+                if (Date.now() - lastYield >= YIELD_INTERVAL) {
+                    await nextTask();
+                    lastYield = Date.now();
+                }
+
+                pool
+                    .filter(track => !partial.used.has(track.id))
+                    .map(track => ({ track, score: stepScore(partial.order, track, partial.minutes) }))
+                    .sort((a, b) => b.score - a.score)
+                    .slice(0, BRANCH_FACTOR)
+                    .forEach(({ track, score }) => {
+                        expanded.push({
+                            order: [...partial.order, track],
+                            used: new Set(partial.used).add(track.id),
+                            minutes: partial.minutes + getTrackMinutes(track),
+                            score: partial.score + score
+                        });
+                    });
+            }
+
+            expanded.sort((a, b) => b.score - a.score);
+            beam = expanded.slice(0, BEAM_WIDTH);
+        }
+
+        const plan = buildPlan(beam[0].order, { startMinutes, getTransition });
+        console.log(`[SetPlanner] Planned ${plan.steps.length} tracks (score ${Math.round(plan.score * 100)}%)`);
+        return plan;
+    }
+
+    /**
+     * Score an ordering as it stands (e.g. after the DJ has edited it or
+     * changed the energy arc)
+     * @param {Array} tracks - Tracks in set order
+     * @param {Object} options
+     * @param {number} options.startMinutes - Set time the first track starts at (default: now)
+     * @returns {Object} Plan (see buildPlan)
+     */
+    function scorePlan(tracks, { startMinutes = AutoDJEngine.getSetMinutes() } = {}) {
+        return buildPlan(tracks, { startMinutes, getTransition: createTransitionCache() });
+    }
+
+    /**
+     * @returns {Object} {
+     *   steps: [{ track, minutes, transition, arcTarget, arcFit, violations, score }],
+     *   score: mean step score 0-1,
+     *   startMinutes
+     * }
+     * The first step has no transition (and no score of its own).
+     */
+    function buildPlan(tracks, { startMinutes, getTransition }) {
+        let minutes = startMinutes;
+
+        const steps = tracks.map((track, index) => {
+            const arcFit = AutoDJEngine.scoreArcFit(track, minutes);
+            const transition = index > 0 ? getTransition(tracks[index - 1], track, minutes) : null;
+            const { violations, penalty } = AutoDJEngine.scoreConstraints(track, tracks.slice(0, index));
+            const step = {
+                track,
+                minutes,
+                transition,
+                arcTarget: AutoDJEngine.getArcTarget(minutes),
+                arcFit,
+                violations,
+                score: transition ? penalty * transition.total : null
+            };
+
+            minutes += getTrackMinutes(track);
+            return step;
+        });
+
+        const scored = steps.filter(step => step.score !== null);
+        const score = scored.length
+            ? scored.reduce((sum, step) => sum + step.score, 0) / scored.length
+            : 0;
+
+        return { steps, score, startMinutes };
+    }
+
+    /**
+     * calculateScore() with results kept per track pair and minute of the set
+     */
+    function createTransitionCache() {
+        const cache = new Map();
+        return (from, to, minutes) => {
+            const key = `${from.id}>${to.id}@${Math.round(minutes)}`;
+            if (!cache.has(key)) cache.set(key, AutoDJEngine.calculateScore(from, to, { minutes }));
+            return cache.get(key);
+        };
+    }
+
+    /**
+     * Let the page handle input and paint before searching on
+     */
+    function nextTask() {
+        return new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    function getTrackMinutes(track) {
+        return track.duration_ms ? track.duration_ms / 60000 : DEFAULT_TRACK_MINUTES;
+    }
+
+    function uniqueTracks(tracks) {
+        const seen = new Set();
+        return tracks.filter(track => {
+            if (!track?.id || seen.has(track.id)) return false;
+            seen.add(track.id);
+            return true;
+        });
+    }
+
+    // ==========================================================================
+    // PUBLIC API
+    // ==========================================================================
+
+    return {
+        planSet,
+        scorePlan
+    };
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SetPlanner;
+}
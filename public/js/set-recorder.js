@@ -0,0 +1,358 @@
+/**
+ * Set Recorder - Capture the Master Output
+ *
+ * OVERVIEW:
+ * Records everything leaving the master bus, so a whole set can be saved,
+ * downloaded, or uploaded to the server.
+ *
+ * FORMATS:
+ * - WebM (Opus): MediaRecorder on a MediaStreamDestination. Small files,
+ *   suited to long sets.
+ * - WAV (16-bit PCM): an AudioWorklet copies the raw samples, which are
+ *   converted to 16-bit as they arrive and packed into a WAV file on stop.
+ *   Lossless, about 10 MB per minute held in memory while recording.
+ *
+ * LIFECYCLE:
+ * idle -> recording <-> paused -> idle (stop resolves with the file)
+ */
+
+const SetRecorder = (function() {
+    'use strict';
+
+    // ==========================================================================
+    // CONFIGURATION
+    // ==========================================================================
+
+    const PCM_RECORDER_URL = 'js/worklets/pcm-recorder.js';
+
+    const WEBM_MIME_TYPES = ['audio/webm;codecs=opus', 'audio/webm', 'audio/ogg;codecs=opus'];
+    const WEBM_TIMESLICE = 1000;    // ms between MediaRecorder data events (keeps the size display live)
+
+    const WAV_CHANNELS = 2;
+    const WAV_HEADER_SIZE = 44;
+    const WAV_BYTES_PER_SAMPLE = 2;
+
+    // One worklet module load per AudioContext
+    const workletLoads = new WeakMap();
+
+    // ==========================================================================
+    // SUPPORT
+    // ==========================================================================
+
+    /**
+     * Formats this browser can record
+     * @param {AudioContext} audioContext
+     * @returns {string[]} Subset of ['webm', 'wav']
+     */
+    function getSupportedFormats(audioContext) {
+        const formats = [];
+        if (typeof MediaRecorder !== 'undefined' && getWebmMimeType()) formats.push('webm');
+        if (audioContext?.audioWorklet) formats.push('wav');
+        return formats;
+    }
+
+    function getWebmMimeType() {
+        if (typeof MediaRecorder === 'undefined') return null;
+        return WEBM_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || null;
+    }
+
+    // ==========================================================================
+    // RECORDER
+    // ==========================================================================
+
+    /**
+     * Create a recorder for a node
+     * @param {AudioContext} audioContext
+     * @param {AudioNode} sourceNode - Node to record (tapped; its output is unchanged)
+     * @param {Object} options
+     * @param {string} options.format - 'webm' or 'wav'
+     * @returns {Object} Recorder
+     */
+    function create(audioContext, sourceNode, { format = 'webm' } = {}) {
+        const backend = format === 'wav'
+            ? createWavBackend(audioContext, sourceNode)
+            : createWebmBackend(audioContext, sourceNode);
+
+        let state = 'idle';
+        let startedAt = null;       // Date.now() when recording began
+        let elapsedBefore = 0;      // ms recorded before the current run (pauses excluded)
+        let runStartedAt = null;    // Date.now() when the current run began
+
+        /**
+         * Start recording
+         * @returns {Promise<number>} Start time (Date.now())
+         */
+        async function start() {
+            if (state !== 'idle') throw new Error('Recorder already started');
+
+            await backend.start();
+            state = 'recording';
+            startedAt = Date.now();
+            runStartedAt = startedAt;
+            console.log(`[SetRecorder] Recording started (${format})`);
+            return startedAt;
+        }
+
+        function pause() {
+            if (state !== 'recording') return;
+            backend.pause();
+            elapsedBefore += Date.now() - runStartedAt;
+            state = 'paused';
+        }
+
+        function resume() {
+            if (state !== 'paused') return;
+            backend.resume();
+            runStartedAt = Date.now();
+            state = 'recording';
+        }
+
+        /**
+         * Stop and build the file
+         * @returns {Promise<{blob: Blob, filename: string, duration: number, format: string}>}
+         */
+        async function stop() {
+            if (state === 'idle') throw new Error('Recorder not started');
+
+            const duration = getElapsed();
+            state = 'idle';
+
+            const blob = await backend.stop();
+            const filename = `dj-set-${formatFileDate(startedAt)}.${format === 'wav' ? 'wav' : 'webm'}`;
+            console.log(`[SetRecorder] Recording stopped: ${filename} (${formatBytes(blob.size)})`);
+
+            return { blob, filename, duration, format };
+        }
+
+        /**
+         * Recorded time in ms, excluding pauses
+         */
+        function getElapsed() {
+            if (state === 'recording') return elapsedBefore + (Date.now() - runStartedAt);
+            return elapsedBefore;
+        }
+
+        return {
+            start,
+            pause,
+            resume,
+            stop,
+            getElapsed,
+            getSize: () => backend.getSize(),
+            getState: () => state,
+            getStartedAt: () => startedAt,
+            format
+        };
+    }
+
+    /**
+     * WebM/Opus via MediaRecorder
+     */
+    function createWebmBackend(audioContext, sourceNode) {
+        const destination = audioContext.createMediaStreamDestination();
+        const chunks = [];
+        let size = 0;
+        let recorder = null;
+
+        return {
+            async start() {
+                sourceNode.connect(destination);
+                recorder = new MediaRecorder(destination.stream, { mimeType: getWebmMimeType() });
+                recorder.ondataavailable = (e) => {
+                    if (e.data.size > 0) {
+                        chunks.push(e.data);
+                        size += e.data.size;
+                    }
+                };
+                recorder.start(WEBM_TIMESLICE);
+            },
+            pause: () => recorder.pause(),
+            resume: () => recorder.resume(),
+            stop() {
+                return new Promise(resolve => {
+                    recorder.onstop = () => {
+                        sourceNode.disconnect(destination);
+                        resolve(new Blob(chunks, { type: recorder.mimeType }));
+                    };
+                    recorder.stop();
+                });
+            },
+            getSize: () => size
+        };
+    }
+
+    /**
+     * 16-bit WAV via the pcm-recorder worklet
+     */
+    function createWavBackend(audioContext, sourceNode) {
+        const blocks = [];  // Interleaved Int16Array blocks
+        let frames = 0;
+        let node = null;
+        let onFlushed = null;
+
+        return {
+            async start() {
+                await loadWorklet(audioContext);
+
+                node = new AudioWorkletNode(audioContext, 'pcm-recorder', {
+                    numberOfOutputs: 0,
+                    processorOptions: { channelCount: WAV_CHANNELS }
+                });
+                node.port.onmessage = (event) => {
+                    if (event.data.type === 'block') {
+                        const block = interleaveToInt16(event.data.channels);
+                        blocks.push(block);
+                        frames += block.length / WAV_CHANNELS;
+                    } else if (event.data.type === 'flushed') {
+                        onFlushed?.();
+                    }
+                };
+
+                sourceNode.connect(node);
+                node.port.postMessage('record');
+            },
+            pause: () => node.port.postMessage('pause'),
+            resume: () => node.port.postMessage('record'),
+            stop() {
+                return new Promise(resolve => {
+                    onFlushed = () => {
+                        sourceNode.disconnect(node);
+                        resolve(encodeWav(blocks, audioContext.sampleRate, WAV_CHANNELS));
+                    };
+                    node.port.postMessage('flush');
+                });
+            },
+            getSize: () => WAV_HEADER_SIZE + frames * WAV_CHANNELS * WAV_BYTES_PER_SAMPLE
+        };
+    }
+
+    function loadWorklet(audioContext) {
+        if (!workletLoads.has(audioContext)) {
+            workletLoads.set(audioContext, audioContext.audioWorklet.addModule(PCM_RECORDER_URL));
+        }
+        return workletLoads.get(audioContext);
+    }
+
+    // ==========================================================================
+    // WAV ENCODING
+    // ==========================================================================
+
+    /**
+     * Interleave float channels into 16-bit samples
+     * @param {Float32Array[]} channels
+     * @returns {Int16Array}
+     */
+    function interleaveToInt16(channels) {
+        const length = channels[0].length;
+        const output = new Int16Array(length * channels.length);
+
+        for (let i = 0; i < length; i++) {
+            for (let ch = 0; ch < channels.length; ch++) {
+                const sample = Math.max(-1, Math.min(1, channels[ch][i]));
+                output[i * channels.length + ch] = sample < 0 ? sample * 0x8000 : sample * 0x7fff;
+            }
+        }
+        return output;
+    }
+
+    /**
+     * Build a WAV file from interleaved 16-bit blocks
+     * @param {Int16Array[]} blocks
+     * @param {number} sampleRate
+     * @param {number} channels
+     * @returns {Blob}
+     */
+    function encodeWav(blocks, sampleRate, channels) {
+        const dataSize = blocks.reduce((sum, block) => sum + block.byteLength, 0);
+        const header = new DataView(new ArrayBuffer(WAV_HEADER_SIZE));
+        const blockAlign = channels * WAV_BYTES_PER_SAMPLE;
+
+        writeString(header, 0, 'RIFF');
+        header.setUint32(4, 36 + dataSize, true);
+        writeString(header, 8, 'WAVE');
+        writeString(header, 12, 'fmt ');
+        header.setUint32(16, 16, true);                        // fmt chunk size
+        header.setUint16(20, 1, true);                         // PCM
+        header.setUint16(22, channels, true);
+        header.setUint32(24, sampleRate, true);
+        header.setUint32(28, sampleRate * blockAlign, true);   // Byte rate
+        header.setUint16(32, blockAlign, true);
+        header.setUint16(34, WAV_BYTES_PER_SAMPLE * 8, true);  // Bits per sample
+        writeString(header, 36, 'data');
+        header.setUint32(40, dataSize, true);
+
+        return new Blob([header.buffer, ...blocks], { type: 'audio/wav' });
+    }
+
+    function writeString(view, offset, text) {
+        for (let i = 0; i < text.length; i++) {
+            view.setUint8(offset + i, text.charCodeAt(i));
+        }
+    }
+
+    // ==========================================================================
+    // UPLOAD
+    // ==========================================================================
+
+    /**
+     * Upload a finished recording to the server
+     * @param {Blob} blob - Recording
+     * @param {string} filename - File name to send
+     * @returns {Promise<string>} Name the server stored the file under
+     */
+    async function upload(blob, filename) {
+        const formData = new FormData();
+        formData.append('song', blob, filename);
+
+        const response = await fetch('/upload', {
+            method: 'POST',
+            headers: { 'X-Requested-With': 'XMLHttpRequest' },
+            body: formData
+        });
+        if (!response.ok) {
+            throw new Error(`Upload failed: ${response.status}`);
+        }
+
+        const data = await response.json();
+        return data.filename;
+    }
+
+    // ==========================================================================
+    // UTILITIES
+    // ==========================================================================
+
+    function formatFileDate(timestamp) {
+        const date = new Date(timestamp);
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+            `-${pad(date.getHours())}${pad(date.getMinutes())}`;
+    }
+
+    /**
+     * @param {number} bytes
+     * @returns {string} e.g. "4.2 MB"
+     */
+    function formatBytes(bytes) {
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    // ==========================================================================
+    // PUBLIC API
+    // ==========================================================================
+
+    return {
+        create,
+        upload,
+        getSupportedFormats,
+
+        // Helpers
+        encodeWav,
+        formatBytes
+    };
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SetRecorder;
+}
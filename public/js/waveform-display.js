@@ -0,0 +1,441 @@
+/**
+ * Waveform Display - Scrolling and Overview Waveforms
+ *
+ * OVERVIEW:
+ * Renders two views of a decoded track on canvas elements:
+ * - Scrolling waveform: zoomable window centered on the playhead, with the
+ *   beat grid (downbeats highlighted)
+ * - Overview: the whole track with playhead, cue markers and loop region
+ *
+ * COLOR CODING:
+ * The signal is split into three bands so the track structure is visible
+ * at a glance (kicks, vocals/synths, hats):
+ * - Low  (< 250 Hz):      red
+ * - Mid  (250 Hz - 4 kHz): green
+ * - High (> 4 kHz):        blue
+ *
+ * ALGORITHM:
+ * 1. Mix the decoded AudioBuffer to mono
+ * 2. Split bands with two one-pole low-pass filters (low = LP250,
+ *    high = input - LP4k, mid = the rest)
+ * 3. Keep the peak of each band per bucket (POINTS_PER_SECOND buckets/s)
+ * 4. Draw mirrored bars for each band, low at the back, high in front
+ */
+
+const WaveformDisplay = (function() {
+    'use strict';
+
+    // ==========================================================================
+    // CONFIGURATION
+    // ==========================================================================
+
+    const POINTS_PER_SECOND = 100;
+
+    const LOW_CUTOFF = 250;    // Hz
+    const HIGH_CUTOFF = 4000;  // Hz
+
+    /**
+     * Seconds of audio visible in the scrolling view at each zoom level
+     */
+    const ZOOM_LEVELS = [2, 4, 8, 16, 32];
+    const DEFAULT_ZOOM_INDEX = 2;
+
+    const COLORS = {
+        background: '#0a0a0f',
+        low: 'rgba(239, 68, 68, 0.9)',
+        mid: 'rgba(34, 197, 94, 0.8)',
+        high: 'rgba(59, 130, 246, 0.8)',
+        played: 'rgba(0, 0, 0, 0.45)',
+        loop: 'rgba(34, 197, 94, 0.18)',
+        loopEdge: '#22c55e',
+        playhead: '#ffffff',
+        beat: 'rgba(255, 255, 255, 0.25)',
+        downbeat: 'rgba(255, 255, 255, 0.7)',
+        text: '#606070'
+    };
+
+    // ==========================================================================
+    // WAVEFORM DATA
+    // ==========================================================================
+
+    /**
+     * Compute color-band peaks for a decoded track
+     * @param {AudioBuffer} audioBuffer - Decoded audio
+     * @param {number} pointsPerSecond - Buckets per second of audio
+     * @returns {Object} { low, mid, high, pointsPerSecond, duration }
+     */
+    function computeWaveform(audioBuffer, pointsPerSecond = POINTS_PER_SECOND) {
+        const sampleRate = audioBuffer.sampleRate;
+        const length = audioBuffer.length;
+        const numChannels = audioBuffer.numberOfChannels;
+        const channels = [];
+        for (let ch = 0; ch < numChannels; ch++) {
+            channels.push(audioBuffer.getChannelData(ch));
+        }
+
+        const bucketSize = Math.max(1, Math.floor(sampleRate / pointsPerSecond));
+        const numPoints = Math.ceil(length / bucketSize);
+        const low = new Float32Array(numPoints);
+        const mid = new Float32Array(numPoints);
+        const high = new Float32Array(numPoints);
+
+        const lowAlpha = onePoleAlpha(LOW_CUTOFF, sampleRate);
+        const highAlpha = onePoleAlpha(HIGH_CUTOFF, sampleRate);
+        let lowState = 0;
+        let highState = 0;
+
+        for (let i = 0; i < length; i++) {
+            let sample = 0;
+            for (let ch = 0; ch < numChannels; ch++) {
+                sample += channels[ch][i];
+            }
+            sample /= numChannels;
+
+            lowState += lowAlpha * (sample - lowState);
+            highState += highAlpha * (sample - highState);
+
+            const point = (i / bucketSize) | 0;
+            const l = Math.abs(lowState);
+            const m = Math.abs(highState - lowState);
+            const h = Math.abs(sample - highState);
+            if (l > low[point]) low[point] = l;
+            if (m > mid[point]) mid[point] = m;
+            if (h > high[point]) high[point] = h;
+        }
+
+        // Normalize all bands against the same peak to keep their balance
+        let peak = 0;
+        for (let i = 0; i < numPoints; i++) {
+            peak = Math.max(peak, low[i], mid[i], high[i]);
+        }
+        if (peak > 0) {
+            for (let i = 0; i < numPoints; i++) {
+                low[i] /= peak;
+                mid[i] /= peak;
+                high[i] /= peak;
+            }
+        }
+
+        return {
+            low,
+            mid,
+            high,
+            pointsPerSecond: sampleRate / bucketSize,
+            duration: audioBuffer.duration
+        };
+    }
+
+    /**
+     * Smoothing coefficient for a one-pole low-pass filter
+     */
+    function onePoleAlpha(cutoff, sampleRate) {
+        return 1 - Math.exp(-2 * Math.PI * cutoff / sampleRate);
+    }
+
+    // ==========================================================================
+    // VIEW
+    // ==========================================================================
+
+    /**
+     * Create waveform views inside a deck container
+     *
+     * The container must hold a `.waveform-scroll` canvas and a
+     * `.waveform-overview` canvas; `[data-zoom="in"|"out"]` buttons are optional.
+     *
+     * @param {Object} options
+     * @param {HTMLElement} options.container - Waveform container element
+     * @param {string} options.color - Deck accent color (playhead on overview)
+     * @param {Function} options.onSeek - Called with a position in seconds when the overview is clicked
+     * @returns {Object} View with setData, clear, zoom and render methods
+     */
+    function create({ container, color, onSeek }) {
+        const scrollCanvas = container.querySelector('.waveform-scroll');
+        const overviewCanvas = container.querySelector('.waveform-overview');
+
+        let data = null;
+        let message = 'Load a local file to see the waveform';
+        let zoomIndex = DEFAULT_ZOOM_INDEX;
+        let overviewImage = null; // Pre-rendered overview waveform
+
+        overviewCanvas?.addEventListener('click', (e) => {
+            if (!data || !onSeek) return;
+            const rect = overviewCanvas.getBoundingClientRect();
+            const fraction = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+            onSeek(fraction * data.duration);
+        });
+
+        scrollCanvas?.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            zoom(e.deltaY > 0 ? 1 : -1);
+        }, { passive: false });
+
+        container.querySelectorAll('[data-zoom]').forEach(btn => {
+            btn.addEventListener('click', () => zoom(btn.dataset.zoom === 'in' ? -1 : 1));
+        });
+
+        /**
+         * Show a computed waveform
+         * @param {Object} waveform - Result of computeWaveform()
+         */
+        function setData(waveform) {
+            data = waveform;
+            overviewImage = null;
+        }
+
+        /**
+         * Remove the waveform and show a message instead
+         * @param {string} text - Message to show
+         */
+        function clear(text) {
+            data = null;
+            overviewImage = null;
+            if (text) message = text;
+        }
+
+        /**
+         * Change the scrolling view zoom
+         * @param {number} direction - -1 = zoom in (fewer seconds), 1 = zoom out
+         */
+        function zoom(direction) {
+            zoomIndex = Math.max(0, Math.min(ZOOM_LEVELS.length - 1, zoomIndex + direction));
+        }
+
+        /**
+         * Draw both views for the current playhead
+         * @param {Object} state
+         * @param {number} state.position - Playhead in seconds
+         * @param {Array} state.cues - Hot cues (entries may be null)
+         * @param {Object} state.loop - Loop from LoopEngine.getLoop()
+         * @param {Object} state.beatGrid - Grid from BeatGrid.getGrid() (optional)
+         */
+        function render(state) {
+            if (scrollCanvas) renderScroll(state);
+            if (overviewCanvas) renderOverview(state);
+        }
+
+        function renderScroll({ position, cues, loop, beatGrid }) {
+            fitCanvas(scrollCanvas);
+            const ctx = scrollCanvas.getContext('2d');
+            const { width, height } = scrollCanvas;
+
+            ctx.fillStyle = COLORS.background;
+            ctx.fillRect(0, 0, width, height);
+
+            if (!data) {
+                drawMessage(ctx, width, height, message);
+                return;
+            }
+
+            const visible = ZOOM_LEVELS[zoomIndex];
+            const start = position - visible / 2;
+            const pxPerSecond = width / visible;
+            const toX = (time) => (time - start) * pxPerSecond;
+
+            drawLoop(ctx, loop, toX, height);
+            drawBands(ctx, width, height, start, 1 / pxPerSecond);
+            drawBeatGrid(ctx, beatGrid, start, start + visible, toX, height);
+            drawCues(ctx, cues, toX, height, true);
+
+            // Playhead fixed at the center
+            ctx.fillStyle = COLORS.playhead;
+            ctx.fillRect(Math.floor(width / 2), 0, Math.max(1, devicePixelRatio()), height);
+        }
+
+        function renderOverview({ position, cues, loop }) {
+            const resized = fitCanvas(overviewCanvas);
+            const ctx = overviewCanvas.getContext('2d');
+            const { width, height } = overviewCanvas;
+
+            if (!data) {
+                ctx.fillStyle = COLORS.background;
+                ctx.fillRect(0, 0, width, height);
+                return;
+            }
+
+            if (!overviewImage || resized) {
+                overviewImage = document.createElement('canvas');
+                overviewImage.width = width;
+                overviewImage.height = height;
+                const imageCtx = overviewImage.getContext('2d');
+                imageCtx.fillStyle = COLORS.background;
+                imageCtx.fillRect(0, 0, width, height);
+                drawBands(imageCtx, width, height, 0, data.duration / width);
+            }
+
+            ctx.drawImage(overviewImage, 0, 0);
+
+            const toX = (time) => (time / data.duration) * width;
+            const playheadX = toX(position);
+
+            // Dim the part of the track that has already played
+            ctx.fillStyle = COLORS.played;
+            ctx.fillRect(0, 0, playheadX, height);
+
+            drawLoop(ctx, loop, toX, height);
+            drawCues(ctx, cues, toX, height, false);
+
+            ctx.fillStyle = color || COLORS.playhead;
+            ctx.fillRect(Math.floor(playheadX), 0, Math.max(2, devicePixelRatio() * 2), height);
+        }
+
+        /**
+         * Draw mirrored band peaks, one column per pixel
+         * @param {number} startTime - Time at x = 0
+         * @param {number} secondsPerPixel - Time covered by one column
+         */
+        function drawBands(ctx, width, height, startTime, secondsPerPixel) {
+            const center = height / 2;
+            const pps = data.pointsPerSecond;
+            const numPoints = data.low.length;
+
+            for (let x = 0; x < width; x++) {
+                const t0 = startTime + x * secondsPerPixel;
+                const i0 = Math.floor(t0 * pps);
+                const i1 = Math.max(i0 + 1, Math.floor((t0 + secondsPerPixel) * pps));
+                if (i1 <= 0 || i0 >= numPoints) continue;
+
+                let low = 0, mid = 0, high = 0;
+                for (let i = Math.max(0, i0); i < Math.min(numPoints, i1); i++) {
+                    if (data.low[i] > low) low = data.low[i];
+                    if (data.mid[i] > mid) mid = data.mid[i];
+                    if (data.high[i] > high) high = data.high[i];
+                }
+
+                drawBar(ctx, x, center, low, COLORS.low);
+                drawBar(ctx, x, center, mid, COLORS.mid);
+                drawBar(ctx, x, center, high, COLORS.high);
+            }
+        }
+
+        return {
+            setData,
+            clear,
+            zoom,
+            render,
+            hasData: () => !!data
+        };
+    }
+
+    // ==========================================================================
+    // DRAWING HELPERS
+    // ==========================================================================
+
+    function drawBar(ctx, x, center, value, fill) {
+        const barHeight = value * center;
+        if (barHeight < 0.5) return;
+        ctx.fillStyle = fill;
+        ctx.fillRect(x, center - barHeight, 1, barHeight * 2);
+    }
+
+    function drawLoop(ctx, loop, toX, height) {
+        if (!loop || loop.start === null) return;
+
+        const startX = toX(loop.start);
+        if (loop.end !== null) {
+            const endX = toX(loop.end);
+            ctx.fillStyle = COLORS.loop;
+            ctx.fillRect(startX, 0, endX - startX, height);
+            ctx.fillStyle = loop.active ? COLORS.loopEdge : COLORS.text;
+            ctx.fillRect(endX, 0, 1, height);
+        }
+        ctx.fillStyle = loop.active ? COLORS.loopEdge : COLORS.text;
+        ctx.fillRect(startX, 0, 1, height);
+    }
+
+    /**
+     * Beat ticks at the top and bottom edge, full-height lines on downbeats
+     */
+    function drawBeatGrid(ctx, grid, startTime, endTime, toX, height) {
+        if (!grid) return;
+
+        const dpr = devicePixelRatio();
+        const tick = height * 0.15;
+
+        BeatGrid.getBeatsInRange(grid, startTime, endTime).forEach(beat => {
+            const x = Math.floor(toX(beat.time));
+            if (beat.isDownbeat) {
+                ctx.fillStyle = COLORS.downbeat;
+                ctx.fillRect(x, 0, Math.max(1, dpr), height);
+            } else {
+                ctx.fillStyle = COLORS.beat;
+                ctx.fillRect(x, 0, Math.max(1, dpr), tick);
+                ctx.fillRect(x, height - tick, Math.max(1, dpr), tick);
+            }
+        });
+    }
+
+    function drawCues(ctx, cues, toX, height, withLabels) {
+        if (!cues) return;
+
+        const dpr = devicePixelRatio();
+        ctx.font = `${10 * dpr}px sans-serif`;
+        ctx.textBaseline = 'top';
+
+        cues.forEach((cue, index) => {
+            if (!cue) return;
+            const x = toX(cue.position);
+            if (x < -50 * dpr || x > ctx.canvas.width) return;
+
+            ctx.fillStyle = cue.color;
+            ctx.fillRect(x, 0, Math.max(1, dpr), height);
+
+            // Marker flag at the top
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x + 6 * dpr, 0);
+            ctx.lineTo(x, 6 * dpr);
+            ctx.closePath();
+            ctx.fill();
+
+            if (withLabels) {
+                ctx.fillText(String(index + 1), x + 3 * dpr, 7 * dpr);
+            }
+        });
+    }
+
+    function drawMessage(ctx, width, height, text) {
+        ctx.fillStyle = COLORS.text;
+        ctx.font = `${11 * devicePixelRatio()}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, width / 2, height / 2);
+        ctx.textAlign = 'start';
+    }
+
+    /**
+     * Match the canvas backing store to its CSS size
+     * @returns {boolean} True if the canvas was resized
+     */
+    function fitCanvas(canvas) {
+        const dpr = devicePixelRatio();
+        const width = Math.max(1, Math.round(canvas.clientWidth * dpr));
+        const height = Math.max(1, Math.round(canvas.clientHeight * dpr));
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+            return true;
+        }
+        return false;
+    }
+
+    function devicePixelRatio() {
+        return window.devicePixelRatio || 1;
+    }
+
+    // ==========================================================================
+    // PUBLIC API
+    // ==========================================================================
+
+    return {
+        computeWaveform,
+        create,
+
+        // Constants
+        ZOOM_LEVELS
+    };
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WaveformDisplay;
+}
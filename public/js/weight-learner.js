@@ -0,0 +1,301 @@
+/**
+ * Weight Learner - Auto-DJ Weights from DJ Feedback
+ *
+ * OVERVIEW:
+ * Learns how much each part of AutoDJEngine's score (BPM, energy,
+ * danceability, key, progression) matters to this DJ, from what they do
+ * with the recommendations:
+ * - pick:        chose a candidate from the list                  (label 1)
+ * - playThrough: let a track play to its end or mix out            (label 1)
+ * - skip:        replaced a loaded track before it finished        (label 0)
+ * - passedOver:  the top candidate when the DJ picked another one  (label 0, weaker)
+ *
+ * MODEL (online logistic regression):
+ *   p(accepted) = sigmoid(bias + sum_k theta_k * score_k)
+ * where score_k are the transition's component scores (0-1). After each
+ * event, one gradient step:
+ *   theta_k += rate * (label - p) * score_k
+ *   bias    += rate * (label - p)
+ * theta starts at the profile's weights x PRIOR_SCALE, so before any
+ * feedback the model ranks exactly like the profile. The engine's weights
+ * are the positive part of theta, normalized to sum to 1 (with a small
+ * floor, so no component is switched off entirely).
+ *
+ * PROFILES:
+ * Each Auto-DJ profile has its own model, seeded from the profile's weights
+ * the first time it is used (useProfile). Switching profile switches model,
+ * so what was learned under one style isn't overwritten by another, and
+ * reset() goes back to the weights it is given - the active profile's.
+ *
+ * DATA PERSISTENCE:
+ * The models, each with a log of recent events (candidate features and
+ * scores), and the active profile are saved to localStorage.
+ */
+
+const WeightLearner = (function() {
+    'use strict';
+
+    // ==========================================================================
+    // CONFIGURATION
+    // ==========================================================================
+
+    const STORAGE_KEY = 'dj_learned_weights';
+    const DEFAULT_PROFILE = 'default';
+
+    const COMPONENTS = ['bpm', 'energy', 'danceability', 'key', 'progression'];
+
+    const PRIOR_SCALE = 6;          // theta = default weight x this before any feedback
+    const LEARNING_RATE = 0.15;
+    const MIN_WEIGHT = 0.02;        // Floor for each learned weight (before normalizing)
+    const MAX_LOG_ENTRIES = 200;
+
+    const OUTCOMES = {
+        pick: { label: 1, rate: 1 },
+        playThrough: { label: 1, rate: 1 },
+        skip: { label: 0, rate: 1 },
+        passedOver: { label: 0, rate: 0.5 }
+    };
+
+    // ==========================================================================
+    // STATE
+    // ==========================================================================
+
+    const store = loadStore();            // { active, models: { [profileId]: model } }
+    let model = store.models[store.active] || createModel(); // { theta, bias, counts, log }
+
+    // ==========================================================================
+    // LEARNING
+    // ==========================================================================
+
+    /**
+     * Learn from what the DJ did with a recommendation
+     * @param {string} outcome - Key of OUTCOMES
+     * @param {Object} track - The candidate track
+     * @param {Object} scoreResult - AutoDJEngine.calculateScore() result for the transition into it
+     * @returns {Object} Learned weights after the update
+     */
+    function recordFeedback(outcome, track, scoreResult) {
+        const { label, rate } = OUTCOMES[outcome] || {};
+        if (label === undefined) throw new Error(`Unknown feedback outcome: ${outcome}`);
+        if (!scoreResult?.scores) return getWeights();
+
+        const x = COMPONENTS.map(key => scoreResult.scores[key] ?? 0.5);
+        const p = predict(x);
+        const step = LEARNING_RATE * rate * (label - p);
+
+        COMPONENTS.forEach((key, i) => {
+            model.theta[key] += step * x[i];
+        });
+        model.bias += step;
+        model.counts[outcome] = (model.counts[outcome] || 0) + 1;
+
+        const features = track.audioFeatures || track;
+        model.log.push({
+            outcome,
+            label,
+            predicted: p,
+            trackId: track.id,
+            trackName: track.name,
+            features: {
+                tempo: features.tempo ?? null,
+                energy: features.energy ?? null,
+                danceability: features.danceability ?? null,
+                key: features.key ?? null,
+                mode: features.mode ?? null
+            },
+            scores: { ...scoreResult.scores },
+            total: scoreResult.total,
+            timestamp: Date.now()
+        });
+        if (model.log.length > MAX_LOG_ENTRIES) {
+            model.log.splice(0, model.log.length - MAX_LOG_ENTRIES);
+        }
+
+        saveStore();
+        console.log(`[WeightLearner] ${outcome}: ${track.name} (p=${p.toFixed(2)})`);
+        return getWeights();
+    }
+
+    /**
+     * Probability the model gives a transition of being accepted
+     * @param {number[]} x - Component scores in COMPONENTS order
+     */
+    function predict(x) {
+        const z = model.bias + COMPONENTS.reduce((sum, key, i) => sum + model.theta[key] * x[i], 0);
+        return 1 / (1 + Math.exp(-z));
+    }
+
+    // ==========================================================================
+    // WEIGHTS
+    // ==========================================================================
+
+    /**
+     * Learned weights, normalized to sum to 1
+     * @returns {Object} { bpm, energy, danceability, key, progression }
+     */
+    function getWeights() {
+        const raw = {};
+        COMPONENTS.forEach(key => {
+            raw[key] = Math.max(MIN_WEIGHT, model.theta[key] / PRIOR_SCALE);
+        });
+
+        const sum = Object.values(raw).reduce((a, b) => a + b, 0);
+        COMPONENTS.forEach(key => { raw[key] /= sum; });
+        return raw;
+    }
+
+    /**
+     * Set the weights by hand (weight sliders); learning carries on from them
+     * @param {Object} weights - Partial or full weights (normalized with the rest)
+     */
+    function setWeights(weights) {
+        const merged = { ...getWeights(), ...weights };
+        const sum = COMPONENTS.reduce((total, key) => total + merged[key], 0) || 1;
+        COMPONENTS.forEach(key => {
+            model.theta[key] = (merged[key] / sum) * PRIOR_SCALE;
+        });
+        saveStore();
+    }
+
+    /**
+     * Forget the active profile's feedback and start again from `weights`
+     * @param {Object} [weights] - The profile's weights (engine defaults if left out)
+     */
+    function reset(weights) {
+        model = createModel(weights);
+        store.models[store.active] = model;
+        saveStore();
+        console.log(`[WeightLearner] Reset ${store.active}`);
+    }
+
+    // ==========================================================================
+    // PROFILES
+    // ==========================================================================
+
+    /**
+     * Learn for a profile from now on, seeding its model from its weights the
+     * first time; a profile used before carries on from what it learned
+     * @param {string} id - AutoDJProfiles id
+     * @param {Object} weights - The profile's weights
+     * @returns {Object} The profile's learned weights
+     */
+    function useProfile(id, weights) {
+        store.active = id;
+        model = getModel(id, weights);
+        saveStore();
+        return getWeights();
+    }
+
+    /**
+     * Drop what was learned for a deleted profile
+     * @param {string} id - AutoDJProfiles id
+     */
+    function forgetProfile(id) {
+        delete store.models[id];
+        saveStore();
+    }
+
+    function getModel(id, weights) {
+        if (!store.models[id]) store.models[id] = createModel(weights);
+        return store.models[id];
+    }
+
+    /**
+     * @returns {Object} { events, counts: { pick, playThrough, skip, passedOver } }
+     */
+    function getStats() {
+        const counts = { ...model.counts };
+        return {
+            events: Object.values(counts).reduce((a, b) => a + b, 0),
+            counts
+        };
+    }
+
+    /**
+     * Recent feedback, newest last
+     * @returns {Array} { outcome, label, predicted, trackId, trackName, features, scores, total, timestamp }
+     */
+    function getLog() {
+        return model.log.map(entry => ({ ...entry }));
+    }
+
+    // ==========================================================================
+    // PERSISTENCE
+    // ==========================================================================
+
+    function createModel(weights = AutoDJEngine.getDefaultWeights()) {
+        const sum = COMPONENTS.reduce((total, key) => total + (weights[key] || 0), 0) || 1;
+        const theta = {};
+        COMPONENTS.forEach(key => { theta[key] = ((weights[key] || 0) / sum) * PRIOR_SCALE; });
+
+        // Centre the prior: a transition scoring 0.5 overall is a coin flip
+        return { theta, bias: -PRIOR_SCALE / 2, counts: {}, log: [] };
+    }
+
+    function parseModel(data) {
+        const loaded = createModel();
+        COMPONENTS.forEach(key => {
+            if (typeof data.theta?.[key] === 'number') loaded.theta[key] = data.theta[key];
+        });
+        if (typeof data.bias === 'number') loaded.bias = data.bias;
+        if (data.counts) loaded.counts = { ...data.counts };
+        if (Array.isArray(data.log)) loaded.log = data.log.slice(-MAX_LOG_ENTRIES);
+        return loaded;
+    }
+
+    function loadStore() {
+        const loaded = { active: DEFAULT_PROFILE, models: {} };
+
+        try {
+            const data = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+            if (data.theta) {
+                // Saved before models were kept per profile
+                loaded.models[DEFAULT_PROFILE] = parseModel(data);
+            }
+            if (typeof data.active === 'string') loaded.active = data.active;
+            Object.entries(data.models || {}).forEach(([id, saved]) => {
+                loaded.models[id] = parseModel(saved);
+            });
+        } catch (e) {
+            console.error('[WeightLearner] Failed to load models:', e);
+        }
+        return loaded;
+    }
+
+    function saveStore() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+        } catch (e) {
+            console.error('[WeightLearner] Failed to save models:', e);
+        }
+    }
+
+    // ==========================================================================
+    // PUBLIC API
+    // ==========================================================================
+
+    return {
+        // Learning
+        recordFeedback,
+
+        // Weights
+        getWeights,
+        setWeights,
+        reset,
+        getStats,
+        getLog,
+
+        // Profiles
+        useProfile,
+        forgetProfile,
+
+        // Constants
+        COMPONENTS,
+        OUTCOMES
+    };
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WeightLearner;
+}
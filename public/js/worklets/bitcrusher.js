@@ -0,0 +1,63 @@
+/**
+ * Bitcrusher - AudioWorklet Processor
+ *
+ * OVERVIEW:
+ * Lo-fi distortion for the effects rack. Two kinds of degradation:
+ * 1. Bit depth: each sample is rounded to one of 2^bits levels
+ * 2. Sample rate: each sample is held for `downsample` frames, which
+ *    folds high frequencies back down as aliasing
+ *
+ * PARAMETERS:
+ * - bits: 1 to 16 (16 is effectively clean)
+ * - downsample: 1 to 32 (1 = full sample rate)
+ */
+
+class BitcrusherProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [
+            { name: 'bits', defaultValue: 8, minValue: 1, maxValue: 16, automationRate: 'k-rate' },
+            { name: 'downsample', defaultValue: 4, minValue: 1, maxValue: 32, automationRate: 'k-rate' }
+        ];
+    }
+
+    constructor() {
+        super();
+        this.held = [];         // Last held sample per channel
+        this.holdCounter = 0;   // Frames left before the next sample is taken
+    }
+
+    process(inputs, outputs, parameters) {
+        const input = inputs[0];
+        const output = outputs[0];
+        const step = 2 / Math.pow(2, Math.round(parameters.bits[0]));
+        const downsample = Math.max(1, Math.round(parameters.downsample[0]));
+        const frames = output[0].length;
+
+        for (let ch = 0; ch < output.length; ch++) {
+            const inChannel = input[ch] || input[0];
+            let held = this.held[ch] || 0;
+            let counter = this.holdCounter;
+
+            for (let i = 0; i < frames; i++) {
+                if (counter <= 0) {
+                    const sample = inChannel ? inChannel[i] : 0;
+                    held = Math.round(sample / step) * step;
+                    counter = downsample;
+                }
+                output[ch][i] = held;
+                counter--;
+            }
+
+            this.held[ch] = held;
+
+            // All channels advance together; keep the counter of the last one
+            if (ch === output.length - 1) {
+                this.holdCounter = counter;
+            }
+        }
+
+        return true;
+    }
+}
+
+registerProcessor('bitcrusher', BitcrusherProcessor);
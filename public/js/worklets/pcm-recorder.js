@@ -0,0 +1,73 @@
+/**
+ * PCM Recorder - AudioWorklet Processor
+ *
+ * OVERVIEW:
+ * Captures the raw samples of whatever is connected to it, for lossless
+ * WAV recording. Samples are collected into blocks of BLOCK_SIZE frames and
+ * posted to the main thread, which converts and stores them.
+ *
+ * MESSAGES:
+ * In (port):  'record' | 'pause' | 'flush'
+ * Out (port): { type: 'block', channels: Float32Array[] }  (transferred)
+ *             { type: 'flushed' }                         (after the last block)
+ */
+
+const BLOCK_SIZE = 16384; // Frames per message (~0.37s at 44.1kHz)
+
+class PcmRecorderProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        this.channelCount = options.processorOptions?.channelCount || 2;
+        this.recording = false;
+        this.resetBlock();
+
+        this.port.onmessage = (event) => {
+            if (event.data === 'record') this.recording = true;
+            if (event.data === 'pause') this.recording = false;
+            if (event.data === 'flush') {
+                this.recording = false;
+                this.postBlock();
+                this.port.postMessage({ type: 'flushed' });
+            }
+        };
+    }
+
+    resetBlock() {
+        this.block = [];
+        for (let ch = 0; ch < this.channelCount; ch++) {
+            this.block.push(new Float32Array(BLOCK_SIZE));
+        }
+        this.blockLength = 0;
+    }
+
+    postBlock() {
+        if (this.blockLength === 0) return;
+
+        const channels = this.block.map(data => data.slice(0, this.blockLength));
+        this.port.postMessage({ type: 'block', channels }, channels.map(data => data.buffer));
+        this.resetBlock();
+    }
+
+    process(inputs) {
+        const input = inputs[0];
+        if (!this.recording || !input || input.length === 0) return true;
+
+        const frames = input[0].length;
+        for (let i = 0; i < frames; i++) {
+            for (let ch = 0; ch < this.channelCount; ch++) {
+                // Mono input is recorded on every channel
+                const source = input[ch] || input[0];
+                this.block[ch][this.blockLength] = source[i];
+            }
+            this.blockLength++;
+
+            if (this.blockLength === BLOCK_SIZE) {
+                this.postBlock();
+            }
+        }
+
+        return true;
+    }
+}
+
+registerProcessor('pcm-recorder', PcmRecorderProcessor);
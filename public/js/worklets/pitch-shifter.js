@@ -0,0 +1,112 @@
+/**
+ * Pitch Shifter - AudioWorklet Processor
+ *
+ * OVERVIEW:
+ * Shifts the pitch of a deck without changing its tempo. Combined with the
+ * deck's DeckTransport rate (pitch fader times any jog or nudge bend) this
+ * gives key lock (master tempo): the transport speeds the track up (raising
+ * the pitch), and this processor shifts it back down by the same ratio.
+ *
+ * ALGORITHM (overlap-add delay-line shifter):
+ * 1. Input is written into a circular buffer
+ * 2. Two read taps trail the write position by a delay that sweeps through
+ *    a 2048-sample window at (1 - pitchRatio) samples per sample - reading
+ *    faster or slower than writing resamples the signal (the Doppler effect)
+ * 3. The taps are half a window apart and faded with complementary Hann
+ *    windows, so one tap is silent whenever the other wraps around
+ *
+ * At pitchRatio = 1 the input is passed straight through, so decks without
+ * key lock get no extra latency.
+ *
+ * PARAMETERS:
+ * - pitchRatio: 2^(semitones / 12); 0.5 = one octave down, 2 = one octave up
+ */
+
+const WINDOW_SIZE = 2048;  // Grain length in samples (~46ms at 44.1kHz)
+const BUFFER_SIZE = 8192;  // Circular buffer length (power of two, > WINDOW_SIZE)
+
+class PitchShifterProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [{
+            name: 'pitchRatio',
+            defaultValue: 1,
+            minValue: 0.25,
+            maxValue: 4,
+            automationRate: 'k-rate'
+        }];
+    }
+
+    constructor() {
+        super();
+        this.buffers = [];      // One circular buffer per channel
+        this.writeIndex = 0;
+        this.delay = 0;         // Delay of the first tap in samples (0 to WINDOW_SIZE)
+    }
+
+    process(inputs, outputs, parameters) {
+        const input = inputs[0];
+        const output = outputs[0];
+        const ratio = parameters.pitchRatio[0];
+        const frames = output[0].length;
+
+        while (this.buffers.length < output.length) {
+            this.buffers.push(new Float32Array(BUFFER_SIZE));
+        }
+
+        for (let ch = 0; ch < output.length; ch++) {
+            const inChannel = input[ch] || input[0];
+            const buffer = this.buffers[ch];
+            let writeIndex = this.writeIndex;
+            let delay = this.delay;
+
+            for (let i = 0; i < frames; i++) {
+                const sample = inChannel ? inChannel[i] : 0;
+                buffer[writeIndex] = sample;
+
+                if (ratio === 1) {
+                    output[ch][i] = sample;
+                } else {
+                    const delay2 = (delay + WINDOW_SIZE / 2) % WINDOW_SIZE;
+                    output[ch][i] =
+                        readDelayed(buffer, writeIndex, delay) * hann(delay) +
+                        readDelayed(buffer, writeIndex, delay2) * hann(delay2);
+
+                    delay += 1 - ratio;
+                    if (delay < 0) delay += WINDOW_SIZE;
+                    if (delay >= WINDOW_SIZE) delay -= WINDOW_SIZE;
+                }
+
+                writeIndex = (writeIndex + 1) & (BUFFER_SIZE - 1);
+            }
+
+            // All channels advance together; keep the state of the last one
+            if (ch === output.length - 1) {
+                this.writeIndex = writeIndex;
+                this.delay = delay;
+            }
+        }
+
+        return true;
+    }
+}
+
+/**
+ * Read a sample `delay` samples behind the write position (linear interpolation)
+ */
+function readDelayed(buffer, writeIndex, delay) {
+    const position = writeIndex - delay + BUFFER_SIZE;
+    const index = Math.floor(position);
+    const frac = position - index;
+    const a = buffer[index & (BUFFER_SIZE - 1)];
+    const b = buffer[(index + 1) & (BUFFER_SIZE - 1)];
+    return a + (b - a) * frac;
+}
+
+/**
+ * Grain envelope: 0 at both ends of the window, 1 in the middle
+ */
+function hann(delay) {
+    return 0.5 - 0.5 * Math.cos(2 * Math.PI * delay / WINDOW_SIZE);
+}
+
+registerProcessor('pitch-shifter', PitchShifterProcessor);
@@ -2,31 +2,188 @@
  * DJ Controller - Core Audio & Controls
  *
  * Handles:
- * - Local audio playback for both decks
+ * - Local audio playback on two decks, or four in four-deck mode
  * - Integration with Spotify SDK
  * - Transport controls (play, pause, stop, loop)
- * - Mixer controls (volume, pitch, EQ, crossfader)
+ * - Hot cue pads (set, trigger, rename, color, delete)
+ * - Beat loops (loop in/out, auto-loop, halve/double, move)
+ * - Slip mode, reverse and censor (buffer-based deck transport)
+ * - Jog wheels with vinyl scratching, pitch bend and nudge buttons
+ * - Scrolling and overview waveforms for local files
+ * - Editable beat grids with quantized loops and cues
+ * - Phase-aware beat sync with a selectable tempo master
+ * - Key lock (tempo changes without changing key)
+ * - Transpose (key changes without changing tempo)
+ * - Background tempo/key/energy/loudness analysis of local files
+ * - Mixer controls (volume, trim, pitch, EQ, crossfader)
+ * - Selectable crossfader curves and hamster (reversed) mode
+ * - Per-deck crossfader assignment (left / thru / right)
+ * - Automatic trim to a target loudness (LUFS), with manual override
+ * - Per-deck effects rack (filter, echo, reverb, flanger/phaser, bitcrusher)
+ * - Master bus with limiter, level meters and clip indicators
+ * - Set recording (WebM or WAV) with download and upload
+ * - Headphone cue (split output or a second output device)
+ * - 16-pad sampler (one-shot, hold and loop pads) into the master bus
  * - Auto-fade transitions
  */
 
 // ==========================================================================
-// AUDIO ELEMENTS
+// DECK REGISTRY
 // ==========================================================================
 
-const audio1 = new Audio();
-const audio2 = new Audio();
+/**
+ * Every deck the controller can show. Decks C and D only appear in
+ * four-deck mode; everything deck-specific is set up by looping over
+ * DECK_IDS, so all four get the same transport, EQ, pitch and effects.
+ *
+ * A deck's elements share numbered ids (deck A: #playSong1, deck C:
+ * #playSong3). Decks C and D are built from deck A's markup on load.
+ *
+ * Local tracks play through a DeckTransport (buffer-based, with slip and
+ * reverse), which stands in for an <audio> element; deck code still calls
+ * it the deck's audio element.
+ */
+const DECK_IDS = ['A', 'B', 'C', 'D'];
+const BASE_DECK_IDS = ['A', 'B'];
+
+const DECK_COLORS = { A: '#3b82f6', B: '#f97316', C: '#14b8a6', D: '#ec4899' };
+
+const decks = {};
+DECK_IDS.forEach((id, index) => {
+    decks[id] = {
+        id,
+        number: index + 1,
+        color: DECK_COLORS[id],
+        audio: DeckTransport.create(),
+        // Crossfader side: 'left', 'right' or 'thru' (ignores the crossfader)
+        assign: id === 'A' ? 'left' : id === 'B' ? 'right' : 'thru'
+    };
+});
+
+const DECK_LAYOUT_KEY = 'dj_deck_layout';
+let fourDeckMode = false;
+
+/**
+ * Restore four-deck mode and crossfader assignments from the last session
+ */
+function loadDeckLayout() {
+    try {
+        const layout = JSON.parse(localStorage.getItem(DECK_LAYOUT_KEY) || '{}');
+        fourDeckMode = !!layout.fourDecks;
+        Object.entries(layout.assign || {}).forEach(([deck, side]) => {
+            if (decks[deck] && ['left', 'thru', 'right'].includes(side)) decks[deck].assign = side;
+        });
+    } catch (e) {
+        console.error('[DJ] Failed to load deck layout:', e);
+    }
+}
+
+function saveDeckLayout() {
+    try {
+        localStorage.setItem(DECK_LAYOUT_KEY, JSON.stringify({
+            fourDecks: fourDeckMode,
+            assign: Object.fromEntries(DECK_IDS.map(deck => [deck, decks[deck].assign]))
+        }));
+    } catch (e) {
+        console.error('[DJ] Failed to save deck layout:', e);
+    }
+}
+
+loadDeckLayout();
+
+/**
+ * Decks currently shown (C and D only in four-deck mode)
+ * @returns {string[]}
+ */
+function getActiveDecks() {
+    return fourDeckMode ? DECK_IDS : BASE_DECK_IDS;
+}
+
+const audio1 = decks.A.audio;
+const audio2 = decks.B.audio;
 window.audio1 = audio1;
 window.audio2 = audio2;
 
+/**
+ * Per-deck lookup with the same starting value for every deck
+ * @param {*} value - Starting value (shared, so use primitives)
+ * @returns {Object} { A: value, B: value, C: value, D: value }
+ */
+function createDeckMap(value) {
+    return Object.fromEntries(DECK_IDS.map(deck => [deck, value]));
+}
+
+function getDeckAudio(deck) {
+    return decks[deck].audio;
+}
+
+/**
+ * Find one of a deck's elements by its numbered id
+ * @param {string} deck - Deck id
+ * @param {string} prefix - Id before the deck number ('playSong')
+ * @param {string} suffix - Id after the deck number ('Val' in 'vol1Val')
+ * @returns {HTMLElement|null}
+ */
+function getDeckElement(deck, prefix, suffix = '') {
+    return document.getElementById(`${prefix}${decks[deck].number}${suffix}`);
+}
+
+// Called from app.js, which drives its Auto-DJ deck pair from the same registry
+window.DECK_IDS = DECK_IDS;
+window.DECK_COLORS = DECK_COLORS;
+window.getDeckAudio = getDeckAudio;
+window.getDeckElement = getDeckElement;
+window.getActiveDecks = getActiveDecks;
+
+function getDeckPanel(deck) {
+    return document.querySelector(`.deck-${deck.toLowerCase()}`);
+}
+
+/**
+ * Build the deck C and D panels from deck A's markup
+ * Ids are renumbered and deck A's labels replaced with the new deck's.
+ */
+function buildExtraDecks() {
+    const template = getDeckPanel('A');
+    if (!template) return;
+
+    ['C', 'D'].forEach(deck => {
+        const { number, color } = decks[deck];
+        const panel = template.cloneNode(true);
+
+        panel.classList.replace('deck-a', `deck-${deck.toLowerCase()}`);
+        panel.classList.add('deck-extra');
+        panel.querySelectorAll('[id]').forEach(el => {
+            el.id = el.id.replace('deckAInfo', `deck${deck}Info`).replace(/([a-z])1(?=[A-Z]|$)/i, `$1${number}`);
+        });
+        panel.querySelectorAll('label[for]').forEach(el => {
+            el.htmlFor = el.htmlFor.replace(/1$/, number);
+        });
+        panel.querySelectorAll('[title]').forEach(el => {
+            el.title = el.title.replace('Deck A', `Deck ${deck}`);
+        });
+        panel.querySelector('.deck-label').textContent = `DECK ${deck}`;
+        panel.querySelector('.effective-bpm').style.color = color;
+
+        // C sits under A on the left, D under B on the right
+        const column = getDeckPanel(deck === 'C' ? 'A' : 'B').parentElement;
+        column.appendChild(panel);
+    });
+}
+
+buildExtraDecks();
+
 // ==========================================================================
 // WEB AUDIO API - EQ PROCESSING
 // ==========================================================================
 
 let audioContext = null;
-let audioNodes = {
-    A: { source: null, bass: null, mid: null, treble: null, gain: null },
-    B: { source: null, bass: null, mid: null, treble: null, gain: null }
-};
+let masterBus = null;   // Master gain, limiter and output (see MasterBus)
+let cueBus = null;      // Headphone cue routing (see CueBus)
+const audioNodes = {};
+DECK_IDS.forEach(deck => {
+    audioNodes[deck] = { source: null, declick: null, bass: null, mid: null, treble: null, trim: null, fx: null, gain: null };
+});
 
 /**
  * Initialize Web Audio API for EQ processing
@@ -39,26 +196,43 @@ function initAudioContext() {
         audioContext = new (window.AudioContext || window.webkitAudioContext)();
         console.log('[DJ] AudioContext initialized');
 
-        // Setup audio nodes for Deck A
-        setupDeckAudioNodes('A', audio1);
-        // Setup audio nodes for Deck B
-        setupDeckAudioNodes('B', audio2);
+        // All decks sum into the master bus
+        setupMasterBus();
+        setupSampler();
+
+        // Setup audio nodes for every deck (C and D stay silent until used)
+        DECK_IDS.forEach(deck => setupDeckAudioNodes(deck, getDeckAudio(deck)));
+
+        // Key lock processors load asynchronously and are spliced in when ready
+        loadPitchShifters();
+        loadEffectWorklets();
 
     } catch (e) {
         console.error('[DJ] Failed to create AudioContext:', e);
+        showToast('Audio could not start in this browser - local files can\'t play');
     }
 }
 
 /**
  * Setup audio processing chain for a deck
- * audio -> bass filter -> mid filter -> treble filter -> gain -> destination
+ * transport -> declick -> [pitch shifter] -> bass filter -> mid filter -> treble filter -> trim -> effects rack -> gain -> master bus
+ *                                                                                                       \-> cue bus
+ * The pitch shifter is inserted by insertPitchShifter() once its worklet has loaded.
+ * The trim levels the track to the loudness target before the effects, so
+ * level-dependent effects (bitcrusher, echo feedback) behave the same on every track.
+ * The gain node is the deck fader (volume x crossfader), so the cue tap before it
+ * hears the deck even when it is faded out.
  */
 function setupDeckAudioNodes(deck, audioElement) {
     if (!audioContext) return;
 
     try {
-        // Create source from audio element
-        const source = audioContext.createMediaElementSource(audioElement);
+        // Route from the deck transport
+        const source = audioElement.attach(audioContext);
+
+        // Create declick gain (briefly dipped when a loop jumps back)
+        const declick = audioContext.createGain();
+        declick.gain.value = 1;
 
         // Create bass filter (lowshelf at 200Hz)
         const bass = audioContext.createBiquadFilter();
@@ -79,19 +253,33 @@ function setupDeckAudioNodes(deck, audioElement) {
         treble.frequency.value = 3000;
         treble.gain.value = 0;
 
-        // Create gain node for volume control via EQ path
+        // Create trim (loudness normalization / manual trim)
+        const trim = audioContext.createGain();
+        trim.gain.value = MasterBus.dbToGain(getDeckTrim(deck));
+
+        // Create effects rack (filter, bitcrusher, flanger/phaser, echo, reverb)
+        const fx = EffectsRack.create(audioContext);
+
+        // Create gain node for volume control (takes over from the element's volume)
         const gain = audioContext.createGain();
-        gain.gain.value = 1;
+        gain.gain.value = audioElement.volume;
+        audioElement.volume = 1;
 
         // Connect the chain
-        source.connect(bass);
+        source.connect(declick);
+        declick.connect(bass);
         bass.connect(mid);
         mid.connect(treble);
-        treble.connect(gain);
-        gain.connect(audioContext.destination);
+        treble.connect(trim);
+        trim.connect(fx.input);
+        fx.output.connect(gain);
+        gain.connect(masterBus.input);
+        cueBus.connectDeck(deck, fx.output);
 
         // Store references
-        audioNodes[deck] = { source, bass, mid, treble, gain };
+        audioNodes[deck] = { source, declick, bass, mid, treble, trim, fx, gain };
+        levelMeters[deck] = MasterBus.createMeter(audioContext, gain, 2);
+        updateDeckEffectsTempo(deck);
 
         console.log('[DJ] Audio nodes setup for Deck', deck);
 
@@ -100,9 +288,31 @@ function setupDeckAudioNodes(deck, audioElement) {
     }
 }
 
+/**
+ * Set a local deck's output level (volume x crossfader)
+ * Once Web Audio is running the level is applied by the deck's gain node,
+ * after the headphone cue tap; before that the element volume is used.
+ * @param {string} deck - Deck id ('A'-'D')
+ * @param {number} volume - 0 to 1
+ */
+function setDeckVolume(deck, volume) {
+    const audioElement = getDeckAudio(deck);
+    const fader = audioNodes[deck]?.gain;
+
+    if (fader) {
+        audioElement.volume = 1;
+        fader.gain.setTargetAtTime(volume, audioContext.currentTime, 0.01);
+    } else {
+        audioElement.volume = volume;
+    }
+}
+
+// Called from app.js for its auto-fade
+window.setDeckVolume = setDeckVolume;
+
 /**
  * Apply EQ value to a filter
- * @param {string} deck - 'A' or 'B'
+ * @param {string} deck - Deck id ('A'-'D')
  * @param {string} band - 'bass', 'mid', or 'treble'
  * @param {number} value - Slider value 0 to 1, where 0.5 is neutral
  */
@@ -123,22 +333,16 @@ function applyEQ(deck, band, value) {
 // DECK STATE
 // ==========================================================================
 
-const deckState = {
-    A: {
+const deckState = {};
+DECK_IDS.forEach(deck => {
+    deckState[deck] = {
         source: 'none',      // 'none', 'local', 'spotify'
         isPlaying: false,
         isLooping: false,
         track: null,
         spotifyTrackId: null
-    },
-    B: {
-        source: 'none',
-        isPlaying: false,
-        isLooping: false,
-        track: null,
-        spotifyTrackId: null
-    }
-};
+    };
+});
 window.deckState = deckState;
 
 // Track which deck is currently using Spotify (only one at a time)
@@ -156,13 +360,12 @@ function handleFileUpload(event, deck) {
     // Initialize AudioContext on user interaction
     initAudioContext();
 
-    const audioElement = deck === 'A' ? audio1 : audio2;
-    const nameElement = document.getElementById(deck === 'A' ? 'song1Name' : 'song2Name');
+    const audioElement = getDeckAudio(deck);
+    const nameElement = getDeckElement(deck, 'song', 'Name');
     const reader = new FileReader();
 
     reader.onload = function(e) {
         audioElement.src = e.target.result;
-        audioElement.load();
         if (nameElement) {
             nameElement.textContent = file.name;
         }
@@ -173,25 +376,45 @@ function handleFileUpload(event, deck) {
         deckState[deck].source = 'local';
         deckState[deck].track = {
             name: file.name,
+            fingerprint: HotCues.getFileFingerprint(file),
             audioFeatures: { tempo: estimatedBPM }
         };
         deckState[deck].spotifyTrackId = null;
 
         // Reset pitch slider to neutral
-        const pitchSlider = document.getElementById(deck === 'A' ? 'pitchSong1' : 'pitchSong2');
-        const pitchLabel = document.getElementById(deck === 'A' ? 'pitch1Val' : 'pitch2Val');
+        const pitchSlider = getDeckElement(deck, 'pitchSong');
+        const pitchLabel = getDeckElement(deck, 'pitch', 'Val');
         if (pitchSlider) {
             pitchSlider.value = 1;
-            audioElement.playbackRate = 1;
+            setDeckPlaybackRate(deck, 1);
         }
         if (pitchLabel) {
             pitchLabel.textContent = '0%';
         }
 
+        // New track starts in its own key
+        deckTranspose[deck] = 0;
+        updateDeckPitchShift(deck);
+        renderTransposeControls(deck);
+
+        // Trim follows the new track's loudness once it is measured
+        manualTrim[deck] = null;
+        applyDeckTrim(deck);
+
         // Update effective BPM display
         updateEffectiveBPMDisplay(deck, 1);
 
         updateDeckUI(deck);
+        renderHotCues(deck);
+        LoopEngine.clearLoop(deck);
+        updateLoopRegion(deck);
+        renderLoopControls(deck);
+        renderGridControls(deck);
+        handleSyncTrackChange(deck);
+        analyzeDeckFile(deck, file);
+        if (typeof DJApp !== 'undefined') {
+            DJApp.updateDeckTrack(deck, deckState[deck].track);
+        }
         console.log(`[DJ] Loaded local file on Deck ${deck}:`, file.name, `(estimated ~${estimatedBPM} BPM)`);
         showToast(`Loaded: ${file.name} (EQ and Pitch active)`);
     };
@@ -213,8 +436,10 @@ function estimateBPMFromFilename(filename) {
     return null;
 }
 
-document.getElementById('uploadSong1')?.addEventListener('change', (e) => handleFileUpload(e, 'A'));
-document.getElementById('uploadSong2')?.addEventListener('change', (e) => handleFileUpload(e, 'B'));
+DECK_IDS.forEach(deck => {
+    getDeckElement(deck, 'uploadSong')?.addEventListener('change', (e) => handleFileUpload(e, deck));
+    getDeckAudio(deck).addEventListener('error', () => showToast(`Deck ${deck}: the track could not be loaded`));
+});
 
 // ==========================================================================
 // TRANSPORT CONTROLS
@@ -230,7 +455,7 @@ async function playDeck(deck) {
     // Initialize AudioContext on first user interaction (required by browsers)
     initAudioContext();
 
-    const audioElement = deck === 'A' ? audio1 : audio2;
+    const audioElement = getDeckAudio(deck);
 
     // If this deck has a Spotify track and SDK is ready
     if (deckState[deck].source === 'spotify' && deckState[deck].spotifyTrackId) {
@@ -287,7 +512,7 @@ async function pauseDeck(deck) {
     console.log(`[DJ] Deck source:`, deckState[deck].source);
     console.log(`[DJ] activeSpotifyDeck:`, activeSpotifyDeck);
 
-    const audioElement = deck === 'A' ? audio1 : audio2;
+    const audioElement = getDeckAudio(deck);
 
     // Try to pause Spotify if this deck was using it
     if (deckState[deck].source === 'spotify') {
@@ -311,7 +536,7 @@ async function pauseDeck(deck) {
 async function stopDeck(deck) {
     console.log(`[DJ] Stop requested for Deck ${deck}`);
 
-    const audioElement = deck === 'A' ? audio1 : audio2;
+    const audioElement = getDeckAudio(deck);
 
     // Stop Spotify if active on this deck
     if (deckState[deck].source === 'spotify' && activeSpotifyDeck === deck) {
@@ -328,15 +553,15 @@ async function stopDeck(deck) {
     updateTransportUI(deck);
 
     // Reset seek slider
-    const seekSlider = document.getElementById(deck === 'A' ? 'seekSong1' : 'seekSong2');
+    const seekSlider = getDeckElement(deck, 'seekSong');
     if (seekSlider) seekSlider.value = 0;
 
-    const timeDisplay = document.getElementById(deck === 'A' ? 'currentTimeSong1' : 'currentTimeSong2');
+    const timeDisplay = getDeckElement(deck, 'currentTimeSong');
     if (timeDisplay) timeDisplay.textContent = '0:00';
 }
 
 function toggleLoop(deck) {
-    const audioElement = deck === 'A' ? audio1 : audio2;
+    const audioElement = getDeckAudio(deck);
     deckState[deck].isLooping = !deckState[deck].isLooping;
     audioElement.loop = deckState[deck].isLooping;
     updateTransportUI(deck);
@@ -345,24 +570,19 @@ function toggleLoop(deck) {
 }
 
 // Transport button event listeners
-document.getElementById('playSong1')?.addEventListener('click', () => playDeck('A'));
-document.getElementById('pauseSong1')?.addEventListener('click', () => pauseDeck('A'));
-document.getElementById('stopSong1')?.addEventListener('click', () => stopDeck('A'));
-document.getElementById('repeatSong1')?.addEventListener('click', () => toggleLoop('A'));
-document.getElementById('loopSong1')?.addEventListener('click', () => toggleLoop('A'));
-
-document.getElementById('playSong2')?.addEventListener('click', () => playDeck('B'));
-document.getElementById('pauseSong2')?.addEventListener('click', () => pauseDeck('B'));
-document.getElementById('stopSong2')?.addEventListener('click', () => stopDeck('B'));
-document.getElementById('repeatSong2')?.addEventListener('click', () => toggleLoop('B'));
-document.getElementById('loopSong2')?.addEventListener('click', () => toggleLoop('B'));
+DECK_IDS.forEach(deck => {
+    getDeckElement(deck, 'playSong')?.addEventListener('click', () => playDeck(deck));
+    getDeckElement(deck, 'pauseSong')?.addEventListener('click', () => pauseDeck(deck));
+    getDeckElement(deck, 'stopSong')?.addEventListener('click', () => stopDeck(deck));
+    getDeckElement(deck, 'repeatSong')?.addEventListener('click', () => toggleLoop(deck));
+});
 
 // ==========================================================================
 // SEEK CONTROLS
 // ==========================================================================
 
 async function seekDeck(deck, positionSeconds) {
-    const audioElement = deck === 'A' ? audio1 : audio2;
+    const audioElement = getDeckAudio(deck);
     const positionMs = positionSeconds * 1000;
 
     console.log(`[DJ] Seek Deck ${deck} to ${positionSeconds}s (${positionMs}ms)`);
@@ -384,154 +604,2059 @@ async function seekDeck(deck, positionSeconds) {
     }
 }
 
-document.getElementById('seekSong1')?.addEventListener('input', function() {
-    seekDeck('A', parseInt(this.value));
+DECK_IDS.forEach(deck => {
+    getDeckElement(deck, 'seekSong')?.addEventListener('input', function() {
+        seekDeck(deck, parseInt(this.value));
+    });
 });
 
-document.getElementById('seekSong2')?.addEventListener('input', function() {
-    seekDeck('B', parseInt(this.value));
-});
+// ==========================================================================
+// HOT CUES
+// ==========================================================================
+
+/**
+ * Get the current playback position of a deck in seconds
+ * Reads the Spotify player when this deck is streaming, else the local audio
+ */
+async function getDeckPosition(deck) {
+    if (deckState[deck].source === 'spotify' && activeSpotifyDeck === deck &&
+        window.SpotifyPlayer?.isReady()) {
+        const state = await window.SpotifyPlayer.getState();
+        if (state) return state.position / 1000;
+    }
+
+    const audioElement = getDeckAudio(deck);
+    return audioElement.currentTime || 0;
+}
+
+/**
+ * Handle a hot cue pad press
+ * - Click on empty pad: set cue at current position
+ * - Click on set pad: jump to cue (and start playback)
+ * - Shift+click: delete cue
+ * - Alt+click: change pad color
+ */
+async function handleHotCuePad(deck, index, event) {
+    const trackKey = HotCues.getTrackKey(deckState[deck].track);
+    if (!trackKey) {
+        showToast(`Load a track on Deck ${deck} first`);
+        return;
+    }
+
+    const cue = HotCues.getCue(trackKey, index);
+
+    if (event.shiftKey) {
+        if (cue) {
+            HotCues.deleteCue(trackKey, index);
+            showToast(`Deleted ${cue.name} on Deck ${deck}`);
+        }
+    } else if (event.altKey) {
+        HotCues.cycleCueColor(trackKey, index);
+    } else if (cue) {
+        await triggerHotCue(deck, cue);
+    } else {
+        const position = quantizePosition(deck, await getDeckPosition(deck));
+        const newCue = HotCues.setCue(trackKey, index, position);
+        showToast(`${newCue.name} set at ${formatTime(position)} on Deck ${deck}`);
+    }
+
+    renderHotCues(deck);
+}
+
+/**
+ * Jump a deck to a hot cue, starting playback if the deck is stopped
+ */
+async function triggerHotCue(deck, cue) {
+    console.log(`[DJ] Hot cue "${cue.name}" on Deck ${deck} -> ${cue.position.toFixed(2)}s`);
+
+    // Spotify must be playing this track before it can seek
+    if (!deckState[deck].isPlaying) {
+        await playDeck(deck);
+    }
+    await seekDeck(deck, cue.position);
+}
+
+/**
+ * Rename a hot cue (right-click on pad)
+ */
+function renameHotCue(deck, index) {
+    const trackKey = HotCues.getTrackKey(deckState[deck].track);
+    const cue = trackKey && HotCues.getCue(trackKey, index);
+    if (!cue) return;
+
+    const name = prompt('Cue name:', cue.name);
+    if (name === null) return;
+
+    HotCues.renameCue(trackKey, index, name);
+    renderHotCues(deck);
+}
+
+/**
+ * Redraw the hot cue pads for a deck from stored cues
+ */
+function renderHotCues(deck) {
+    const container = getDeckElement(deck, 'hotCues');
+    if (!container) return;
+
+    const trackKey = HotCues.getTrackKey(deckState[deck].track);
+    const cues = HotCues.getCues(trackKey);
+
+    container.querySelectorAll('.hot-cue-pad').forEach(pad => {
+        const index = parseInt(pad.dataset.cue);
+        const cue = cues[index];
+
+        pad.classList.toggle('is-set', !!cue);
+        pad.style.background = cue ? cue.color : '';
+        pad.textContent = cue ? cue.name : index + 1;
+        pad.title = cue
+            ? `${cue.name} @ ${formatTime(cue.position)} (Shift: delete, Alt: color, Right-click: rename)`
+            : 'Set hot cue at current position';
+    });
+}
+
+/**
+ * In slip mode a set pad plays from its cue only while held down, then the
+ * deck carries on where the track would have been
+ * @returns {boolean} Whether the press was handled as a slip cue
+ */
+function pressSlipCue(deck, index) {
+    const audioElement = getDeckAudio(deck);
+    const trackKey = HotCues.getTrackKey(deckState[deck].track);
+    const cue = trackKey && HotCues.getCue(trackKey, index);
+    if (!cue || !audioElement.slip || deckState[deck].source !== 'local') return false;
+
+    audioElement.setSlipHold('cue', true);
+    triggerHotCue(deck, cue);
+    return true;
+}
+
+function setupHotCuePads(deck) {
+    const container = getDeckElement(deck, 'hotCues');
+    if (!container) return;
+
+    container.querySelectorAll('.hot-cue-pad').forEach(pad => {
+        const index = parseInt(pad.dataset.cue);
+        pad.addEventListener('pointerdown', (e) => {
+            delete pad.dataset.slipHeld;
+            if (e.button !== 0 || e.shiftKey || e.altKey) return;
+            if (pressSlipCue(deck, index)) pad.dataset.slipHeld = 'true';
+        });
+        ['pointerup', 'pointerleave', 'pointercancel'].forEach(type => {
+            pad.addEventListener(type, () => {
+                if (pad.dataset.slipHeld === 'true') {
+                    pad.dataset.slipHeld = 'released';
+                    getDeckAudio(deck).setSlipHold('cue', false);
+                }
+            });
+        });
+        pad.addEventListener('click', (e) => {
+            // A slip cue was already played (and released) by the pointer events
+            if (pad.dataset.slipHeld) {
+                delete pad.dataset.slipHeld;
+                return;
+            }
+            handleHotCuePad(deck, index, e);
+        });
+        pad.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            renameHotCue(deck, index);
+        });
+    });
+}
+
+DECK_IDS.forEach(deck => setupHotCuePads(deck));
 
 // ==========================================================================
-// MIXER CONTROLS
+// LOOPS
+// ==========================================================================
+
+/**
+ * Loops jump the local audio playhead, so they need a local file
+ */
+function canLoop(deck) {
+    const audioElement = getDeckAudio(deck);
+    if (deckState[deck].source !== 'local' || !audioElement.src) {
+        showToast('Loops work on local files only');
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Handle a loop control button
+ * @param {string} deck - Deck id ('A'-'D')
+ * @param {string} action - 'in', 'out', 'beats', 'halve', 'double', 'back', 'forward', 'reloop'
+ * @param {number} beats - Loop size for 'beats'
+ */
+function handleLoopAction(deck, action, beats) {
+    if (!canLoop(deck)) return;
+
+    const audioElement = getDeckAudio(deck);
+    const position = audioElement.currentTime;
+    const bpm = getDeckBeatGrid(deck)?.bpm || deckState[deck].track?.audioFeatures?.tempo;
+
+    switch (action) {
+        case 'in':
+            LoopEngine.setLoopIn(deck, quantizePosition(deck, position));
+            break;
+
+        case 'out':
+            if (!LoopEngine.setLoopOut(deck, quantizePosition(deck, position))) {
+                showToast('Set loop in before loop out');
+            }
+            break;
+
+        case 'beats':
+            if (!LoopEngine.setBeatLoop(deck, quantizePosition(deck, position), beats, bpm)) {
+                showToast('BPM unknown - use loop in/out instead');
+            }
+            break;
+
+        case 'halve':
+            LoopEngine.halveLoop(deck);
+            break;
+
+        case 'double':
+            LoopEngine.doubleLoop(deck);
+            break;
+
+        case 'back':
+        case 'forward': {
+            const shift = LoopEngine.moveLoop(deck, action === 'forward' ? 1 : -1);
+            // Carry the playhead along so it stays in phase inside the loop
+            if (shift && LoopEngine.getLoop(deck).active) {
+                audioElement.currentTime = Math.max(0, position + shift);
+                declickDeck(deck);
+            }
+            break;
+        }
+
+        case 'reloop': {
+            const loop = LoopEngine.getLoop(deck);
+            if (loop.active) {
+                LoopEngine.exitLoop(deck);
+            } else if (LoopEngine.reloop(deck)) {
+                // Start slipping before the jump so the ghost keeps the old position
+                updateLoopSlip(deck);
+                audioElement.currentTime = loop.start;
+                declickDeck(deck);
+            }
+            break;
+        }
+    }
+
+    updateLoopSlip(deck);
+    updateLoopRegion(deck);
+    renderLoopControls(deck);
+}
+
+/**
+ * An active loop holds the slip ghost; leaving the loop returns to it
+ */
+function updateLoopSlip(deck) {
+    getDeckAudio(deck).setSlipHold('loop', LoopEngine.getLoop(deck).active);
+}
+
+/**
+ * Hand the active loop to the deck transport, which loops the source node
+ * itself (sample-accurate, no polling)
+ */
+function updateLoopRegion(deck) {
+    const loop = LoopEngine.getLoop(deck);
+    getDeckAudio(deck).setLoopRegion(loop.active && loop.length ? loop.start : null, loop.end);
+}
+
+/**
+ * Mask the click of a playhead jump with a very short fade-in
+ */
+function declickDeck(deck) {
+    const declick = audioNodes[deck]?.declick;
+    if (!audioContext || !declick) return;
+
+    const now = audioContext.currentTime;
+    declick.gain.cancelScheduledValues(now);
+    declick.gain.setValueAtTime(0, now);
+    declick.gain.linearRampToValueAtTime(1, now + 0.008);
+}
+
+/**
+ * Update loop buttons and status text for a deck
+ */
+function renderLoopControls(deck) {
+    const container = getDeckElement(deck, 'loopControls');
+    if (!container) return;
+
+    const loop = LoopEngine.getLoop(deck);
+
+    container.querySelectorAll('[data-loop-beats]').forEach(btn => {
+        btn.classList.toggle('active', loop.active && loop.beats === parseFloat(btn.dataset.loopBeats));
+    });
+    container.querySelector('[data-loop-action="in"]')?.classList.toggle('active', loop.start !== null && loop.end === null);
+    container.querySelector('[data-loop-action="reloop"]')?.classList.toggle('active', loop.active);
+
+    const status = container.querySelector('.loop-status');
+    if (!status) return;
+
+    if (loop.length !== null) {
+        const size = loop.beats ? `${LoopEngine.formatBeats(loop.beats)} beat${loop.beats > 1 ? 's' : ''}` : 'Manual loop';
+        status.textContent = `${size} (${loop.length.toFixed(2)}s) from ${formatTime(loop.start)}${loop.active ? '' : ' - off'}`;
+    } else if (loop.start !== null) {
+        status.textContent = `Loop in at ${formatTime(loop.start)} - press OUT`;
+    } else {
+        status.textContent = 'No loop';
+    }
+}
+
+function setupLoopControls(deck) {
+    const container = getDeckElement(deck, 'loopControls');
+    if (!container) return;
+
+    container.addEventListener('click', (e) => {
+        const btn = e.target.closest('button');
+        if (!btn) return;
+
+        if (btn.dataset.loopBeats) {
+            handleLoopAction(deck, 'beats', parseFloat(btn.dataset.loopBeats));
+        } else if (btn.dataset.loopAction) {
+            handleLoopAction(deck, btn.dataset.loopAction);
+        }
+    });
+}
+
+DECK_IDS.forEach(deck => setupLoopControls(deck));
+
+// ==========================================================================
+// SLIP & REVERSE
+// ==========================================================================
+
+/**
+ * Slip and reverse need the decoded track, so local files only
+ */
+function canSlip(deck) {
+    if (deckState[deck].source !== 'local' || !getDeckAudio(deck).src) {
+        showToast('Slip and reverse work on local files only');
+        return false;
+    }
+    return true;
+}
+
+function toggleSlip(deck) {
+    const audioElement = getDeckAudio(deck);
+    audioElement.setSlip(!audioElement.slip);
+    showToast(`Slip ${audioElement.slip ? 'on' : 'off'} for Deck ${deck}`);
+}
+
+function toggleReverse(deck) {
+    if (!canSlip(deck)) return;
+
+    const audioElement = getDeckAudio(deck);
+    audioElement.setReverse(!audioElement.reverse);
+    declickDeck(deck);
+}
+
+function setDeckCensor(deck, engaged) {
+    const audioElement = getDeckAudio(deck);
+    if (engaged === audioElement.censor) return;
+    if (engaged && !canSlip(deck)) return;
+
+    audioElement.setCensor(engaged);
+    declickDeck(deck);
+}
+
+/**
+ * Light the slip/reverse buttons; SLIP pulses while the ghost playhead is running
+ */
+function renderSlipControls(deck) {
+    const container = getDeckElement(deck, 'slipControls');
+    if (!container) return;
+
+    const audioElement = getDeckAudio(deck);
+    const slipButton = container.querySelector('[data-slip="slip"]');
+    slipButton?.classList.toggle('active', audioElement.slip);
+    slipButton?.classList.toggle('is-slipping', audioElement.ghostTime !== null);
+    container.querySelector('[data-slip="reverse"]')?.classList.toggle('active', audioElement.reverse);
+    container.querySelector('[data-slip="censor"]')?.classList.toggle('active', audioElement.censor);
+}
+
+function setupSlipControls(deck) {
+    const container = getDeckElement(deck, 'slipControls');
+    if (!container) return;
+
+    container.querySelector('[data-slip="slip"]')?.addEventListener('click', () => toggleSlip(deck));
+    container.querySelector('[data-slip="reverse"]')?.addEventListener('click', () => toggleReverse(deck));
+
+    // Censor plays backwards only while held
+    const censorButton = container.querySelector('[data-slip="censor"]');
+    censorButton?.addEventListener('pointerdown', (e) => {
+        if (e.button === 0) setDeckCensor(deck, true);
+    });
+    ['pointerup', 'pointerleave', 'pointercancel'].forEach(type => {
+        censorButton?.addEventListener(type, () => setDeckCensor(deck, false));
+    });
+
+    const audioElement = getDeckAudio(deck);
+    audioElement.addEventListener('slipchange', () => renderSlipControls(deck));
+    audioElement.addEventListener('reversechange', () => renderSlipControls(deck));
+    renderSlipControls(deck);
+}
+
+DECK_IDS.forEach(deck => setupSlipControls(deck));
+
+// ==========================================================================
+// JOG WHEELS
 // ==========================================================================
 
-// Volume controls
-document.getElementById('volumeSong1')?.addEventListener('input', async function() {
-    const volume = parseFloat(this.value);
-    audio1.volume = volume;
+const JOG_SECONDS_PER_TURN = 1.8;   // Track time under one turn of the platter (33⅓ rpm)
+const JOG_PLATTER_RADIUS = 0.72;    // Inner part of the wheel (of its radius); the rest is the edge
+const JOG_BEND_GAIN = 0.05;         // Bend per turn/second of spin
+const JOG_MAX_BEND = 0.1;           // Edge bends up to ±10%
+const JOG_SPIN_DECAY = 0.8;         // Per frame: the bend eases off when the hand stops
+const NUDGE_BEND = 0.04;            // Nudge buttons bend ±4% while held
 
-    // Also update Spotify volume if active on this deck
-    if (activeSpotifyDeck === 'A' && window.SpotifyPlayer?.isReady()) {
-        await window.SpotifyPlayer.setVolume(volume);
+const vinylMode = createDeckMap(true);
+
+// Wheel being touched per deck: { mode: 'scratch'|'bend', angle, target, spin, lastMove }
+const jogTouches = createDeckMap(null);
+
+/**
+ * The jog wheel moves the buffer transport, so local files only
+ */
+function canJog(deck) {
+    if (deckState[deck].source !== 'local' || !getDeckAudio(deck).buffer) {
+        showToast('Jog wheel works on loaded local files only');
+        return false;
     }
+    return true;
+}
 
-    const label = document.getElementById('vol1Val');
-    if (label) label.textContent = Math.round(volume * 100) + '%';
-});
+/**
+ * Angle (in turns, clockwise from the top) and distance from the centre
+ * (0 centre, 1 rim) of a pointer on a wheel
+ */
+function getJogPoint(wheel, e) {
+    const rect = wheel.getBoundingClientRect();
+    const dx = e.clientX - (rect.left + rect.width / 2);
+    const dy = e.clientY - (rect.top + rect.height / 2);
+    return {
+        angle: Math.atan2(dx, -dy) / (2 * Math.PI),
+        radius: Math.hypot(dx, dy) / (rect.width / 2)
+    };
+}
+
+/**
+ * Touch the wheel: the platter scratches in vinyl mode, anything else bends
+ */
+function startJog(deck, e) {
+    if (e.button !== 0 || !canJog(deck)) return;
+
+    const wheel = e.currentTarget;
+    const point = getJogPoint(wheel, e);
+    const audioElement = getDeckAudio(deck);
+    const mode = vinylMode[deck] && point.radius <= JOG_PLATTER_RADIUS ? 'scratch' : 'bend';
+
+    wheel.setPointerCapture(e.pointerId);
+    jogTouches[deck] = {
+        mode,
+        angle: point.angle,
+        target: audioElement.currentTime,
+        spin: 0,
+        lastMove: performance.now()
+    };
+
+    if (mode === 'scratch') audioElement.startScratch();
+    wheel.classList.add(mode === 'scratch' ? 'is-scratching' : 'is-bending');
+}
 
-document.getElementById('volumeSong2')?.addEventListener('input', async function() {
-    const volume = parseFloat(this.value);
-    audio2.volume = volume;
+function moveJog(deck, e) {
+    const touch = jogTouches[deck];
+    if (!touch) return;
 
-    if (activeSpotifyDeck === 'B' && window.SpotifyPlayer?.isReady()) {
-        await window.SpotifyPlayer.setVolume(volume);
+    const { angle } = getJogPoint(e.currentTarget, e);
+    // Shortest way round, so crossing the top doesn't count as a full turn
+    let turns = angle - touch.angle;
+    turns -= Math.round(turns);
+    touch.angle = angle;
+
+    const now = performance.now();
+    const elapsed = Math.max(1, now - touch.lastMove) / 1000;
+    touch.lastMove = now;
+
+    if (touch.mode === 'scratch') {
+        touch.target += turns * JOG_SECONDS_PER_TURN;
+        getDeckAudio(deck).scratchTo(touch.target);
+    } else {
+        touch.spin = turns / elapsed;
     }
+}
 
-    const label = document.getElementById('vol2Val');
-    if (label) label.textContent = Math.round(volume * 100) + '%';
-});
+/**
+ * Let go: a scratch hands back to the deck, a bend springs back
+ */
+function endJog(deck, e) {
+    const touch = jogTouches[deck];
+    if (!touch) return;
 
-// Pitch controls - affects local audio playback rate
-document.getElementById('pitchSong1')?.addEventListener('input', function() {
-    const pitch = parseFloat(this.value);
-    audio1.playbackRate = pitch;
-    const percent = Math.round((pitch - 1) * 100);
-    const label = document.getElementById('pitch1Val');
-    if (label) label.textContent = (percent >= 0 ? '+' : '') + percent + '%';
+    jogTouches[deck] = null;
+    if (touch.mode === 'scratch') {
+        getDeckAudio(deck).endScratch();
+    } else {
+        setDeckBend(deck, 1);
+    }
+    e.currentTarget.classList.remove('is-scratching', 'is-bending');
+}
 
-    // Update effective BPM display
-    updateEffectiveBPMDisplay('A', pitch);
-});
+/**
+ * Keep held wheels moving the deck and turn each platter with its track
+ */
+function renderJogWheels() {
+    DECK_IDS.forEach(deck => {
+        const audioElement = getDeckAudio(deck);
+        const touch = jogTouches[deck];
+
+        if (touch?.mode === 'scratch') {
+            // Called every frame so the record stops when the hand does
+            audioElement.scratchTo(touch.target);
+        } else if (touch?.mode === 'bend') {
+            const bend = Math.max(-JOG_MAX_BEND, Math.min(JOG_MAX_BEND, touch.spin * JOG_BEND_GAIN));
+            setDeckBend(deck, 1 + bend);
+            touch.spin *= JOG_SPIN_DECAY;
+        }
+
+        const marker = getDeckElement(deck, 'jogMarker');
+        if (marker) {
+            const turns = (audioElement.currentTime || 0) / JOG_SECONDS_PER_TURN;
+            marker.style.transform = `rotate(${(turns % 1) * 360}deg)`;
+        }
+    });
+
+    requestAnimationFrame(renderJogWheels);
+}
+
+function toggleVinylMode(deck) {
+    vinylMode[deck] = !vinylMode[deck];
+    renderJogControls(deck);
+    showToast(`Vinyl mode ${vinylMode[deck] ? 'on' : 'off'} for Deck ${deck}`);
+}
+
+/**
+ * Hold a nudge button to speed the deck up or slow it down a little
+ * @param {number} direction - 1 faster, -1 slower, 0 released
+ */
+function nudgeDeck(deck, direction) {
+    const audioElement = getDeckAudio(deck);
+    if (jogTouches[deck] || (!direction && audioElement.bend === 1)) return;
+    if (direction && !canJog(deck)) return;
+
+    setDeckBend(deck, 1 + direction * NUDGE_BEND);
+}
+
+/**
+ * Bend a deck's tempo for a moment (jog wheel, nudge); key lock follows it
+ * @param {number} ratio - Multiplier on the rate (1 = no bend)
+ */
+function setDeckBend(deck, ratio) {
+    const audioElement = getDeckAudio(deck);
+    if (audioElement.bend === ratio) return;
+
+    audioElement.setBend(ratio);
+    updateDeckPitchShift(deck);
+}
+
+function renderJogControls(deck) {
+    const container = getDeckElement(deck, 'jogControls');
+    if (!container) return;
+
+    container.querySelector('[data-jog="vinyl"]')?.classList.toggle('active', vinylMode[deck]);
+    getDeckElement(deck, 'jogWheel')?.classList.toggle('vinyl', vinylMode[deck]);
+}
+
+function setupJogControls(deck) {
+    const wheel = getDeckElement(deck, 'jogWheel');
+    const container = getDeckElement(deck, 'jogControls');
+    if (!wheel || !container) return;
+
+    wheel.addEventListener('pointerdown', (e) => startJog(deck, e));
+    wheel.addEventListener('pointermove', (e) => moveJog(deck, e));
+    ['pointerup', 'pointercancel'].forEach(type => {
+        wheel.addEventListener(type, (e) => endJog(deck, e));
+    });
+
+    container.querySelector('[data-jog="vinyl"]')?.addEventListener('click', () => toggleVinylMode(deck));
+    container.querySelectorAll('[data-nudge]').forEach(button => {
+        const direction = parseInt(button.dataset.nudge, 10);
+        button.addEventListener('pointerdown', (e) => {
+            if (e.button === 0) nudgeDeck(deck, direction);
+        });
+        ['pointerup', 'pointerleave', 'pointercancel'].forEach(type => {
+            button.addEventListener(type, () => nudgeDeck(deck, 0));
+        });
+    });
+
+    renderJogControls(deck);
+}
+
+DECK_IDS.forEach(deck => setupJogControls(deck));
+requestAnimationFrame(renderJogWheels);
+
+// ==========================================================================
+// BEAT GRID
+// ==========================================================================
+
+const GRID_NUDGE_STEP = 0.01;  // Seconds per nudge (Shift: 1ms)
+const GRID_BPM_STEP = 0.1;     // BPM per click (Shift: 0.01)
+
+const quantizeEnabled = createDeckMap(true);
+
+/**
+ * Get the beat grid of the track on a deck
+ * @returns {Object|null} Grid from BeatGrid, or null if the track has none
+ */
+function getDeckBeatGrid(deck) {
+    const trackKey = HotCues.getTrackKey(deckState[deck].track);
+    return BeatGrid.getGrid(trackKey);
+}
+
+/**
+ * Snap a position to the nearest beat when quantize is on
+ */
+function quantizePosition(deck, position) {
+    if (!quantizeEnabled[deck]) return position;
+    return BeatGrid.snapToBeat(getDeckBeatGrid(deck), position);
+}
+
+/**
+ * Handle a beat grid edit button
+ * @param {string} deck - Deck id ('A'-'D')
+ * @param {string} action - 'nudge-back', 'nudge-forward', 'bpm-down', 'bpm-up', 'set-downbeat', 'reset', 'quantize'
+ * @param {boolean} fine - Use the small step (Shift held)
+ */
+function handleGridAction(deck, action, fine) {
+    if (action === 'quantize') {
+        quantizeEnabled[deck] = !quantizeEnabled[deck];
+        renderGridControls(deck);
+        return;
+    }
+
+    const trackKey = HotCues.getTrackKey(deckState[deck].track);
+    const grid = BeatGrid.getGrid(trackKey);
+    if (!grid) {
+        showToast('No beat grid yet - load a local file and wait for analysis');
+        return;
+    }
+
+    const audioElement = getDeckAudio(deck);
+    const nudge = fine ? GRID_NUDGE_STEP / 10 : GRID_NUDGE_STEP;
+    const bpmStep = fine ? GRID_BPM_STEP / 10 : GRID_BPM_STEP;
+
+    switch (action) {
+        case 'nudge-back':
+            BeatGrid.nudgeGrid(trackKey, -nudge);
+            break;
+
+        case 'nudge-forward':
+            BeatGrid.nudgeGrid(trackKey, nudge);
+            break;
+
+        case 'bpm-down':
+            BeatGrid.setGridBpm(trackKey, grid.bpm - bpmStep, audioElement.currentTime);
+            break;
+
+        case 'bpm-up':
+            BeatGrid.setGridBpm(trackKey, grid.bpm + bpmStep, audioElement.currentTime);
+            break;
+
+        case 'set-downbeat':
+            BeatGrid.setDownbeat(trackKey, audioElement.currentTime);
+            showToast(`Beat 1 set at ${formatTime(audioElement.currentTime)} on Deck ${deck}`);
+            break;
+
+        case 'reset':
+            BeatGrid.resetGrid(trackKey);
+            break;
+    }
+
+    applyGridTempo(deck);
+}
+
+/**
+ * Use the grid BPM as the deck's tempo and refresh everything that shows it
+ */
+function applyGridTempo(deck) {
+    const grid = getDeckBeatGrid(deck);
+    const track = deckState[deck].track;
+
+    if (grid && track?.audioFeatures) {
+        const audioElement = getDeckAudio(deck);
+        track.audioFeatures.tempo = grid.bpm;
+        updateEffectiveBPMDisplay(deck, audioElement.playbackRate);
+        updateDeckEffectsTempo(deck);
+        if (typeof DJApp !== 'undefined') {
+            DJApp.updateDeckTrack(deck, track);
+        }
+    }
+
+    renderGridControls(deck);
+}
+
+/**
+ * Update grid status text and the quantize toggle for a deck
+ */
+function renderGridControls(deck) {
+    const container = getDeckElement(deck, 'gridControls');
+    if (!container) return;
+
+    container.querySelector('[data-grid-action="quantize"]')?.classList.toggle('active', quantizeEnabled[deck]);
+
+    const status = container.querySelector('.grid-status');
+    if (!status) return;
+
+    const grid = getDeckBeatGrid(deck);
+    if (grid) {
+        const downbeat = BeatGrid.getBeatTime(grid, grid.downbeatOffset);
+        status.textContent = `${grid.bpm.toFixed(2)} BPM · beat 1 at ${downbeat.toFixed(3)}s${grid.edited ? ' (edited)' : ''}`;
+    } else {
+        status.textContent = 'No beat grid';
+    }
+}
+
+function setupGridControls(deck) {
+    const container = getDeckElement(deck, 'gridControls');
+    if (!container) return;
+
+    container.addEventListener('click', (e) => {
+        const btn = e.target.closest('button');
+        if (btn?.dataset.gridAction) {
+            handleGridAction(deck, btn.dataset.gridAction, e.shiftKey);
+        }
+    });
+}
+
+DECK_IDS.forEach(deck => setupGridControls(deck));
+
+// ==========================================================================
+// WAVEFORMS
+// ==========================================================================
+
+const waveformViews = createDeckMap(null);
+
+/**
+ * Create waveform views once all modules are loaded
+ */
+function setupWaveforms() {
+    DECK_IDS.forEach(deck => {
+        const container = getDeckElement(deck, 'waveform');
+        if (!container) return;
+
+        waveformViews[deck] = WaveformDisplay.create({
+            container,
+            color: decks[deck].color,
+            onSeek: (position) => seekDeck(deck, position)
+        });
+    });
+
+    requestAnimationFrame(renderWaveforms);
+}
+
+/**
+ * Show the waveform of a decoded track on a deck
+ */
+function showDeckWaveform(deck, audioBuffer) {
+    const view = waveformViews[deck];
+    if (!view) return;
+
+    view.setData(WaveformDisplay.computeWaveform(audioBuffer));
+    console.log(`[DJ] Waveform ready for Deck ${deck}`);
+}
+
+function renderWaveforms() {
+    DECK_IDS.forEach(deck => {
+        const view = waveformViews[deck];
+        if (!view) return;
+
+        const audioElement = getDeckAudio(deck);
+        const trackKey = HotCues.getTrackKey(deckState[deck].track);
+
+        view.render({
+            position: audioElement.currentTime || 0,
+            cues: HotCues.getCues(trackKey),
+            loop: LoopEngine.getLoop(deck),
+            beatGrid: BeatGrid.getGrid(trackKey)
+        });
+    });
+
+    requestAnimationFrame(renderWaveforms);
+}
+
+document.addEventListener('DOMContentLoaded', setupWaveforms);
+
+// ==========================================================================
+// TRACK ANALYSIS
+// ==========================================================================
+
+const analysisJobs = createDeckMap(null); // AbortController per deck
+
+/**
+ * Decode and analyze a local file in the background
+ *
+ * The waveform is shown as soon as the file is decoded; tempo, energy, key
+ * and duration replace the filename estimate once analysis finishes.
+ */
+async function analyzeDeckFile(deck, file) {
+    const fingerprint = HotCues.getFileFingerprint(file);
+    const isCurrentTrack = () => deckState[deck].track?.fingerprint === fingerprint;
+
+    // Only one analysis per deck - drop the previous track's job
+    cancelDeckAnalysis(deck);
+    const job = new AbortController();
+    analysisJobs[deck] = job;
+
+    waveformViews[deck]?.clear('Decoding waveform...');
+    showAnalysisProgress(deck, 0, 'Decoding');
+
+    try {
+        // The transport decodes the file to play it; analysis shares that buffer
+        const audioBuffer = await getDeckAudio(deck).whenLoaded();
+
+        // Another file may have been loaded while we were decoding
+        if (!isCurrentTrack()) return;
+
+        showDeckWaveform(deck, audioBuffer);
+
+        const analysis = await AudioAnalyzer.analyzeAudioBuffer(audioBuffer, {
+            signal: job.signal,
+            onProgress: (progress, stage) => {
+                if (isCurrentTrack()) showAnalysisProgress(deck, progress, stage);
+            }
+        });
+        if (!isCurrentTrack()) return;
+
+        applyTrackAnalysis(deck, analysis);
+    } catch (e) {
+        if (e.name === 'AbortError') return;
+
+        console.error('[DJ] Failed to analyze file on Deck', deck, e);
+        if (!isCurrentTrack()) return;
+
+        waveformViews[deck]?.clear('Could not decode this file');
+        showAnalysisStatus(deck, 'Analysis failed - using estimated BPM', 'error');
+    } finally {
+        if (analysisJobs[deck] === job) analysisJobs[deck] = null;
+    }
+}
+
+function cancelDeckAnalysis(deck) {
+    if (analysisJobs[deck]) {
+        analysisJobs[deck].abort();
+        analysisJobs[deck] = null;
+    }
+}
+
+/**
+ * Store analysis results on the deck's track and refresh everything that shows them
+ */
+function applyTrackAnalysis(deck, analysis) {
+    const track = deckState[deck].track;
+    const audioElement = getDeckAudio(deck);
+    const durationMs = Math.round(analysis.duration * 1000);
+
+    // A grid the DJ corrected earlier wins over the new detection
+    const grid = BeatGrid.setDetectedGrid(HotCues.getTrackKey(track), analysis.beatGrid);
+
+    track.duration_ms = durationMs;
+    track.audioFeatures = {
+        ...track.audioFeatures,
+        tempo: grid?.bpm || analysis.bpm || track.audioFeatures.tempo,
+        energy: analysis.energy,
+        key: analysis.key,
+        mode: analysis.mode,
+        keyConfidence: analysis.keyConfidence,
+        loudness: analysis.loudness,
+        duration_ms: durationMs,
+        _realAnalysis: true
+    };
+
+    updateEffectiveBPMDisplay(deck, audioElement.playbackRate);
+    updateDeckEffectsTempo(deck);
+    applyDeckTrim(deck);
+    renderGridControls(deck);
+    if (typeof DJApp !== 'undefined') {
+        DJApp.updateDeckTrack(deck, track);
+    }
+
+    const camelot = AutoDJEngine.toCamelot(analysis.key, analysis.mode) || '?';
+    showAnalysisStatus(deck,
+        `${track.audioFeatures.tempo.toFixed(1)} BPM · ${camelot} · Energy ${Math.round(analysis.energy * 100)}% · ${formatLoudness(analysis.loudness)}`,
+        'done');
+    console.log(`[DJ] Deck ${deck} analysis applied:`, track.audioFeatures);
+}
+
+function showAnalysisProgress(deck, progress, stage) {
+    const statusEl = getDeckElement(deck, 'analysisStatus');
+    if (!statusEl) return;
+
+    statusEl.className = 'analysis-status is-running';
+    statusEl.querySelector('.analysis-label').textContent = `${stage}... ${Math.round(progress * 100)}%`;
+    statusEl.querySelector('.analysis-progress-fill').style.width = `${progress * 100}%`;
+}
+
+function showAnalysisStatus(deck, message, status) {
+    const statusEl = getDeckElement(deck, 'analysisStatus');
+    if (!statusEl) return;
+
+    statusEl.className = `analysis-status is-${status}`;
+    statusEl.querySelector('.analysis-label').textContent = message;
+    statusEl.querySelector('.analysis-progress-fill').style.width = status === 'done' ? '100%' : '0%';
+}
+
+// ==========================================================================
+// KEY LOCK
+// ==========================================================================
+
+const PITCH_SHIFTER_URL = 'js/worklets/pitch-shifter.js';
+
+const keyLockEnabled = createDeckMap(false);
+
+/**
+ * Load the pitch shifter worklet and add it to every deck chain
+ * The transport can only resample, so key lock stays disabled until the
+ * worklet is in, and for good where AudioWorklet is unavailable.
+ */
+function loadPitchShifters() {
+    if (!audioContext.audioWorklet) {
+        console.warn('[DJ] AudioWorklet not supported - key lock unavailable');
+        setKeyLockAvailable(false, 'Key lock needs AudioWorklet support in this browser');
+        return;
+    }
+
+    audioContext.audioWorklet.addModule(PITCH_SHIFTER_URL)
+        .then(() => {
+            DECK_IDS.forEach(deck => insertPitchShifter(deck));
+            setKeyLockAvailable(true);
+        })
+        .catch(e => {
+            console.error('[DJ] Failed to load pitch shifter worklet:', e);
+            setKeyLockAvailable(false, 'Key lock could not start (pitch shifter failed to load)');
+        });
+}
+
+/**
+ * Enable or disable the key lock buttons
+ * @param {boolean} available
+ * @param {string} reason - Shown on the disabled buttons
+ */
+function setKeyLockAvailable(available, reason = '') {
+    DECK_IDS.forEach(deck => {
+        const button = getDeckElement(deck, 'keyLock');
+        if (!button) return;
+
+        button.dataset.title = button.dataset.title || button.title;
+        button.disabled = !available;
+        button.title = available ? button.dataset.title : reason;
+    });
+}
+
+// Key lock waits for the pitch shifter, which loads with the AudioContext
+setKeyLockAvailable(false, 'Key lock is ready once a track is loaded');
+
+function insertPitchShifter(deck) {
+    const nodes = audioNodes[deck];
+    if (!nodes) return;
+
+    const pitchShifter = new AudioWorkletNode(audioContext, 'pitch-shifter', {
+        outputChannelCount: [2]
+    });
+
+    nodes.declick.disconnect(nodes.bass);
+    nodes.declick.connect(pitchShifter);
+    pitchShifter.connect(nodes.bass);
+    nodes.pitchShifter = pitchShifter;
+
+    updateDeckPitchShift(deck);
+    console.log('[DJ] Pitch shifter ready for Deck', deck);
+}
+
+/**
+ * Set a deck's playback rate and keep the pitch shifter in step with it
+ */
+function setDeckPlaybackRate(deck, rate) {
+    const audioElement = getDeckAudio(deck);
+    audioElement.playbackRate = rate;
+    updateDeckPitchShift(deck);
+    updateDeckEffectsTempo(deck);
+}
+
+/**
+ * Pitch correction for a deck: with key lock on, undo the pitch change
+ * caused by the playback rate and any bend, then apply any transpose
+ */
+function getDeckPitchRatio(deck) {
+    const audioElement = getDeckAudio(deck);
+    const lockRatio = keyLockEnabled[deck] ? 1 / (audioElement.playbackRate * audioElement.bend) : 1;
+    return lockRatio * Math.pow(2, deckTranspose[deck] / 12);
+}
+
+function updateDeckPitchShift(deck) {
+    // Key lock can only be turned on once the shifter is in (see loadPitchShifters)
+    const pitchShifter = audioNodes[deck]?.pitchShifter;
+    pitchShifter?.parameters.get('pitchRatio').setValueAtTime(getDeckPitchRatio(deck), audioContext.currentTime);
+
+    notifyDeckKeyShift(deck);
+}
+
+function toggleKeyLock(deck) {
+    keyLockEnabled[deck] = !keyLockEnabled[deck];
+
+    updateDeckPitchShift(deck);
+    declickDeck(deck);
+    updateEffectiveBPMDisplay(deck, getDeckPitch(deck));
+
+    const button = getDeckElement(deck, 'keyLock');
+    button?.classList.toggle('active', keyLockEnabled[deck]);
+
+    showToast(`Key lock ${keyLockEnabled[deck] ? 'on' : 'off'} for Deck ${deck}`);
+}
+
+/**
+ * Describe the key a deck is sounding in at a given pitch
+ * @returns {string} e.g. "Key 8A (locked)" or "Key 8A → 10A (+2.1 st)", '' if the key is unknown
+ */
+function getDeckKeyDisplay(deck, pitch) {
+    const features = deckState[deck]?.track?.audioFeatures;
+    const camelot = AutoDJEngine.toCamelot(features?.key, features?.mode);
+    if (!camelot) return '';
+
+    const lockNote = keyLockEnabled[deck] ? ' (locked)' : '';
+    const rateShift = keyLockEnabled[deck] ? 0 : HarmonicMixer.rateToSemitones(pitch);
+    const semitones = rateShift + deckTranspose[deck];
+    if (Math.abs(semitones) < 0.05) {
+        return `Key ${camelot}${lockNote}`;
+    }
+
+    const shiftedKey = HarmonicMixer.transposeKey(features.key, semitones);
+    const shiftedCamelot = AutoDJEngine.toCamelot(shiftedKey, features.mode);
+    const amount = Number.isInteger(semitones) ? semitones : semitones.toFixed(1);
+    return `Key ${camelot} → ${shiftedCamelot} (${semitones > 0 ? '+' : ''}${amount} st)${lockNote}`;
+}
+
+DECK_IDS.forEach(deck => {
+    getDeckElement(deck, 'keyLock')?.addEventListener('click', () => toggleKeyLock(deck));
+});
+
+// ==========================================================================
+// TRANSPOSE
+// ==========================================================================
+
+const TRANSPOSE_RANGE = 6; // Semitones either way
+
+const deckTranspose = createDeckMap(0);
+
+// Last key shift sent to the Mixing Assistant, so sync nudges don't re-render it
+const reportedKeyShift = createDeckMap(null);
+
+/**
+ * Transpose a local deck by whole semitones without changing its tempo
+ * @param {string} deck - Deck id ('A'-'D')
+ * @param {number} semitones - -6 to +6 (0 = original key)
+ */
+function setDeckTranspose(deck, semitones) {
+    if (deckState[deck].source !== 'local' && semitones !== 0) {
+        showToast('Transpose works on local files only');
+        return;
+    }
+
+    const clamped = Math.max(-TRANSPOSE_RANGE, Math.min(TRANSPOSE_RANGE, Math.round(semitones)));
+    if (clamped === deckTranspose[deck]) return;
+
+    deckTranspose[deck] = clamped;
+    if (audioNodes[deck] && !audioNodes[deck].pitchShifter && clamped !== 0) {
+        showToast('Transpose needs AudioWorklet support in this browser');
+    }
+
+    updateDeckPitchShift(deck);
+    declickDeck(deck);
+    updateEffectiveBPMDisplay(deck, getDeckPitch(deck));
+    renderTransposeControls(deck);
+}
+
+/**
+ * Report the semitones a deck's key is shifted by to the Mixing Assistant
+ * The pitch slider shift is rounded; the sync loop's small rate nudges are ignored.
+ */
+function notifyDeckKeyShift(deck) {
+    if (typeof DJApp === 'undefined') return;
+
+    const rateShift = keyLockEnabled[deck] ? 0 : Math.round(HarmonicMixer.rateToSemitones(getDeckPitch(deck)));
+    const shift = `${rateShift}:${deckTranspose[deck]}`;
+    if (shift === reportedKeyShift[deck]) return;
+
+    reportedKeyShift[deck] = shift;
+    DJApp.setDeckKeyShift(deck, rateShift, deckTranspose[deck]);
+}
+
+function renderTransposeControls(deck) {
+    const container = getDeckElement(deck, 'transpose');
+    if (!container) return;
+
+    const semitones = deckTranspose[deck];
+    container.querySelector('.transpose-value').textContent =
+        semitones === 0 ? '0 st' : `${semitones > 0 ? '+' : ''}${semitones} st`;
+    container.querySelector('[data-transpose="down"]').disabled = semitones <= -TRANSPOSE_RANGE;
+    container.querySelector('[data-transpose="up"]').disabled = semitones >= TRANSPOSE_RANGE;
+    container.querySelector('[data-transpose="reset"]').classList.toggle('active', semitones !== 0);
+}
+
+function setupTransposeControls(deck) {
+    const container = getDeckElement(deck, 'transpose');
+    if (!container) return;
+
+    container.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-transpose]');
+        if (!button) return;
+
+        const action = button.dataset.transpose;
+        if (action === 'down') setDeckTranspose(deck, deckTranspose[deck] - 1);
+        if (action === 'up') setDeckTranspose(deck, deckTranspose[deck] + 1);
+        if (action === 'reset') setDeckTranspose(deck, 0);
+    });
+
+    renderTransposeControls(deck);
+}
+
+// Called from app.js when a transpose suggestion is applied
+window.setDeckTranspose = setDeckTranspose;
+
+DECK_IDS.forEach(deck => setupTransposeControls(deck));
+
+// Key lock starts off: the pitch slider changes key until it is enabled
+DECK_IDS.forEach(deck => updateDeckPitchShift(deck));
+
+// ==========================================================================
+// LOUDNESS & TRIM
+// ==========================================================================
+
+const TRIM_RANGE = 12;  // dB either way
+const LOUDNESS_TARGETS = [-8, -10, -12, -14, -16, -18, -23];  // LUFS
+const DEFAULT_LOUDNESS_TARGET = -14;
+const LOUDNESS_TARGET_KEY = 'dj_loudness_target';
+
+let loudnessTarget = loadLoudnessTarget();
+
+// Manual trim in dB, or null to follow the automatic trim
+const manualTrim = createDeckMap(null);
+
+function loadLoudnessTarget() {
+    const saved = parseFloat(localStorage.getItem(LOUDNESS_TARGET_KEY));
+    return LOUDNESS_TARGETS.includes(saved) ? saved : DEFAULT_LOUDNESS_TARGET;
+}
+
+/**
+ * Integrated loudness of the deck's track (LUFS), or null if not measured
+ */
+function getDeckLoudness(deck) {
+    return deckState[deck].track?.audioFeatures?.loudness ?? null;
+}
+
+/**
+ * Trim that brings the deck's track to the loudness target
+ * Tracks that haven't been measured yet play untrimmed.
+ * @returns {number} dB
+ */
+function getAutoTrim(deck) {
+    const loudness = getDeckLoudness(deck);
+    if (loudness === null) return 0;
+    return Math.max(-TRIM_RANGE, Math.min(TRIM_RANGE, loudnessTarget - loudness));
+}
+
+/**
+ * Trim currently applied to a deck: the manual value if set, otherwise automatic
+ * @returns {number} dB
+ */
+function getDeckTrim(deck) {
+    return manualTrim[deck] ?? getAutoTrim(deck);
+}
+
+/**
+ * Push the deck's trim to its gain node and refresh the controls
+ */
+function applyDeckTrim(deck) {
+    const trim = audioNodes[deck]?.trim;
+    if (trim) {
+        trim.gain.setTargetAtTime(MasterBus.dbToGain(getDeckTrim(deck)), audioContext.currentTime, 0.05);
+    }
+    renderTrimControls(deck);
+}
+
+/**
+ * Override the automatic trim
+ * @param {string} deck - Deck id ('A'-'D')
+ * @param {number|null} db - Trim in dB, or null to return to automatic
+ */
+function setManualTrim(deck, db) {
+    manualTrim[deck] = db === null ? null : Math.max(-TRIM_RANGE, Math.min(TRIM_RANGE, db));
+    applyDeckTrim(deck);
+}
+
+/**
+ * Change the loudness every deck is trimmed to
+ * @param {number} lufs - One of LOUDNESS_TARGETS
+ */
+function setLoudnessTarget(lufs) {
+    loudnessTarget = lufs;
+    localStorage.setItem(LOUDNESS_TARGET_KEY, String(lufs));
+    DECK_IDS.forEach(deck => applyDeckTrim(deck));
+    console.log(`[DJ] Loudness target: ${lufs} LUFS`);
+}
+
+function formatLoudness(lufs) {
+    return lufs === null || lufs === undefined ? '-- LUFS' : `${lufs.toFixed(1)} LUFS`;
+}
+
+function formatTrim(db) {
+    return `${db > 0 ? '+' : ''}${db.toFixed(1)} dB`;
+}
+
+function renderTrimControls(deck) {
+    const container = getDeckElement(deck, 'trim');
+    const loudnessEl = getDeckElement(deck, 'deckLoudness');
+    const loudness = getDeckLoudness(deck);
+    const isAuto = manualTrim[deck] === null;
+
+    if (container) {
+        const trim = getDeckTrim(deck);
+        container.querySelector('.trim-slider').value = trim;
+        container.querySelector('.trim-value').textContent = formatTrim(trim);
+
+        const autoButton = container.querySelector('.auto-trim');
+        autoButton.classList.toggle('active', isAuto);
+        autoButton.title = loudness === null
+            ? 'Trim to the target loudness once the track is measured'
+            : `Auto trim: ${formatTrim(getAutoTrim(deck))} to reach ${loudnessTarget} LUFS`;
+    }
+
+    if (loudnessEl) {
+        loudnessEl.textContent = formatLoudness(loudness);
+        loudnessEl.classList.toggle('is-measured', loudness !== null);
+        loudnessEl.classList.toggle('is-manual', loudness !== null && !isAuto);
+        loudnessEl.title = loudness === null
+            ? 'Integrated loudness (measured when a local file is analyzed)'
+            : `Integrated loudness (BS.1770) · target ${loudnessTarget} LUFS`;
+    }
+}
+
+function setupTrimControls(deck) {
+    const container = getDeckElement(deck, 'trim');
+    if (!container) return;
+
+    const slider = container.querySelector('.trim-slider');
+    slider.min = -TRIM_RANGE;
+    slider.max = TRIM_RANGE;
+
+    slider.addEventListener('input', () => {
+        initAudioContext();
+        setManualTrim(deck, parseFloat(slider.value));
+    });
+
+    // Double-click returns to automatic, like the AUTO button
+    slider.addEventListener('dblclick', () => setManualTrim(deck, null));
+
+    container.querySelector('.auto-trim').addEventListener('click', () => {
+        setManualTrim(deck, manualTrim[deck] === null ? getAutoTrim(deck) : null);
+    });
+
+    renderTrimControls(deck);
+}
+
+const loudnessTargetSelect = document.getElementById('loudnessTarget');
+if (loudnessTargetSelect) {
+    loudnessTargetSelect.innerHTML = LOUDNESS_TARGETS
+        .map(lufs => `<option value="${lufs}">${lufs} LUFS</option>`)
+        .join('');
+    loudnessTargetSelect.value = loudnessTarget;
+    loudnessTargetSelect.addEventListener('change', () => setLoudnessTarget(parseFloat(loudnessTargetSelect.value)));
+}
+
+DECK_IDS.forEach(deck => setupTrimControls(deck));
+
+// ==========================================================================
+// MIXER CONTROLS
+// ==========================================================================
+
+// Volume controls (the level is the fader times the deck's crossfader gain)
+DECK_IDS.forEach(deck => {
+    getDeckElement(deck, 'volumeSong')?.addEventListener('input', async function() {
+        const volume = parseFloat(this.value);
+        const level = volume * getCrossfaderGain(deck);
+        setDeckVolume(deck, level);
+
+        // Also update Spotify volume if active on this deck
+        if (activeSpotifyDeck === deck && window.SpotifyPlayer?.isReady()) {
+            await window.SpotifyPlayer.setVolume(level);
+        }
+
+        const label = getDeckElement(deck, 'vol', 'Val');
+        if (label) label.textContent = Math.round(volume * 100) + '%';
+    });
+});
+
+// Pitch controls - affects local audio playback rate
+DECK_IDS.forEach(deck => {
+    getDeckElement(deck, 'pitchSong')?.addEventListener('input', function() {
+        const pitch = parseFloat(this.value);
+        setDeckPlaybackRate(deck, pitch);
+        const percent = Math.round((pitch - 1) * 100);
+        const label = getDeckElement(deck, 'pitch', 'Val');
+        if (label) label.textContent = (percent >= 0 ? '+' : '') + percent + '%';
+
+        // Update effective BPM display
+        updateEffectiveBPMDisplay(deck, pitch);
+        handleSyncPitchChange(deck);
+    });
+});
+
+/**
+ * Update the effective BPM display for a deck
+ */
+function updateEffectiveBPMDisplay(deck, pitch) {
+    const displayEl = getDeckElement(deck, 'effectiveBPM');
+    if (!displayEl) return;
+
+    const track = deckState[deck]?.track;
+    const baseBPM = track?.audioFeatures?.tempo;
+
+    if (deckState[deck]?.source === 'local' && baseBPM) {
+        const effectiveBPM = baseBPM * pitch;
+        const keyDisplay = getDeckKeyDisplay(deck, pitch);
+        displayEl.innerHTML = `
+            <span style="color: #888;">Base: ${Math.round(baseBPM)} BPM</span> →
+            <span style="font-weight: bold;">Effective: ${effectiveBPM.toFixed(1)} BPM</span>
+            ${keyDisplay ? `<br><span style="color: ${keyLockEnabled[deck] ? '#22c55e' : '#888'};">${keyDisplay}</span>` : ''}
+        `;
+        console.log(`[DJ] Deck ${deck} effective BPM: ${effectiveBPM.toFixed(1)}`);
+    } else if (deckState[deck]?.source === 'spotify') {
+        displayEl.innerHTML = `
+            <span style="color: #888;">~${Math.round(baseBPM || 120)} BPM (Spotify - pitch N/A)</span>
+        `;
+    } else {
+        displayEl.textContent = 'Pitch works on local files only';
+    }
+}
+
+// EQ controls - Now with real audio processing!
+DECK_IDS.forEach(deck => {
+    ['bass', 'mid', 'treble'].forEach(band => {
+        getDeckElement(deck, `${band}Song`)?.addEventListener('input', function() {
+            const value = parseFloat(this.value);
+            const valueLabel = this.parentElement?.querySelector('.eq-val');
+            if (valueLabel) {
+                const db = Math.round((value - 0.5) * 24);
+                valueLabel.textContent = (db >= 0 ? '+' : '') + db + 'dB';
+            }
+            applyEQ(deck, band, value);
+        });
+    });
+});
+
+// ==========================================================================
+// EFFECTS RACK
+// ==========================================================================
+
+/**
+ * Load worklet-based effects and plug them into both racks
+ */
+function loadEffectWorklets() {
+    EffectsRack.loadWorklets(audioContext).then(loaded => {
+        if (!loaded) return;
+        audioNodes.A.fx?.attachWorklets();
+        audioNodes.B.fx?.attachWorklets();
+    });
+}
+
+/**
+ * Keep beat-based effect times in step with the deck's playing tempo
+ */
+function updateDeckEffectsTempo(deck) {
+    const fx = audioNodes[deck]?.fx;
+    if (!fx) return;
+
+    const audioElement = getDeckAudio(deck);
+    fx.setBpm((getDeckTempo(deck) || 120) * audioElement.playbackRate);
+}
+
+/**
+ * Build the effect units for a deck from the rack definitions
+ */
+function setupEffectsControls(deck) {
+    const container = getDeckElement(deck, 'fxRack');
+    if (!container) return;
+
+    container.innerHTML = EffectsRack.EFFECTS.map(effect => `
+        <div class="fx-unit" data-fx="${effect.id}">
+            <button class="btn btn-loop fx-toggle" title="${effect.name} on/off">${effect.name.toUpperCase()}</button>
+            <label class="fx-param">
+                <span>Dry/Wet</span>
+                <input type="range" data-fx-mix min="0" max="1" step="0.01" value="${effect.mix}" data-default="${effect.mix}">
+            </label>
+            ${Object.entries(effect.params).map(([name, param]) => `
+                <label class="fx-param">
+                    <span>${param.label}</span>
+                    ${param.options
+                        ? `<select data-fx-param="${name}">
+                               ${param.options.map(option => `
+                                   <option value="${option.value}" ${option.value === param.value ? 'selected' : ''}>${option.label}</option>
+                               `).join('')}
+                           </select>`
+                        : `<input type="range" data-fx-param="${name}" min="${param.min}" max="${param.max}"
+                                  step="${param.step}" value="${param.value}" data-default="${param.value}">`}
+                </label>
+            `).join('')}
+        </div>
+    `).join('');
+
+    container.addEventListener('click', (e) => {
+        const toggle = e.target.closest('.fx-toggle');
+        if (!toggle) return;
+
+        initAudioContext();
+        const unit = toggle.closest('.fx-unit');
+        const enabled = !toggle.classList.contains('active');
+        toggle.classList.toggle('active', enabled);
+        audioNodes[deck].fx?.setEnabled(unit.dataset.fx, enabled);
+    });
+
+    const applyControl = (control) => {
+        initAudioContext();
+        const fx = audioNodes[deck].fx;
+        const effectId = control.closest('.fx-unit').dataset.fx;
+
+        if (control.hasAttribute('data-fx-mix')) {
+            fx?.setMix(effectId, parseFloat(control.value));
+        } else {
+            // Select values are strings; numeric options (echo beats) are parsed by the rack
+            const value = control.type === 'range' ? parseFloat(control.value) : control.value;
+            fx?.setParam(effectId, control.dataset.fxParam, value);
+        }
+    };
+
+    container.addEventListener('input', (e) => {
+        if (e.target.matches('[data-fx-mix], [data-fx-param]')) applyControl(e.target);
+    });
+
+    // Double-click a slider to return it to its default (e.g. filter to center)
+    container.addEventListener('dblclick', (e) => {
+        const slider = e.target.closest('input[type="range"][data-default]');
+        if (!slider) return;
+        slider.value = slider.dataset.default;
+        applyControl(slider);
+    });
+}
+
+// EffectsRack loads after this file, so build the controls once the page is ready
+document.addEventListener('DOMContentLoaded', () => {
+    DECK_IDS.forEach(deck => setupEffectsControls(deck));
+});
+
+// ==========================================================================
+// MASTER BUS
+// ==========================================================================
+
+const levelMeters = { ...createDeckMap(null), master: null };
+
+/**
+ * Create the master stage and its meter, applying the current control values
+ */
+function setupMasterBus() {
+    masterBus = MasterBus.create(audioContext);
+    levelMeters.master = MasterBus.createMeter(audioContext, masterBus.output, 2);
+
+    // The cue bus routes the master to the speakers (and the headphone mix)
+    setupCueBus();
+
+    const gainSlider = document.getElementById('masterGain');
+    const limiterButton = document.getElementById('limiterToggle');
+    masterBus.setGain(parseFloat(gainSlider?.value || 0));
+    masterBus.setLimiterEnabled(!limiterButton || limiterButton.classList.contains('active'));
+
+    requestAnimationFrame(renderMeters);
+}
+
+document.getElementById('masterGain')?.addEventListener('input', function() {
+    const db = parseFloat(this.value);
+    initAudioContext();
+    masterBus?.setGain(db);
+
+    const label = document.getElementById('masterGainVal');
+    if (label) label.textContent = `${db > 0 ? '+' : ''}${db.toFixed(1)} dB`;
+});
+
+document.getElementById('limiterToggle')?.addEventListener('click', function() {
+    initAudioContext();
+    const enabled = !this.classList.contains('active');
+    this.classList.toggle('active', enabled);
+    masterBus?.setLimiterEnabled(enabled);
+    showToast(`Master limiter ${enabled ? 'on' : 'off'}`);
+});
+
+// Clicking a meter clears its clip indicator
+document.querySelectorAll('.level-meter[data-meter]').forEach(meterEl => {
+    meterEl.addEventListener('click', () => {
+        levelMeters[meterEl.dataset.meter]?.resetClip();
+    });
+});
+
+/**
+ * Draw all meters (runs every animation frame once audio is set up)
+ */
+function renderMeters(now) {
+    let masterHold = null;
+
+    Object.entries(levelMeters).forEach(([name, meter]) => {
+        const meterEl = document.querySelector(`.level-meter[data-meter="${name}"]`);
+        if (!meter || !meterEl) return;
+
+        const { channels, clipped } = meter.read(now);
+        if (name === 'master') {
+            masterHold = Math.max(...channels.map(level => level.hold));
+        }
+        const channelEls = meterEl.querySelectorAll('.meter-channel');
+
+        channels.forEach((level, ch) => {
+            const channelEl = channelEls[ch];
+            if (!channelEl) return;
+
+            channelEl.querySelector('.meter-rms').style.height = `${meterPercent(level.rms)}%`;
+            channelEl.querySelector('.meter-peak').style.height = `${meterPercent(level.peak)}%`;
+            channelEl.querySelector('.meter-hold').style.bottom = `${meterPercent(level.hold)}%`;
+            channelEl.classList.toggle('is-hot', level.peak > -6);
+        });
+
+        meterEl.querySelector('.meter-clip')?.classList.toggle('active', clipped);
+    });
+
+    const readout = document.getElementById('masterPeak');
+    if (masterHold !== null && readout) {
+        readout.textContent = masterHold <= MasterBus.MIN_DB ? '-∞ dB' : `${masterHold.toFixed(1)} dB`;
+    }
+
+    const reductionEl = document.getElementById('limiterReduction');
+    if (masterBus && reductionEl) {
+        const reduction = masterBus.getReduction();
+        reductionEl.textContent = `GR ${reduction.toFixed(1)}`;
+        reductionEl.classList.toggle('active', reduction < -0.5);
+    }
+
+    requestAnimationFrame(renderMeters);
+}
+
+/**
+ * Map dBFS onto meter height (MIN_DB = empty, 0 dBFS = full)
+ */
+function meterPercent(db) {
+    return Math.max(0, Math.min(100, (1 - db / MasterBus.MIN_DB) * 100));
+}
+
+// ==========================================================================
+// HEADPHONE CUE
+// ==========================================================================
+
+/**
+ * Create the cue bus and apply the current headphone controls
+ */
+function setupCueBus() {
+    cueBus = CueBus.create(audioContext, masterBus.output);
+    cueBus.setMix(parseFloat(document.getElementById('cueMix')?.value || 0));
+
+    const modeSelect = document.getElementById('cueMode');
+    if (modeSelect && modeSelect.value !== 'off') {
+        applyCueMode();
+    }
+}
+
+function toggleDeckCue(deck) {
+    initAudioContext();
+    if (!cueBus) return;
+
+    const enabled = !cueBus.isDeckCued(deck);
+    cueBus.setDeckCue(deck, enabled);
+    getDeckElement(deck, 'headphoneCue')?.classList.toggle('active', enabled);
+
+    if (enabled && cueBus.getMode() === 'off') {
+        showToast('Choose a headphone output to hear the cue');
+    }
+}
+
+/**
+ * Route the headphone mix according to the output controls
+ */
+async function applyCueMode() {
+    initAudioContext();
+    if (!cueBus) return;
+
+    const modeSelect = document.getElementById('cueMode');
+    const deviceSelect = document.getElementById('cueDevice');
+    const mode = modeSelect?.value || 'off';
+
+    if (deviceSelect) deviceSelect.hidden = mode !== 'device';
+    if (mode === 'device' && deviceSelect && deviceSelect.options.length === 0) {
+        await populateCueDevices();
+    }
+
+    try {
+        await cueBus.setMode(mode, deviceSelect?.value || null);
+    } catch (e) {
+        console.error('[DJ] Failed to set headphone output:', e);
+        showToast(e.message || 'Could not use that output');
+        if (modeSelect) modeSelect.value = cueBus.getMode();
+        if (deviceSelect) deviceSelect.hidden = cueBus.getMode() !== 'device';
+    }
+}
+
+async function populateCueDevices() {
+    const deviceSelect = document.getElementById('cueDevice');
+    if (!deviceSelect) return;
+
+    const devices = await CueBus.listOutputDevices();
+    deviceSelect.innerHTML = devices
+        .map(device => `<option value="${device.deviceId}">${device.label}</option>`)
+        .join('');
+}
+
+DECK_IDS.forEach(deck => {
+    getDeckElement(deck, 'headphoneCue')?.addEventListener('click', () => toggleDeckCue(deck));
+});
+document.getElementById('cueMode')?.addEventListener('change', applyCueMode);
+document.getElementById('cueDevice')?.addEventListener('change', applyCueMode);
+
+document.getElementById('cueMix')?.addEventListener('input', function() {
+    initAudioContext();
+    cueBus?.setMix(parseFloat(this.value));
+});
+
+// Device output needs setSinkId; hide the option where it is missing
+document.addEventListener('DOMContentLoaded', () => {
+    if (!CueBus.supportsOutputDevices()) {
+        document.querySelector('#cueMode option[value="device"]')?.remove();
+    }
+});
+
+// ==========================================================================
+// SET RECORDING
+// ==========================================================================
+
+let setRecorder = null;           // Active SetRecorder, null when idle
+let recordingSessionId = null;    // Analytics session the recording belongs to
+let recorderStatusTimer = null;
+const finishedRecordings = [];    // { blob, url, filename, format, duration, sessionId, uploadedAs, uploading }
+
+/**
+ * Start recording the master output
+ * The recording is attached to the analytics session so tracklist times line up.
+ */
+async function startSetRecording() {
+    initAudioContext();
+    if (!masterBus || setRecorder) return;
+
+    const format = document.getElementById('recordFormat')?.value || 'webm';
+    if (!SetRecorder.getSupportedFormats(audioContext).includes(format)) {
+        showToast(`Recording ${format.toUpperCase()} is not supported in this browser`);
+        return;
+    }
+
+    const recorder = SetRecorder.create(audioContext, masterBus.output, { format });
+    setRecorder = recorder;
+    renderRecorderControls();
+
+    try {
+        const startedAt = await recorder.start();
+        recordingSessionId = AnalyticsDashboard.startAudioRecording(startedAt).id;
+        if (typeof DJApp !== 'undefined') {
+            DJApp.updateSessionUI(true);
+        }
+    } catch (e) {
+        console.error('[DJ] Failed to start recording:', e);
+        showToast('Could not start recording');
+        setRecorder = null;
+        renderRecorderControls();
+        return;
+    }
+
+    recorderStatusTimer = setInterval(renderRecorderStatus, 500);
+    renderRecorderControls();
+    showToast(`Recording set (${format.toUpperCase()})`);
+}
+
+function toggleSetRecordingPause() {
+    if (!setRecorder) return;
+
+    if (setRecorder.getState() === 'recording') {
+        setRecorder.pause();
+        AnalyticsDashboard.pauseAudioRecording();
+    } else {
+        setRecorder.resume();
+        AnalyticsDashboard.resumeAudioRecording();
+    }
+    renderRecorderControls();
+}
+
+/**
+ * Stop recording and offer the file for download/upload
+ */
+async function stopSetRecording() {
+    if (!setRecorder || setRecorder.getState() === 'idle') return;
+
+    const recorder = setRecorder;
+    const stoppedAt = Date.now();
+    clearInterval(recorderStatusTimer);
+    recorderStatusTimer = null;
+
+    const result = await recorder.stop();
+    setRecorder = null;
+
+    AnalyticsDashboard.stopAudioRecording({
+        filename: result.filename,
+        format: result.format,
+        size: result.blob.size,
+        duration: result.duration
+    }, stoppedAt);
+
+    finishedRecordings.unshift({
+        ...result,
+        url: URL.createObjectURL(result.blob),
+        sessionId: recordingSessionId,
+        uploadedAs: null,
+        uploading: false
+    });
+    recordingSessionId = null;
+
+    renderRecorderControls();
+    renderRecordingsList();
+    showToast(`Recording saved: ${result.filename}`);
+}
+
+// Called from app.js so ending a session also finishes its recording
+window.stopSetRecording = stopSetRecording;
+
+async function uploadRecording(index) {
+    const recording = finishedRecordings[index];
+    if (!recording || recording.uploading || recording.uploadedAs) return;
+
+    recording.uploading = true;
+    renderRecordingsList();
+
+    try {
+        recording.uploadedAs = await SetRecorder.upload(recording.blob, recording.filename);
+        AnalyticsDashboard.setRecordingUpload(recording.sessionId, recording.uploadedAs);
+        showToast(`Uploaded ${recording.filename}`);
+    } catch (e) {
+        console.error('[DJ] Recording upload failed:', e);
+        showToast('Upload failed');
+    }
+
+    recording.uploading = false;
+    renderRecordingsList();
+}
+
+function renderRecorderControls() {
+    const state = setRecorder ? setRecorder.getState() : 'idle';
+    const recordBtn = document.getElementById('recordBtn');
+    const pauseBtn = document.getElementById('recordPauseBtn');
+    const stopBtn = document.getElementById('recordStopBtn');
+    const formatSelect = document.getElementById('recordFormat');
+
+    if (recordBtn) {
+        recordBtn.disabled = !!setRecorder;
+        recordBtn.classList.toggle('active', state === 'recording');
+    }
+    if (pauseBtn) {
+        pauseBtn.disabled = state === 'idle';
+        pauseBtn.textContent = state === 'paused' ? 'Resume' : 'Pause';
+    }
+    if (stopBtn) stopBtn.disabled = state === 'idle';
+    if (formatSelect) formatSelect.disabled = !!setRecorder;
+
+    renderRecorderStatus();
+}
+
+function renderRecorderStatus() {
+    const statusEl = document.getElementById('recordStatus');
+    if (!statusEl) return;
+
+    const state = setRecorder ? setRecorder.getState() : 'idle';
+    if (state === 'idle') {
+        statusEl.textContent = 'Not recording';
+        statusEl.classList.remove('is-recording');
+        return;
+    }
+
+    const elapsed = formatTime(setRecorder.getElapsed() / 1000);
+    const size = SetRecorder.formatBytes(setRecorder.getSize());
+    statusEl.textContent = `${state === 'paused' ? '❚❚ Paused' : '● REC'} ${elapsed} · ${size}`;
+    statusEl.classList.toggle('is-recording', state === 'recording');
+}
+
+function renderRecordingsList() {
+    const listEl = document.getElementById('recordingsList');
+    if (!listEl) return;
+
+    listEl.innerHTML = finishedRecordings.map((recording, index) => `
+        <div class="recording-item">
+            <div class="recording-info">
+                <div class="recording-name">${recording.filename}</div>
+                <div class="recording-meta">
+                    ${formatTime(recording.duration / 1000)} · ${SetRecorder.formatBytes(recording.blob.size)}
+                    ${recording.uploadedAs ? ' · uploaded' : ''}
+                </div>
+            </div>
+            <a class="btn btn-secondary btn-sm" href="${recording.url}" download="${recording.filename}">Download</a>
+            <button class="btn btn-secondary btn-sm" data-upload-recording="${index}"
+                    ${recording.uploading || recording.uploadedAs ? 'disabled' : ''}>
+                ${recording.uploading ? 'Uploading…' : 'Upload'}
+            </button>
+        </div>
+    `).join('');
+}
+
+document.getElementById('recordBtn')?.addEventListener('click', startSetRecording);
+document.getElementById('recordPauseBtn')?.addEventListener('click', toggleSetRecordingPause);
+document.getElementById('recordStopBtn')?.addEventListener('click', stopSetRecording);
+document.getElementById('recordingsList')?.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-upload-recording]');
+    if (button) uploadRecording(parseInt(button.dataset.uploadRecording, 10));
+});
+
+// ==========================================================================
+// SAMPLER
+// ==========================================================================
+
+const PAD_QUANTIZE_GRACE = 0.1;    // Beats after a beat in which a press still plays at once
+
+let sampler = null;         // Pad player (see SampleBank)
+let selectedPad = 0;        // Pad shown in the editor
+
+/**
+ * Create the pad player on the master bus and fetch the saved bank's samples
+ */
+function setupSampler() {
+    sampler = SampleBank.create(audioContext, masterBus.input, { onChange: renderSamplerPads });
+
+    SampleBank.getPads().forEach((pad, index) => {
+        if (!pad) return;
+        sampler.load(index).catch(e => {
+            console.warn(`[DJ] Sample for pad ${index + 1} unavailable:`, e.message);
+        });
+    });
+}
+
+/**
+ * Deck the pads quantize to: the loudest playing local deck with a beat grid
+ * @returns {string|null}
+ */
+function getSamplerBeatDeck() {
+    const playing = getActiveDecks().filter(deck =>
+        deckState[deck].source === 'local' && !getDeckAudio(deck).paused && getDeckBeatGrid(deck));
+    playing.sort((a, b) => getDeckLevel(b) - getDeckLevel(a));
+    return playing[0] || null;
+}
+
+/**
+ * AudioContext time a pad press should start at
+ * With quantize on this is the next beat of the playing deck (or now when
+ * the press lands just after a beat); otherwise it is now.
+ */
+function getPadStartTime() {
+    const now = audioContext.currentTime;
+    const deck = SampleBank.isQuantized() ? getSamplerBeatDeck() : null;
+    if (!deck) return now;
+
+    const grid = getDeckBeatGrid(deck);
+    const audioElement = getDeckAudio(deck);
+    const beat = BeatGrid.getBeatIndex(grid, audioElement.currentTime);
+    if (beat - Math.floor(beat) < PAD_QUANTIZE_GRACE) return now;
+
+    const untilBeat = BeatGrid.getBeatTime(grid, Math.ceil(beat)) - audioElement.currentTime;
+    return now + untilBeat / audioElement.playbackRate;
+}
+
+/**
+ * Handle a pad press: select it and play it if it has a sample
+ * (empty pads open the file picker on click)
+ */
+async function pressSamplePad(index) {
+    selectedPad = index;
+    renderSampler();
+    if (!SampleBank.getPad(index)) return;
+
+    initAudioContext();
+    if (!sampler) return;
+
+    try {
+        await sampler.trigger(index, getPadStartTime());
+    } catch (e) {
+        console.error('[DJ] Pad playback failed:', e);
+        showToast(`Pad ${index + 1}: sample unavailable (${e.message})`);
+    }
+}
+
+/**
+ * Decode, upload and assign a sample file to a pad
+ * The file is decoded first, so non-audio and over-long files are rejected
+ * before anything is uploaded.
+ */
+async function loadSampleToPad(index, file) {
+    initAudioContext();
+    if (!sampler) return;
+
+    try {
+        const buffer = await audioContext.decodeAudioData(await file.arrayBuffer());
+        if (buffer.duration > SampleBank.MAX_SAMPLE_DURATION) {
+            showToast(`Samples can be up to ${SampleBank.MAX_SAMPLE_DURATION}s - load longer files on a deck`);
+            return;
+        }
 
-document.getElementById('pitchSong2')?.addEventListener('input', function() {
-    const pitch = parseFloat(this.value);
-    audio2.playbackRate = pitch;
-    const percent = Math.round((pitch - 1) * 100);
-    const label = document.getElementById('pitch2Val');
-    if (label) label.textContent = (percent >= 0 ? '+' : '') + percent + '%';
+        showToast(`Uploading ${file.name}...`);
+        const filename = await SampleBank.upload(file);
+        sampler.stop(index);
+        sampler.addBuffer(filename, buffer);
+        SampleBank.setPadSample(index, { name: file.name.replace(/\.[^.]+$/, ''), file: filename });
+        showToast(`Loaded ${file.name} on pad ${index + 1}`);
+    } catch (e) {
+        console.error('[DJ] Sample load failed:', e);
+        showToast(`Could not load ${file.name}`);
+    }
 
-    // Update effective BPM display
-    updateEffectiveBPMDisplay('B', pitch);
-});
+    renderSampler();
+}
 
 /**
- * Update the effective BPM display for a deck
+ * Rename a pad (right-click)
  */
-function updateEffectiveBPMDisplay(deck, pitch) {
-    const displayId = deck === 'A' ? 'effectiveBPM1' : 'effectiveBPM2';
-    const displayEl = document.getElementById(displayId);
-    if (!displayEl) return;
+function renameSamplePad(index) {
+    const pad = SampleBank.getPad(index);
+    if (!pad) return;
 
-    const track = deckState[deck]?.track;
-    const baseBPM = track?.audioFeatures?.tempo;
+    const name = prompt('Pad name:', pad.name);
+    if (name === null) return;
 
-    if (deckState[deck]?.source === 'local' && baseBPM) {
-        const effectiveBPM = baseBPM * pitch;
-        displayEl.innerHTML = `
-            <span style="color: #888;">Base: ${Math.round(baseBPM)} BPM</span> →
-            <span style="font-weight: bold;">Effective: ${effectiveBPM.toFixed(1)} BPM</span>
-        `;
-        console.log(`[DJ] Deck ${deck} effective BPM: ${effectiveBPM.toFixed(1)}`);
-    } else if (deckState[deck]?.source === 'spotify') {
-        displayEl.innerHTML = `
-            <span style="color: #888;">~${Math.round(baseBPM || 120)} BPM (Spotify - pitch N/A)</span>
-        `;
-    } else {
-        displayEl.textContent = 'Pitch works on local files only';
-    }
+    SampleBank.renamePad(index, name);
+    renderSampler();
 }
 
-// EQ controls - Now with real audio processing!
-document.getElementById('bassSong1')?.addEventListener('input', function() {
-    const value = parseFloat(this.value);
-    const valueLabel = this.parentElement?.querySelector('.eq-val');
-    if (valueLabel) {
-        const db = Math.round((value - 0.5) * 24);
-        valueLabel.textContent = (db >= 0 ? '+' : '') + db + 'dB';
-    }
-    applyEQ('A', 'bass', value);
-});
+function renderSamplerPads() {
+    const pads = SampleBank.getPads();
+
+    document.querySelectorAll('#samplerPads .sample-pad').forEach(padEl => {
+        const index = parseInt(padEl.dataset.pad);
+        const pad = pads[index];
+
+        padEl.classList.toggle('is-set', !!pad);
+        padEl.classList.toggle('is-selected', index === selectedPad);
+        padEl.classList.toggle('is-playing', !!sampler?.isPlaying(index));
+        padEl.style.background = pad ? SampleBank.getPadColor(index) : '';
+        padEl.textContent = pad ? pad.name : index + 1;
+        padEl.title = pad
+            ? `${pad.name} (${SampleBank.MODES[pad.mode].label}, right-click: rename)`
+            : 'Load a sample';
+    });
+}
 
-document.getElementById('midSong1')?.addEventListener('input', function() {
-    const value = parseFloat(this.value);
-    const valueLabel = this.parentElement?.querySelector('.eq-val');
-    if (valueLabel) {
-        const db = Math.round((value - 0.5) * 24);
-        valueLabel.textContent = (db >= 0 ? '+' : '') + db + 'dB';
-    }
-    applyEQ('A', 'mid', value);
-});
+/**
+ * Redraw the pads and the editor for the selected pad
+ */
+function renderSampler() {
+    renderSamplerPads();
 
-document.getElementById('trebleSong1')?.addEventListener('input', function() {
-    const value = parseFloat(this.value);
-    const valueLabel = this.parentElement?.querySelector('.eq-val');
-    if (valueLabel) {
-        const db = Math.round((value - 0.5) * 24);
-        valueLabel.textContent = (db >= 0 ? '+' : '') + db + 'dB';
-    }
-    applyEQ('A', 'treble', value);
-});
+    const pad = SampleBank.getPad(selectedPad);
+    const nameEl = document.getElementById('samplerPadName');
+    if (nameEl) nameEl.textContent = pad ? `${selectedPad + 1}: ${pad.name}` : `${selectedPad + 1}: empty`;
 
-document.getElementById('bassSong2')?.addEventListener('input', function() {
-    const value = parseFloat(this.value);
-    const valueLabel = this.parentElement?.querySelector('.eq-val');
-    if (valueLabel) {
-        const db = Math.round((value - 0.5) * 24);
-        valueLabel.textContent = (db >= 0 ? '+' : '') + db + 'dB';
+    const modeSelect = document.getElementById('samplerMode');
+    if (modeSelect) {
+        modeSelect.value = pad?.mode || 'oneShot';
+        modeSelect.disabled = !pad;
     }
-    applyEQ('B', 'bass', value);
-});
 
-document.getElementById('midSong2')?.addEventListener('input', function() {
-    const value = parseFloat(this.value);
-    const valueLabel = this.parentElement?.querySelector('.eq-val');
-    if (valueLabel) {
-        const db = Math.round((value - 0.5) * 24);
-        valueLabel.textContent = (db >= 0 ? '+' : '') + db + 'dB';
+    const volumeSlider = document.getElementById('samplerVolume');
+    if (volumeSlider) {
+        volumeSlider.value = pad?.volume ?? 0.8;
+        volumeSlider.disabled = !pad;
     }
-    applyEQ('B', 'mid', value);
-});
 
-document.getElementById('trebleSong2')?.addEventListener('input', function() {
-    const value = parseFloat(this.value);
-    const valueLabel = this.parentElement?.querySelector('.eq-val');
-    if (valueLabel) {
-        const db = Math.round((value - 0.5) * 24);
-        valueLabel.textContent = (db >= 0 ? '+' : '') + db + 'dB';
+    const clearButton = document.getElementById('samplerClear');
+    if (clearButton) clearButton.disabled = !pad;
+
+    document.getElementById('samplerQuantize')?.classList.toggle('active', SampleBank.isQuantized());
+}
+
+function setupSamplerControls() {
+    const container = document.getElementById('samplerPads');
+    if (!container) return;
+
+    container.innerHTML = Array.from({ length: SampleBank.PAD_COUNT }, (_, index) =>
+        `<button class="sample-pad" data-pad="${index}">${index + 1}</button>`
+    ).join('');
+
+    container.querySelectorAll('.sample-pad').forEach(padEl => {
+        const index = parseInt(padEl.dataset.pad);
+        padEl.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0) return;
+            pressSamplePad(index);
+        });
+        // Hold pads stop when the pad is let go or the pointer slides off it
+        ['pointerup', 'pointerleave', 'pointercancel'].forEach(type => {
+            padEl.addEventListener(type, () => sampler?.release(index));
+        });
+        padEl.addEventListener('click', () => {
+            if (!SampleBank.getPad(index)) document.getElementById('samplerFile')?.click();
+        });
+        padEl.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            renameSamplePad(index);
+        });
+    });
+
+    const modeSelect = document.getElementById('samplerMode');
+    if (modeSelect) {
+        modeSelect.innerHTML = Object.entries(SampleBank.MODES)
+            .map(([id, mode]) => `<option value="${id}">${mode.label}</option>`)
+            .join('');
+        modeSelect.addEventListener('change', () => {
+            sampler?.stop(selectedPad);
+            SampleBank.setPadMode(selectedPad, modeSelect.value);
+            renderSampler();
+        });
     }
-    applyEQ('B', 'treble', value);
-});
+
+    document.getElementById('samplerVolume')?.addEventListener('input', function() {
+        SampleBank.setPadVolume(selectedPad, parseFloat(this.value));
+        sampler?.updateVolume(selectedPad);
+    });
+
+    const fileInput = document.getElementById('samplerFile');
+    fileInput?.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (file) loadSampleToPad(selectedPad, file);
+    });
+
+    document.getElementById('samplerLoad')?.addEventListener('click', () => fileInput?.click());
+
+    document.getElementById('samplerClear')?.addEventListener('click', () => {
+        sampler?.stop(selectedPad);
+        SampleBank.clearPad(selectedPad);
+        renderSampler();
+    });
+
+    document.getElementById('samplerQuantize')?.addEventListener('click', () => {
+        SampleBank.setQuantize(!SampleBank.isQuantized());
+        renderSampler();
+    });
+
+    document.getElementById('samplerStopAll')?.addEventListener('click', () => sampler?.stopAll());
+
+    renderSampler();
+}
+
+// SampleBank loads after this file, so build the pads once the page is ready
+document.addEventListener('DOMContentLoaded', setupSamplerControls);
 
 // ==========================================================================
 // CROSSFADER
@@ -545,36 +2670,69 @@ document.getElementById('crossfade')?.addEventListener('input', function() {
     updateCrossfaderDisplay();
 });
 
-async function applyCrossfade() {
-    // Equal power crossfade curve
-    const volumeA = Math.cos(crossfaderValue * 0.5 * Math.PI);
-    const volumeB = Math.cos((1.0 - crossfaderValue) * 0.5 * Math.PI);
+/**
+ * Crossfader gain for a deck, from its assignment
+ * @param {string} deck - Deck id
+ * @returns {number} 0-1 (always 1 for 'thru')
+ */
+function getCrossfaderGain(deck) {
+    const side = decks[deck].assign;
+    return side === 'thru' ? 1 : Crossfader.getGains(crossfaderValue)[side];
+}
+
+/**
+ * Crossfader positions for an auto-fade away from a deck
+ * The fader travels from the outgoing deck's side to the other side (a
+ * 'thru' deck counts as left, so the fader still moves across).
+ * @param {string} fromDeck - Outgoing deck
+ * @returns {{start: number, end: number}} Slider positions
+ */
+function getFadeEndpoints(fromDeck) {
+    const fromSide = decks[fromDeck].assign === 'right' ? 'right' : 'left';
+    return {
+        start: Crossfader.positionFor(fromSide),
+        end: Crossfader.positionFor(fromSide === 'left' ? 'right' : 'left')
+    };
+}
 
-    const vol1Slider = document.getElementById('volumeSong1');
-    const vol2Slider = document.getElementById('volumeSong2');
-    const baseVolA = parseFloat(vol1Slider?.value || 1);
-    const baseVolB = parseFloat(vol2Slider?.value || 1);
+// Called from app.js for its auto-fade and crossfader feedback
+window.getFadeEndpoints = getFadeEndpoints;
+window.getCrossfaderGain = getCrossfaderGain;
+
+/**
+ * Deck output level: its volume fader times its crossfader gain
+ */
+function getDeckLevel(deck) {
+    const volumeSlider = getDeckElement(deck, 'volumeSong');
+    return parseFloat(volumeSlider?.value || 1) * getCrossfaderGain(deck);
+}
 
+async function applyCrossfade() {
     // Apply to local audio
-    audio1.volume = volumeA * baseVolA;
-    audio2.volume = volumeB * baseVolB;
+    DECK_IDS.forEach(deck => setDeckVolume(deck, getDeckLevel(deck)));
 
     // Apply to Spotify based on which deck is active
-    if (window.SpotifyPlayer?.isReady()) {
-        if (activeSpotifyDeck === 'A') {
-            await window.SpotifyPlayer.setVolume(volumeA * baseVolA);
-        } else if (activeSpotifyDeck === 'B') {
-            await window.SpotifyPlayer.setVolume(volumeB * baseVolB);
-        }
+    if (window.SpotifyPlayer?.isReady() && activeSpotifyDeck) {
+        await window.SpotifyPlayer.setVolume(getDeckLevel(activeSpotifyDeck));
     }
 }
 
+/**
+ * Decks in use on one side of the crossfader, as a label ('A', 'A+C')
+ */
+function getSideLabel(side) {
+    const sideDecks = getActiveDecks().filter(deck => decks[deck].assign === side);
+    return sideDecks.length > 0 ? sideDecks.join('+') : side === 'left' ? 'L' : 'R';
+}
+
 /**
  * Update the crossfader display to show current levels
  */
 function updateCrossfaderDisplay() {
-    const volumeA = Math.cos(crossfaderValue * 0.5 * Math.PI);
-    const volumeB = Math.cos((1.0 - crossfaderValue) * 0.5 * Math.PI);
+    const { left: volumeA, right: volumeB } = Crossfader.getGains(crossfaderValue);
+    const mixPosition = Crossfader.getMixPosition(crossfaderValue);
+    const leftLabel = getSideLabel('left');
+    const rightLabel = getSideLabel('right');
 
     const crossfaderAEl = document.getElementById('crossfaderA');
     const crossfaderBEl = document.getElementById('crossfaderB');
@@ -582,124 +2740,511 @@ function updateCrossfaderDisplay() {
 
     if (crossfaderAEl) {
         const percentA = Math.round(volumeA * 100);
-        crossfaderAEl.textContent = `A: ${percentA}%`;
+        crossfaderAEl.textContent = `${leftLabel}: ${percentA}%`;
         crossfaderAEl.style.fontWeight = percentA > 70 ? 'bold' : 'normal';
     }
 
     if (crossfaderBEl) {
         const percentB = Math.round(volumeB * 100);
-        crossfaderBEl.textContent = `B: ${percentB}%`;
+        crossfaderBEl.textContent = `${rightLabel}: ${percentB}%`;
         crossfaderBEl.style.fontWeight = percentB > 70 ? 'bold' : 'normal';
     }
 
     if (crossfaderStatusEl) {
-        if (crossfaderValue < 0.2) {
-            crossfaderStatusEl.textContent = 'Deck A Solo';
+        if (mixPosition < 0.2) {
+            crossfaderStatusEl.textContent = `${leftLabel} Solo`;
             crossfaderStatusEl.style.color = '#3b82f6';
-        } else if (crossfaderValue > 0.8) {
-            crossfaderStatusEl.textContent = 'Deck B Solo';
+        } else if (mixPosition > 0.8) {
+            crossfaderStatusEl.textContent = `${rightLabel} Solo`;
             crossfaderStatusEl.style.color = '#f97316';
-        } else if (crossfaderValue > 0.4 && crossfaderValue < 0.6) {
+        } else if (mixPosition > 0.4 && mixPosition < 0.6) {
             crossfaderStatusEl.textContent = 'Equal Mix';
             crossfaderStatusEl.style.color = '#22c55e';
         } else {
-            crossfaderStatusEl.textContent = crossfaderValue < 0.5 ? 'Favoring A' : 'Favoring B';
+            crossfaderStatusEl.textContent = `Favoring ${mixPosition < 0.5 ? leftLabel : rightLabel}`;
             crossfaderStatusEl.style.color = '#888';
         }
     }
 }
 
+/**
+ * Show the current curve settings and label the fader ends
+ */
+function renderCrossfaderControls() {
+    const { curve, cutWidth, hamster } = Crossfader.getSettings();
+
+    const curveSelect = document.getElementById('crossfaderCurve');
+    if (curveSelect) curveSelect.value = curve;
+
+    const cutWidthControl = document.getElementById('cutWidthControl');
+    if (cutWidthControl) cutWidthControl.hidden = curve !== 'scratch';
+
+    const cutWidthSlider = document.getElementById('cutWidth');
+    if (cutWidthSlider) cutWidthSlider.value = cutWidth;
+
+    const cutWidthLabel = document.getElementById('cutWidthVal');
+    if (cutWidthLabel) cutWidthLabel.textContent = `${Math.round(cutWidth * 100)}%`;
+
+    document.getElementById('hamsterToggle')?.classList.toggle('active', hamster);
+
+    const endLabels = document.querySelector('.crossfader-labels');
+    if (endLabels?.children.length === 2) {
+        endLabels.classList.toggle('is-hamster', hamster);
+        endLabels.children[0].textContent = getSideLabel(hamster ? 'right' : 'left');
+        endLabels.children[1].textContent = getSideLabel(hamster ? 'left' : 'right');
+    }
+}
+
+/**
+ * Re-apply the fader after a settings change so the new levels take effect
+ * (the slider's input handlers here and in app.js do the work)
+ */
+function refreshCrossfade() {
+    renderCrossfaderControls();
+    document.getElementById('crossfade')?.dispatchEvent(new Event('input'));
+}
+
+function setupCrossfaderControls() {
+    const curveSelect = document.getElementById('crossfaderCurve');
+    if (curveSelect) {
+        curveSelect.innerHTML = Object.entries(Crossfader.CURVES)
+            .map(([id, curve]) => `<option value="${id}">${curve.label}</option>`)
+            .join('');
+        curveSelect.addEventListener('change', () => {
+            Crossfader.setCurve(curveSelect.value);
+            refreshCrossfade();
+        });
+    }
+
+    const cutWidthSlider = document.getElementById('cutWidth');
+    if (cutWidthSlider) {
+        cutWidthSlider.min = Crossfader.MIN_CUT_WIDTH;
+        cutWidthSlider.max = Crossfader.MAX_CUT_WIDTH;
+        cutWidthSlider.addEventListener('input', () => {
+            Crossfader.setCutWidth(parseFloat(cutWidthSlider.value));
+            refreshCrossfade();
+        });
+    }
+
+    document.getElementById('hamsterToggle')?.addEventListener('click', () => {
+        const hamster = !Crossfader.getSettings().hamster;
+        Crossfader.setHamster(hamster);
+
+        // Keep the mix where it was: flip the slider to match the new direction
+        const crossfadeSlider = document.getElementById('crossfade');
+        crossfaderValue = 1 - crossfaderValue;
+        if (crossfadeSlider) crossfadeSlider.value = crossfaderValue;
+
+        refreshCrossfade();
+        showToast(`Hamster mode ${hamster ? 'on' : 'off'}`);
+    });
+
+    renderCrossfaderControls();
+    updateCrossfaderDisplay();
+}
+
+// Crossfader loads after this file, so build the controls once the page is ready
+document.addEventListener('DOMContentLoaded', setupCrossfaderControls);
+
 // ==========================================================================
-// SYNC BPM
+// FOUR-DECK MODE & CROSSFADER ASSIGNMENT
 // ==========================================================================
 
-document.getElementById('syncSongs')?.addEventListener('click', function() {
-    const trackA = deckState.A.track;
-    const trackB = deckState.B.track;
+/**
+ * Show or hide decks C and D
+ * Hidden decks are stopped so nothing plays that the DJ can't see.
+ * @param {boolean} enabled
+ */
+function setFourDeckMode(enabled) {
+    fourDeckMode = !!enabled;
 
-    if (!trackA || !trackB) {
-        showToast('Load tracks on both decks first');
-        return;
+    if (!fourDeckMode) {
+        DECK_IDS.filter(deck => !BASE_DECK_IDS.includes(deck)).forEach(deck => {
+            // pauseDeck also pauses Spotify when the deck is streaming
+            if (deckState[deck].isPlaying || !getDeckAudio(deck).paused) pauseDeck(deck);
+
+            if (syncState.locked && (deck === syncState.leader || deck === syncState.follower)) {
+                disengageSync(`Sync off - Deck ${deck} hidden`);
+            }
+            if (syncState.master === deck) syncState.master = 'auto';
+        });
+    }
+
+    saveDeckLayout();
+    renderDeckLayout();
+    renderSyncMasterOptions();
+    refreshCrossfade();
+}
+
+/**
+ * Put a deck on one side of the crossfader, or let it bypass the fader
+ * @param {string} deck - Deck id
+ * @param {string} side - 'left', 'thru' or 'right'
+ */
+function setDeckAssignment(deck, side) {
+    decks[deck].assign = side;
+    saveDeckLayout();
+    renderDeckLayout();
+    refreshCrossfade();
+}
+
+/**
+ * Show the deck C/D panels and meters, and each deck's assignment
+ */
+function renderDeckLayout() {
+    document.querySelector('.decks-section')?.classList.toggle('four-decks', fourDeckMode);
+    document.getElementById('fourDeckToggle')?.classList.toggle('active', fourDeckMode);
+
+    DECK_IDS.forEach(deck => {
+        getDeckElement(deck, 'xfAssign')?.querySelectorAll('[data-assign]').forEach(button => {
+            button.classList.toggle('active', button.dataset.assign === decks[deck].assign);
+        });
+    });
+}
+
+DECK_IDS.forEach(deck => {
+    getDeckElement(deck, 'xfAssign')?.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-assign]');
+        if (button) setDeckAssignment(deck, button.dataset.assign);
+    });
+});
+
+document.getElementById('fourDeckToggle')?.addEventListener('click', () => {
+    setFourDeckMode(!fourDeckMode);
+    showToast(fourDeckMode ? 'Four-deck mode: decks C and D ready' : 'Two-deck mode');
+});
+
+renderDeckLayout();
+
+// ==========================================================================
+// BEAT SYNC
+// ==========================================================================
+
+const SYNC_CHECK_INTERVAL = 50;     // ms between phase checks while locked
+const SYNC_PHASE_TOLERANCE = 0.01;  // Beats of drift we leave alone
+const SYNC_JUMP_THRESHOLD = 0.25;   // Beats of drift fixed with a jump instead of a rate nudge
+const SYNC_RATE_GAIN = 0.2;         // Rate correction per beat of drift
+const SYNC_MAX_RATE_NUDGE = 0.02;   // Max ±2% rate correction while catching up
+
+const syncState = {
+    master: 'auto',    // Deck id or 'auto' (follow whichever deck can't be adjusted)
+    locked: false,     // Follower is held in tempo and phase
+    leader: null,      // Deck setting the tempo while locked
+    follower: null     // Deck being adjusted while locked
+};
+let syncWatcher = null;
+
+/**
+ * Decide which deck leads and which follows, among the visible decks with a
+ * track: playing decks first, then in deck order. The leader is the tempo
+ * master, or on auto a deck that can't be adjusted (Spotify); the follower
+ * is the first other local deck.
+ * @returns {Object} { leader, follower } or { error }
+ */
+function resolveSyncDecks() {
+    const loaded = getActiveDecks().filter(deck => deckState[deck].track);
+    const live = [
+        ...loaded.filter(deck => deckState[deck].isPlaying),
+        ...loaded.filter(deck => !deckState[deck].isPlaying)
+    ];
+    const isLocal = deck => deckState[deck].source === 'local';
+
+    if (loaded.length < 2) {
+        return { error: 'Load tracks on two decks first' };
+    }
+    if (!loaded.some(isLocal)) {
+        return { error: 'Sync BPM only works with local audio files. Spotify tracks cannot be speed-adjusted.' };
+    }
+
+    let leader = syncState.master;
+    if (leader === 'auto') {
+        leader = live.find(deck => !isLocal(deck)) || live[0];
+    } else if (!loaded.includes(leader)) {
+        return { error: `Load a track on Deck ${leader} first` };
+    }
+
+    const follower = live.find(deck => deck !== leader && isLocal(deck));
+    if (!follower) {
+        return { error: `No deck can follow Deck ${leader} - Spotify tracks can't be speed-adjusted` };
+    }
+    return { leader, follower };
+}
+
+/**
+ * Original tempo of the track on a deck (beat grid first, then track features)
+ */
+function getDeckTempo(deck) {
+    return getDeckBeatGrid(deck)?.bpm || deckState[deck].track?.audioFeatures?.tempo || null;
+}
+
+/**
+ * Pitch slider ratio of a deck (Spotify decks always play at 1)
+ * The slider is the base rate; sync may nudge playbackRate around it.
+ */
+function getDeckPitch(deck) {
+    if (deckState[deck].source !== 'local') return 1;
+    const pitchSlider = getDeckElement(deck, 'pitchSong');
+    return pitchSlider ? parseFloat(pitchSlider.value) : 1;
+}
+
+/**
+ * Set a deck's pitch ratio and update its slider, label and BPM display
+ */
+function setDeckPitch(deck, ratio) {
+    setDeckPlaybackRate(deck, ratio);
+
+    const pitchSlider = getDeckElement(deck, 'pitchSong');
+    const pitchLabel = getDeckElement(deck, 'pitch', 'Val');
+    if (pitchSlider) {
+        pitchSlider.value = ratio;
+        const percent = Math.round((ratio - 1) * 100);
+        if (pitchLabel) pitchLabel.textContent = (percent >= 0 ? '+' : '') + percent + '%';
     }
 
-    const bpmA = trackA.audioFeatures?.tempo;
-    const bpmB = trackB.audioFeatures?.tempo;
+    // Update effective BPM display
+    updateEffectiveBPMDisplay(deck, ratio);
+}
+
+/**
+ * Match the follower's tempo to the leader's current effective tempo
+ * @returns {Object|null} { ratio, effectiveBPM, leaderBPM } or null if BPM is unknown
+ */
+function matchTempo(leader, follower) {
+    const leaderTempo = getDeckTempo(leader);
+    const followerTempo = getDeckTempo(follower);
+    if (!leaderTempo || !followerTempo) return null;
+
+    const leaderBPM = leaderTempo * getDeckPitch(leader);
+
+    // Clamp to valid pitch range (0.5 to 1.5)
+    const ratio = Math.max(0.5, Math.min(1.5, leaderBPM / followerTempo));
+    setDeckPitch(follower, ratio);
+
+    return { ratio, effectiveBPM: followerTempo * ratio, leaderBPM };
+}
+
+/**
+ * Beat phase difference between two local decks
+ * @returns {number|null} Beats the follower is behind the leader (-0.5 to 0.5), or null without grids
+ */
+function getPhaseOffset(leader, follower) {
+    const leaderGrid = getDeckBeatGrid(leader);
+    const followerGrid = getDeckBeatGrid(follower);
+    if (!leaderGrid || !followerGrid || deckState[leader].source !== 'local') return null;
+
+    const leaderAudio = getDeckAudio(leader);
+    const followerAudio = getDeckAudio(follower);
+
+    const diff = BeatGrid.getBeatPhase(leaderGrid, leaderAudio.currentTime) -
+        BeatGrid.getBeatPhase(followerGrid, followerAudio.currentTime);
+
+    // Wrap to the nearest beat so we never move more than half a beat
+    return diff - Math.round(diff);
+}
+
+/**
+ * Jump the follower so its beats land on the leader's beats
+ * @returns {boolean} True if phase could be aligned
+ */
+function alignPhase(leader, follower) {
+    const offset = getPhaseOffset(leader, follower);
+    if (offset === null) return false;
+
+    const followerAudio = getDeckAudio(follower);
+    const period = BeatGrid.getBeatPeriod(getDeckBeatGrid(follower));
 
-    if (!bpmA || !bpmB) {
+    followerAudio.currentTime = Math.max(0, followerAudio.currentTime + offset * period);
+    declickDeck(follower);
+    return true;
+}
+
+/**
+ * Sync button: match tempo and phase, then keep the follower locked
+ */
+function engageSync() {
+    const { leader, follower, error } = resolveSyncDecks();
+    if (error) {
+        showToast(error);
+        return;
+    }
+
+    const tempo = matchTempo(leader, follower);
+    if (!tempo) {
         showToast('BPM data not available for these tracks');
         return;
     }
 
-    // Check which deck has local audio (we can only adjust local audio)
-    const deckALocal = deckState.A.source === 'local';
-    const deckBLocal = deckState.B.source === 'local';
+    const phaseAligned = alignPhase(leader, follower);
+
+    console.log(`[DJ] Synced: Deck ${follower} to Deck ${leader} (${tempo.leaderBPM.toFixed(2)} BPM)`);
+    console.log(`[DJ] Pitch ratio: ${tempo.ratio.toFixed(3)}, Effective BPM: ${tempo.effectiveBPM.toFixed(2)}, phase ${phaseAligned ? 'aligned' : 'not aligned'}`);
 
-    if (!deckALocal && !deckBLocal) {
-        showToast('Sync BPM only works with local audio files. Spotify tracks cannot be speed-adjusted.');
+    if (Math.abs(tempo.effectiveBPM - tempo.leaderBPM) >= 1) {
+        showToast(`Deck ${follower} adjusted to ${tempo.effectiveBPM.toFixed(1)} BPM (limited by pitch range)`);
         return;
     }
 
-    let targetDeck, referenceDeck, targetBPM, referenceBPM;
-
-    if (deckALocal && !deckBLocal) {
-        // Deck A is local, B is Spotify - sync A to B
-        targetDeck = 'A';
-        referenceDeck = 'B';
-        targetBPM = bpmA;
-        referenceBPM = bpmB;
-    } else if (deckBLocal && !deckALocal) {
-        // Deck B is local, A is Spotify - sync B to A
-        targetDeck = 'B';
-        referenceDeck = 'A';
-        targetBPM = bpmB;
-        referenceBPM = bpmA;
+    if (!phaseAligned) {
+        // Without grids on both local decks we can only match tempo once
+        showToast(`BPM Synced! Both decks at ~${Math.round(tempo.leaderBPM)} BPM (no beat grid for phase)`);
+        return;
+    }
+
+    syncState.locked = true;
+    syncState.leader = leader;
+    syncState.follower = follower;
+    updateSyncWatcher();
+    renderSyncControls();
+    showToast(`Deck ${follower} locked to Deck ${leader} at ${tempo.leaderBPM.toFixed(1)} BPM`);
+}
+
+/**
+ * Release the sync lock and restore the follower's slider rate
+ */
+function disengageSync(reason) {
+    if (!syncState.locked) return;
+
+    const follower = syncState.follower;
+    setDeckPlaybackRate(follower, getDeckPitch(follower));
+
+    syncState.locked = false;
+    syncState.leader = null;
+    syncState.follower = null;
+    updateSyncWatcher();
+    renderSyncControls();
+
+    console.log('[DJ] Sync released');
+    if (reason) showToast(reason);
+}
+
+/**
+ * Called when a pitch slider moves
+ * The leader's changes are passed on; touching the follower releases the lock.
+ */
+function handleSyncPitchChange(deck) {
+    if (!syncState.locked) return;
+
+    if (deck === syncState.leader) {
+        matchTempo(syncState.leader, syncState.follower);
     } else {
-        // Both are local - sync B to A (default behavior)
-        targetDeck = 'B';
-        referenceDeck = 'A';
-        targetBPM = bpmB;
-        referenceBPM = bpmA;
+        disengageSync(`Sync off - Deck ${deck} pitch moved by hand`);
+    }
+}
+
+/**
+ * Release the lock when a synced deck gets a new track
+ */
+function handleSyncTrackChange(deck) {
+    if (syncState.locked && (deck === syncState.leader || deck === syncState.follower)) {
+        disengageSync(`Sync off - new track on Deck ${deck}`);
     }
+}
 
-    // Calculate pitch adjustment
-    const ratio = referenceBPM / targetBPM;
+function updateSyncWatcher() {
+    if (syncState.locked && !syncWatcher) {
+        syncWatcher = setInterval(checkSync, SYNC_CHECK_INTERVAL);
+    } else if (!syncState.locked && syncWatcher) {
+        clearInterval(syncWatcher);
+        syncWatcher = null;
+    }
+}
 
-    // Clamp to valid pitch range (0.5 to 1.5)
-    const clampedRatio = Math.max(0.5, Math.min(1.5, ratio));
+/**
+ * Keep the follower on the leader's beats
+ * Small drift is absorbed by nudging the playback rate; big drift (e.g.
+ * after a cue jump on the leader) is fixed with a jump.
+ */
+function checkSync() {
+    const { leader, follower } = syncState;
+    const leaderAudio = getDeckAudio(leader);
+    const followerAudio = getDeckAudio(follower);
+    const baseRate = getDeckPitch(follower);
+
+    if (leaderAudio.paused || followerAudio.paused) {
+        setDeckPlaybackRate(follower, baseRate);
+        return;
+    }
 
-    // Apply to the target deck's audio
-    const audioElement = targetDeck === 'A' ? audio1 : audio2;
-    audioElement.playbackRate = clampedRatio;
+    const offset = getPhaseOffset(leader, follower);
+    if (offset === null) {
+        disengageSync('Sync off - beat grid missing');
+        return;
+    }
 
-    // Update pitch slider
-    const pitchSlider = document.getElementById(targetDeck === 'A' ? 'pitchSong1' : 'pitchSong2');
-    const pitchLabel = document.getElementById(targetDeck === 'A' ? 'pitch1Val' : 'pitch2Val');
-    if (pitchSlider) {
-        pitchSlider.value = clampedRatio;
-        const percent = Math.round((clampedRatio - 1) * 100);
-        if (pitchLabel) pitchLabel.textContent = (percent >= 0 ? '+' : '') + percent + '%';
+    if (Math.abs(offset) > SYNC_JUMP_THRESHOLD) {
+        alignPhase(leader, follower);
+        setDeckPlaybackRate(follower, baseRate);
+    } else if (Math.abs(offset) > SYNC_PHASE_TOLERANCE) {
+        const nudge = Math.max(-SYNC_MAX_RATE_NUDGE, Math.min(SYNC_MAX_RATE_NUDGE, offset * SYNC_RATE_GAIN));
+        setDeckPlaybackRate(follower, baseRate * (1 + nudge));
+    } else {
+        setDeckPlaybackRate(follower, baseRate);
     }
+}
 
-    // Update effective BPM display
-    updateEffectiveBPMDisplay(targetDeck, clampedRatio);
+/**
+ * Tempo master choices: auto and each visible deck
+ */
+function renderSyncMasterOptions() {
+    const picker = document.getElementById('syncMaster');
+    if (!picker) return;
+
+    picker.querySelectorAll('[data-sync-master]').forEach(btn => btn.remove());
+    ['auto', ...getActiveDecks()].forEach(master => {
+        const btn = document.createElement('button');
+        btn.className = 'btn btn-loop';
+        btn.dataset.syncMaster = master;
+        btn.textContent = master === 'auto' ? 'AUTO' : master;
+        picker.appendChild(btn);
+    });
+    renderSyncControls();
+}
+
+/**
+ * Update the Sync button and tempo master selector
+ */
+function renderSyncControls() {
+    const syncBtn = document.getElementById('syncSongs');
+    if (syncBtn) {
+        syncBtn.classList.toggle('active', syncState.locked);
+        syncBtn.textContent = syncState.locked ? `Synced ${syncState.follower}→${syncState.leader}` : 'Sync BPM';
+    }
 
-    const effectiveBPM = targetBPM * clampedRatio;
-    console.log(`[DJ] Synced: Deck ${targetDeck} (${targetBPM.toFixed(1)} BPM) to match Deck ${referenceDeck} (${referenceBPM.toFixed(1)} BPM)`);
-    console.log(`[DJ] Pitch ratio: ${clampedRatio.toFixed(3)}, Effective BPM: ${effectiveBPM.toFixed(1)}`);
+    document.querySelectorAll('#syncMaster [data-sync-master]').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.syncMaster === syncState.master);
+    });
+}
 
-    if (Math.abs(effectiveBPM - referenceBPM) < 1) {
-        showToast(`BPM Synced! Both decks at ~${Math.round(referenceBPM)} BPM`);
+document.getElementById('syncSongs')?.addEventListener('click', function() {
+    if (syncState.locked) {
+        disengageSync('Sync off');
     } else {
-        showToast(`Deck ${targetDeck} adjusted to ${effectiveBPM.toFixed(1)} BPM (limited by pitch range)`);
+        engageSync();
+    }
+});
+
+document.getElementById('syncMaster')?.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-sync-master]');
+    if (!btn) return;
+
+    syncState.master = btn.dataset.syncMaster;
+    renderSyncControls();
+
+    // Re-lock with the new tempo master
+    if (syncState.locked) {
+        disengageSync();
+        engageSync();
     }
 });
 
+renderSyncMasterOptions();
+
 // ==========================================================================
 // AUTO-FADE TRANSITION
 // ==========================================================================
 
 let isAutoFading = false;
-let autoFadeDirection = null; // 'AtoB' or 'BtoA'
+let autoFadeDecks = null; // { from, to } while fading
 let lastTrackSwitchTime = 0; // Timestamp of last track switch during transition
 
 // Expose for other modules to check
@@ -707,6 +3252,18 @@ window.isTransitioning = () => isAutoFading || (Date.now() - lastTrackSwitchTime
 
 document.getElementById('autoFade')?.addEventListener('click', startAutoFade);
 
+/**
+ * Decks the Auto Fade button mixes: the Auto-DJ's deck pair and live deck
+ * (app.js fades them on the same click), or A and B before it is up
+ * @returns {Object} { pair, liveDeck }
+ */
+function getAutoFadeDecks() {
+    if (typeof DJApp === 'undefined') return { pair: BASE_DECK_IDS, liveDeck: null };
+
+    const { deckPair, liveDeck } = DJApp.getState();
+    return { pair: deckPair, liveDeck };
+}
+
 async function startAutoFade() {
     const autoFadeBtn = document.getElementById('autoFade');
 
@@ -716,45 +3273,45 @@ async function startAutoFade() {
         return;
     }
 
+    const { pair, liveDeck } = getAutoFadeDecks();
+
     // Check if both decks have tracks loaded - use multiple indicators
-    const deckALoaded = deckState.A.source !== 'none' ||
-                        deckState.A.spotifyTrackId ||
-                        deckState.A.track ||
-                        (audio1 && audio1.src && audio1.src !== '');
-    const deckBLoaded = deckState.B.source !== 'none' ||
-                        deckState.B.spotifyTrackId ||
-                        deckState.B.track ||
-                        (audio2 && audio2.src && audio2.src !== '');
-
-    console.log(`[DJ] AutoFade check - Deck A loaded: ${deckALoaded} (source: ${deckState.A.source}, trackId: ${deckState.A.spotifyTrackId})`);
-    console.log(`[DJ] AutoFade check - Deck B loaded: ${deckBLoaded} (source: ${deckState.B.source}, trackId: ${deckState.B.spotifyTrackId})`);
-
-    if (!deckALoaded && !deckBLoaded) {
+    const isLoaded = deck => deckState[deck].source !== 'none' ||
+                             deckState[deck].spotifyTrackId ||
+                             deckState[deck].track ||
+                             !!getDeckAudio(deck).src;
+    const loaded = pair.filter(isLoaded);
+
+    pair.forEach(deck => {
+        console.log(`[DJ] AutoFade check - Deck ${deck} loaded: ${isLoaded(deck)} (source: ${deckState[deck].source}, trackId: ${deckState[deck].spotifyTrackId})`);
+    });
+
+    if (loaded.length === 0) {
         showToast('Load tracks on both decks first');
         return;
     }
 
-    if (!deckALoaded || !deckBLoaded) {
+    if (loaded.length < pair.length) {
         showToast('Load a track on the other deck to transition');
         return;
     }
 
-    // Determine fade direction based on which deck is playing
-    if (deckState.A.isPlaying && !deckState.B.isPlaying) {
-        autoFadeDirection = 'AtoB';
-    } else if (deckState.B.isPlaying && !deckState.A.isPlaying) {
-        autoFadeDirection = 'BtoA';
-    } else if (activeSpotifyDeck === 'A') {
-        autoFadeDirection = 'AtoB';
-    } else if (activeSpotifyDeck === 'B') {
-        autoFadeDirection = 'BtoA';
+    // Fade away from the Auto-DJ's live deck, so app.js fades the same way;
+    // without it, from whichever deck is playing
+    const [first, second] = pair;
+    let fromDeck;
+    if (liveDeck) {
+        fromDeck = liveDeck;
+    } else if (deckState[first].isPlaying !== deckState[second].isPlaying) {
+        fromDeck = deckState[first].isPlaying ? first : second;
+    } else if (pair.includes(activeSpotifyDeck)) {
+        fromDeck = activeSpotifyDeck;
     } else {
-        // Default: use crossfader position
-        autoFadeDirection = crossfaderValue < 0.5 ? 'AtoB' : 'BtoA';
+        // Default: the deck the crossfader is on
+        fromDeck = getCrossfaderGain(first) >= getCrossfaderGain(second) ? first : second;
     }
-
-    const fromDeck = autoFadeDirection === 'AtoB' ? 'A' : 'B';
-    const toDeck = autoFadeDirection === 'AtoB' ? 'B' : 'A';
+    const toDeck = fromDeck === first ? second : first;
+    autoFadeDecks = { from: fromDeck, to: toDeck };
 
     // Check if this is a Spotify-to-Spotify transition
     // Use spotifyTrackId as the primary indicator since source might not always be set
@@ -780,11 +3337,11 @@ async function startAutoFade() {
  */
 async function startSpotifyTransition(fromDeck, toDeck, autoFadeBtn) {
     isAutoFading = true;
-    autoFadeDirection = fromDeck === 'A' ? 'AtoB' : 'BtoA';
+    autoFadeDecks = { from: fromDeck, to: toDeck };
 
     console.log(`[DJ] Starting Spotify transition: Deck ${fromDeck} → Deck ${toDeck}`);
     console.log(`[DJ] Current activeSpotifyDeck: ${activeSpotifyDeck}`);
-    console.log(`[DJ] Deck states - A: ${deckState.A.source}/${deckState.A.isPlaying}, B: ${deckState.B.source}/${deckState.B.isPlaying}`);
+    console.log(`[DJ] Deck states - ${fromDeck}: ${deckState[fromDeck].source}/${deckState[fromDeck].isPlaying}, ${toDeck}: ${deckState[toDeck].source}/${deckState[toDeck].isPlaying}`);
 
     // Update button
     if (autoFadeBtn) {
@@ -804,8 +3361,7 @@ async function startSpotifyTransition(fromDeck, toDeck, autoFadeBtn) {
     let hasSwitched = false;
 
     // Determine starting crossfader position based on direction
-    const startCrossfader = fromDeck === 'A' ? 0 : 1;
-    const endCrossfader = fromDeck === 'A' ? 1 : 0;
+    const { start: startCrossfader, end: endCrossfader } = getFadeEndpoints(fromDeck);
 
     // Set initial crossfader position
     crossfaderValue = startCrossfader;
@@ -846,10 +3402,10 @@ async function startSpotifyTransition(fromDeck, toDeck, autoFadeBtn) {
 
         step++;
 
-        // Phase 1: Fade out current track (0% to 50%)
+        // Phase 1: Fade out current track (0% to 50%) along the crossfader curve
         if (step <= midpoint) {
             const fadeOutProgress = step / midpoint;
-            const volume = 1 - (fadeOutProgress * 0.9); // Fade to 10% volume
+            const volume = Crossfader.getFadeGains(fadeOutProgress).out; // Held at 10% minimum
 
             if (window.SpotifyPlayer?.isReady()) {
                 await window.SpotifyPlayer.setVolume(Math.max(0.1, volume));
@@ -894,13 +3450,13 @@ async function startSpotifyTransition(fromDeck, toDeck, autoFadeBtn) {
             }
         }
 
-        // Phase 2: Fade in new track (50% to 100%)
+        // Phase 2: Fade in new track (50% to 100%) along the crossfader curve
         if (step > midpoint) {
             const fadeInProgress = (step - midpoint) / midpoint;
-            const volume = 0.1 + (fadeInProgress * 0.9); // Fade from 10% to 100%
+            const volume = Crossfader.getFadeGains(fadeInProgress).in; // From 10% up
 
             if (window.SpotifyPlayer?.isReady()) {
-                await window.SpotifyPlayer.setVolume(Math.min(1, volume));
+                await window.SpotifyPlayer.setVolume(Math.min(1, Math.max(0.1, volume)));
             }
 
             // Update crossfader visual - smooth transition from middle to end
@@ -914,7 +3470,7 @@ async function startSpotifyTransition(fromDeck, toDeck, autoFadeBtn) {
             clearInterval(window.autoFadeInterval);
             window.autoFadeInterval = null;
             isAutoFading = false;
-            autoFadeDirection = null;
+            autoFadeDecks = null;
 
             // Ensure full volume
             if (window.SpotifyPlayer?.isReady()) {
@@ -957,8 +3513,7 @@ async function startStandardTransition(fromDeck, toDeck, autoFadeBtn) {
     showToast(`Fading Deck ${fromDeck} → Deck ${toDeck}...`);
 
     const crossfadeSlider = document.getElementById('crossfade');
-    const startValue = fromDeck === 'A' ? 0 : 1;
-    const endValue = fromDeck === 'A' ? 1 : 0;
+    const { start: startValue, end: endValue } = getFadeEndpoints(fromDeck);
     const duration = 8000; // 8 seconds
     const interval = 50;
     const steps = duration / interval;
@@ -995,7 +3550,7 @@ async function startStandardTransition(fromDeck, toDeck, autoFadeBtn) {
         if (step >= steps) {
             clearInterval(window.autoFadeInterval);
             isAutoFading = false;
-            autoFadeDirection = null;
+            autoFadeDecks = null;
 
             // Stop the outgoing deck
             await stopDeck(fromDeck);
@@ -1022,7 +3577,7 @@ function cancelAutoFade() {
     }
 
     isAutoFading = false;
-    autoFadeDirection = null;
+    autoFadeDecks = null;
 
     // Restore full volume if using Spotify
     if (window.SpotifyPlayer?.isReady()) {
@@ -1030,10 +3585,10 @@ function cancelAutoFade() {
     }
 
     // Also restore local audio volumes
-    const vol1Slider = document.getElementById('volumeSong1');
-    const vol2Slider = document.getElementById('volumeSong2');
-    if (vol1Slider) audio1.volume = parseFloat(vol1Slider.value);
-    if (vol2Slider) audio2.volume = parseFloat(vol2Slider.value);
+    DECK_IDS.forEach(deck => {
+        const volumeSlider = getDeckElement(deck, 'volumeSong');
+        if (volumeSlider) setDeckVolume(deck, parseFloat(volumeSlider.value));
+    });
 
     // Reset button
     if (autoFadeBtn) {
@@ -1055,7 +3610,7 @@ function resetTransitionState() {
         window.autoFadeInterval = null;
     }
     isAutoFading = false;
-    autoFadeDirection = null;
+    autoFadeDecks = null;
 }
 
 // ==========================================================================
@@ -1069,62 +3624,38 @@ function formatTime(seconds) {
     return `${mins}:${secs.toString().padStart(2, '0')}`;
 }
 
-// Update time display for local audio
-audio1.addEventListener('timeupdate', function() {
-    const timeDisplay = document.getElementById('currentTimeSong1');
-    if (timeDisplay) timeDisplay.textContent = formatTime(audio1.currentTime);
-
-    const seekSlider = document.getElementById('seekSong1');
-    if (seekSlider && audio1.duration) {
-        seekSlider.max = Math.floor(audio1.duration);
-        if (!seekSlider.matches(':active')) {
-            seekSlider.value = Math.floor(audio1.currentTime);
-        }
-    }
-});
+DECK_IDS.forEach(deck => {
+    const audioElement = getDeckAudio(deck);
 
-audio2.addEventListener('timeupdate', function() {
-    const timeDisplay = document.getElementById('currentTimeSong2');
-    if (timeDisplay) timeDisplay.textContent = formatTime(audio2.currentTime);
+    // Update time display for local audio
+    audioElement.addEventListener('timeupdate', function() {
+        const timeDisplay = getDeckElement(deck, 'currentTimeSong');
+        if (timeDisplay) timeDisplay.textContent = formatTime(audioElement.currentTime);
 
-    const seekSlider = document.getElementById('seekSong2');
-    if (seekSlider && audio2.duration) {
-        seekSlider.max = Math.floor(audio2.duration);
-        if (!seekSlider.matches(':active')) {
-            seekSlider.value = Math.floor(audio2.currentTime);
+        const seekSlider = getDeckElement(deck, 'seekSong');
+        if (seekSlider && audioElement.duration) {
+            seekSlider.max = Math.floor(audioElement.duration);
+            if (!seekSlider.matches(':active')) {
+                seekSlider.value = Math.floor(audioElement.currentTime);
+            }
         }
-    }
-});
-
-// Track ended events
-audio1.addEventListener('ended', function() {
-    deckState.A.isPlaying = false;
-    updateTransportUI('A');
-});
-
-audio2.addEventListener('ended', function() {
-    deckState.B.isPlaying = false;
-    updateTransportUI('B');
-});
-
-audio1.addEventListener('play', () => {
-    deckState.A.isPlaying = true;
-    updateTransportUI('A');
-});
-
-audio1.addEventListener('pause', () => {
-    deckState.A.isPlaying = false;
-    updateTransportUI('A');
-});
-
-audio2.addEventListener('play', () => {
-    deckState.B.isPlaying = true;
-    updateTransportUI('B');
-});
-
-audio2.addEventListener('pause', () => {
-    deckState.B.isPlaying = false;
-    updateTransportUI('B');
+    });
+
+    // Track ended events
+    audioElement.addEventListener('ended', function() {
+        deckState[deck].isPlaying = false;
+        updateTransportUI(deck);
+    });
+
+    audioElement.addEventListener('play', () => {
+        deckState[deck].isPlaying = true;
+        updateTransportUI(deck);
+    });
+
+    audioElement.addEventListener('pause', () => {
+        deckState[deck].isPlaying = false;
+        updateTransportUI(deck);
+    });
 });
 
 // ==========================================================================
@@ -1141,10 +3672,10 @@ setInterval(async () => {
                 const positionSec = state.position / 1000;
                 const durationSec = state.duration / 1000;
 
-                const timeDisplay = document.getElementById(deck === 'A' ? 'currentTimeSong1' : 'currentTimeSong2');
+                const timeDisplay = getDeckElement(deck, 'currentTimeSong');
                 if (timeDisplay) timeDisplay.textContent = formatTime(positionSec);
 
-                const seekSlider = document.getElementById(deck === 'A' ? 'seekSong1' : 'seekSong2');
+                const seekSlider = getDeckElement(deck, 'seekSong');
                 if (seekSlider && !seekSlider.matches(':active')) {
                     seekSlider.max = Math.floor(durationSec);
                     seekSlider.value = Math.floor(positionSec);
@@ -1164,10 +3695,9 @@ setInterval(async () => {
 // ==========================================================================
 
 function updateTransportUI(deck) {
-    const playBtn = document.getElementById(deck === 'A' ? 'playSong1' : 'playSong2');
-    const pauseBtn = document.getElementById(deck === 'A' ? 'pauseSong1' : 'pauseSong2');
-    const loopBtn = document.getElementById(deck === 'A' ? 'repeatSong1' : 'repeatSong2');
-    const loopBtn2 = document.getElementById(deck === 'A' ? 'loopSong1' : 'loopSong2');
+    const playBtn = getDeckElement(deck, 'playSong');
+    const pauseBtn = getDeckElement(deck, 'pauseSong');
+    const loopBtn = getDeckElement(deck, 'repeatSong');
 
     if (playBtn) {
         playBtn.style.background = deckState[deck].isPlaying ? '#22c55e' : '';
@@ -1182,17 +3712,12 @@ function updateTransportUI(deck) {
         loopBtn.style.background = deckState[deck].isLooping ? '#3b82f6' : '';
         loopBtn.style.color = deckState[deck].isLooping ? 'white' : '';
     }
-    if (loopBtn2) {
-        loopBtn2.style.background = deckState[deck].isLooping ? '#3b82f6' : '';
-        loopBtn2.style.color = deckState[deck].isLooping ? 'white' : '';
-    }
 }
 
 function updateDeckUI(deck) {
-    const deckEl = document.querySelector(deck === 'A' ? '.deck-a' : '.deck-b');
+    const deckEl = getDeckPanel(deck);
     if (deckEl) {
-        deckEl.style.borderColor = deckState[deck].source !== 'none' ?
-            (deck === 'A' ? '#3b82f6' : '#f97316') : '';
+        deckEl.style.borderColor = deckState[deck].source !== 'none' ? decks[deck].color : '';
     }
 }
 
@@ -1236,10 +3761,29 @@ function showToast(message) {
 
 // Called from app.js when Spotify track is selected
 window.setDeckSource = function(deck, source, track) {
+    const previousTrack = deckState[deck].track;
     deckState[deck].source = source;
     deckState[deck].track = track;
     deckState[deck].spotifyTrackId = track?.id || null;
     updateDeckUI(deck);
+    renderHotCues(deck);
+    if (deckState[deck].track !== previousTrack) {
+        LoopEngine.clearLoop(deck);
+        updateLoopRegion(deck);
+        renderLoopControls(deck);
+        renderGridControls(deck);
+        handleSyncTrackChange(deck);
+        deckTranspose[deck] = 0;
+        updateDeckPitchShift(deck);
+        renderTransposeControls(deck);
+        manualTrim[deck] = null;
+        applyDeckTrim(deck);
+        if (!track?.fingerprint) {
+            waveformViews[deck]?.clear('Waveform available for local files');
+            cancelDeckAnalysis(deck);
+            showAnalysisStatus(deck, '', 'idle');
+        }
+    }
     console.log(`[DJ] Deck ${deck} source set to: ${source}, track: ${track?.name}`);
 };
 
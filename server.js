@@ -5,7 +5,8 @@
  * - Static file serving
  * - Spotify OAuth authentication
  * - Spotify API proxy (to hide client secret)
- * - File uploads for local audio
+ * - Audio file uploads (set recordings and sampler samples); only the
+ *   sampler's files are served back, from /uploads/samples
  *
  * SECURITY NOTE:
  * Client secret is kept server-side only. Never expose it to the frontend.
@@ -60,16 +61,91 @@ const SPOTIFY_CONFIG = {
 app.use(express.json());
 app.use(express.static('public'));
 
-// Setup multer for file uploads
-const storage = multer.diskStorage({
-    destination: function(req, file, cb) {
-        cb(null, 'uploads/');
-    },
-    filename: function(req, file, cb) {
-        cb(null, file.fieldname + '-' + Date.now() + path.extname(file.originalname));
+/**
+ * Audio uploads
+ * Only audio files are accepted, by extension and MIME type, and a stored
+ * file is always served as the audio type its extension names, so an
+ * upload can never be served back as a page that runs on this origin.
+ */
+const AUDIO_TYPES = {
+    '.mp3': 'audio/mpeg',
+    '.wav': 'audio/wav',
+    '.ogg': 'audio/ogg',
+    '.oga': 'audio/ogg',
+    '.opus': 'audio/ogg',
+    '.webm': 'audio/webm',
+    '.m4a': 'audio/mp4',
+    '.aac': 'audio/aac',
+    '.flac': 'audio/flac'
+};
+
+const UPLOAD_DIR = 'uploads';
+const SAMPLE_DIR = path.join(UPLOAD_DIR, 'samples');
+
+const MAX_SAMPLE_SIZE = 20 * 1024 * 1024;           // 20 MB
+const MAX_RECORDING_SIZE = 1024 * 1024 * 1024;      // 1 GB (a long WAV set)
+
+/**
+ * Multer for single audio files stored in a directory
+ * @param {string} directory - Where files are stored
+ * @param {number} maxSize - Largest file accepted, in bytes
+ */
+function createAudioUpload(directory, maxSize) {
+    const storage = multer.diskStorage({
+        destination: function(req, file, cb) {
+            cb(null, directory);
+        },
+        filename: function(req, file, cb) {
+            cb(null, file.fieldname + '-' + Date.now() + path.extname(file.originalname).toLowerCase());
+        }
+    });
+
+    return multer({
+        storage: storage,
+        limits: { fileSize: maxSize, files: 1 },
+        fileFilter: function(req, file, cb) {
+            const extension = path.extname(file.originalname).toLowerCase();
+            if (!AUDIO_TYPES[extension] || !file.mimetype.startsWith('audio/')) {
+                const err = new Error('Only audio files can be uploaded');
+                err.status = 415;
+                return cb(err);
+            }
+            cb(null, true);
+        }
+    });
+}
+
+const recordingUpload = createAudioUpload(UPLOAD_DIR, MAX_RECORDING_SIZE);
+const sampleUpload = createAudioUpload(SAMPLE_DIR, MAX_SAMPLE_SIZE);
+
+/**
+ * Reject cross-site upload requests
+ * The app's own fetch() calls send X-Requested-With, which a form on another
+ * site can't set, and a browser always sends Origin with a cross-site POST.
+ */
+function requireSameOrigin(req, res, next) {
+    const origin = req.get('Origin');
+    if (req.get('X-Requested-With') !== 'XMLHttpRequest' ||
+        (origin && origin !== `${req.protocol}://${req.get('Host')}`)) {
+        return res.status(403).json({ error: 'Cross-site request refused' });
     }
-});
-const upload = multer({ storage: storage });
+    next();
+}
+
+// Sampler pads reload their samples from here; recordings are not served
+app.use('/uploads/samples', express.static(SAMPLE_DIR, {
+    index: false,
+    setHeaders: function(res, filePath) {
+        const type = AUDIO_TYPES[path.extname(filePath).toLowerCase()];
+        res.set('X-Content-Type-Options', 'nosniff');
+        if (type) {
+            res.set('Content-Type', type);
+        } else {
+            res.set('Content-Type', 'application/octet-stream');
+            res.set('Content-Disposition', 'attachment');
+        }
+    }
+}));
 
 // ==========================================================================
 // SPOTIFY OAUTH ROUTES
@@ -270,9 +346,19 @@ app.all('/api/spotify/*', async (req, res, next) => {
 // ==========================================================================
 
 /**
- * Handle local audio file uploads
+ * Handle set recording uploads
  */
-app.post('/upload', upload.single('song'), function(req, res) {
+app.post('/upload', requireSameOrigin, recordingUpload.single('song'), function(req, res) {
+    if (!req.file) {
+        return res.status(400).send('No files were uploaded.');
+    }
+    res.status(200).json({ filename: req.file.filename });
+});
+
+/**
+ * Handle sampler sample uploads (served back from /uploads/samples)
+ */
+app.post('/upload/sample', requireSameOrigin, sampleUpload.single('song'), function(req, res) {
     if (!req.file) {
         return res.status(400).send('No files were uploaded.');
     }
@@ -284,6 +370,15 @@ app.post('/upload', upload.single('song'), function(req, res) {
 // ==========================================================================
 
 app.use((err, req, res, next) => {
+    // Upload rejected: too large, or not an audio file
+    if (err instanceof multer.MulterError) {
+        const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+        return res.status(status).json({ error: err.message });
+    }
+    if (err.status) {
+        return res.status(err.status).json({ error: err.message });
+    }
+
     console.error('Server error:', err);
     res.status(500).json({ error: 'Internal server error' });
 });
@@ -292,10 +387,10 @@ app.use((err, req, res, next) => {
 // START SERVER
 // ==========================================================================
 
-// Create uploads directory if it doesn't exist
+// Create the upload directories if they don't exist
 const fs = require('fs');
-if (!fs.existsSync('uploads')) {
-    fs.mkdirSync('uploads');
+if (!fs.existsSync(SAMPLE_DIR)) {
+    fs.mkdirSync(SAMPLE_DIR, { recursive: true });
 }
 
 // Validate required environment variables